@@ -0,0 +1,245 @@
+// backend/divisions.js
+const pool = require("./db");
+
+/*
+   Skill divisions. A division is a tournament row with parent_tournament_id
+   set, so teams, round robin, playoffs and placements all run per division.
+   Players register for the parent (tournament_players) and are placed in one
+   division by rating; an admin can override that (division_manual).
+*/
+
+async function getDivisionParentId(tournamentId, db = pool) {
+  const r = await db.query(
+    `select parent_tournament_id as "parentId" from tournaments where id = $1;`,
+    [tournamentId]
+  );
+  return r.rows[0]?.parentId != null ? String(r.rows[0].parentId) : null;
+}
+
+/**
+ * Divisions of a tournament, lowest rating band first, with their counts.
+ */
+async function getDivisions(parentId, db = pool) {
+  const r = await db.query(
+    `
+    select
+      t.id,
+      t.name,
+      t.division_min_rating::float as "minRating",
+      t.division_max_rating::float as "maxRating",
+      t.registration_cap as "registrationCap",
+      (
+        select count(*)::int from tournament_players tp
+        where tp.tournament_id = t.id
+      ) as "playerCount",
+      (
+        select count(*)::int from tournament_teams tt
+        where tt.tournament_id = t.id
+      ) as "teamCount"
+    from tournaments t
+    where t.parent_tournament_id = $1
+    order by t.division_min_rating nulls first, t.id;
+    `,
+    [parentId]
+  );
+  return r.rows.map((d) => ({ ...d, id: String(d.id) }));
+}
+
+/**
+ * Division whose rating band holds `rating` (min <= rating < max).
+ * Unrated players go to the lowest division.
+ */
+function pickDivision(divisions, rating) {
+  if (!divisions.length) return null;
+  if (rating == null) return divisions[0];
+
+  const r = Number(rating);
+  return (
+    divisions.find(
+      (d) =>
+        (d.minRating == null || r >= d.minRating) &&
+        (d.maxRating == null || r < d.maxRating)
+    ) ?? null
+  );
+}
+
+/**
+ * A `division` a request can't be scoped to. `status` is what routes answer
+ * with: 400 for a malformed id, 404 for one outside the tournament.
+ */
+class DivisionScopeError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "DivisionScopeError";
+    this.status = status;
+  }
+}
+
+/**
+ * Scope a request to one division: `division` must belong to `tournamentId`.
+ * Returns the id requests should use (the division, or the tournament itself),
+ * as a string. Throws a DivisionScopeError otherwise.
+ */
+async function scopeToDivision(tournamentId, division) {
+  if (division === undefined || division === null || division === "") {
+    return String(tournamentId);
+  }
+
+  const divisionId = Number(division);
+  if (!Number.isInteger(divisionId) || divisionId <= 0) {
+    throw new DivisionScopeError("division must be a positive integer.", 400);
+  }
+  const parentId = await getDivisionParentId(divisionId);
+  if (parentId !== String(tournamentId)) {
+    throw new DivisionScopeError(
+      `Division ${division} isn't part of tournament ${tournamentId}.`,
+      404
+    );
+  }
+  return String(divisionId);
+}
+
+async function isFull(db, tournamentId) {
+  const r = await db.query(
+    `
+    select
+      t.registration_cap as cap,
+      (
+        select count(*)::int from tournament_players tp
+        where tp.tournament_id = t.id
+      ) as count
+    from tournaments t
+    where t.id = $1;
+    `,
+    [tournamentId]
+  );
+  const row = r.rows[0];
+  return !!row && row.cap != null && row.count >= row.cap;
+}
+
+/**
+ * Move a registered player into `division` (or out of every division when
+ * division is null), leaving the other divisions of the parent.
+ * Returns { error } when the player is on a team or the division is full.
+ */
+async function placePlayer(db, parentId, playerId, division, manual) {
+  const onTeam = await db.query(
+    `
+    select t.name
+    from tournaments t
+    join tournament_teams tt on tt.tournament_id = t.id
+    join team_players tp on tp.team_id = tt.team_id
+    where t.parent_tournament_id = $1
+      and tp.player_id = $2
+      and t.id <> coalesce($3, 0)
+    limit 1;
+    `,
+    [parentId, playerId, division?.id ?? null]
+  );
+  if (onTeam.rowCount > 0) {
+    return {
+      error: `Player is on a team in the ${onTeam.rows[0].name} division. Remove them from the team first.`,
+    };
+  }
+
+  await db.query(
+    `
+    delete from tournament_players
+    where player_id = $2
+      and tournament_id in (
+        select id from tournaments
+        where parent_tournament_id = $1 and id <> coalesce($3, 0)
+      );
+    `,
+    [parentId, playerId, division?.id ?? null]
+  );
+  if (!division) return { division: null };
+
+  const existing = await db.query(
+    `
+    update tournament_players
+    set division_manual = $3
+    where tournament_id = $1 and player_id = $2;
+    `,
+    [division.id, playerId, manual]
+  );
+  if (existing.rowCount > 0) return { division };
+
+  if (await isFull(db, division.id)) {
+    return { error: `The ${division.name} division is full.` };
+  }
+
+  await db.query(
+    `
+    insert into tournament_players (tournament_id, player_id, division_manual)
+    values ($1, $2, $3);
+    `,
+    [division.id, playerId, manual]
+  );
+  return { division };
+}
+
+/**
+ * Register a player for a tournament and, if it has divisions, place them:
+ * - registering for a division counts as an admin placement in that division
+ * - registering for the parent picks the division by rating
+ * Registration caps are enforced on the tournament and on the division.
+ * Returns { division } or { error } (the caller rolls back).
+ */
+async function registerPlayer(db, tournamentId, player) {
+  const parentId = (await getDivisionParentId(tournamentId, db)) ?? tournamentId;
+
+  const already = await db.query(
+    `select 1 from tournament_players where tournament_id = $1 and player_id = $2;`,
+    [parentId, player.id]
+  );
+  if (already.rowCount === 0) {
+    if (await isFull(db, parentId)) {
+      return { error: "Registration is full." };
+    }
+    await db.query(
+      `insert into tournament_players (tournament_id, player_id) values ($1, $2);`,
+      [parentId, player.id]
+    );
+  }
+
+  const divisions = await getDivisions(parentId, db);
+  if (!divisions.length) return { division: null };
+
+  if (String(parentId) !== String(tournamentId)) {
+    const division = divisions.find((d) => d.id === String(tournamentId));
+    return placePlayer(db, parentId, player.id, division, true);
+  }
+
+  const manual = await db.query(
+    `
+    select t.id
+    from tournament_players tp
+    join tournaments t on t.id = tp.tournament_id
+    where t.parent_tournament_id = $1
+      and tp.player_id = $2
+      and tp.division_manual;
+    `,
+    [parentId, player.id]
+  );
+  if (manual.rowCount > 0) {
+    const id = String(manual.rows[0].id);
+    return { division: divisions.find((d) => d.id === id) ?? null };
+  }
+
+  const division = pickDivision(divisions, player.duprRating);
+  if (!division) {
+    return { error: "No division covers this player's rating." };
+  }
+  return placePlayer(db, parentId, player.id, division, false);
+}
+
+module.exports = {
+  getDivisionParentId,
+  getDivisions,
+  pickDivision,
+  scopeToDivision,
+  DivisionScopeError,
+  placePlayer,
+  registerPlayer,
+};
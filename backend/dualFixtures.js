@@ -0,0 +1,110 @@
+// backend/dualFixtures.js
+
+/*
+   Rules of a dual fixture: the games it is made of, how its games decide the
+   team winner, and what a valid lineup looks like. Games are numbered from 1
+   in DUAL_GAMES order; the DreamBreaker is the last one.
+*/
+
+const DUAL_GAMES = [
+  { key: "womens", label: "Women's doubles", size: 2 },
+  { key: "mens", label: "Men's doubles", size: 2 },
+  { key: "mixed_1", label: "Mixed doubles 1", size: 2 },
+  { key: "mixed_2", label: "Mixed doubles 2", size: 2 },
+  { key: "dreambreaker", label: "DreamBreaker", size: 4 },
+];
+
+const DREAMBREAKER = DUAL_GAMES.length;
+
+// The DreamBreaker is a singles rotation played with rally scoring to 21
+const DREAMBREAKER_SCORING = "rally_21";
+
+function isScored(game) {
+  return game.scoreA != null && game.scoreB != null;
+}
+
+/**
+ * Games won by each side (DreamBreaker included) and the winner once all
+ * four games are in and the fixture isn't level. needsDreamBreaker: the
+ * four games split 2-2.
+ */
+function fixtureResult(fixture) {
+  let gamesA = 0;
+  let gamesB = 0;
+  for (const g of fixture.games) {
+    if (!isScored(g)) continue;
+    if (g.scoreA > g.scoreB) gamesA++;
+    else gamesB++;
+  }
+
+  const dreamBreaker = fixture.games[DREAMBREAKER - 1];
+  const mainDone = fixture.games
+    .filter((g) => g.number !== DREAMBREAKER)
+    .every(isScored);
+  const dreamBreakerWins = isScored(dreamBreaker) ? 1 : 0;
+  const needsDreamBreaker =
+    mainDone && Math.abs(gamesA - gamesB) === dreamBreakerWins;
+
+  let winnerId = null;
+  if (mainDone && gamesA !== gamesB) {
+    winnerId = gamesA > gamesB ? fixture.teamAId : fixture.teamBId;
+  }
+
+  const anyScored = fixture.games.some(isScored);
+  return {
+    scoreA: anyScored ? gamesA : null,
+    scoreB: anyScored ? gamesB : null,
+    winnerId,
+    needsDreamBreaker,
+  };
+}
+
+/**
+ * Lineup rules for one side of a fixture. Every game lists roster players;
+ * women's / men's doubles by gender, each mixed game one man and one woman,
+ * nobody in both mixed games, and the DreamBreaker two men and two women in
+ * serving order. Returns an error message or null.
+ */
+function lineupError(lineup, roster) {
+  const genderOf = new Map(roster.map((p) => [p.id, p.gender]));
+
+  for (const g of DUAL_GAMES) {
+    const ids = lineup[g.key];
+    if (!Array.isArray(ids) || ids.length !== g.size) {
+      return `${g.label} needs ${g.size} players.`;
+    }
+    if (new Set(ids).size !== ids.length) {
+      return `${g.label} lists the same player twice.`;
+    }
+    if (ids.some((id) => !genderOf.has(id))) {
+      return `${g.label} lists a player who isn't on the roster.`;
+    }
+
+    const men = ids.filter((id) => genderOf.get(id) === "male").length;
+    const women = ids.filter((id) => genderOf.get(id) === "female").length;
+    if (g.key === "womens" && women !== 2) {
+      return "Women's doubles needs two women.";
+    }
+    if (g.key === "mens" && men !== 2) return "Men's doubles needs two men.";
+    if (g.key.startsWith("mixed") && (men !== 1 || women !== 1)) {
+      return `${g.label} needs one man and one woman.`;
+    }
+    if (g.key === "dreambreaker" && (men !== 2 || women !== 2)) {
+      return "The DreamBreaker needs two men and two women.";
+    }
+  }
+
+  if (lineup.mixed_1.some((id) => lineup.mixed_2.includes(id))) {
+    return "A player can only play one mixed game.";
+  }
+  return null;
+}
+
+module.exports = {
+  DUAL_GAMES,
+  DREAMBREAKER,
+  DREAMBREAKER_SCORING,
+  isScored,
+  fixtureResult,
+  lineupError,
+};
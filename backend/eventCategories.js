@@ -0,0 +1,143 @@
+// backend/eventCategories.js
+const pool = require("./db");
+
+/*
+   Event format of a tournament: its category (open, men's, women's, mixed)
+   and team size (doubles or singles, where every entrant is a one-player
+   team). Players' gender is collected at signup whenever the category
+   needs it.
+*/
+const EVENT_CATEGORIES = {
+  open: { label: "Open", gender: null },
+  mens: { label: "Men's", gender: "male" },
+  womens: { label: "Women's", gender: "female" },
+  mixed: { label: "Mixed", gender: null },
+};
+
+const TEAM_SIZES = [1, 2];
+
+const GENDERS = ["male", "female"];
+
+function isEventCategory(v) {
+  return Object.prototype.hasOwnProperty.call(EVENT_CATEGORIES, v);
+}
+
+function isTeamSize(v) {
+  return TEAM_SIZES.includes(v);
+}
+
+function isGender(v) {
+  return GENDERS.includes(v);
+}
+
+// lowercased/trimmed, "" and null as null
+function normalizeGender(v) {
+  const s = (v ?? "").toString().trim().toLowerCase();
+  return s || null;
+}
+
+/**
+ * "Men's singles", "Mixed doubles", ...
+ */
+function formatLabel({ eventCategory, teamSize }) {
+  const category = EVENT_CATEGORIES[eventCategory] ?? EVENT_CATEGORIES.open;
+  return `${category.label} ${teamSize === 1 ? "singles" : "doubles"}`;
+}
+
+/**
+ * Why a category/team size combination can't be run, or null.
+ */
+function formatError({ eventCategory, teamSize }) {
+  if (!isEventCategory(eventCategory)) {
+    return "eventCategory must be open, mens, womens, or mixed.";
+  }
+  if (!isTeamSize(teamSize)) {
+    return "teamSize must be 1 (singles) or 2 (doubles).";
+  }
+  if (eventCategory === "mixed" && teamSize !== 2) {
+    return "Mixed events are doubles only.";
+  }
+  return null;
+}
+
+/**
+ * { eventCategory, teamSize } of a tournament; divisions use their parent's.
+ */
+async function getEventFormat(tournamentId, db = pool) {
+  const r = await db.query(
+    `
+    select
+      coalesce(p.event_category, t.event_category) as "eventCategory",
+      coalesce(p.team_size, t.team_size) as "teamSize"
+    from tournaments t
+    left join tournaments p on p.id = t.parent_tournament_id
+    where t.id = $1;
+    `,
+    [tournamentId]
+  );
+  return {
+    eventCategory: r.rows[0]?.eventCategory ?? "open",
+    teamSize: r.rows[0]?.teamSize ?? 2,
+  };
+}
+
+function categoryNeedsGender(category) {
+  return category !== "open";
+}
+
+/**
+ * Why `player` can't enter an event of this format, or null when they can.
+ */
+function eligibilityError(format, player) {
+  if (!categoryNeedsGender(format.eventCategory)) return null;
+
+  const { gender } = EVENT_CATEGORIES[format.eventCategory];
+  const label = formatLabel(format);
+  const who = player?.name || "This player";
+  if (!isGender(player?.gender)) {
+    return `${label} needs each player's gender. ${who} hasn't given one.`;
+  }
+  if (gender && player.gender !== gender) {
+    return `${who} can't enter ${label}.`;
+  }
+  return null;
+}
+
+/**
+ * Why `players` can't be one team (a pair, or a singles entrant) in an event
+ * of this format, or null.
+ */
+function teamError(format, players) {
+  if (players.length !== format.teamSize) {
+    return format.teamSize === 1
+      ? "Singles entrants are one player."
+      : "Doubles teams are two players.";
+  }
+
+  for (const p of players) {
+    const error = eligibilityError(format, p);
+    if (error) return error;
+  }
+  if (
+    format.eventCategory === "mixed" &&
+    players[0].gender === players[1].gender
+  ) {
+    return "Mixed doubles teams need one man and one woman.";
+  }
+  return null;
+}
+
+module.exports = {
+  EVENT_CATEGORIES,
+  GENDERS,
+  isEventCategory,
+  isTeamSize,
+  isGender,
+  normalizeGender,
+  formatLabel,
+  formatError,
+  getEventFormat,
+  categoryNeedsGender,
+  eligibilityError,
+  teamError,
+};
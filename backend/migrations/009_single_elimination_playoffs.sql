@@ -0,0 +1,17 @@
+-- Playoffs can be any size now: R16/R32/... (R<n>), QF, SF, FINAL, THIRD
+alter table matches
+drop constraint if exists matches_phase_check;
+
+alter table matches
+add constraint matches_phase_check
+  check (phase in ('RR', 'QF', 'SF', 'FINAL', 'THIRD') or phase ~ '^R[0-9]+$');
+
+-- Seeds the bracket was built from (seed 1 = top of the standings).
+-- Later rounds are wired from these + recorded results.
+create table if not exists playoff_seeds (
+  tournament_id bigint not null references tournaments(id) on delete cascade,
+  seed int not null check (seed >= 1),
+  team_id bigint not null references teams(id) on delete cascade,
+  primary key (tournament_id, seed),
+  unique (tournament_id, team_id)
+);
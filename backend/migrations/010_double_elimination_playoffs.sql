@@ -0,0 +1,19 @@
+-- Double elimination: winners bracket (WB), losers bracket (LB), grand final (GF + GF-RESET)
+alter table matches
+drop constraint if exists matches_phase_check;
+
+alter table matches
+add constraint matches_phase_check
+  check (
+    phase in ('RR', 'QF', 'SF', 'FINAL', 'THIRD', 'WB', 'LB', 'GF')
+    or phase ~ '^R[0-9]+$'
+  );
+
+-- Format used for the playoff bracket, picked when playoffs are generated
+alter table tournaments
+add column if not exists playoff_format text not null default 'single'
+  check (playoff_format in ('single', 'double'));
+
+-- Double elimination only: play GF-RESET when the losers-bracket team wins GF
+alter table tournaments
+add column if not exists grand_final_reset boolean not null default true;
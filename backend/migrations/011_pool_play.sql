@@ -0,0 +1,9 @@
+-- Pool play: teams are split into pools (A, B, C...) for the round robin.
+-- null pool = the whole field is one pool (classic RR).
+alter table tournament_teams
+add column if not exists pool text;
+
+alter table matches
+add column if not exists pool text;
+
+create index if not exists idx_tournament_teams_pool on tournament_teams(tournament_id, pool);
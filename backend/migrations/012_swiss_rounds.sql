@@ -0,0 +1,7 @@
+-- Swiss: RR matches are generated one round at a time
+alter table matches
+add column if not exists round int check (round >= 1);
+
+-- Planned number of Swiss rounds (null = not a Swiss event)
+alter table tournaments
+add column if not exists swiss_rounds int check (swiss_rounds >= 1);
@@ -0,0 +1,35 @@
+-- Rotating-partner ("popcorn") events: individuals get new partners every round
+alter table tournaments
+add column if not exists event_type text not null default 'teams'
+  check (event_type in ('teams', 'rotating'));
+
+create table if not exists rotating_matches (
+  id bigserial primary key,
+  tournament_id bigint not null references tournaments(id) on delete cascade,
+
+  -- P<round>-<court>, e.g. P3-2
+  code text not null,
+  round int not null check (round >= 1),
+  court int,
+
+  team_a_player1_id bigint not null references players(id) on delete cascade,
+  team_a_player2_id bigint not null references players(id) on delete cascade,
+  team_b_player1_id bigint not null references players(id) on delete cascade,
+  team_b_player2_id bigint not null references players(id) on delete cascade,
+
+  score_a int check (score_a >= 0),
+  score_b int check (score_b >= 0),
+  status text not null default 'pending'
+    check (status in ('pending', 'on_court', 'completed')),
+
+  created_at timestamptz not null default now(),
+
+  unique (tournament_id, code),
+  check (
+    (score_a is null and score_b is null)
+    or
+    (score_a is not null and score_b is not null and score_a <> score_b)
+  )
+);
+
+create index if not exists idx_rotating_matches_tournament on rotating_matches(tournament_id, round);
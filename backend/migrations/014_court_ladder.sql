@@ -0,0 +1,22 @@
+-- Court ladder ("King of the Court" / "Up-Down the River") events.
+-- Rounds are stored in rotating_matches with L<round>-<court> codes.
+alter table tournaments
+drop constraint if exists tournaments_event_type_check;
+
+alter table tournaments
+add constraint tournaments_event_type_check
+  check (event_type in ('teams', 'rotating', 'ladder'));
+
+-- Number of ladder courts (court 1 is the top court)
+alter table tournaments
+add column if not exists ladder_courts int check (ladder_courts >= 1);
+
+-- true: winners split up and each partners an incoming player (Up-Down the River)
+-- false: fixed tournament teams move up and down together (King of the Court)
+alter table tournaments
+add column if not exists ladder_split_partners boolean not null default true;
+
+-- 'score': games to 11 win by 2, 'timed': highest score when time is called
+alter table tournaments
+add column if not exists ladder_round_type text not null default 'score'
+  check (ladder_round_type in ('score', 'timed'));
@@ -0,0 +1,67 @@
+-- Challenge ladder leagues: teams hold rungs (1 = top) and challenge upward
+create table if not exists ladders (
+  id bigserial primary key,
+  name text not null,
+
+  -- how many rungs above itself a team may challenge
+  max_challenge_rungs int not null default 3 check (max_challenge_rungs >= 1),
+  -- days the defender has to accept, then days to play once accepted
+  response_days int not null default 7 check (response_days >= 1),
+  play_days int not null default 14 check (play_days >= 1),
+
+  is_public boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists ladder_teams (
+  ladder_id bigint not null references ladders(id) on delete cascade,
+  team_id bigint not null references teams(id) on delete cascade,
+  position int not null check (position >= 1),
+  joined_at timestamptz not null default now(),
+
+  primary key (ladder_id, team_id),
+  -- deferred so two rungs can swap inside one transaction
+  unique (ladder_id, position) deferrable initially deferred
+);
+
+create table if not exists ladder_challenges (
+  id bigserial primary key,
+  ladder_id bigint not null references ladders(id) on delete cascade,
+  challenger_team_id bigint not null references teams(id) on delete cascade,
+  defender_team_id bigint not null references teams(id) on delete cascade,
+
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'completed', 'expired', 'cancelled')),
+
+  respond_by timestamptz not null,
+  play_by timestamptz,
+
+  score_challenger int check (score_challenger >= 0),
+  score_defender int check (score_defender >= 0),
+  winner_team_id bigint references teams(id) on delete set null,
+
+  created_by_user_id bigint references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  completed_at timestamptz,
+
+  check (challenger_team_id <> defender_team_id)
+);
+
+create index if not exists idx_ladder_challenges_ladder on ladder_challenges(ladder_id, status);
+
+-- Append-only log of everything that happened on a ladder
+create table if not exists ladder_history (
+  id bigserial primary key,
+  ladder_id bigint not null references ladders(id) on delete cascade,
+  event text not null
+    check (event in ('joined', 'left', 'challenged', 'accepted', 'cancelled', 'expired', 'result', 'swap')),
+  team_id bigint references teams(id) on delete set null,
+  opponent_team_id bigint references teams(id) on delete set null,
+  challenge_id bigint references ladder_challenges(id) on delete set null,
+  note text,
+  user_id bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_ladder_history_ladder on ladder_history(ladder_id, created_at desc);
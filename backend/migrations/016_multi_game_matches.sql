@@ -0,0 +1,50 @@
+-- Multi-game matches: best of 3, best of 5, or two games per matchup.
+-- For multi-game matches score_a / score_b hold games won and the points of
+-- each game are stored in match_games.
+create table if not exists match_games (
+  match_id bigint not null references matches(id) on delete cascade,
+  game_number int not null check (game_number >= 1),
+  score_a int not null check (score_a >= 0),
+  score_b int not null check (score_b >= 0),
+  primary key (match_id, game_number),
+  check (score_a <> score_b)
+);
+
+-- A two-game matchup can split 1-1 (settled on total points), so games won
+-- may be level. Replace the old "no tied scores" rule on matches.
+do $$
+declare
+  c record;
+begin
+  for c in
+    select conname
+    from pg_constraint
+    where conrelid = 'matches'::regclass
+      and contype = 'c'
+      and pg_get_constraintdef(oid) like '%score_a <> score_b%'
+  loop
+    execute format('alter table matches drop constraint %I', c.conname);
+  end loop;
+end $$;
+
+alter table matches
+drop constraint if exists matches_scores_check;
+
+alter table matches
+add constraint matches_scores_check
+  check ((score_a is null) = (score_b is null));
+
+-- Match format per stage: 'single', 'best_of_3', 'best_of_5', 'two_games'
+alter table tournaments
+add column if not exists rr_match_format text not null default 'single'
+  check (rr_match_format in ('single', 'best_of_3', 'best_of_5', 'two_games'));
+
+-- Bracket matches before the medal rounds
+alter table tournaments
+add column if not exists playoff_match_format text not null default 'single'
+  check (playoff_match_format in ('single', 'best_of_3', 'best_of_5', 'two_games'));
+
+-- FINAL, THIRD and the grand final
+alter table tournaments
+add column if not exists medal_match_format text not null default 'single'
+  check (medal_match_format in ('single', 'best_of_3', 'best_of_5', 'two_games'));
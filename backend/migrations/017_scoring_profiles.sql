@@ -0,0 +1,22 @@
+-- Scoring profile per stage (see SCORING_PROFILES in server.js):
+-- 'to_11', 'to_11_cap_15', 'to_15', 'to_15_cap_17', 'rally_21', 'timed'.
+-- Null keeps the old defaults: round robin to 11, single bracket games to 15,
+-- games of a multi-game bracket match to 11.
+alter table tournaments
+add column if not exists rr_scoring text
+  check (rr_scoring in ('to_11', 'to_11_cap_15', 'to_15', 'to_15_cap_17', 'rally_21', 'timed'));
+
+-- Bracket matches before the medal rounds
+alter table tournaments
+add column if not exists playoff_scoring text
+  check (playoff_scoring in ('to_11', 'to_11_cap_15', 'to_15', 'to_15_cap_17', 'rally_21', 'timed'));
+
+-- FINAL, THIRD and the grand final
+alter table tournaments
+add column if not exists medal_scoring text
+  check (medal_scoring in ('to_11', 'to_11_cap_15', 'to_15', 'to_15_cap_17', 'rally_21', 'timed'));
+
+-- Challenge ladder results
+alter table ladders
+add column if not exists scoring text not null default 'to_11'
+  check (scoring in ('to_11', 'to_11_cap_15', 'to_15', 'to_15_cap_17', 'rally_21', 'timed'));
@@ -0,0 +1,21 @@
+-- Ordered standings tiebreaker chain, applied to teams level on wins.
+-- Keys: headToHead, gameDiff, pointDiff, pointDiffCapped, pointsFor,
+-- pointsAgainst, coinFlip. Null keeps the default (pointDiff; gameDiff first
+-- for multi-game round robins). A coin flip always settles what's left.
+alter table tournaments
+add column if not exists standings_tiebreakers text[];
+
+-- Largest margin one game adds to the capped point differential
+alter table tournaments
+add column if not exists point_diff_cap int
+  check (point_diff_cap is null or point_diff_cap >= 1);
+
+-- Score credited for a forfeit/scratch (e.g. 11-0). Null: forfeits count as
+-- a win but don't change points.
+alter table tournaments
+add column if not exists forfeit_score_winner int
+  check (forfeit_score_winner is null or forfeit_score_winner >= 1);
+
+alter table tournaments
+add column if not exists forfeit_score_loser int not null default 0
+  check (forfeit_score_loser >= 0);
@@ -0,0 +1,7 @@
+-- Seed for every randomized draw of the tournament (random team pairing, pool
+-- and round robin draws, Swiss round 1, rotating partners, coin-flip
+-- tiebreakers). Set the first time a draw needs it, or by the organizer, so a
+-- schedule can be regenerated identically and audited.
+alter table tournaments
+add column if not exists random_seed text
+  check (random_seed is null or length(random_seed) between 1 and 64);
@@ -0,0 +1,18 @@
+-- Consolation (silver) bracket for teams that miss the main playoffs.
+-- It's single elimination, played alongside the main bracket; its match codes
+-- are prefixed with "C-" (C-SF1, C-FINAL, C-THIRD) so they stay unique per
+-- tournament.
+alter table matches
+add column if not exists bracket text not null default 'main'
+  check (bracket in ('main', 'consolation'));
+
+alter table playoff_seeds
+add column if not exists bracket text not null default 'main'
+  check (bracket in ('main', 'consolation'));
+
+-- Seeds are numbered from 1 in each bracket
+alter table playoff_seeds
+drop constraint if exists playoff_seeds_pkey;
+
+alter table playoff_seeds
+add primary key (tournament_id, bracket, seed);
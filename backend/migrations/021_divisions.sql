@@ -0,0 +1,27 @@
+-- Skill divisions: a division is a tournament of its own (teams, round robin,
+-- playoffs and placements all work per division) that hangs off the event
+-- players register for.
+alter table tournaments
+add column if not exists parent_tournament_id bigint
+  references tournaments(id) on delete cascade;
+
+create index if not exists idx_tournaments_parent on tournaments(parent_tournament_id);
+
+-- Rating band used to assign players automatically: min <= rating < max.
+-- Null ends are open (e.g. 4.0+ has no max).
+alter table tournaments
+add column if not exists division_min_rating numeric(4, 2);
+
+alter table tournaments
+add column if not exists division_max_rating numeric(4, 2);
+
+-- Max registered players (per division, or for a tournament without
+-- divisions). Null: no cap.
+alter table tournaments
+add column if not exists registration_cap int
+  check (registration_cap is null or registration_cap >= 1);
+
+-- Division rows only: true when an admin placed the player by hand, so
+-- automatic assignment leaves them alone.
+alter table tournament_players
+add column if not exists division_manual boolean not null default false;
@@ -0,0 +1,11 @@
+-- Event category of a tournament: open doubles (anyone with anyone), men's or
+-- women's doubles (eligibility by gender) and mixed doubles (one man and one
+-- woman per team). Divisions use their parent tournament's category.
+alter table tournaments
+add column if not exists event_category text not null default 'open'
+  check (event_category in ('open', 'mens', 'womens', 'mixed'));
+
+-- Collected at signup when the event category needs it. Null: not given.
+alter table players
+add column if not exists gender text
+  check (gender is null or gender in ('male', 'female'));
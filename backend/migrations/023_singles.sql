@@ -0,0 +1,6 @@
+-- Players per team: 2 for doubles, 1 for singles (each entrant is a
+-- one-player team, so scheduling, standings and brackets work unchanged).
+-- Divisions use their parent tournament's team size.
+alter table tournaments
+add column if not exists team_size smallint not null default 2
+  check (team_size in (1, 2));
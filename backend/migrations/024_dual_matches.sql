@@ -0,0 +1,39 @@
+-- Team-vs-team ("dual", MLP-style) events: rosters of 4+ players meet in
+-- fixtures of women's doubles, men's doubles, two mixed games and a
+-- DreamBreaker when the fixture is tied 2-2.
+-- Fixtures are matches rows with phase 'DUAL'; score_a / score_b hold games
+-- won and the points of each game are stored in match_games
+-- (1 womens, 2 mens, 3 mixed_1, 4 mixed_2, 5 dreambreaker).
+alter table tournaments
+drop constraint if exists tournaments_event_type_check;
+
+alter table tournaments
+add constraint tournaments_event_type_check
+  check (event_type in ('teams', 'rotating', 'ladder', 'dual'));
+
+alter table matches
+drop constraint if exists matches_phase_check;
+
+alter table matches
+add constraint matches_phase_check
+  check (
+    phase in ('RR', 'QF', 'SF', 'FINAL', 'THIRD', 'WB', 'LB', 'GF', 'DUAL')
+    or phase ~ '^R[0-9]+$'
+  );
+
+-- The account that submits lineups for the team
+alter table teams
+add column if not exists captain_user_id bigint references users(id) on delete set null;
+
+-- Who plays which game of a fixture, per team. DreamBreaker players are
+-- stored in serving order.
+create table if not exists dual_lineups (
+  match_id bigint not null references matches(id) on delete cascade,
+  team_id bigint not null references teams(id) on delete cascade,
+  game text not null
+    check (game in ('womens', 'mens', 'mixed_1', 'mixed_2', 'dreambreaker')),
+  player_ids bigint[] not null,
+  submitted_by bigint references users(id) on delete set null,
+  submitted_at timestamptz not null default now(),
+  primary key (match_id, team_id, game)
+);
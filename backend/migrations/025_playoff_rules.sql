@@ -0,0 +1,29 @@
+-- Playoff qualification and seeding rules, saved per tournament and used by
+-- /api/playoffs/generate when the request doesn't override them.
+
+-- Teams that qualify from a single group (null: 4)
+alter table tournaments
+add column if not exists playoff_team_count int
+  check (playoff_team_count is null or playoff_team_count >= 2);
+
+-- Pool play: top K of each pool qualify (null: 2)
+alter table tournaments
+add column if not exists playoff_advance_per_pool int
+  check (playoff_advance_per_pool is null or playoff_advance_per_pool >= 1);
+
+-- Extra spots for the best teams that didn't qualify automatically
+alter table tournaments
+add column if not exists playoff_wildcards int not null default 0
+  check (playoff_wildcards >= 0);
+
+-- Single elimination: play a third-place match between the semifinal losers
+alter table tournaments
+add column if not exists playoff_third_place boolean not null default true;
+
+-- Single elimination: re-pair best vs worst remaining seed after each round
+alter table tournaments
+add column if not exists playoff_reseed boolean not null default false;
+
+-- Swap first-round opponents that already met in the round robin
+alter table tournaments
+add column if not exists playoff_avoid_rematches boolean not null default false;
@@ -0,0 +1,11 @@
+-- Mid-tournament withdrawals: the team's unplayed matches are forfeited to
+-- its opponents and it drops out of the standings and the queue.
+-- null withdrawn_at = still playing.
+alter table tournament_teams
+add column if not exists withdrawn_at timestamptz;
+
+-- Whether the team's played round robin results still count for its
+-- opponents ('keep') or are left out of the standings ('void')
+alter table tournament_teams
+add column if not exists withdrawn_results text
+  check (withdrawn_results is null or withdrawn_results in ('keep', 'void'));
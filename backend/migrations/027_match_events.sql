@@ -0,0 +1,20 @@
+-- Append-only log of every change to a match result: score entries,
+-- corrections, forfeits, status changes, resets and reverts.
+-- old_value / new_value are snapshots of the match:
+-- { teamAId, teamBId, scoreA, scoreB, winnerId, status, games: [{scoreA, scoreB}] }
+-- match_id is kept as a plain id (no foreign key) so the history outlives
+-- matches that a reset or a regenerated schedule deletes.
+create table if not exists match_events (
+  id bigserial primary key,
+  tournament_id bigint not null references tournaments(id) on delete cascade,
+  match_id bigint not null,
+  code text not null,
+  kind text not null
+    check (kind in ('score', 'correction', 'forfeit', 'status', 'reset', 'revert')),
+  old_value jsonb,
+  new_value jsonb,
+  user_id bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_match_events_match on match_events(match_id, id);
@@ -0,0 +1,56 @@
+// backend/randomSeed.js
+const crypto = require("crypto");
+const pool = require("./db");
+const { seededRng } = require("./tournamentEngine");
+
+const MAX_SEED_LENGTH = 64;
+
+// db: a transaction client when the caller runs inside one
+async function getRandomSeed(tournamentId, db = pool) {
+  const r = await db.query(
+    `select random_seed as "randomSeed" from tournaments where id = $1;`,
+    [tournamentId]
+  );
+  return r.rows[0]?.randomSeed ?? null;
+}
+
+/**
+ * Seed for the next randomized draw of a tournament.
+ * - A seed in the request (string or number) replaces the stored one.
+ * - Otherwise the stored seed is reused; the first draw stores a fresh one.
+ * Returns null when the requested seed is invalid.
+ */
+async function resolveRandomSeed(tournamentId, requested) {
+  if (requested === undefined || requested === null || requested === "") {
+    const stored = await getRandomSeed(tournamentId);
+    if (stored) return stored;
+    requested = crypto.randomBytes(6).toString("hex");
+  }
+
+  if (typeof requested !== "string" && typeof requested !== "number") {
+    return null;
+  }
+  const seed = String(requested).trim();
+  if (!seed || seed.length > MAX_SEED_LENGTH) return null;
+
+  await pool.query(`update tournaments set random_seed = $2 where id = $1;`, [
+    tournamentId,
+    seed,
+  ]);
+  return seed;
+}
+
+/**
+ * One independent stream per draw (e.g. "teams", "pools", "rr", "swiss:1"),
+ * so redoing one step never shifts the outcome of another.
+ */
+function rngFor(seed, step) {
+  return seededRng(`${seed}:${step}`);
+}
+
+module.exports = {
+  MAX_SEED_LENGTH,
+  getRandomSeed,
+  resolveRandomSeed,
+  rngFor,
+};
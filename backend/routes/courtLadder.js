@@ -0,0 +1,440 @@
+// backend/routes/courtLadder.js
+const express = require("express");
+
+/*
+   Court ladder events ("King of the Court" / "Up-Down the River").
+   Rounds are played on numbered courts (court 1 on top). After each round
+   winners move up a court and losers move down; the next round is built from
+   the previous round's results. Rows live in rotating_matches (L<round>-<court>).
+*/
+module.exports = function courtLadderRoutes({ pool, engine, helpers }) {
+  const router = express.Router();
+
+  const {
+    errToMessage,
+    errToStatus,
+    resolveTournamentId,
+    validatePickleballScore,
+    getScoringProfiles,
+    parseScoringProfile,
+    scoringRules,
+  } = helpers;
+
+  async function getLadderSettings(tournamentId) {
+    const r = await pool.query(
+      `
+      select
+        ladder_courts as "courts",
+        ladder_split_partners as "splitPartners",
+        ladder_round_type as "roundType"
+      from tournaments
+      where id = $1;
+      `,
+      [tournamentId]
+    );
+    return (
+      r.rows[0] ?? { courts: null, splitPartners: true, roundType: "score" }
+    );
+  }
+
+  /**
+   * Ladder entrants, strongest first: registered players when partners
+   * split, otherwise the tournament's fixed teams.
+   * Returns [{ id, name, playerIds }]
+   */
+  async function getLadderUnits(tournamentId, splitPartners) {
+    if (splitPartners) {
+      const r = await pool.query(
+        `
+        select p.id, p.name
+        from tournament_players tp
+        join players p on p.id = tp.player_id
+        where tp.tournament_id = $1
+        order by p.dupr_rating desc nulls last, p.id;
+        `,
+        [tournamentId]
+      );
+      return r.rows.map((p) => ({
+        id: String(p.id),
+        name: p.name,
+        playerIds: [String(p.id)],
+      }));
+    }
+
+    const r = await pool.query(
+      `
+      select
+        t.id,
+        t.name,
+        array_agg(tp.player_id order by tp.player_id) as "playerIds"
+      from tournament_teams tt
+      join teams t on t.id = tt.team_id
+      join team_players tp on tp.team_id = t.id
+      join players p on p.id = tp.player_id
+      where tt.tournament_id = $1
+      group by t.id, t.name
+      order by avg(p.dupr_rating) desc nulls last, t.id;
+      `,
+      [tournamentId]
+    );
+    return r.rows.map((t) => ({
+      id: String(t.id),
+      name: t.name,
+      playerIds: t.playerIds.map(String),
+    }));
+  }
+
+  async function getLadderMatches(tournamentId) {
+    const r = await pool.query(
+      `
+      select
+        code,
+        round,
+        court,
+        team_a_player1_id as "a1",
+        team_a_player2_id as "a2",
+        team_b_player1_id as "b1",
+        team_b_player2_id as "b2",
+        score_a as "scoreA",
+        score_b as "scoreB",
+        status
+      from rotating_matches
+      where tournament_id = $1 and code like 'L%'
+      order by round, court;
+      `,
+      [tournamentId]
+    );
+
+    return r.rows.map((m) => ({
+      id: m.code,
+      round: m.round,
+      court: m.court,
+      teamA: [String(m.a1), String(m.a2)],
+      teamB: [String(m.b1), String(m.b2)],
+      scoreA: m.scoreA,
+      scoreB: m.scoreB,
+      status: m.status,
+    }));
+  }
+
+  async function insertLadderRound(tournamentId, matches) {
+    const params = [tournamentId];
+    const chunks = matches.map((m) => {
+      params.push(
+        m.id,
+        m.round,
+        m.court,
+        m.teamA[0],
+        m.teamA[1],
+        m.teamB[0],
+        m.teamB[1]
+      );
+      const n = params.length;
+      return `($1, $${n - 6}, $${n - 5}, $${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`;
+    });
+
+    await pool.query(
+      `
+      insert into rotating_matches (
+        tournament_id, code, round, court,
+        team_a_player1_id, team_a_player2_id,
+        team_b_player1_id, team_b_player2_id
+      )
+      values ${chunks.join(", ")};
+      `,
+      params
+    );
+  }
+
+  async function sendLadderState(tournamentId, res) {
+    const settings = await getLadderSettings(tournamentId);
+    const units = await getLadderUnits(tournamentId, settings.splitPartners);
+    const matches = await getLadderMatches(tournamentId);
+
+    const roundNumbers = [...new Set(matches.map((m) => m.round))];
+    const rounds = roundNumbers.map((round) => {
+      const roundMatches = matches.filter((m) => m.round === round);
+      const playing = new Set(
+        roundMatches.flatMap((m) => [...m.teamA, ...m.teamB])
+      );
+      return {
+        round,
+        matches: roundMatches,
+        sitOuts: units
+          .flatMap((u) => u.playerIds)
+          .filter((id) => !playing.has(id)),
+      };
+    });
+
+    const current = rounds[rounds.length - 1] ?? null;
+    const unitByLead = new Map(units.map((u) => [u.playerIds[0], u]));
+    const standings = engine
+      .computeCourtLadderStandings(
+        units.map((u) => u.playerIds),
+        matches
+      )
+      .map((s) => {
+        const unit = unitByLead.get(s.playerIds[0]);
+        return { ...s, id: unit?.id ?? null, name: unit?.name ?? "—" };
+      });
+
+    const { rr: profile } = await getScoringProfiles(tournamentId);
+
+    return res.json({
+      ok: true,
+      tournamentId,
+      settings: { ...settings, scoring: scoringRules(profile) },
+      entrants: units,
+      rounds,
+      currentRound: current?.round ?? 0,
+      roundComplete: current
+        ? current.matches.every((m) => m.status === "completed")
+        : false,
+      standings,
+    });
+  }
+
+  // GET /api/courtladder/state
+  router.get("/state", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      return sendLadderState(tournamentId, res);
+    } catch (err) {
+      console.error("Court ladder state error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     POST /api/courtladder/start
+     Body: { tournamentId?, courts?, splitPartners?, roundType?, scoringProfile? }
+     Saves the ladder settings and builds round 1 (strongest on court 1).
+     Replaces any existing ladder rounds.
+  */
+  router.post("/start", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+
+      const courtsRaw = req.body?.courts;
+      const courts =
+        courtsRaw === undefined || courtsRaw === null || courtsRaw === ""
+          ? null
+          : Number(courtsRaw);
+      if (courts !== null && (!Number.isInteger(courts) || courts < 1)) {
+        return res.status(400).json({ error: "courts must be an integer >= 1." });
+      }
+
+      const splitPartners = req.body?.splitPartners !== false;
+
+      const roundType = req.body?.roundType ?? "score";
+      if (roundType !== "score" && roundType !== "timed") {
+        return res
+          .status(400)
+          .json({ error: "roundType must be 'score' or 'timed'." });
+      }
+
+      const { rr: currentProfile } = await getScoringProfiles(tournamentId);
+      const profile = parseScoringProfile(
+        req.body?.scoringProfile,
+        currentProfile
+      );
+      if (!profile) {
+        return res.status(400).json({ error: "Unknown scoring profile." });
+      }
+
+      const units = await getLadderUnits(tournamentId, splitPartners);
+      const playerCount = units.reduce((n, u) => n + u.playerIds.length, 0);
+      if (playerCount < 4) {
+        return res.status(409).json({
+          error: splitPartners
+            ? "You need at least 4 registered players for a court ladder."
+            : "You need at least 2 teams for a court ladder.",
+        });
+      }
+      if (units.some((u) => u.playerIds.length !== 2) && !splitPartners) {
+        return res
+          .status(409)
+          .json({ error: "Every team needs exactly 2 players." });
+      }
+
+      const { matches } = engine.generateCourtLadderRound(
+        units.map((u) => u.playerIds),
+        1,
+        { courts: courts ?? undefined, splitPartners }
+      );
+
+      await pool.query(
+        `delete from rotating_matches where tournament_id = $1 and code like 'L%';`,
+        [tournamentId]
+      );
+      await pool.query(
+        `
+        update tournaments
+        set event_type = 'ladder',
+            ladder_courts = $2,
+            ladder_split_partners = $3,
+            ladder_round_type = $4,
+            rr_scoring = $5
+        where id = $1;
+        `,
+        [tournamentId, matches.length, splitPartners, roundType, profile]
+      );
+      await insertLadderRound(tournamentId, matches);
+
+      return sendLadderState(tournamentId, res);
+    } catch (err) {
+      console.error("Court ladder start error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     POST /api/courtladder/next-round
+     Moves winners up / losers down from the latest round (all courts must be
+     scored). Anyone who sat out plays next, entering on the bottom court.
+  */
+  router.post("/next-round", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const settings = await getLadderSettings(tournamentId);
+      const matches = await getLadderMatches(tournamentId);
+
+      if (matches.length === 0) {
+        return res.status(409).json({ error: "Start the court ladder first." });
+      }
+
+      const lastRound = Math.max(...matches.map((m) => m.round));
+      const roundMatches = matches.filter((m) => m.round === lastRound);
+      const unscored = roundMatches.filter((m) => m.status !== "completed");
+      if (unscored.length) {
+        return res.status(409).json({
+          error: `Round ${lastRound} isn't finished (${unscored
+            .map((m) => `court ${m.court}`)
+            .join(", ")}).`,
+        });
+      }
+
+      const units = await getLadderUnits(tournamentId, settings.splitPartners);
+      const registered = new Set(units.flatMap((u) => u.playerIds));
+      const played = new Set(
+        roundMatches.flatMap((m) => [...m.teamA, ...m.teamB])
+      );
+
+      // Drop anyone who left the event since the last round.
+      const order = engine
+        .courtLadderOrderAfterRound(roundMatches, {
+          splitPartners: settings.splitPartners,
+        })
+        .filter((u) => u.every((id) => registered.has(id)));
+      const satOut = units
+        .filter((u) => !u.playerIds.some((id) => played.has(id)))
+        .map((u) => u.playerIds);
+
+      const next = engine.generateCourtLadderRound(order, lastRound + 1, {
+        courts: settings.courts ?? undefined,
+        splitPartners: settings.splitPartners,
+        priorityUnits: satOut,
+      });
+
+      await insertLadderRound(tournamentId, next.matches);
+      return sendLadderState(tournamentId, res);
+    } catch (err) {
+      console.error("Court ladder next round error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     PATCH /api/courtladder/matches/:code/score
+     Body: { scoreA, scoreB } or { clear: true }
+     Only the latest round can change; earlier results already moved players.
+  */
+  router.patch("/matches/:code/score", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const code = String(req.params.code || "").toUpperCase();
+
+      const settings = await getLadderSettings(tournamentId);
+      const matches = await getLadderMatches(tournamentId);
+      const match = matches.find((m) => m.id === code);
+      if (!match) {
+        return res.status(404).json({ error: `Match not found: ${code}` });
+      }
+
+      const lastRound = Math.max(...matches.map((m) => m.round));
+      if (match.round !== lastRound) {
+        return res.status(409).json({
+          error: `Round ${match.round} is locked because round ${lastRound} was built from it.`,
+        });
+      }
+
+      if (req.body?.clear) {
+        await pool.query(
+          `
+          update rotating_matches
+          set score_a = null, score_b = null, status = 'pending'
+          where tournament_id = $1 and code = $2;
+          `,
+          [tournamentId, code]
+        );
+        return sendLadderState(tournamentId, res);
+      }
+
+      const scoreA = Number(req.body?.scoreA);
+      const scoreB = Number(req.body?.scoreB);
+
+      let msg = null;
+      if (settings.roundType === "timed") {
+        if (
+          !Number.isInteger(scoreA) ||
+          !Number.isInteger(scoreB) ||
+          scoreA < 0 ||
+          scoreB < 0
+        ) {
+          msg = "Scores must be whole numbers (0 or higher).";
+        } else if (scoreA === scoreB) {
+          msg = "Timed rounds still need a winner (no ties).";
+        }
+      } else {
+        const { rr: profile } = await getScoringProfiles(tournamentId);
+        msg = validatePickleballScore(scoreA, scoreB, scoringRules(profile));
+      }
+      if (msg) return res.status(400).json({ error: msg });
+
+      await pool.query(
+        `
+        update rotating_matches
+        set score_a = $1, score_b = $2, status = 'completed'
+        where tournament_id = $3 and code = $4;
+        `,
+        [scoreA, scoreB, tournamentId, code]
+      );
+
+      return sendLadderState(tournamentId, res);
+    } catch (err) {
+      console.error("Court ladder score error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  // POST /api/courtladder/reset
+  router.post("/reset", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const result = await pool.query(
+        `delete from rotating_matches where tournament_id = $1 and code like 'L%';`,
+        [tournamentId]
+      );
+      await pool.query(
+        `update tournaments set event_type = 'teams', ladder_courts = null where id = $1;`,
+        [tournamentId]
+      );
+      return res.json({ ok: true, tournamentId, deleted: result.rowCount || 0 });
+    } catch (err) {
+      console.error("Court ladder reset error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,417 @@
+// backend/routes/divisions.js
+const express = require("express");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const {
+  getDivisionParentId,
+  getDivisions,
+  pickDivision,
+  placePlayer,
+} = require("../divisions");
+
+/*
+   Skill divisions within a tournament (see backend/divisions.js).
+   `tournamentId` may be the tournament or one of its divisions; these routes
+   always work on the parent. Each division is then run like any tournament by
+   passing its id as tournamentId (or ?division=<id> next to the parent).
+*/
+module.exports = function divisionsRoutes({ pool, helpers }) {
+  const router = express.Router();
+
+  const { errToMessage, errToStatus, resolveTournamentId } = helpers;
+
+  function parseId(v) {
+    const n = Number(v);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  }
+
+  // undefined: not given, null: cleared, NaN: invalid
+  function parseRating(v) {
+    if (v === undefined) return undefined;
+    if (v === null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 && n < 10 ? n : NaN;
+  }
+
+  function parseCap(v) {
+    if (v === undefined) return undefined;
+    if (v === null || v === "") return null;
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 ? n : NaN;
+  }
+
+  async function resolveParentId(req) {
+    const tournamentId = await resolveTournamentId(req);
+    return (await getDivisionParentId(tournamentId)) ?? String(tournamentId);
+  }
+
+  async function getUnassignedPlayers(parentId) {
+    const r = await pool.query(
+      `
+      select p.id, p.name, p.dupr_rating::float as "duprRating"
+      from tournament_players tp
+      join players p on p.id = tp.player_id
+      where tp.tournament_id = $1
+        and not exists (
+          select 1
+          from tournament_players dp
+          join tournaments d on d.id = dp.tournament_id
+          where d.parent_tournament_id = $1 and dp.player_id = tp.player_id
+        )
+      order by p.dupr_rating desc nulls last, p.id;
+      `,
+      [parentId]
+    );
+    return r.rows.map((p) => ({ ...p, id: String(p.id) }));
+  }
+
+  async function sendDivisions(parentId, res, extra = {}) {
+    return res.json({
+      ok: true,
+      tournamentId: parentId,
+      divisions: await getDivisions(parentId),
+      unassigned: await getUnassignedPlayers(parentId),
+      ...extra,
+    });
+  }
+
+  async function loadDivisionOr404(req, res, parentId) {
+    const divisionId = parseId(req.params.divisionId);
+    const division = (await getDivisions(parentId)).find(
+      (d) => d.id === String(divisionId)
+    );
+    if (!division) {
+      res.status(404).json({ error: "Division not found." });
+      return null;
+    }
+    return division;
+  }
+
+  function validateBand({ minRating, maxRating, registrationCap }) {
+    if (Number.isNaN(minRating) || Number.isNaN(maxRating)) {
+      return "Ratings must be numbers between 0 and 10 (or blank).";
+    }
+    if (minRating != null && maxRating != null && minRating >= maxRating) {
+      return "minRating must be below maxRating.";
+    }
+    if (Number.isNaN(registrationCap)) {
+      return "registrationCap must be an integer >= 1 (or blank).";
+    }
+    return null;
+  }
+
+  // GET /api/divisions?tournamentId=
+  router.get("/", async (req, res) => {
+    try {
+      return sendDivisions(await resolveParentId(req), res);
+    } catch (err) {
+      console.error("Divisions list error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     POST /api/divisions
+     Body: { tournamentId?, name, minRating?, maxRating?, registrationCap? }
+  */
+  router.post("/", requireAuth, requireRole("admin"), async (req, res) => {
+    try {
+      const parentId = await resolveParentId(req);
+
+      const name = (req.body?.name ?? "").toString().trim();
+      if (!name) return res.status(400).json({ error: "Name is required." });
+
+      const fields = {
+        minRating: parseRating(req.body?.minRating) ?? null,
+        maxRating: parseRating(req.body?.maxRating) ?? null,
+        registrationCap: parseCap(req.body?.registrationCap) ?? null,
+      };
+      const error = validateBand(fields);
+      if (error) return res.status(400).json({ error });
+
+      const created = await pool.query(
+        `
+        insert into tournaments (
+          name, parent_tournament_id,
+          division_min_rating, division_max_rating, registration_cap
+        )
+        values ($1, $2, $3, $4, $5)
+        returning id;
+        `,
+        [
+          name,
+          parentId,
+          fields.minRating,
+          fields.maxRating,
+          fields.registrationCap,
+        ]
+      );
+
+      return sendDivisions(parentId, res, {
+        divisionId: String(created.rows[0].id),
+      });
+    } catch (err) {
+      console.error("Division create error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     PATCH /api/divisions/:divisionId
+     Body: { name?, minRating?, maxRating?, registrationCap? } (null clears)
+  */
+  router.patch(
+    "/:divisionId",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      try {
+        const parentId = await resolveParentId(req);
+        const division = await loadDivisionOr404(req, res, parentId);
+        if (!division) return;
+
+        const name =
+          req.body?.name === undefined
+            ? division.name
+            : (req.body.name ?? "").toString().trim();
+        if (!name) return res.status(400).json({ error: "Name is required." });
+
+        const minRating = parseRating(req.body?.minRating);
+        const maxRating = parseRating(req.body?.maxRating);
+        const registrationCap = parseCap(req.body?.registrationCap);
+        const fields = {
+          minRating: minRating === undefined ? division.minRating : minRating,
+          maxRating: maxRating === undefined ? division.maxRating : maxRating,
+          registrationCap:
+            registrationCap === undefined
+              ? division.registrationCap
+              : registrationCap,
+        };
+        const error = validateBand(fields);
+        if (error) return res.status(400).json({ error });
+
+        await pool.query(
+          `
+          update tournaments
+          set name = $1,
+              division_min_rating = $2,
+              division_max_rating = $3,
+              registration_cap = $4
+          where id = $5;
+          `,
+          [
+            name,
+            fields.minRating,
+            fields.maxRating,
+            fields.registrationCap,
+            division.id,
+          ]
+        );
+
+        return sendDivisions(parentId, res);
+      } catch (err) {
+        console.error("Division update error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      }
+    }
+  );
+
+  // DELETE /api/divisions/:divisionId (only before teams are made)
+  router.delete(
+    "/:divisionId",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      try {
+        const parentId = await resolveParentId(req);
+        const division = await loadDivisionOr404(req, res, parentId);
+        if (!division) return;
+
+        if (division.teamCount > 0) {
+          return res.status(409).json({
+            error: `The ${division.name} division already has teams. Delete them first.`,
+          });
+        }
+
+        // players stay registered for the tournament, just unassigned
+        await pool.query(`delete from tournaments where id = $1;`, [
+          division.id,
+        ]);
+
+        return sendDivisions(parentId, res);
+      } catch (err) {
+        console.error("Division delete error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      }
+    }
+  );
+
+  /*
+     POST /api/divisions/assign
+     Places every registered player by rating. Admin placements are kept, and
+     players already on a team stay where they are. Players that can't be
+     placed (no band fits, division full) are listed in `skipped`.
+  */
+  router.post(
+    "/assign",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const parentId = await resolveParentId(req);
+        const divisions = await getDivisions(parentId, client);
+        if (!divisions.length) {
+          return res
+            .status(409)
+            .json({ error: "This tournament has no divisions yet." });
+        }
+
+        await client.query("begin");
+
+        const playersRes = await client.query(
+          `
+          select
+            p.id,
+            p.name,
+            p.dupr_rating::float as "duprRating",
+            (
+              select dp.tournament_id
+              from tournament_players dp
+              join tournaments d on d.id = dp.tournament_id
+              where d.parent_tournament_id = $1 and dp.player_id = p.id
+              limit 1
+            ) as "divisionId",
+            exists (
+              select 1
+              from tournament_players dp
+              join tournaments d on d.id = dp.tournament_id
+              where d.parent_tournament_id = $1
+                and dp.player_id = p.id
+                and dp.division_manual
+            ) as manual
+          from tournament_players tp
+          join players p on p.id = tp.player_id
+          where tp.tournament_id = $1
+          order by p.dupr_rating desc nulls last, p.id;
+          `,
+          [parentId]
+        );
+
+        let moved = 0;
+        const skipped = [];
+        for (const p of playersRes.rows) {
+          if (p.manual) continue;
+
+          const target = pickDivision(divisions, p.duprRating);
+          if (!target) {
+            skipped.push({
+              playerId: String(p.id),
+              name: p.name,
+              reason: "No division covers this rating.",
+            });
+            continue;
+          }
+          if (String(p.divisionId) === target.id) continue;
+
+          const placed = await placePlayer(
+            client,
+            parentId,
+            p.id,
+            target,
+            false
+          );
+          if (placed.error) {
+            skipped.push({
+              playerId: String(p.id),
+              name: p.name,
+              reason: placed.error,
+            });
+            continue;
+          }
+          moved++;
+        }
+
+        await client.query("commit");
+        return sendDivisions(parentId, res, { moved, skipped });
+      } catch (err) {
+        await client.query("rollback");
+        console.error("Division assign error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /*
+     PUT /api/divisions/players/:playerId
+     Body: { divisionId } places the player by hand (kept by /assign);
+     { divisionId: null } drops the override and places them by rating again.
+  */
+  router.put(
+    "/players/:playerId",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const parentId = await resolveParentId(req);
+        const playerId = parseId(req.params.playerId);
+        if (!playerId) {
+          return res.status(400).json({ error: "Invalid player id." });
+        }
+
+        const playerRes = await client.query(
+          `
+          select p.id, p.dupr_rating::float as "duprRating"
+          from tournament_players tp
+          join players p on p.id = tp.player_id
+          where tp.tournament_id = $1 and tp.player_id = $2;
+          `,
+          [parentId, playerId]
+        );
+        if (playerRes.rowCount === 0) {
+          return res
+            .status(404)
+            .json({ error: "Player isn't registered for this tournament." });
+        }
+
+        const divisions = await getDivisions(parentId, client);
+        const rawDivision = req.body?.divisionId;
+        const manual =
+          rawDivision !== undefined && rawDivision !== null && rawDivision !== "";
+
+        const target = manual
+          ? divisions.find((d) => d.id === String(rawDivision))
+          : pickDivision(divisions, playerRes.rows[0].duprRating);
+        if (manual && !target) {
+          return res.status(404).json({ error: "Division not found." });
+        }
+
+        await client.query("begin");
+        const placed = await placePlayer(
+          client,
+          parentId,
+          playerId,
+          target ?? null,
+          manual
+        );
+        if (placed.error) {
+          await client.query("rollback");
+          return res.status(409).json({ error: placed.error });
+        }
+        await client.query("commit");
+
+        return sendDivisions(parentId, res);
+      } catch (err) {
+        await client.query("rollback");
+        console.error("Division player override error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,862 @@
+// backend/routes/dual.js
+const express = require("express");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const {
+  DUAL_GAMES,
+  DREAMBREAKER,
+  DREAMBREAKER_SCORING,
+  isScored,
+  fixtureResult,
+  lineupError,
+} = require("../dualFixtures");
+
+/*
+   Team-vs-team ("dual", MLP-style) events.
+   Teams carry rosters of 4+ players (at least 2 men and 2 women) and meet in
+   fixtures. Each fixture is four games (women's doubles, men's doubles and
+   two mixed games) plus a DreamBreaker when the games split 2-2.
+   Fixtures are matches rows with phase 'DUAL': score_a / score_b hold games
+   won and each game's points are stored in match_games (game_number is the
+   position in DUAL_GAMES). Captains (teams.captain_user_id) submit a lineup
+   per fixture; it stays hidden from the other side until both are in.
+*/
+
+module.exports = function dualRoutes({ pool, engine, helpers }) {
+  const router = express.Router();
+
+  const {
+    errToMessage,
+    errToStatus,
+    resolveTournamentId,
+    validatePickleballScore,
+    getScoringProfiles,
+    parseScoringProfile,
+    scoringRules,
+    resolveRandomSeed,
+    rngFor,
+  } = helpers;
+
+  function parseId(v) {
+    const n = Number(v);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  }
+
+  // game key ("mens") or number (2) -> 1-based game number
+  function parseGame(v) {
+    const byKey = DUAL_GAMES.findIndex((g) => g.key === String(v));
+    if (byKey >= 0) return byKey + 1;
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 && n <= DUAL_GAMES.length ? n : null;
+  }
+
+  async function canActForTeam(user, teamId) {
+    if (!user) return false;
+    if (user.role === "admin") return true;
+    const r = await pool.query(
+      `select captain_user_id from teams where id = $1;`,
+      [teamId]
+    );
+    return String(r.rows[0]?.captain_user_id ?? "") === String(user.id);
+  }
+
+  async function getDualTeams(tournamentId, db = pool) {
+    const r = await db.query(
+      `
+      select
+        t.id,
+        t.name,
+        t.captain_user_id as "captainUserId",
+        coalesce(
+          json_agg(
+            json_build_object(
+              'id', p.id::text,
+              'name', p.name,
+              'gender', p.gender,
+              'duprRating', p.dupr_rating::float,
+              'userId', p.user_id::text
+            )
+            order by p.name
+          ) filter (where p.id is not null),
+          '[]'
+        ) as roster
+      from tournament_teams tt
+      join teams t on t.id = tt.team_id
+      left join team_players tp on tp.team_id = t.id
+      left join players p on p.id = tp.player_id
+      where tt.tournament_id = $1
+      group by t.id, t.name, t.captain_user_id, tt.seed
+      order by coalesce(tt.seed, 999999), t.id;
+      `,
+      [tournamentId]
+    );
+
+    return r.rows.map((t) => {
+      const captainUserId =
+        t.captainUserId != null ? String(t.captainUserId) : null;
+      return {
+        id: String(t.id),
+        name: t.name,
+        captainUserId,
+        captainPlayerId:
+          t.roster.find((p) => captainUserId && p.userId === captainUserId)
+            ?.id ?? null,
+        roster: t.roster,
+      };
+    });
+  }
+
+  async function getFixtures(tournamentId, db = pool) {
+    const r = await db.query(
+      `
+      select
+        m.id as "matchId",
+        m.code,
+        m.round,
+        m.court,
+        m.team_a_id as "teamAId",
+        m.team_b_id as "teamBId",
+        m.score_a as "scoreA",
+        m.score_b as "scoreB",
+        m.winner_id as "winnerId",
+        m.status,
+        (
+          select json_agg(
+            json_build_object(
+              'number', g.game_number,
+              'scoreA', g.score_a,
+              'scoreB', g.score_b
+            )
+          )
+          from match_games g
+          where g.match_id = m.id
+        ) as games,
+        (
+          select json_agg(
+            json_build_object(
+              'teamId', l.team_id::text,
+              'game', l.game,
+              'playerIds', l.player_ids
+            )
+          )
+          from dual_lineups l
+          where l.match_id = m.id
+        ) as lineups
+      from matches m
+      where m.tournament_id = $1 and m.phase = 'DUAL'
+      order by m.round, length(m.code), m.code;
+      `,
+      [tournamentId]
+    );
+
+    return r.rows.map((m) => {
+      const teamAId = String(m.teamAId);
+      const teamBId = String(m.teamBId);
+      const scored = new Map((m.games ?? []).map((g) => [g.number, g]));
+
+      // teamId -> game key -> player ids
+      const lineups = new Map([
+        [teamAId, {}],
+        [teamBId, {}],
+      ]);
+      for (const l of m.lineups ?? []) {
+        lineups.get(l.teamId)[l.game] = l.playerIds.map(String);
+      }
+
+      return {
+        matchId: String(m.matchId),
+        id: m.code,
+        round: m.round,
+        court: m.court,
+        teamAId,
+        teamBId,
+        scoreA: m.scoreA,
+        scoreB: m.scoreB,
+        winnerId: m.winnerId != null ? String(m.winnerId) : null,
+        status: m.status,
+        games: DUAL_GAMES.map((g, i) => ({
+          number: i + 1,
+          key: g.key,
+          label: g.label,
+          scoreA: scored.get(i + 1)?.scoreA ?? null,
+          scoreB: scored.get(i + 1)?.scoreB ?? null,
+        })),
+        lineups,
+      };
+    });
+  }
+
+  function hasLineup(fixture, teamId) {
+    return Object.keys(fixture.lineups.get(teamId) ?? {}).length > 0;
+  }
+
+  async function sendDualState(tournamentId, req, res) {
+    const user = req.session?.user ?? null;
+    const isAdmin = user?.role === "admin";
+
+    const teams = await getDualTeams(tournamentId);
+    const fixtures = await getFixtures(tournamentId);
+
+    const captainOf = (teamId) => {
+      const team = teams.find((t) => t.id === teamId);
+      return !!user && team?.captainUserId === String(user.id);
+    };
+
+    const nameById = new Map(teams.map((t) => [t.id, t.name]));
+    const standings = engine
+      .computeDualStandings(
+        teams.map((t) => t.id),
+        fixtures.map((f) => ({
+          ...f,
+          games: f.games.filter(isScored),
+        }))
+      )
+      .map((s) => ({ ...s, name: nameById.get(s.teamId) ?? "Team" }));
+
+    const { rr: profile } = await getScoringProfiles(tournamentId);
+
+    return res.json({
+      ok: true,
+      tournamentId,
+      games: DUAL_GAMES.map((g, i) => ({ ...g, number: i + 1 })),
+      teams: teams.map(({ captainUserId, roster, ...t }) => ({
+        ...t,
+        roster: roster.map(({ userId, ...p }) => ({
+          ...p,
+          hasAccount: userId != null,
+        })),
+        isCaptain: captainOf(t.id),
+      })),
+      fixtures: fixtures.map((f) => {
+        const { lineups, ...fixture } = f;
+        const submittedA = hasLineup(f, f.teamAId);
+        const submittedB = hasLineup(f, f.teamBId);
+        const visible = (teamId) =>
+          (submittedA && submittedB) || isAdmin || captainOf(teamId);
+
+        return {
+          ...fixture,
+          needsDreamBreaker: fixtureResult(f).needsDreamBreaker,
+          lineupA:
+            submittedA && visible(f.teamAId) ? lineups.get(f.teamAId) : null,
+          lineupB:
+            submittedB && visible(f.teamBId) ? lineups.get(f.teamBId) : null,
+          lineupASubmitted: submittedA,
+          lineupBSubmitted: submittedB,
+        };
+      }),
+      standings,
+      scoring: {
+        games: scoringRules(profile),
+        dreamBreaker: scoringRules(DREAMBREAKER_SCORING),
+      },
+    });
+  }
+
+  /**
+   * Roster rules: 4+ distinct players registered for the tournament, at least
+   * two men and two women, nobody on another team of the tournament.
+   * Returns an error message or null.
+   */
+  async function rosterError(db, tournamentId, playerIds, teamId = null) {
+    if (playerIds.some((id) => id == null)) return "Invalid player id.";
+    if (new Set(playerIds).size !== playerIds.length) {
+      return "A player can only be listed once.";
+    }
+    if (playerIds.length < 4) return "A roster needs at least 4 players.";
+
+    const playersRes = await db.query(
+      `
+      select p.id, p.name, p.gender
+      from tournament_players tp
+      join players p on p.id = tp.player_id
+      where tp.tournament_id = $1 and tp.player_id = any($2::bigint[]);
+      `,
+      [tournamentId, playerIds]
+    );
+    if (playersRes.rowCount !== playerIds.length) {
+      return "Every player must be signed up for this tournament.";
+    }
+
+    const men = playersRes.rows.filter((p) => p.gender === "male").length;
+    const women = playersRes.rows.filter((p) => p.gender === "female").length;
+    if (men < 2 || women < 2) {
+      return "A roster needs at least 2 men and 2 women (set each player's gender).";
+    }
+
+    const taken = await db.query(
+      `
+      select p.name, t.name as "teamName"
+      from team_players tp
+      join tournament_teams tt on tt.team_id = tp.team_id
+      join teams t on t.id = tp.team_id
+      join players p on p.id = tp.player_id
+      where tt.tournament_id = $1
+        and tp.player_id = any($2::bigint[])
+        and tp.team_id <> coalesce($3, 0)
+      limit 1;
+      `,
+      [tournamentId, playerIds, teamId]
+    );
+    if (taken.rowCount > 0) {
+      const { name, teamName } = taken.rows[0];
+      return `${name} is already on ${teamName}.`;
+    }
+
+    return null;
+  }
+
+  // undefined: not given, null: no captain, NaN: invalid; else the user id
+  async function resolveCaptain(db, raw, playerIds) {
+    if (raw === undefined) return { userId: undefined };
+    if (raw === null || raw === "") return { userId: null };
+
+    const playerId = parseId(raw);
+    if (!playerId || !playerIds.includes(playerId)) {
+      return { error: "The captain must be on the roster." };
+    }
+    const r = await db.query(`select user_id from players where id = $1;`, [
+      playerId,
+    ]);
+    if (r.rows[0]?.user_id == null) {
+      return {
+        error: "That player has no account yet, so they can't be captain.",
+      };
+    }
+    return { userId: r.rows[0].user_id };
+  }
+
+  function parsePlayerIds(raw) {
+    return Array.isArray(raw) ? raw.map(parseId) : null;
+  }
+
+  async function loadFixtureOr404(req, res, tournamentId, db = pool) {
+    const code = String(req.params.code || "").toUpperCase();
+    const fixture = (await getFixtures(tournamentId, db)).find(
+      (f) => f.id === code
+    );
+    if (!fixture) {
+      res.status(404).json({ error: `Fixture not found: ${code}` });
+      return null;
+    }
+    return fixture;
+  }
+
+  // GET /api/dual/state
+  router.get("/state", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      return sendDualState(tournamentId, req, res);
+    } catch (err) {
+      console.error("Dual state error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     POST /api/dual/teams
+     Body: { tournamentId?, name, playerIds: [..4+], captainPlayerId? }
+  */
+  router.post("/teams", requireAuth, requireRole("admin"), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const tournamentId = await resolveTournamentId(req);
+
+      const name = (req.body?.name ?? "").toString().trim();
+      if (!name) return res.status(400).json({ error: "Name is required." });
+
+      const playerIds = parsePlayerIds(req.body?.playerIds);
+      if (!playerIds) {
+        return res.status(400).json({ error: "playerIds must be an array." });
+      }
+
+      const invalid = await rosterError(client, tournamentId, playerIds);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const captain = await resolveCaptain(
+        client,
+        req.body?.captainPlayerId,
+        playerIds
+      );
+      if (captain.error) return res.status(400).json({ error: captain.error });
+
+      const nameTaken = await client.query(
+        `select 1 from teams where lower(name) = lower($1);`,
+        [name]
+      );
+      if (nameTaken.rowCount > 0) {
+        return res
+          .status(409)
+          .json({ error: "A team with that name already exists." });
+      }
+
+      await client.query("begin");
+      const teamIns = await client.query(
+        `insert into teams (name, captain_user_id) values ($1, $2) returning id;`,
+        [name, captain.userId ?? null]
+      );
+      const teamId = teamIns.rows[0].id;
+      await client.query(
+        `insert into team_players (team_id, player_id) select $1, unnest($2::bigint[]);`,
+        [teamId, playerIds]
+      );
+      await client.query(
+        `insert into tournament_teams (tournament_id, team_id) values ($1, $2);`,
+        [tournamentId, teamId]
+      );
+      await client.query("commit");
+
+      return sendDualState(tournamentId, req, res);
+    } catch (err) {
+      await client.query("rollback");
+      console.error("Dual team create error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    } finally {
+      client.release();
+    }
+  });
+
+  /*
+     PUT /api/dual/teams/:teamId
+     Body: { tournamentId?, name?, playerIds?, captainPlayerId? }
+     (captainPlayerId: null removes the captain). A roster change drops the
+     team's lineups for fixtures that haven't started, so they are resubmitted.
+  */
+  router.put(
+    "/teams/:teamId",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const tournamentId = await resolveTournamentId(req);
+        const team = (await getDualTeams(tournamentId, client)).find(
+          (t) => t.id === String(parseId(req.params.teamId))
+        );
+        if (!team) return res.status(404).json({ error: "Team not found." });
+
+        const name =
+          req.body?.name === undefined
+            ? team.name
+            : (req.body.name ?? "").toString().trim();
+        if (!name) return res.status(400).json({ error: "Name is required." });
+
+        const rosterChanged = req.body?.playerIds !== undefined;
+        const playerIds = rosterChanged
+          ? parsePlayerIds(req.body.playerIds)
+          : team.roster.map((p) => Number(p.id));
+        if (!playerIds) {
+          return res.status(400).json({ error: "playerIds must be an array." });
+        }
+
+        if (rosterChanged) {
+          const invalid = await rosterError(
+            client,
+            tournamentId,
+            playerIds,
+            team.id
+          );
+          if (invalid) return res.status(400).json({ error: invalid });
+        }
+
+        const captain = await resolveCaptain(
+          client,
+          req.body?.captainPlayerId,
+          playerIds
+        );
+        if (captain.error) {
+          return res.status(400).json({ error: captain.error });
+        }
+
+        // a captain dropped from the roster stops being captain
+        let captainUserId = captain.userId;
+        if (captainUserId === undefined) {
+          captainUserId =
+            team.captainPlayerId &&
+            playerIds.includes(Number(team.captainPlayerId))
+              ? team.captainUserId
+              : null;
+        }
+
+        await client.query("begin");
+        await client.query(
+          `update teams set name = $2, captain_user_id = $3 where id = $1;`,
+          [team.id, name, captainUserId]
+        );
+
+        if (rosterChanged) {
+          await client.query(`delete from team_players where team_id = $1;`, [
+            team.id,
+          ]);
+          await client.query(
+            `insert into team_players (team_id, player_id) select $1, unnest($2::bigint[]);`,
+            [team.id, playerIds]
+          );
+          await client.query(
+            `
+            delete from dual_lineups l
+            using matches m
+            where m.id = l.match_id
+              and m.tournament_id = $1
+              and l.team_id = $2
+              and not exists (
+                select 1 from match_games g where g.match_id = m.id
+              );
+            `,
+            [tournamentId, team.id]
+          );
+        }
+        await client.query("commit");
+
+        return sendDualState(tournamentId, req, res);
+      } catch (err) {
+        await client.query("rollback");
+        console.error("Dual team update error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /*
+     POST /api/dual/generate
+     Body: { tournamentId?, fixturesPerTeam?, scoringProfile?, seed? }
+     Replaces any existing fixtures with a round robin between the teams
+     (everyone plays everyone unless fixturesPerTeam is lower).
+  */
+  router.post(
+    "/generate",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      try {
+        const tournamentId = await resolveTournamentId(req);
+        const teams = await getDualTeams(tournamentId);
+
+        if (teams.length < 2) {
+          return res
+            .status(409)
+            .json({ error: "You need at least 2 teams for dual matches." });
+        }
+
+        for (const t of teams) {
+          const invalid = await rosterError(
+            pool,
+            tournamentId,
+            t.roster.map((p) => Number(p.id)),
+            t.id
+          );
+          if (invalid) {
+            return res.status(409).json({ error: `${t.name}: ${invalid}` });
+          }
+        }
+
+        const raw = req.body?.fixturesPerTeam;
+        const fixturesPerTeam =
+          raw === undefined || raw === null || raw === ""
+            ? teams.length - 1
+            : Number(raw);
+        if (
+          !Number.isInteger(fixturesPerTeam) ||
+          fixturesPerTeam < 1 ||
+          fixturesPerTeam > teams.length - 1
+        ) {
+          return res.status(400).json({
+            error: `fixturesPerTeam must be an integer from 1 to ${
+              teams.length - 1
+            }.`,
+          });
+        }
+
+        const { rr: currentProfile } = await getScoringProfiles(tournamentId);
+        const profile = parseScoringProfile(
+          req.body?.scoringProfile,
+          currentProfile
+        );
+        if (!profile) {
+          return res.status(400).json({ error: "Unknown scoring profile." });
+        }
+
+        const randomSeed = await resolveRandomSeed(
+          tournamentId,
+          req.body?.seed
+        );
+        if (!randomSeed) {
+          return res
+            .status(400)
+            .json({ error: "seed must be a string of 1-64 characters." });
+        }
+
+        const schedule = engine.generateRoundRobinSchedule(
+          teams.map((t) => ({ id: t.id })),
+          fixturesPerTeam,
+          { rng: rngFor(randomSeed, "dual") }
+        );
+
+        await pool.query(
+          `delete from matches where tournament_id = $1 and phase = 'DUAL';`,
+          [tournamentId]
+        );
+        await pool.query(
+          `
+          update tournaments
+          set event_type = 'dual',
+              rr_scoring = $2
+          where id = $1;
+          `,
+          [tournamentId, profile]
+        );
+
+        const params = [tournamentId];
+        const chunks = schedule.map((m, i) => {
+          params.push(`D${i + 1}`, m.round, m.teamAId, m.teamBId);
+          const n = params.length;
+          return `($1, $${n - 3}, 'DUAL', $${n - 2}, $${n - 1}, $${n})`;
+        });
+
+        await pool.query(
+          `
+          insert into matches (
+            tournament_id, code, phase, round, team_a_id, team_b_id
+          )
+          values ${chunks.join(", ")};
+          `,
+          params
+        );
+
+        return sendDualState(tournamentId, req, res);
+      } catch (err) {
+        console.error("Dual generate error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      }
+    }
+  );
+
+  /*
+     PUT /api/dual/fixtures/:code/lineup
+     Body: { tournamentId?, teamId?, womens, mens, mixed_1, mixed_2, dreambreaker }
+     Each game lists player ids (the DreamBreaker in serving order).
+     teamId defaults to the side the signed-in captain leads. Lineups lock
+     once the first game of the fixture is scored.
+  */
+  router.put("/fixtures/:code/lineup", requireAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const fixture = await loadFixtureOr404(req, res, tournamentId, client);
+      if (!fixture) return;
+
+      const user = req.session.user;
+      const sides = [fixture.teamAId, fixture.teamBId];
+      let teamId =
+        req.body?.teamId != null ? String(parseId(req.body.teamId)) : null;
+      if (!teamId) {
+        for (const id of sides) {
+          if (user.role !== "admin" && (await canActForTeam(user, id))) {
+            teamId = id;
+          }
+        }
+      }
+      if (!teamId || !sides.includes(teamId)) {
+        return res
+          .status(400)
+          .json({ error: "teamId must be one of the fixture's teams." });
+      }
+      if (!(await canActForTeam(user, teamId))) {
+        return res
+          .status(403)
+          .json({ error: "Only the team captain can submit a lineup." });
+      }
+
+      if (fixture.games.some(isScored)) {
+        return res.status(409).json({
+          error: "Lineups are locked once the fixture's first game is scored.",
+        });
+      }
+
+      const lineup = {};
+      for (const g of DUAL_GAMES) {
+        const ids = req.body?.[g.key];
+        lineup[g.key] = Array.isArray(ids) ? ids.map((id) => String(id)) : null;
+      }
+
+      const team = (await getDualTeams(tournamentId, client)).find(
+        (t) => t.id === teamId
+      );
+      const invalid = lineupError(lineup, team.roster);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      await client.query("begin");
+      await client.query(
+        `delete from dual_lineups where match_id = $1 and team_id = $2;`,
+        [fixture.matchId, teamId]
+      );
+      for (const g of DUAL_GAMES) {
+        await client.query(
+          `
+          insert into dual_lineups
+            (match_id, team_id, game, player_ids, submitted_by)
+          values ($1, $2, $3, $4::bigint[], $5);
+          `,
+          [fixture.matchId, teamId, g.key, lineup[g.key], user.id]
+        );
+      }
+      await client.query("commit");
+
+      return sendDualState(tournamentId, req, res);
+    } catch (err) {
+      await client.query("rollback");
+      console.error("Dual lineup error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    } finally {
+      client.release();
+    }
+  });
+
+  /*
+     PATCH /api/dual/fixtures/:code/games/:game/score
+     :game is the game key (womens, mens, mixed_1, mixed_2, dreambreaker) or
+     its number. Body: { scoreA, scoreB } or { clear: true }.
+     Either captain (or admin). Both lineups must be in; the DreamBreaker is
+     only played when the four games split 2-2.
+  */
+  router.patch(
+    "/fixtures/:code/games/:game/score",
+    requireAuth,
+    async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const tournamentId = await resolveTournamentId(req);
+        const fixture = await loadFixtureOr404(req, res, tournamentId, client);
+        if (!fixture) return;
+
+        const number = parseGame(req.params.game);
+        if (!number) {
+          return res.status(404).json({ error: "Unknown game." });
+        }
+
+        const user = req.session.user;
+        const allowed =
+          (await canActForTeam(user, fixture.teamAId)) ||
+          (await canActForTeam(user, fixture.teamBId));
+        if (!allowed) {
+          return res
+            .status(403)
+            .json({ error: "Only the two captains can report a score." });
+        }
+
+        const game = fixture.games[number - 1];
+        const dreamBreaker = fixture.games[DREAMBREAKER - 1];
+        if (number !== DREAMBREAKER && isScored(dreamBreaker)) {
+          return res.status(409).json({
+            error: "Clear the DreamBreaker before changing the other games.",
+          });
+        }
+
+        let next;
+        if (req.body?.clear) {
+          next = { ...game, scoreA: null, scoreB: null };
+        } else {
+          if (
+            !hasLineup(fixture, fixture.teamAId) ||
+            !hasLineup(fixture, fixture.teamBId)
+          ) {
+            return res.status(409).json({
+              error: "Both captains must submit a lineup before scoring.",
+            });
+          }
+          if (
+            number === DREAMBREAKER &&
+            !fixtureResult(fixture).needsDreamBreaker
+          ) {
+            return res.status(409).json({
+              error:
+                "The DreamBreaker is only played when the fixture is tied 2-2.",
+            });
+          }
+
+          const scoreA = Number(req.body?.scoreA);
+          const scoreB = Number(req.body?.scoreB);
+          const { rr: profile } = await getScoringProfiles(tournamentId);
+          const rules = scoringRules(
+            number === DREAMBREAKER ? DREAMBREAKER_SCORING : profile
+          );
+          const msg = validatePickleballScore(scoreA, scoreB, rules);
+          if (msg) return res.status(400).json({ error: msg });
+
+          next = { ...game, scoreA, scoreB };
+        }
+
+        const games = fixture.games.map((g) => (g.number === number ? next : g));
+        const result = fixtureResult({ ...fixture, games });
+        const status = result.winnerId
+          ? "completed"
+          : fixture.status === "completed"
+          ? "pending"
+          : fixture.status;
+
+        await client.query("begin");
+        if (isScored(next)) {
+          await client.query(
+            `
+            insert into match_games (match_id, game_number, score_a, score_b)
+            values ($1, $2, $3, $4)
+            on conflict (match_id, game_number)
+            do update set score_a = excluded.score_a, score_b = excluded.score_b;
+            `,
+            [fixture.matchId, number, next.scoreA, next.scoreB]
+          );
+        } else {
+          await client.query(
+            `delete from match_games where match_id = $1 and game_number = $2;`,
+            [fixture.matchId, number]
+          );
+        }
+        await client.query(
+          `
+          update matches
+          set score_a = $2, score_b = $3, winner_id = $4, status = $5
+          where id = $1;
+          `,
+          [
+            fixture.matchId,
+            result.scoreA,
+            result.scoreB,
+            result.winnerId,
+            status,
+          ]
+        );
+        await client.query("commit");
+
+        return sendDualState(tournamentId, req, res);
+      } catch (err) {
+        await client.query("rollback");
+        console.error("Dual score error:", err);
+        res.status(errToStatus(err)).json({ error: errToMessage(err) });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  // POST /api/dual/reset (teams and rosters stay)
+  router.post("/reset", requireAuth, requireRole("admin"), async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const result = await pool.query(
+        `delete from matches where tournament_id = $1 and phase = 'DUAL';`,
+        [tournamentId]
+      );
+      await pool.query(
+        `update tournaments set event_type = 'teams' where id = $1;`,
+        [tournamentId]
+      );
+      return res.json({ ok: true, tournamentId, deleted: result.rowCount || 0 });
+    } catch (err) {
+      console.error("Dual reset error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,833 @@
+// backend/routes/ladders.js
+const express = require("express");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+/*
+   Challenge ladder leagues (span weeks, independent of tournaments).
+   Teams hold rungs (1 = top) and may challenge a team up to
+   `max_challenge_rungs` above them. Challenge lifecycle:
+     pending -> accepted -> completed
+     pending/accepted -> expired (deadline passed) or cancelled
+   A challenger who wins swaps rungs with the defender.
+*/
+module.exports = function laddersRoutes({ pool, engine, helpers }) {
+  const router = express.Router();
+
+  const {
+    errToMessage,
+    validatePickleballScore,
+    parseScoringProfile,
+    scoringRules,
+  } = helpers;
+
+  function parseId(v) {
+    const n = Number(v);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  }
+
+  function parsePositiveInt(v, fallback) {
+    if (v === undefined || v === null || v === "") return fallback;
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 ? n : null;
+  }
+
+  async function getLadder(ladderId) {
+    const r = await pool.query(
+      `
+      select
+        id,
+        name,
+        max_challenge_rungs as "maxChallengeRungs",
+        response_days as "responseDays",
+        play_days as "playDays",
+        is_public as "isPublic",
+        scoring,
+        created_at as "createdAt"
+      from ladders
+      where id = $1;
+      `,
+      [ladderId]
+    );
+    return r.rows[0] || null;
+  }
+
+  async function logLadderEvent(db, ladderId, event, fields = {}) {
+    await db.query(
+      `
+      insert into ladder_history
+        (ladder_id, event, team_id, opponent_team_id, challenge_id, note, user_id)
+      values ($1, $2, $3, $4, $5, $6, $7);
+      `,
+      [
+        ladderId,
+        event,
+        fields.teamId ?? null,
+        fields.opponentTeamId ?? null,
+        fields.challengeId ?? null,
+        fields.note ?? null,
+        fields.userId ?? null,
+      ]
+    );
+  }
+
+  /**
+   * Expire challenges whose deadline has passed. Runs lazily whenever a
+   * ladder is read or changed, so no background job is needed.
+   */
+  async function expireStaleChallenges(ladderId) {
+    const expired = await pool.query(
+      `
+      update ladder_challenges
+      set status = 'expired'
+      where ladder_id = $1
+        and (
+          (status = 'pending' and respond_by < now())
+          or (status = 'accepted' and play_by < now())
+        )
+      returning id, challenger_team_id, defender_team_id, play_by;
+      `,
+      [ladderId]
+    );
+
+    for (const c of expired.rows) {
+      await logLadderEvent(pool, ladderId, "expired", {
+        teamId: c.challenger_team_id,
+        opponentTeamId: c.defender_team_id,
+        challengeId: c.id,
+        note: c.play_by ? "Not played in time." : "Not accepted in time.",
+      });
+    }
+  }
+
+  async function getRungs(ladderId) {
+    const r = await pool.query(
+      `
+      select
+        lt.position,
+        t.id as "teamId",
+        t.name as "teamName",
+        t.captain_user_id as "captainUserId",
+        count(c.id) filter (where c.winner_team_id = t.id)::int as "wins",
+        count(c.id) filter (
+          where c.winner_team_id is not null and c.winner_team_id <> t.id
+        )::int as "losses"
+      from ladder_teams lt
+      join teams t on t.id = lt.team_id
+      left join ladder_challenges c
+        on c.ladder_id = lt.ladder_id
+       and c.status = 'completed'
+       and t.id in (c.challenger_team_id, c.defender_team_id)
+      where lt.ladder_id = $1
+      group by lt.position, t.id, t.name, t.captain_user_id
+      order by lt.position;
+      `,
+      [ladderId]
+    );
+    return r.rows;
+  }
+
+  async function getChallenges(ladderId, statuses) {
+    const r = await pool.query(
+      `
+      select
+        c.id,
+        c.status,
+        c.challenger_team_id as "challengerTeamId",
+        ct.name as "challengerName",
+        c.defender_team_id as "defenderTeamId",
+        dt.name as "defenderName",
+        c.respond_by as "respondBy",
+        c.play_by as "playBy",
+        c.score_challenger as "scoreChallenger",
+        c.score_defender as "scoreDefender",
+        c.winner_team_id as "winnerTeamId",
+        c.created_at as "createdAt",
+        c.completed_at as "completedAt"
+      from ladder_challenges c
+      join teams ct on ct.id = c.challenger_team_id
+      join teams dt on dt.id = c.defender_team_id
+      where c.ladder_id = $1
+        and c.status = any($2::text[])
+      order by c.created_at desc;
+      `,
+      [ladderId, statuses]
+    );
+    return r.rows;
+  }
+
+  async function getChallenge(ladderId, challengeId) {
+    const r = await pool.query(
+      `
+      select
+        id,
+        status,
+        challenger_team_id as "challengerTeamId",
+        defender_team_id as "defenderTeamId"
+      from ladder_challenges
+      where ladder_id = $1 and id = $2;
+      `,
+      [ladderId, challengeId]
+    );
+    return r.rows[0] || null;
+  }
+
+  /**
+   * Captains act for their own team; admins act for anyone.
+   */
+  async function canActForTeam(user, teamId) {
+    if (!user) return false;
+    if (user.role === "admin") return true;
+    const r = await pool.query(
+      `select captain_user_id from teams where id = $1;`,
+      [teamId]
+    );
+    return String(r.rows[0]?.captain_user_id ?? "") === String(user.id);
+  }
+
+  async function loadLadderOr404(req, res) {
+    const ladderId = parseId(req.params.id);
+    if (!ladderId) {
+      res.status(400).json({ error: "Invalid ladder id." });
+      return null;
+    }
+    const ladder = await getLadder(ladderId);
+    if (!ladder) {
+      res.status(404).json({ error: "Ladder not found." });
+      return null;
+    }
+    await expireStaleChallenges(ladderId);
+    return ladder;
+  }
+
+  /* ------------------ LADDERS ------------------ */
+
+  // GET /api/ladders
+  router.get("/", async (req, res) => {
+    try {
+      const isAdmin = req.session?.user?.role === "admin";
+      const r = await pool.query(
+        `
+        select
+          l.id,
+          l.name,
+          l.is_public as "isPublic",
+          count(lt.team_id)::int as "teamCount"
+        from ladders l
+        left join ladder_teams lt on lt.ladder_id = l.id
+        where l.is_public or $1
+        group by l.id
+        order by l.id desc;
+        `,
+        [isAdmin]
+      );
+      res.json(r.rows);
+    } catch (err) {
+      console.error("GET /api/ladders error:", err);
+      res.status(500).json({ error: errToMessage(err) });
+    }
+  });
+
+  // POST /api/ladders
+  // Body: { name, maxChallengeRungs?, responseDays?, playDays?, isPublic?, scoringProfile? }
+  router.post("/", requireAuth, requireRole("admin"), async (req, res) => {
+    try {
+      const name = (req.body?.name ?? "").toString().trim();
+      if (!name) return res.status(400).json({ error: "Name is required." });
+
+      const maxChallengeRungs = parsePositiveInt(req.body?.maxChallengeRungs, 3);
+      const responseDays = parsePositiveInt(req.body?.responseDays, 7);
+      const playDays = parsePositiveInt(req.body?.playDays, 14);
+      if (!maxChallengeRungs || !responseDays || !playDays) {
+        return res.status(400).json({
+          error:
+            "maxChallengeRungs, responseDays and playDays must be integers >= 1.",
+        });
+      }
+      const scoring = parseScoringProfile(req.body?.scoringProfile, "to_11");
+      if (!scoring) {
+        return res.status(400).json({ error: "Unknown scoring profile." });
+      }
+
+      const inserted = await pool.query(
+        `
+        insert into ladders (
+          name, max_challenge_rungs, response_days, play_days, is_public, scoring
+        )
+        values ($1, $2, $3, $4, $5, $6)
+        returning id;
+        `,
+        [
+          name,
+          maxChallengeRungs,
+          responseDays,
+          playDays,
+          req.body?.isPublic !== false,
+          scoring,
+        ]
+      );
+
+      res.status(201).json(await getLadder(inserted.rows[0].id));
+    } catch (err) {
+      console.error("POST /api/ladders error:", err);
+      res.status(500).json({ error: errToMessage(err) });
+    }
+  });
+
+  // GET /api/ladders/:id  (public standings)
+  router.get("/:id", async (req, res) => {
+    try {
+      const ladder = await loadLadderOr404(req, res);
+      if (!ladder) return;
+
+      if (!ladder.isPublic && req.session?.user?.role !== "admin") {
+        return res.status(404).json({ error: "Ladder not found." });
+      }
+
+      const rungs = await getRungs(ladder.id);
+      const openChallenges = await getChallenges(ladder.id, [
+        "pending",
+        "accepted",
+      ]);
+      const recentResults = (await getChallenges(ladder.id, ["completed"])).slice(
+        0,
+        20
+      );
+
+      res.json({
+        ok: true,
+        ladder: { ...ladder, scoringRules: scoringRules(ladder.scoring) },
+        rungs: rungs.map(({ captainUserId, ...r }) => r),
+        openChallenges,
+        recentResults,
+      });
+    } catch (err) {
+      console.error("GET /api/ladders/:id error:", err);
+      res.status(500).json({ error: errToMessage(err) });
+    }
+  });
+
+  // GET /api/ladders/:id/history
+  router.get("/:id/history", async (req, res) => {
+    try {
+      const ladder = await loadLadderOr404(req, res);
+      if (!ladder) return;
+
+      if (!ladder.isPublic && req.session?.user?.role !== "admin") {
+        return res.status(404).json({ error: "Ladder not found." });
+      }
+
+      const r = await pool.query(
+        `
+        select
+          h.id,
+          h.event,
+          h.team_id as "teamId",
+          t.name as "teamName",
+          h.opponent_team_id as "opponentTeamId",
+          o.name as "opponentName",
+          h.challenge_id as "challengeId",
+          h.note,
+          h.created_at as "createdAt"
+        from ladder_history h
+        left join teams t on t.id = h.team_id
+        left join teams o on o.id = h.opponent_team_id
+        where h.ladder_id = $1
+        order by h.created_at desc, h.id desc
+        limit 200;
+        `,
+        [ladder.id]
+      );
+
+      res.json({ ok: true, ladderId: ladder.id, history: r.rows });
+    } catch (err) {
+      console.error("GET /api/ladders/:id/history error:", err);
+      res.status(500).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     POST /api/ladders/:id/teams
+     Body: { teamId } or { tournamentId } to import a tournament's teams.
+     New teams join at the bottom rung.
+  */
+  router.post(
+    "/:id/teams",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      try {
+        const ladder = await loadLadderOr404(req, res);
+        if (!ladder) return;
+
+        let teamIds = [];
+        const teamId = parseId(req.body?.teamId);
+        const tournamentId = parseId(req.body?.tournamentId);
+
+        if (teamId) {
+          teamIds = [teamId];
+        } else if (tournamentId) {
+          const r = await pool.query(
+            `
+            select team_id
+            from tournament_teams
+            where tournament_id = $1
+            order by seed asc nulls last, team_id asc;
+            `,
+            [tournamentId]
+          );
+          teamIds = r.rows.map((t) => Number(t.team_id));
+        } else {
+          return res
+            .status(400)
+            .json({ error: "teamId or tournamentId is required." });
+        }
+
+        const existing = await pool.query(
+          `select team_id, position from ladder_teams where ladder_id = $1;`,
+          [ladder.id]
+        );
+        const onLadder = new Set(existing.rows.map((r) => Number(r.team_id)));
+        let bottom = existing.rows.reduce(
+          (max, r) => Math.max(max, r.position),
+          0
+        );
+
+        const added = [];
+        for (const id of teamIds) {
+          if (onLadder.has(id)) continue;
+          bottom += 1;
+          await pool.query(
+            `insert into ladder_teams (ladder_id, team_id, position) values ($1, $2, $3);`,
+            [ladder.id, id, bottom]
+          );
+          await logLadderEvent(pool, ladder.id, "joined", {
+            teamId: id,
+            note: `Joined at rung ${bottom}.`,
+            userId: req.session.user.id,
+          });
+          onLadder.add(id);
+          added.push(id);
+        }
+
+        res.json({ ok: true, ladderId: ladder.id, added: added.length });
+      } catch (err) {
+        console.error("POST /api/ladders/:id/teams error:", err);
+        res.status(500).json({ error: errToMessage(err) });
+      }
+    }
+  );
+
+  /*
+     DELETE /api/ladders/:id/teams/:teamId
+     Removes a team, moves everyone below it up a rung and cancels its
+     open challenges.
+  */
+  router.delete(
+    "/:id/teams/:teamId",
+    requireAuth,
+    requireRole("admin"),
+    async (req, res) => {
+      const teamId = parseId(req.params.teamId);
+      if (!teamId) return res.status(400).json({ error: "Invalid team id." });
+
+      const client = await pool.connect();
+      try {
+        const ladder = await loadLadderOr404(req, res);
+        if (!ladder) return;
+
+        await client.query("BEGIN");
+
+        const removed = await client.query(
+          `delete from ladder_teams where ladder_id = $1 and team_id = $2 returning position;`,
+          [ladder.id, teamId]
+        );
+        if (removed.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Team is not on this ladder." });
+        }
+
+        await client.query(
+          `
+          update ladder_teams
+          set position = position - 1
+          where ladder_id = $1 and position > $2;
+          `,
+          [ladder.id, removed.rows[0].position]
+        );
+        await client.query(
+          `
+          update ladder_challenges
+          set status = 'cancelled'
+          where ladder_id = $1
+            and status in ('pending', 'accepted')
+            and $2 in (challenger_team_id, defender_team_id);
+          `,
+          [ladder.id, teamId]
+        );
+        await logLadderEvent(client, ladder.id, "left", {
+          teamId,
+          note: `Left from rung ${removed.rows[0].position}.`,
+          userId: req.session.user.id,
+        });
+
+        await client.query("COMMIT");
+        res.json({ ok: true, ladderId: ladder.id, removedTeamId: teamId });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error("DELETE /api/ladders/:id/teams/:teamId error:", err);
+        res.status(500).json({ error: errToMessage(err) });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  /* ------------------ CHALLENGES ------------------ */
+
+  /*
+     POST /api/ladders/:id/challenges
+     Body: { challengerTeamId, defenderTeamId }
+     Challenger captain (or admin) only.
+  */
+  router.post("/:id/challenges", requireAuth, async (req, res) => {
+    try {
+      const ladder = await loadLadderOr404(req, res);
+      if (!ladder) return;
+
+      const challengerTeamId = parseId(req.body?.challengerTeamId);
+      const defenderTeamId = parseId(req.body?.defenderTeamId);
+      if (!challengerTeamId || !defenderTeamId) {
+        return res
+          .status(400)
+          .json({ error: "challengerTeamId and defenderTeamId are required." });
+      }
+
+      if (!(await canActForTeam(req.session.user, challengerTeamId))) {
+        return res
+          .status(403)
+          .json({ error: "Only the team captain can issue a challenge." });
+      }
+
+      const rungs = await getRungs(ladder.id);
+      const challenger = rungs.find(
+        (r) => Number(r.teamId) === challengerTeamId
+      );
+      const defender = rungs.find((r) => Number(r.teamId) === defenderTeamId);
+      if (!challenger || !defender) {
+        return res
+          .status(400)
+          .json({ error: "Both teams must be on this ladder." });
+      }
+
+      const rangeError = engine.challengeRangeError(
+        challenger.position,
+        defender.position,
+        ladder.maxChallengeRungs
+      );
+      if (rangeError) return res.status(400).json({ error: rangeError });
+
+      const open = await pool.query(
+        `
+        select 1
+        from ladder_challenges
+        where ladder_id = $1
+          and status in ('pending', 'accepted')
+          and (
+            challenger_team_id in ($2, $3)
+            or defender_team_id in ($2, $3)
+          )
+        limit 1;
+        `,
+        [ladder.id, challengerTeamId, defenderTeamId]
+      );
+      if (open.rowCount > 0) {
+        return res.status(409).json({
+          error: "One of these teams already has an open challenge.",
+        });
+      }
+
+      const inserted = await pool.query(
+        `
+        insert into ladder_challenges
+          (ladder_id, challenger_team_id, defender_team_id, respond_by, created_by_user_id)
+        values ($1, $2, $3, now() + make_interval(days => $4), $5)
+        returning id;
+        `,
+        [
+          ladder.id,
+          challengerTeamId,
+          defenderTeamId,
+          ladder.responseDays,
+          req.session.user.id,
+        ]
+      );
+      const challengeId = inserted.rows[0].id;
+
+      await logLadderEvent(pool, ladder.id, "challenged", {
+        teamId: challengerTeamId,
+        opponentTeamId: defenderTeamId,
+        challengeId,
+        note: `Rung ${challenger.position} challenged rung ${defender.position}.`,
+        userId: req.session.user.id,
+      });
+
+      res.status(201).json({ ok: true, ladderId: ladder.id, challengeId });
+    } catch (err) {
+      console.error("POST /api/ladders/:id/challenges error:", err);
+      res.status(500).json({ error: errToMessage(err) });
+    }
+  });
+
+  // POST /api/ladders/:id/challenges/:challengeId/accept  (defender captain)
+  router.post(
+    "/:id/challenges/:challengeId/accept",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const ladder = await loadLadderOr404(req, res);
+        if (!ladder) return;
+
+        const challenge = await getChallenge(
+          ladder.id,
+          parseId(req.params.challengeId)
+        );
+        if (!challenge) {
+          return res.status(404).json({ error: "Challenge not found." });
+        }
+        if (challenge.status !== "pending") {
+          return res
+            .status(409)
+            .json({ error: `Challenge is already ${challenge.status}.` });
+        }
+        if (!(await canActForTeam(req.session.user, challenge.defenderTeamId))) {
+          return res.status(403).json({
+            error: "Only the defending captain can accept this challenge.",
+          });
+        }
+
+        await pool.query(
+          `
+          update ladder_challenges
+          set status = 'accepted',
+              accepted_at = now(),
+              play_by = now() + make_interval(days => $2)
+          where id = $1;
+          `,
+          [challenge.id, ladder.playDays]
+        );
+        await logLadderEvent(pool, ladder.id, "accepted", {
+          teamId: challenge.defenderTeamId,
+          opponentTeamId: challenge.challengerTeamId,
+          challengeId: challenge.id,
+          userId: req.session.user.id,
+        });
+
+        res.json({ ok: true, ladderId: ladder.id, challengeId: challenge.id });
+      } catch (err) {
+        console.error("Ladder challenge accept error:", err);
+        res.status(500).json({ error: errToMessage(err) });
+      }
+    }
+  );
+
+  // POST /api/ladders/:id/challenges/:challengeId/cancel  (either captain)
+  router.post(
+    "/:id/challenges/:challengeId/cancel",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const ladder = await loadLadderOr404(req, res);
+        if (!ladder) return;
+
+        const challenge = await getChallenge(
+          ladder.id,
+          parseId(req.params.challengeId)
+        );
+        if (!challenge) {
+          return res.status(404).json({ error: "Challenge not found." });
+        }
+        if (!["pending", "accepted"].includes(challenge.status)) {
+          return res
+            .status(409)
+            .json({ error: `Challenge is already ${challenge.status}.` });
+        }
+
+        const user = req.session.user;
+        const allowed =
+          (await canActForTeam(user, challenge.challengerTeamId)) ||
+          (await canActForTeam(user, challenge.defenderTeamId));
+        if (!allowed) {
+          return res
+            .status(403)
+            .json({ error: "Only the two captains can cancel a challenge." });
+        }
+
+        await pool.query(
+          `update ladder_challenges set status = 'cancelled' where id = $1;`,
+          [challenge.id]
+        );
+        await logLadderEvent(pool, ladder.id, "cancelled", {
+          teamId: challenge.challengerTeamId,
+          opponentTeamId: challenge.defenderTeamId,
+          challengeId: challenge.id,
+          userId: user.id,
+        });
+
+        res.json({ ok: true, ladderId: ladder.id, challengeId: challenge.id });
+      } catch (err) {
+        console.error("Ladder challenge cancel error:", err);
+        res.status(500).json({ error: errToMessage(err) });
+      }
+    }
+  );
+
+  /*
+     POST /api/ladders/:id/challenges/:challengeId/result
+     Body: { scoreChallenger, scoreDefender }
+     Either captain (or admin). Challenger wins -> rungs swap.
+  */
+  router.post(
+    "/:id/challenges/:challengeId/result",
+    requireAuth,
+    async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const ladder = await loadLadderOr404(req, res);
+        if (!ladder) return;
+
+        const challenge = await getChallenge(
+          ladder.id,
+          parseId(req.params.challengeId)
+        );
+        if (!challenge) {
+          return res.status(404).json({ error: "Challenge not found." });
+        }
+        if (challenge.status !== "accepted") {
+          return res.status(409).json({
+            error:
+              challenge.status === "pending"
+                ? "The defender hasn't accepted this challenge yet."
+                : `Challenge is already ${challenge.status}.`,
+          });
+        }
+
+        const user = req.session.user;
+        const allowed =
+          (await canActForTeam(user, challenge.challengerTeamId)) ||
+          (await canActForTeam(user, challenge.defenderTeamId));
+        if (!allowed) {
+          return res
+            .status(403)
+            .json({ error: "Only the two captains can report a result." });
+        }
+
+        const scoreChallenger = Number(req.body?.scoreChallenger);
+        const scoreDefender = Number(req.body?.scoreDefender);
+        const msg = validatePickleballScore(
+          scoreChallenger,
+          scoreDefender,
+          scoringRules(ladder.scoring)
+        );
+        if (msg) return res.status(400).json({ error: msg });
+
+        const challengerWon = scoreChallenger > scoreDefender;
+        const winnerTeamId = challengerWon
+          ? challenge.challengerTeamId
+          : challenge.defenderTeamId;
+        const loserTeamId = challengerWon
+          ? challenge.defenderTeamId
+          : challenge.challengerTeamId;
+
+        await client.query("BEGIN");
+
+        await client.query(
+          `
+          update ladder_challenges
+          set status = 'completed',
+              score_challenger = $2,
+              score_defender = $3,
+              winner_team_id = $4,
+              completed_at = now()
+          where id = $1;
+          `,
+          [challenge.id, scoreChallenger, scoreDefender, winnerTeamId]
+        );
+        await logLadderEvent(client, ladder.id, "result", {
+          teamId: winnerTeamId,
+          opponentTeamId: loserTeamId,
+          challengeId: challenge.id,
+          note: `${Math.max(scoreChallenger, scoreDefender)}-${Math.min(
+            scoreChallenger,
+            scoreDefender
+          )}`,
+          userId: user.id,
+        });
+
+        let swapped = false;
+        if (challengerWon) {
+          const pos = await client.query(
+            `
+            select team_id, position
+            from ladder_teams
+            where ladder_id = $1 and team_id in ($2, $3);
+            `,
+            [ladder.id, challenge.challengerTeamId, challenge.defenderTeamId]
+          );
+          const posOf = new Map(
+            pos.rows.map((r) => [String(r.team_id), r.position])
+          );
+          const challengerPos = posOf.get(String(challenge.challengerTeamId));
+          const defenderPos = posOf.get(String(challenge.defenderTeamId));
+
+          // an admin may have reordered the ladder in the meantime
+          const next = engine.rungsAfterChallenge(
+            challengerPos,
+            defenderPos,
+            challengerWon
+          );
+          if (next.swapped) {
+            await client.query(
+              `
+              update ladder_teams
+              set position = case team_id when $2 then $3::int else $4::int end
+              where ladder_id = $1 and team_id in ($2, $5);
+              `,
+              [
+                ladder.id,
+                challenge.challengerTeamId,
+                next.challengerPosition,
+                next.defenderPosition,
+                challenge.defenderTeamId,
+              ]
+            );
+            await logLadderEvent(client, ladder.id, "swap", {
+              teamId: challenge.challengerTeamId,
+              opponentTeamId: challenge.defenderTeamId,
+              challengeId: challenge.id,
+              note: `Moved from rung ${challengerPos} to rung ${defenderPos}.`,
+              userId: user.id,
+            });
+            swapped = true;
+          }
+        }
+
+        await client.query("COMMIT");
+        res.json({
+          ok: true,
+          ladderId: ladder.id,
+          challengeId: challenge.id,
+          winnerTeamId,
+          swapped,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        console.error("Ladder challenge result error:", err);
+        res.status(500).json({ error: errToMessage(err) });
+      } finally {
+        client.release();
+      }
+    }
+  );
+
+  return router;
+};
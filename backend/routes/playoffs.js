@@ -10,6 +10,8 @@ module.exports = function playoffsRoutes({ pool, engine, helpers }) {
     getTeamsForTournament,
     getMatchesForTournamentByPhase,
     validatePickleballScore,
+    getScoringProfiles,
+    scoringRules,
     computePlacementsFromMatches,
     decoratePlacementsWithTeamNames,
   } = helpers;
@@ -109,7 +111,8 @@ module.exports = function playoffsRoutes({ pool, engine, helpers }) {
 
       const m = mRes.rows[0];
 
-      const msg = validatePickleballScore(scoreA, scoreB, { playTo: 11, winBy: 2 });
+      const { playoff: profile } = await getScoringProfiles(tournamentId);
+      const msg = validatePickleballScore(scoreA, scoreB, scoringRules(profile));
       if (msg) return res.status(400).json({ error: msg });
 
       const winnerId = scoreA > scoreB ? m.teamAId : m.teamBId;
@@ -0,0 +1,296 @@
+// backend/routes/rotating.js
+const express = require("express");
+
+/*
+   Rotating-partner ("popcorn") events.
+   Registered players (tournament_players) are scheduled into 2v2 matches with
+   a new partner each round and ranked individually.
+*/
+module.exports = function rotatingRoutes({ pool, engine, helpers }) {
+  const router = express.Router();
+
+  const {
+    errToMessage,
+    errToStatus,
+    resolveTournamentId,
+    validatePickleballScore,
+    getScoringProfiles,
+    parseScoringProfile,
+    scoringRules,
+    getRandomSeed,
+    resolveRandomSeed,
+    rngFor,
+  } = helpers;
+
+  async function getRegisteredPlayers(tournamentId) {
+    const r = await pool.query(
+      `
+      select p.id, p.name
+      from tournament_players tp
+      join players p on p.id = tp.player_id
+      where tp.tournament_id = $1
+      order by p.id;
+      `,
+      [tournamentId]
+    );
+    return r.rows.map((p) => ({ id: String(p.id), name: p.name }));
+  }
+
+  async function getRotatingMatches(tournamentId) {
+    const r = await pool.query(
+      `
+      select
+        code,
+        round,
+        court,
+        team_a_player1_id as "a1",
+        team_a_player2_id as "a2",
+        team_b_player1_id as "b1",
+        team_b_player2_id as "b2",
+        score_a as "scoreA",
+        score_b as "scoreB",
+        status
+      from rotating_matches
+      where tournament_id = $1 and code like 'P%'
+      order by round, court, code;
+      `,
+      [tournamentId]
+    );
+
+    return r.rows.map((m) => ({
+      id: m.code,
+      round: m.round,
+      court: m.court,
+      teamA: [String(m.a1), String(m.a2)],
+      teamB: [String(m.b1), String(m.b2)],
+      scoreA: m.scoreA,
+      scoreB: m.scoreB,
+      status: m.status,
+    }));
+  }
+
+  async function sendRotatingState(tournamentId, res) {
+    const players = await getRegisteredPlayers(tournamentId);
+    const matches = await getRotatingMatches(tournamentId);
+
+    const roundNumbers = [...new Set(matches.map((m) => m.round))];
+    const rounds = roundNumbers.map((round) => {
+      const roundMatches = matches.filter((m) => m.round === round);
+      const playing = new Set(
+        roundMatches.flatMap((m) => [...m.teamA, ...m.teamB])
+      );
+      return {
+        round,
+        matches: roundMatches,
+        sitOuts: players.filter((p) => !playing.has(p.id)).map((p) => p.id),
+      };
+    });
+
+    const nameById = new Map(players.map((p) => [p.id, p.name]));
+    const standings = engine
+      .computePlayerStandings(
+        players.map((p) => p.id),
+        matches
+      )
+      .map((s) => ({ ...s, name: nameById.get(s.playerId) ?? "Player" }));
+
+    const { rr: profile } = await getScoringProfiles(tournamentId);
+
+    return res.json({
+      ok: true,
+      tournamentId,
+      players,
+      rounds,
+      standings,
+      scoring: scoringRules(profile),
+      randomSeed: await getRandomSeed(tournamentId),
+    });
+  }
+
+  // GET /api/rotating/state
+  router.get("/state", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      return sendRotatingState(tournamentId, res);
+    } catch (err) {
+      console.error("Rotating state error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     POST /api/rotating/generate
+     Body: { tournamentId?, rounds?, courts?, scoringProfile?, seed? }
+     Replaces any existing rotating schedule for the tournament. Partners are
+     drawn from the tournament's random seed (`seed` replaces it).
+  */
+  router.post("/generate", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const players = await getRegisteredPlayers(tournamentId);
+
+      if (players.length < 4) {
+        return res.status(409).json({
+          error: "You need at least 4 registered players for a rotating event.",
+        });
+      }
+
+      const roundsRaw = req.body?.rounds;
+      const rounds =
+        roundsRaw === undefined || roundsRaw === null || roundsRaw === ""
+          ? 6
+          : Number(roundsRaw);
+      if (!Number.isInteger(rounds) || rounds < 1) {
+        return res.status(400).json({ error: "rounds must be an integer >= 1." });
+      }
+
+      const courtsRaw = req.body?.courts;
+      const courts =
+        courtsRaw === undefined || courtsRaw === null || courtsRaw === ""
+          ? undefined
+          : Number(courtsRaw);
+      if (courts !== undefined && (!Number.isInteger(courts) || courts < 1)) {
+        return res.status(400).json({ error: "courts must be an integer >= 1." });
+      }
+
+      const { rr: currentProfile } = await getScoringProfiles(tournamentId);
+      const profile = parseScoringProfile(
+        req.body?.scoringProfile,
+        currentProfile
+      );
+      if (!profile) {
+        return res.status(400).json({ error: "Unknown scoring profile." });
+      }
+
+      const randomSeed = await resolveRandomSeed(tournamentId, req.body?.seed);
+      if (!randomSeed) {
+        return res
+          .status(400)
+          .json({ error: "seed must be a string of 1-64 characters." });
+      }
+
+      const { matches } = engine.generateRotatingPartnerSchedule(
+        players.map((p) => p.id),
+        rounds,
+        { courts, rng: rngFor(randomSeed, "rotating") }
+      );
+
+      await pool.query(
+        `delete from rotating_matches where tournament_id = $1 and code like 'P%';`,
+        [tournamentId]
+      );
+      await pool.query(
+        `
+        update tournaments
+        set event_type = 'rotating',
+            rr_scoring = $2
+        where id = $1;
+        `,
+        [tournamentId, profile]
+      );
+
+      const params = [tournamentId];
+      const chunks = matches.map((m) => {
+        params.push(
+          m.id,
+          m.round,
+          m.court,
+          m.teamA[0],
+          m.teamA[1],
+          m.teamB[0],
+          m.teamB[1]
+        );
+        const n = params.length;
+        return `($1, $${n - 6}, $${n - 5}, $${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`;
+      });
+
+      await pool.query(
+        `
+        insert into rotating_matches (
+          tournament_id, code, round, court,
+          team_a_player1_id, team_a_player2_id,
+          team_b_player1_id, team_b_player2_id
+        )
+        values ${chunks.join(", ")};
+        `,
+        params
+      );
+
+      return sendRotatingState(tournamentId, res);
+    } catch (err) {
+      console.error("Rotating generate error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  /*
+     PATCH /api/rotating/matches/:code/score
+     Body: { scoreA, scoreB } or { clear: true }
+  */
+  router.patch("/matches/:code/score", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const code = String(req.params.code || "").toUpperCase();
+
+      if (req.body?.clear) {
+        const cleared = await pool.query(
+          `
+          update rotating_matches
+          set score_a = null, score_b = null, status = 'pending'
+          where tournament_id = $1 and code = $2 and code like 'P%';
+          `,
+          [tournamentId, code]
+        );
+        if (cleared.rowCount === 0) {
+          return res.status(404).json({ error: `Match not found: ${code}` });
+        }
+        return sendRotatingState(tournamentId, res);
+      }
+
+      const scoreA = Number(req.body?.scoreA);
+      const scoreB = Number(req.body?.scoreB);
+
+      const { rr: profile } = await getScoringProfiles(tournamentId);
+      const msg = validatePickleballScore(scoreA, scoreB, scoringRules(profile));
+      if (msg) return res.status(400).json({ error: msg });
+
+      const updated = await pool.query(
+        `
+        update rotating_matches
+        set score_a = $1, score_b = $2, status = 'completed'
+        where tournament_id = $3 and code = $4 and code like 'P%';
+        `,
+        [scoreA, scoreB, tournamentId, code]
+      );
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: `Match not found: ${code}` });
+      }
+
+      return sendRotatingState(tournamentId, res);
+    } catch (err) {
+      console.error("Rotating score error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  // POST /api/rotating/reset
+  router.post("/reset", async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const result = await pool.query(
+        `delete from rotating_matches where tournament_id = $1 and code like 'P%';`,
+        [tournamentId]
+      );
+      await pool.query(
+        `update tournaments set event_type = 'teams' where id = $1;`,
+        [tournamentId]
+      );
+      return res.json({ ok: true, tournamentId, deleted: result.rowCount || 0 });
+    } catch (err) {
+      console.error("Rotating reset error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  });
+
+  return router;
+};
@@ -1,4 +1,11 @@
 const express = require("express");
+const { registerPlayer } = require("../divisions");
+const {
+  eligibilityError,
+  getEventFormat,
+  isGender,
+  normalizeGender,
+} = require("../eventCategories");
 
 module.exports = (pool) => {
   const router = express.Router();
@@ -80,6 +87,7 @@ module.exports = (pool) => {
     const email = (req.body?.email ?? "").toString().trim().toLowerCase();
     const dupr = parseDupr(req.body?.duprRating);
     const selfRating = req.body?.selfRating;
+    const gender = normalizeGender(req.body?.gender);
 
     if (!name) return res.status(400).json({ error: "Name is required." });
 
@@ -97,6 +105,12 @@ module.exports = (pool) => {
       return res.status(400).json({ error: skill.error });
     }
 
+    if (gender && !isGender(gender)) {
+      return res
+        .status(400)
+        .json({ error: "gender must be male or female (or blank)." });
+    }
+
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
@@ -109,7 +123,8 @@ module.exports = (pool) => {
           email,
           dupr_rating as "duprRating",
           self_rating as "selfRating",
-          skill_source as "skillSource"
+          skill_source as "skillSource",
+          gender
         from players
         where lower(email) = $1
         limit 1;
@@ -127,7 +142,8 @@ module.exports = (pool) => {
             name = $1,
             dupr_rating = $2,
             self_rating = $3,
-            skill_source = $4
+            skill_source = $4,
+            gender = coalesce($6, gender)
           where id = $5
           returning
             id,
@@ -135,7 +151,8 @@ module.exports = (pool) => {
             email,
             dupr_rating as "duprRating",
             self_rating as "selfRating",
-            skill_source as "skillSource";
+            skill_source as "skillSource",
+            gender;
           `,
           [
             name,
@@ -143,35 +160,52 @@ module.exports = (pool) => {
             skill.selfRating,
             skill.skillSource,
             found.rows[0].id,
+            gender,
           ]
         );
         player = updated.rows[0];
       } else {
         const inserted = await client.query(
           `
-          insert into players (name, email, dupr_rating, self_rating, skill_source)
-          values ($1, $2, $3, $4, $5)
+          insert into players (name, email, dupr_rating, self_rating, skill_source, gender)
+          values ($1, $2, $3, $4, $5, $6)
           returning
             id,
             name,
             email,
             dupr_rating as "duprRating",
             self_rating as "selfRating",
-            skill_source as "skillSource";
+            skill_source as "skillSource",
+            gender;
           `,
-          [name, email, skill.duprRating, skill.selfRating, skill.skillSource]
+          [
+            name,
+            email,
+            skill.duprRating,
+            skill.selfRating,
+            skill.skillSource,
+            gender,
+          ]
         );
         player = inserted.rows[0];
       }
 
-      await client.query(
-        `
-        insert into tournament_players (tournament_id, player_id)
-        values ($1, $2)
-        on conflict do nothing;
-        `,
-        [tid, player.id]
+      // men's, women's and mixed events need (the right) gender
+      const notEligible = eligibilityError(
+        await getEventFormat(tid, client),
+        player
       );
+      if (notEligible) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: notEligible });
+      }
+
+      // enforces registration caps and places the player in a division
+      const registered = await registerPlayer(client, tid, player);
+      if (registered.error) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: registered.error });
+      }
 
       await client.query("COMMIT");
 
@@ -179,6 +213,9 @@ module.exports = (pool) => {
         ...player,
         inTeam: false,
         duprTier: duprLabel(player.duprRating),
+        division: registered.division
+          ? { id: registered.division.id, name: registered.division.name }
+          : null,
       });
     } catch (err) {
       await client.query("ROLLBACK");
@@ -205,6 +242,7 @@ module.exports = (pool) => {
     const email = emailRaw ? emailRaw.toLowerCase() : null;
     const dupr = parseDupr(req.body?.duprRating);
     const selfRating = req.body?.selfRating;
+    const gender = normalizeGender(req.body?.gender);
 
     if (!name) return res.status(400).json({ error: "Name is required." });
     if (email && !email.includes("@")) {
@@ -222,6 +260,12 @@ module.exports = (pool) => {
       return res.status(400).json({ error: skill.error });
     }
 
+    if (gender && !isGender(gender)) {
+      return res
+        .status(400)
+        .json({ error: "gender must be male or female (or blank)." });
+    }
+
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
@@ -237,7 +281,8 @@ module.exports = (pool) => {
             email,
             dupr_rating as "duprRating",
             self_rating as "selfRating",
-            skill_source as "skillSource"
+            skill_source as "skillSource",
+            gender
           from players
           where lower(email) = $1
           limit 1;
@@ -253,7 +298,8 @@ module.exports = (pool) => {
               name = $1,
               dupr_rating = $2,
               self_rating = $3,
-              skill_source = $4
+              skill_source = $4,
+              gender = coalesce($6, gender)
             where id = $5
             returning
               id,
@@ -261,7 +307,8 @@ module.exports = (pool) => {
               email,
               dupr_rating as "duprRating",
               self_rating as "selfRating",
-              skill_source as "skillSource";
+              skill_source as "skillSource",
+              gender;
             `,
             [
               name,
@@ -269,52 +316,76 @@ module.exports = (pool) => {
               skill.selfRating,
               skill.skillSource,
               found.rows[0].id,
+              gender,
             ]
           );
           player = updated.rows[0];
         } else {
           const inserted = await client.query(
             `
-            insert into players (name, email, dupr_rating, self_rating, skill_source)
-            values ($1, $2, $3, $4, $5)
+            insert into players (name, email, dupr_rating, self_rating, skill_source, gender)
+            values ($1, $2, $3, $4, $5, $6)
             returning
               id,
               name,
               email,
               dupr_rating as "duprRating",
               self_rating as "selfRating",
-              skill_source as "skillSource";
+              skill_source as "skillSource",
+              gender;
             `,
-            [name, email, skill.duprRating, skill.selfRating, skill.skillSource]
+            [
+              name,
+              email,
+              skill.duprRating,
+              skill.selfRating,
+              skill.skillSource,
+              gender,
+            ]
           );
           player = inserted.rows[0];
         }
       } else {
         const inserted = await client.query(
           `
-          insert into players (name, email, dupr_rating, self_rating, skill_source)
-          values ($1, null, $2, $3, $4)
+          insert into players (name, email, dupr_rating, self_rating, skill_source, gender)
+          values ($1, null, $2, $3, $4, $5)
           returning
             id,
             name,
             email,
             dupr_rating as "duprRating",
             self_rating as "selfRating",
-            skill_source as "skillSource";
+            skill_source as "skillSource",
+            gender;
           `,
-          [name, skill.duprRating, skill.selfRating, skill.skillSource]
+          [
+            name,
+            skill.duprRating,
+            skill.selfRating,
+            skill.skillSource,
+            gender,
+          ]
         );
         player = inserted.rows[0];
       }
 
-      await client.query(
-        `
-        insert into tournament_players (tournament_id, player_id)
-        values ($1, $2)
-        on conflict do nothing;
-        `,
-        [tid, player.id]
+      // men's, women's and mixed events need (the right) gender
+      const notEligible = eligibilityError(
+        await getEventFormat(tid, client),
+        player
       );
+      if (notEligible) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: notEligible });
+      }
+
+      // enforces registration caps and places the player in a division
+      const registered = await registerPlayer(client, tid, player);
+      if (registered.error) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: registered.error });
+      }
 
       await client.query("COMMIT");
 
@@ -322,6 +393,9 @@ module.exports = (pool) => {
         ...player,
         inTeam: false,
         duprTier: duprLabel(player.duprRating),
+        division: registered.division
+          ? { id: registered.division.id, name: registered.division.name }
+          : null,
       });
     } catch (err) {
       await client.query("ROLLBACK");
@@ -348,12 +422,15 @@ module.exports = (pool) => {
     try {
       await client.query("BEGIN");
 
+      // removing a player from a tournament also drops them from its
+      // divisions; removing them from a division keeps them registered
       const inTeam = await client.query(
         `
         select 1
         from team_players tp
         join tournament_teams tt on tt.team_id = tp.team_id
-        where tt.tournament_id = $1
+        join tournaments t on t.id = tt.tournament_id
+        where (t.id = $1 or t.parent_tournament_id = $1)
           and tp.player_id = $2
         limit 1;
         `,
@@ -371,7 +448,11 @@ module.exports = (pool) => {
       const del = await client.query(
         `
         delete from tournament_players
-        where tournament_id = $1 and player_id = $2
+        where player_id = $2
+          and tournament_id in (
+            select id from tournaments
+            where id = $1 or parent_tournament_id = $1
+          )
         returning player_id;
         `,
         [tid, pid]
@@ -1,6 +1,26 @@
 // backend/routes/teams.js
 const express = require("express");
 const pool = require("../db");
+const { resolveRandomSeed, rngFor } = require("../randomSeed");
+const { scopeToDivision, DivisionScopeError } = require("../divisions");
+const {
+  PAIRING_STRATEGIES,
+  STRATEGY_ALIASES,
+  shuffleInPlace,
+  byDuprDesc,
+  ratingLookup,
+  pairByDupr,
+  pairBalanced,
+  pairRandom,
+  pairMixed,
+  fairnessReport,
+} = require("../teamPairing");
+const {
+  eligibilityError,
+  formatLabel,
+  getEventFormat,
+  teamError,
+} = require("../eventCategories");
 const {
   requireAuth,
   requireRole,
@@ -23,7 +43,12 @@ function parseTournamentId(v) {
 
 async function getDefaultTournamentId() {
   const r = await pool.query(
-    "select id from tournaments order by id desc limit 1;"
+    `
+    select id from tournaments
+    where parent_tournament_id is null
+    order by id desc
+    limit 1;
+    `
   );
   if (r.rowCount === 0)
     throw new Error("No tournaments found. Seed one first.");
@@ -33,69 +58,28 @@ async function getDefaultTournamentId() {
 async function resolveTournamentId(req) {
   const fromQuery = parseTournamentId(req.query?.tournamentId);
   const fromBody = parseTournamentId(req.body?.tournamentId);
-  return fromQuery || fromBody || (await getDefaultTournamentId());
+  const tournamentId =
+    fromQuery || fromBody || (await getDefaultTournamentId());
+  // ?division=<id> scopes the request to one of the tournament's divisions
+  return scopeToDivision(
+    tournamentId,
+    req.query?.division ?? req.body?.division
+  );
 }
 
-function normalizeName(s) {
-  return String(s ?? "").trim();
+// a bad ?division= answers with its own status
+function errToStatus(err) {
+  return err instanceof DivisionScopeError ? err.status : 500;
 }
 
-function shuffleInPlace(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
+function normalizeName(s) {
+  return String(s ?? "").trim();
 }
 
 function makeTeamName(aName, bName) {
   return `${aName || "Player A"} / ${bName || "Player B"}`;
 }
 
-/**
- * Fair DUPR pairing strategy: sort by dupr desc (null last),
- * then pair top with bottom, next top with next bottom, etc.
- * Example with 10: [1..10] -> (1,10), (2,9), (3,8)...
- */
-function pairByDupr(players) {
-  const sorted = [...players].sort((p1, p2) => {
-    const a = p1.duprRating;
-    const b = p2.duprRating;
-
-    const aNull = a === null || a === undefined;
-    const bNull = b === null || b === undefined;
-
-    if (aNull && bNull) return 0;
-    if (aNull) return 1; // nulls last
-    if (bNull) return -1;
-
-    // higher dupr first
-    return Number(b) - Number(a);
-  });
-
-  const pairs = [];
-  let i = 0;
-  let j = sorted.length - 1;
-  while (i < j) {
-    pairs.push([sorted[i], sorted[j]]);
-    i++;
-    j--;
-  }
-  const leftover = i === j ? sorted[i] : null;
-  return { pairs, leftover };
-}
-
-function pairRandom(players) {
-  const copy = [...players];
-  shuffleInPlace(copy);
-
-  const pairs = [];
-  for (let i = 0; i + 1 < copy.length; i += 2) {
-    pairs.push([copy[i], copy[i + 1]]);
-  }
-  const leftover = copy.length % 2 === 1 ? copy[copy.length - 1] : null;
-  return { pairs, leftover };
-}
-
 /* -----------------------------
    GET /api/teams?tournamentId=...
    Return teams with players
@@ -159,7 +143,7 @@ router.get("/", async (req, res) => {
   } catch (err) {
     console.error("GET /api/teams error:", err);
     return res
-      .status(500)
+      .status(errToStatus(err))
       .json({ error: err.message || "Failed to load teams." });
   }
 });
@@ -168,6 +152,7 @@ router.get("/", async (req, res) => {
    POST /api/teams
    Manual create
    Body: { tournamentId, playerAId, playerBId, name? }
+   (singles events: playerAId only)
 ------------------------------ */
 router.post(
   "/",
@@ -177,76 +162,113 @@ router.post(
   async (req, res) => {
     try {
       const tournamentId = await resolveTournamentId(req);
+      const format = await getEventFormat(tournamentId);
+      const singles = format.teamSize === 1;
       const playerAId = Number(req.body?.playerAId);
       const playerBId = Number(req.body?.playerBId);
 
-      if (!Number.isInteger(playerAId) || !Number.isInteger(playerBId)) {
+      if (singles) {
+        if (!Number.isInteger(playerAId)) {
+          return res
+            .status(400)
+            .json({ error: "playerAId must be an integer." });
+        }
+      } else if (!Number.isInteger(playerAId) || !Number.isInteger(playerBId)) {
         return res
           .status(400)
           .json({ error: "playerAId and playerBId must be integers." });
-      }
-      if (playerAId === playerBId) {
+      } else if (playerAId === playerBId) {
         return res.status(400).json({ error: "Pick two different players." });
       }
+      const playerIds = singles ? [playerAId] : [playerAId, playerBId];
 
-      // Make sure both players are in THIS tournament
+      // Make sure the players are in THIS tournament
       const inTournament = await pool.query(
         `
       select player_id
       from tournament_players
       where tournament_id = $1 and player_id = any($2::bigint[]);
       `,
-        [tournamentId, [playerAId, playerBId]]
+        [tournamentId, playerIds]
       );
-      if (inTournament.rowCount !== 2) {
+      if (inTournament.rowCount !== playerIds.length) {
         return res.status(400).json({
-          error: "Both players must be signed up for this tournament.",
+          error: singles
+            ? "That player must be signed up for this tournament."
+            : "Both players must be signed up for this tournament.",
         });
       }
 
-      // Prevent duplicate team (same pair, any order) within this tournament
-      const dup = await pool.query(
-        `
-      select tp1.team_id
-      from team_players tp1
-      join team_players tp2 on tp2.team_id = tp1.team_id
-      join tournament_teams tt on tt.team_id = tp1.team_id
-      where tt.tournament_id = $1
-        and tp1.player_id = $2
-        and tp2.player_id = $3
-      limit 1;
-      `,
-        [tournamentId, playerAId, playerBId]
-      );
+      if (singles) {
+        const entered = await pool.query(
+          `
+        select 1
+        from team_players tp
+        join tournament_teams tt on tt.team_id = tp.team_id
+        where tt.tournament_id = $1 and tp.player_id = $2
+        limit 1;
+        `,
+          [tournamentId, playerAId]
+        );
+        if (entered.rowCount > 0) {
+          return res
+            .status(409)
+            .json({ error: "That player is already entered." });
+        }
+      } else {
+        // Prevent duplicate team (same pair, any order) within this tournament
+        const dup = await pool.query(
+          `
+        select tp1.team_id
+        from team_players tp1
+        join team_players tp2 on tp2.team_id = tp1.team_id
+        join tournament_teams tt on tt.team_id = tp1.team_id
+        where tt.tournament_id = $1
+          and tp1.player_id = $2
+          and tp2.player_id = $3
+        limit 1;
+        `,
+          [tournamentId, playerAId, playerBId]
+        );
 
-      const dupReverse = await pool.query(
-        `
-      select tp1.team_id
-      from team_players tp1
-      join team_players tp2 on tp2.team_id = tp1.team_id
-      join tournament_teams tt on tt.team_id = tp1.team_id
-      where tt.tournament_id = $1
-        and tp1.player_id = $2
-        and tp2.player_id = $3
-      limit 1;
-      `,
-        [tournamentId, playerBId, playerAId]
-      );
+        const dupReverse = await pool.query(
+          `
+        select tp1.team_id
+        from team_players tp1
+        join team_players tp2 on tp2.team_id = tp1.team_id
+        join tournament_teams tt on tt.team_id = tp1.team_id
+        where tt.tournament_id = $1
+          and tp1.player_id = $2
+          and tp2.player_id = $3
+        limit 1;
+        `,
+          [tournamentId, playerBId, playerAId]
+        );
 
-      if (dup.rowCount > 0 || dupReverse.rowCount > 0) {
-        return res.status(409).json({ error: "That team already exists." });
+        if (dup.rowCount > 0 || dupReverse.rowCount > 0) {
+          return res.status(409).json({ error: "That team already exists." });
+        }
       }
 
       // Default team name if not provided
       const pNames = await pool.query(
-        `select id, name, dupr_rating as "duprRating" from players where id = any($1::bigint[])`,
-        [[playerAId, playerBId]]
+        `select id, name, dupr_rating as "duprRating", gender from players where id = any($1::bigint[])`,
+        [playerIds]
       );
+
+      // singles/doubles and men's / women's / mixed pairing rules
+      const invalidTeam = teamError(format, pNames.rows);
+      if (invalidTeam) {
+        return res.status(400).json({ error: invalidTeam });
+      }
+
       const nameMap = new Map(pNames.rows.map((r) => [String(r.id), r.name]));
-      const defaultName = makeTeamName(
-        nameMap.get(String(playerAId)),
-        nameMap.get(String(playerBId))
-      );
+      const defaultName = singles
+        ? nameMap.get(String(playerAId)) || "Player"
+        : makeTeamName(
+            nameMap.get(String(playerAId)),
+            nameMap.get(String(playerBId))
+          );
       const teamName = normalizeName(req.body?.name) || defaultName;
 
       await pool.query("begin");
@@ -260,8 +282,8 @@ router.post(
 
         // link players to team
         await pool.query(
-          `insert into team_players (team_id, player_id) values ($1,$2), ($1,$3);`,
-          [teamId, playerAId, playerBId]
+          `insert into team_players (team_id, player_id) select $1, unnest($2::bigint[]);`,
+          [teamId, playerIds]
         );
 
         // link team to tournament (seed null for manual)
@@ -276,10 +298,10 @@ router.post(
           id: String(teamId),
           name: teamIns.rows[0].name,
           tournamentId,
-          players: [
-            { id: playerAId, name: nameMap.get(String(playerAId)) ?? "" },
-            { id: playerBId, name: nameMap.get(String(playerBId)) ?? "" },
-          ],
+          players: playerIds.map((id) => ({
+            id,
+            name: nameMap.get(String(id)) ?? "",
+          })),
         });
       } catch (e) {
         await pool.query("rollback");
@@ -288,7 +310,7 @@ router.post(
     } catch (err) {
       console.error("POST /api/teams error:", err);
       return res
-        .status(500)
+        .status(errToStatus(err))
         .json({ error: err.message || "Failed to create team." });
     }
   }
@@ -349,7 +371,7 @@ router.patch(
     } catch (err) {
       console.error("PATCH /api/teams/:id error:", err);
       return res
-        .status(500)
+        .status(errToStatus(err))
         .json({ error: err.message || "Failed to rename team." });
     }
   }
@@ -358,17 +380,29 @@ router.patch(
 /* -----------------------------
    POST /api/teams/generate
    Auto-generate doubles teams from tournament players
+   (singles events: one entrant per player)
 
    Body:
    {
      tournamentId?: number,
-     strategy?: "dupr" | "random",
-     force?: boolean   // if true, delete existing tournament teams first (ONLY if no matches exist)
+     strategy?: "dupr" | "snake" | "balanced" | "random",
+     force?: boolean,  // if true, delete existing tournament teams first (ONLY if no matches exist)
+     seed?: string     // replaces the tournament's random seed ("random" draws from it)
    }
 
    Notes:
    - If matches already exist, we block generation (409) to avoid FK issues.
    - If existing teams exist and force is not true, we block (409).
+   - The tournament's event category applies: men's/women's events block
+     ineligible players (409), mixed doubles pairs one man with one woman.
+   - Singles entrants are seeded by DUPR ("dupr") or drawn ("random").
+   - Doubles strategies: "dupr" pairs strongest with weakest ("snake" is the
+     same draft), "balanced" minimizes the variance of team rating sums:
+     unrated players count at the field average and the sit-outs are chosen
+     to leave the most even teams.
+   - The response's `fairness` reports each team's average rating, their
+     spread and the most and least favored teams; for "balanced", `baseline`
+     has the spread "dupr" would have given the same field.
 ------------------------------ */
 router.post(
   "/generate",
@@ -378,8 +412,14 @@ router.post(
   async (req, res) => {
     try {
       const tournamentId = await resolveTournamentId(req);
-      const strategy = (req.body?.strategy ?? "dupr").toString().toLowerCase();
+      const requested = (req.body?.strategy ?? "dupr").toString().toLowerCase();
+      const strategy = STRATEGY_ALIASES[requested] ?? requested;
       const force = Boolean(req.body?.force);
+      if (!PAIRING_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({
+          error: `strategy must be one of: ${PAIRING_STRATEGIES.join(", ")}.`,
+        });
+      }
 
       // 1) If matches exist, don't allow team regeneration
       const matchesRes = await pool.query(
@@ -414,7 +454,7 @@ router.post(
       // 3) Load players who are signed up for this tournament
       const playersRes = await pool.query(
         `
-      select p.id, p.name, p.dupr_rating as "duprRating"
+      select p.id, p.name, p.dupr_rating as "duprRating", p.gender
       from tournament_players tp
       join players p on p.id = tp.player_id
       where tp.tournament_id = $1
@@ -427,20 +467,91 @@ router.post(
         id: Number(r.id),
         name: r.name,
         duprRating: r.duprRating,
+        gender: r.gender,
       }));
 
+      const format = await getEventFormat(tournamentId);
+      const { eventCategory } = format;
+      const singles = format.teamSize === 1;
+      const ineligible = players.filter((p) => eligibilityError(format, p));
+      if (ineligible.length > 0) {
+        return res.status(409).json({
+          error: `${formatLabel(format)}: ${ineligible
+            .map((p) => p.name)
+            .join(", ")} can't enter (missing or wrong gender). Update or remove them first.`,
+        });
+      }
+
       if (players.length < 2) {
         return res.status(400).json({
-          error: "Need at least 2 players signed up to generate doubles teams.",
+          error: singles
+            ? "Need at least 2 players signed up to generate singles entrants."
+            : "Need at least 2 players signed up to generate doubles teams.",
         });
       }
 
       // 4) Pair them
+      const ratings = ratingLookup(players);
       let pairs, leftover;
+      let leftovers = [];
+      let randomSeed = null;
+      let rng = null;
       if (strategy === "random") {
-        ({ pairs, leftover } = pairRandom(players));
+        randomSeed = await resolveRandomSeed(tournamentId, req.body?.seed);
+        if (!randomSeed) {
+          return res
+            .status(400)
+            .json({ error: "seed must be a string of 1-64 characters." });
+        }
+        rng = rngFor(randomSeed, "teams");
+      }
+
+      if (singles) {
+        const order = [...players];
+        if (strategy === "random") shuffleInPlace(order, rng);
+        else order.sort(byDuprDesc);
+        pairs = order.map((p) => [p]);
+      } else if (eventCategory === "mixed") {
+        ({ pairs, leftovers } = pairMixed(
+          players,
+          strategy,
+          rng,
+          ratings.ratingOf
+        ));
       } else {
-        ({ pairs, leftover } = pairByDupr(players));
+        if (strategy === "random") {
+          ({ pairs, leftover } = pairRandom(players, rng));
+        } else if (strategy === "balanced") {
+          ({ pairs, leftover } = pairBalanced(players, ratings.ratingOf));
+        } else {
+          ({ pairs, leftover } = pairByDupr(players));
+        }
+        if (leftover) leftovers = [leftover];
+      }
+
+      // what "dupr" would have made of the same field, to show the difference
+      let baseline = null;
+      if (strategy === "balanced" && !singles) {
+        const dupr =
+          eventCategory === "mixed"
+            ? pairMixed(players, "dupr")
+            : pairByDupr(players);
+        const report = fairnessReport(
+          dupr.pairs.map((pair) => ({
+            id: null,
+            name: makeTeamName(pair[0].name, pair[1].name),
+            players: pair,
+          })),
+          ratings
+        );
+        baseline = {
+          strategy: "dupr",
+          spread: report.spread,
+          standardDeviation: report.standardDeviation,
+          leftoverPlayerIds: (
+            dupr.leftovers ?? (dupr.leftover ? [dupr.leftover] : [])
+          ).map((p) => p.id),
+        };
       }
 
       if (pairs.length === 0) {
@@ -473,11 +584,12 @@ router.post(
 
         const createdTeams = [];
 
-        // Create teams for each pair
+        // Create teams for each pair (one-player teams for singles)
         for (let idx = 0; idx < pairs.length; idx++) {
-          const [a, b] = pairs[idx];
+          const members = pairs[idx];
+          const [a, b] = members;
 
-          const teamName = makeTeamName(a.name, b.name);
+          const teamName = b ? makeTeamName(a.name, b.name) : a.name;
 
           const teamIns = await pool.query(
             `insert into teams (name) values ($1) returning id, name;`,
@@ -486,8 +598,8 @@ router.post(
           const teamId = teamIns.rows[0].id;
 
           await pool.query(
-            `insert into team_players (team_id, player_id) values ($1,$2), ($1,$3);`,
-            [teamId, a.id, b.id]
+            `insert into team_players (team_id, player_id) select $1, unnest($2::bigint[]);`,
+            [teamId, members.map((p) => p.id)]
           );
 
           await pool.query(
@@ -499,10 +611,11 @@ router.post(
             id: String(teamId),
             name: teamIns.rows[0].name,
             seed: idx + 1,
-            players: [
-              { id: a.id, name: a.name, duprRating: a.duprRating },
-              { id: b.id, name: b.name, duprRating: b.duprRating },
-            ],
+            players: members.map((p) => ({
+              id: p.id,
+              name: p.name,
+              duprRating: p.duprRating,
+            })),
           });
         }
 
@@ -511,15 +624,25 @@ router.post(
         return res.status(201).json({
           tournamentId,
           strategy,
+          eventCategory,
+          teamSize: format.teamSize,
+          randomSeed,
           teamsCreated: createdTeams.length,
-          leftoverPlayer: leftover
+          leftoverPlayer: leftovers[0]
             ? {
-                id: leftover.id,
-                name: leftover.name,
-                duprRating: leftover.duprRating,
+                id: leftovers[0].id,
+                name: leftovers[0].name,
+                duprRating: leftovers[0].duprRating,
               }
             : null,
+          leftoverPlayers: leftovers.map((p) => ({
+            id: p.id,
+            name: p.name,
+            duprRating: p.duprRating,
+            gender: p.gender,
+          })),
           teams: createdTeams,
+          fairness: { ...fairnessReport(createdTeams, ratings), baseline },
         });
       } catch (e) {
         await pool.query("rollback");
@@ -528,7 +651,7 @@ router.post(
     } catch (err) {
       console.error("POST /api/teams/generate error:", err);
       return res
-        .status(500)
+        .status(errToStatus(err))
         .json({ error: err.message || "Failed to generate teams." });
     }
   }
@@ -602,7 +725,7 @@ router.delete(
     } catch (err) {
       console.error("DELETE /api/teams/:id error:", err);
       return res
-        .status(500)
+        .status(errToStatus(err))
         .json({ error: err.message || "Failed to delete team." });
     }
   }
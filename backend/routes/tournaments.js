@@ -1,6 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db");
+const {
+  formatError,
+  getEventFormat,
+  teamError,
+} = require("../eventCategories");
 
 function errToMessage(err) {
   if (!err) return "Unknown error";
@@ -67,8 +72,13 @@ router.get("/", async (req, res) => {
   try {
     const r = await pool.query(
       `
-      select id, name
+      select
+        id,
+        name,
+        event_category as "eventCategory",
+        team_size as "teamSize"
       from tournaments
+      where parent_tournament_id is null
       order by id desc;
       `
     );
@@ -85,13 +95,24 @@ router.post("/", async (req, res) => {
     const name = (req.body?.name ?? "").toString().trim();
     if (!name) return res.status(400).json({ error: "Name is required." });
 
+    const format = {
+      eventCategory: req.body?.eventCategory ?? "open",
+      teamSize: req.body?.teamSize == null ? 2 : Number(req.body.teamSize),
+    };
+    const formatErr = formatError(format);
+    if (formatErr) return res.status(400).json({ error: formatErr });
+
     const inserted = await pool.query(
       `
-      insert into tournaments (name)
-      values ($1)
-      returning id, name;
+      insert into tournaments (name, event_category, team_size)
+      values ($1, $2, $3)
+      returning
+        id,
+        name,
+        event_category as "eventCategory",
+        team_size as "teamSize";
       `,
-      [name]
+      [name, format.eventCategory, format.teamSize]
     );
 
     res.status(201).json(inserted.rows[0]);
@@ -123,6 +144,8 @@ router.get("/:id/info", async (req, res) => {
         parking_info as "parkingInfo",
         check_in_info as "checkInInfo",
         contact_email as "contactEmail",
+        event_category as "eventCategory",
+        team_size as "teamSize",
         is_public as "isPublic",
         show_player_names_public as "showPlayerNamesPublic",
         show_dupr_public as "showDuprPublic",
@@ -167,6 +190,8 @@ router.get("/:id/public-info", async (req, res) => {
         parking_info as "parkingInfo",
         check_in_info as "checkInInfo",
         contact_email as "contactEmail",
+        event_category as "eventCategory",
+        team_size as "teamSize",
         is_public as "isPublic"
       from tournaments
       where id = $1
@@ -213,8 +238,41 @@ router.patch("/:id/info", async (req, res) => {
       showPlayerNamesPublic,
       showDuprPublic,
       useAliasesPublic,
+      eventCategory,
+      teamSize,
     } = req.body ?? {};
 
+    if (eventCategory != null || teamSize != null) {
+      const current = await getEventFormat(tournamentId);
+      const format = {
+        eventCategory: eventCategory ?? current.eventCategory,
+        teamSize: teamSize == null ? current.teamSize : Number(teamSize),
+      };
+      const formatErr = formatError(format);
+      if (formatErr) return res.status(400).json({ error: formatErr });
+
+      // teams (here or in a division) were made under the old rules
+      const hasTeams = await pool.query(
+        `
+        select 1
+        from tournaments t
+        join tournament_teams tt on tt.tournament_id = t.id
+        where t.id = $1 or t.parent_tournament_id = $1
+        limit 1;
+        `,
+        [tournamentId]
+      );
+      if (
+        hasTeams.rowCount > 0 &&
+        (format.eventCategory !== current.eventCategory ||
+          format.teamSize !== current.teamSize)
+      ) {
+        return res.status(409).json({
+          error: "Teams already exist. Delete them before changing the event format.",
+        });
+      }
+    }
+
     const updated = await pool.query(
       `
       update tournaments
@@ -232,7 +290,9 @@ router.patch("/:id/info", async (req, res) => {
         is_public = coalesce($11, is_public),
         show_player_names_public = coalesce($12, show_player_names_public),
         show_dupr_public = coalesce($13, show_dupr_public),
-        use_aliases_public = coalesce($14, use_aliases_public)
+        use_aliases_public = coalesce($14, use_aliases_public),
+        event_category = coalesce($16, event_category),
+        team_size = coalesce($17, team_size)
       where id = $15
       returning
         id,
@@ -246,6 +306,8 @@ router.patch("/:id/info", async (req, res) => {
         parking_info as "parkingInfo",
         check_in_info as "checkInInfo",
         contact_email as "contactEmail",
+        event_category as "eventCategory",
+        team_size as "teamSize",
         is_public as "isPublic",
         show_player_names_public as "showPlayerNamesPublic",
         show_dupr_public as "showDuprPublic",
@@ -267,6 +329,8 @@ router.patch("/:id/info", async (req, res) => {
         showDuprPublic ?? null,
         useAliasesPublic ?? null,
         tournamentId,
+        eventCategory ?? null,
+        teamSize == null ? null : Number(teamSize),
       ]
     );
 
@@ -305,20 +369,22 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
-    await client.query(`delete from matches where tournament_id = $1;`, [
-      tournamentId,
-    ]);
+    // the tournament and its divisions
+    const scope = `tournament_id in (
+      select id from tournaments where id = $1 or parent_tournament_id = $1
+    )`;
+
+    await client.query(`delete from matches where ${scope};`, [tournamentId]);
 
     const teamIdsRes = await client.query(
-      `select team_id from tournament_teams where tournament_id = $1;`,
+      `select team_id from tournament_teams where ${scope};`,
       [tournamentId]
     );
     const teamIds = teamIdsRes.rows.map((r) => r.team_id);
 
-    await client.query(
-      `delete from tournament_teams where tournament_id = $1;`,
-      [tournamentId]
-    );
+    await client.query(`delete from tournament_teams where ${scope};`, [
+      tournamentId,
+    ]);
 
     if (teamIds.length) {
       await client.query(
@@ -330,11 +396,11 @@ router.delete("/:id", async (req, res) => {
       ]);
     }
 
-    await client.query(
-      `delete from tournament_players where tournament_id = $1;`,
-      [tournamentId]
-    );
+    await client.query(`delete from tournament_players where ${scope};`, [
+      tournamentId,
+    ]);
 
+    // divisions go with it (parent_tournament_id cascades)
     await client.query(`delete from tournaments where id = $1;`, [
       tournamentId,
     ]);
@@ -437,11 +503,20 @@ router.get("/:id/public-matches", async (req, res) => {
       where tournament_id = $1
       order by
         case
-          when code like 'RR-%' then 1
-          when code like 'SF%' then 2
-          when code = 'FINAL' then 3
-          when code = 'THIRD' then 4
-          else 9
+          when phase = 'RR' then 1
+          when phase ~ '^R[0-9]+$' then 2
+          when phase = 'QF' then 3
+          when phase = 'SF' then 4
+          when phase = 'FINAL' then 5
+          when phase = 'THIRD' then 6
+          when phase = 'WB' then 7
+          when phase = 'LB' then 8
+          when phase = 'GF' then 9
+          else 99
+        end,
+        case
+          when phase ~ '^R[0-9]+$' then -substring(phase from 2)::int
+          else 0
         end,
         code;
       `,
@@ -518,12 +593,19 @@ router.post("/:id/teams", async (req, res) => {
 
   if (!tournamentId)
     return res.status(400).json({ error: "Invalid tournament id." });
-  if (!playerAId || !playerBId)
-    return res
-      .status(400)
-      .json({ error: "playerAId and playerBId are required." });
-  if (playerAId === playerBId)
+
+  // singles entrants are one player (playerAId)
+  const format = await getEventFormat(tournamentId);
+  const singles = format.teamSize === 1;
+  if (singles ? !playerAId : !playerAId || !playerBId)
+    return res.status(400).json({
+      error: singles
+        ? "playerAId is required."
+        : "playerAId and playerBId are required.",
+    });
+  if (!singles && playerAId === playerBId)
     return res.status(400).json({ error: "Pick two different players." });
+  const playerIds = singles ? [playerAId] : [playerAId, playerBId];
 
   const client = await pool.connect();
   try {
@@ -534,34 +616,51 @@ router.post("/:id/teams", async (req, res) => {
       select count(*)::int as c
       from tournament_players
       where tournament_id = $1
-        and player_id in ($2, $3);
+        and player_id = any($2::bigint[]);
       `,
-      [tournamentId, playerAId, playerBId]
+      [tournamentId, playerIds]
     );
 
-    if (inTournament.rows?.[0]?.c !== 2) {
-      throw new Error("Both players must be signed up for this tournament.");
+    if (inTournament.rows?.[0]?.c !== playerIds.length) {
+      throw new Error(
+        singles
+          ? "That player must be signed up for this tournament."
+          : "Both players must be signed up for this tournament."
+      );
     }
 
+    // singles/doubles and men's / women's / mixed pairing rules
+    const members = await client.query(
+      `select id, name, gender from players where id = any($1::bigint[]);`,
+      [playerIds]
+    );
+    const invalidTeam = teamError(format, members.rows);
+    if (invalidTeam) throw new Error(invalidTeam);
+
     const alreadyOnTeam = await client.query(
       `
       select tp.player_id
       from team_players tp
       join tournament_teams tt on tt.team_id = tp.team_id
       where tt.tournament_id = $1
-        and tp.player_id in ($2, $3)
+        and tp.player_id = any($2::bigint[])
       limit 1;
       `,
-      [tournamentId, playerAId, playerBId]
+      [tournamentId, playerIds]
     );
 
     if (alreadyOnTeam.rowCount > 0) {
       throw new Error(
-        "One of those players is already on a team in this tournament."
+        singles
+          ? "That player is already entered in this tournament."
+          : "One of those players is already on a team in this tournament."
       );
     }
 
     let finalName = requestedName;
+    if (singles && !finalName) {
+      finalName = members.rows[0].name;
+    }
     if (!finalName) {
       const n = await client.query(
         `select count(*)::int as c from tournament_teams where tournament_id = $1;`,
@@ -577,8 +676,8 @@ router.post("/:id/teams", async (req, res) => {
     const teamId = teamRow.rows[0].id;
 
     await client.query(
-      `insert into team_players(team_id, player_id) values ($1, $2), ($1, $3);`,
-      [teamId, playerAId, playerBId]
+      `insert into team_players(team_id, player_id) select $1, unnest($2::bigint[]);`,
+      [teamId, playerIds]
     );
 
     await client.query(
@@ -0,0 +1,206 @@
+// backend/scoring.js
+
+/*
+   Score rules shared by every format: scoring profiles (what a valid game
+   looks like) and match formats (how many games decide a match).
+*/
+
+/**
+ * Rules: { playTo, winBy, cap?, timed? }.
+ * cap: the game ends when a team reaches it, even on a 1-point lead.
+ * timed: the game ends on the clock, so any untied score stands.
+ */
+function validatePickleballScore(
+  scoreA,
+  scoreB,
+  { playTo = 11, winBy = 2, cap = null, timed = false } = {}
+) {
+  if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB)) {
+    return "Scores must be integers.";
+  }
+  if (scoreA < 0 || scoreB < 0) return "Scores must be >= 0.";
+  if (scoreA === scoreB) return "Ties are not allowed.";
+  if (timed) return null;
+
+  const max = Math.max(scoreA, scoreB);
+  const min = Math.min(scoreA, scoreB);
+
+  if (max < playTo) return `Game must be played to at least ${playTo}.`;
+  if (cap != null && max > cap) return `Games are capped at ${cap}.`;
+  if (cap != null && max === cap) return null;
+  if (max - min < winBy) return `Team must win by ${winBy}.`;
+
+  return null;
+}
+
+/**
+ * Scoring profiles a tournament can pick per stage (rr / playoff / medal).
+ * Keys match the check constraints in migrations/017_scoring_profiles.sql.
+ */
+const SCORING_PROFILES = {
+  to_11: { label: "To 11, win by 2", playTo: 11, winBy: 2 },
+  to_11_cap_15: {
+    label: "To 11, win by 2, cap 15",
+    playTo: 11,
+    winBy: 2,
+    cap: 15,
+  },
+  to_15: { label: "To 15, win by 2", playTo: 15, winBy: 2 },
+  to_15_cap_17: {
+    label: "To 15, win by 2, cap 17",
+    playTo: 15,
+    winBy: 2,
+    cap: 17,
+  },
+  rally_21: { label: "Rally scoring to 21, win by 2", playTo: 21, winBy: 2 },
+  timed: { label: "Timed (any untied score)", playTo: 0, winBy: 1, timed: true },
+};
+
+function parseScoringProfile(v, fallback) {
+  if (v === undefined || v === null || v === "") return fallback;
+  const profile = String(v).toLowerCase();
+  return SCORING_PROFILES[profile] ? profile : null;
+}
+
+/**
+ * Rules for a profile key, shaped for validatePickleballScore and the client.
+ */
+function scoringRules(profile) {
+  const key = SCORING_PROFILES[profile] ? profile : "to_11";
+  const { label, playTo, winBy, cap = null, timed = false } =
+    SCORING_PROFILES[key];
+  return { profile: key, label, playTo, winBy, cap, timed };
+}
+
+/**
+ * Match formats: how many games a match can have and how many win it.
+ * two_games: both games are always played; a 1-1 split goes to total points.
+ */
+const MATCH_FORMATS = {
+  single: { maxGames: 1, gamesToWin: 1 },
+  best_of_3: { maxGames: 3, gamesToWin: 2 },
+  best_of_5: { maxGames: 5, gamesToWin: 3 },
+  two_games: { maxGames: 2, gamesToWin: null },
+};
+
+function parseMatchFormat(v, fallback) {
+  if (v === undefined || v === null || v === "") return fallback;
+  const format = String(v).toLowerCase();
+  return MATCH_FORMATS[format] ? format : null;
+}
+
+/**
+ * Stage a phase belongs to for per-stage settings: "rr", "medal" (FINAL,
+ * THIRD and the grand final) or "playoff" (every other bracket match).
+ */
+function stageForPhase(phase) {
+  if (phase === "RR") return "rr";
+  if (phase === "FINAL" || phase === "THIRD" || phase === "GF") return "medal";
+  return "playoff";
+}
+
+function matchFormatForPhase(formats, phase) {
+  return formats[stageForPhase(phase)];
+}
+
+/**
+ * Profile used when a stage has none saved: round robin plays to 11, single
+ * bracket games to 15 and games of a multi-game bracket match to 11.
+ */
+function defaultScoringProfile(stage, format) {
+  if (stage === "rr") return "to_11";
+  return format === "single" ? "to_15" : "to_11";
+}
+
+/**
+ * Validate a submitted result for a match played in `format`.
+ * Body is { scoreA, scoreB } (single game) or { games: [{ scoreA, scoreB }] }.
+ * Every game is checked with validatePickleballScore(rules).
+ *
+ * Returns { error } or { scoreA, scoreB, games, winner: "A" | "B" }.
+ * Single games keep their points in scoreA/scoreB (games = null); multi-game
+ * matches store games won there and the points in `games`.
+ */
+function parseMatchResult(body, format, rules) {
+  const spec = MATCH_FORMATS[format] ?? MATCH_FORMATS.single;
+
+  const raw = Array.isArray(body?.games)
+    ? body.games
+    : [{ scoreA: body?.scoreA, scoreB: body?.scoreB }];
+  const games = raw.map((g) => ({
+    scoreA: Number(g?.scoreA),
+    scoreB: Number(g?.scoreB),
+  }));
+
+  if (games.length === 0) return { error: "Enter at least one game score." };
+  if (games.length > spec.maxGames) {
+    return {
+      error:
+        spec.maxGames === 1
+          ? "This match is a single game."
+          : `This match has at most ${spec.maxGames} games.`,
+    };
+  }
+
+  let gamesA = 0;
+  let gamesB = 0;
+  let pointsA = 0;
+  let pointsB = 0;
+
+  for (let i = 0; i < games.length; i++) {
+    if (spec.gamesToWin && Math.max(gamesA, gamesB) >= spec.gamesToWin) {
+      return {
+        error: `Game ${i + 1} was played after the match was decided.`,
+      };
+    }
+
+    const { scoreA, scoreB } = games[i];
+    const msg = validatePickleballScore(scoreA, scoreB, rules);
+    if (msg) {
+      return { error: games.length > 1 ? `Game ${i + 1}: ${msg}` : msg };
+    }
+
+    if (scoreA > scoreB) gamesA += 1;
+    else gamesB += 1;
+    pointsA += scoreA;
+    pointsB += scoreB;
+  }
+
+  if (spec.maxGames === 1) {
+    const [{ scoreA, scoreB }] = games;
+    return { scoreA, scoreB, games: null, winner: scoreA > scoreB ? "A" : "B" };
+  }
+
+  if (spec.gamesToWin && Math.max(gamesA, gamesB) < spec.gamesToWin) {
+    return {
+      error: `First to ${spec.gamesToWin} games wins. Enter the remaining games.`,
+    };
+  }
+  if (!spec.gamesToWin && games.length < spec.maxGames) {
+    return { error: `All ${spec.maxGames} games must be played.` };
+  }
+  if (gamesA === gamesB && pointsA === pointsB) {
+    return {
+      error:
+        "Games split with equal total points. Record the tiebreak winner with the winner-only option.",
+    };
+  }
+
+  let winner = pointsA > pointsB ? "A" : "B";
+  if (gamesA !== gamesB) winner = gamesA > gamesB ? "A" : "B";
+
+  return { scoreA: gamesA, scoreB: gamesB, games, winner };
+}
+
+module.exports = {
+  SCORING_PROFILES,
+  MATCH_FORMATS,
+  validatePickleballScore,
+  parseScoringProfile,
+  scoringRules,
+  parseMatchFormat,
+  stageForPhase,
+  matchFormatForPhase,
+  defaultScoringProfile,
+  parseMatchResult,
+};
@@ -20,6 +20,7 @@ process.on("uncaughtException", (err) => {
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3001;
@@ -93,12 +94,37 @@ app.use(
 bootLog("after db");
 
 const engine = require("./tournamentEngine");
+const { getRandomSeed, resolveRandomSeed, rngFor } = require("./randomSeed");
+const {
+  getDivisionParentId,
+  getDivisions,
+  scopeToDivision,
+  DivisionScopeError,
+} = require("./divisions");
+const { getEventFormat } = require("./eventCategories");
+const {
+  SCORING_PROFILES,
+  MATCH_FORMATS,
+  validatePickleballScore,
+  parseScoringProfile,
+  scoringRules,
+  parseMatchFormat,
+  stageForPhase,
+  matchFormatForPhase,
+  defaultScoringProfile,
+  parseMatchResult,
+} = require("./scoring");
 bootLog("after engine");
 
 const authRoutes = require("./routes/auth");
 const teamsRoutes = require("./routes/teams");
 const tournamentsRoutes = require("./routes/tournaments");
 const signupRoutes = require("./routes/signup");
+const rotatingRoutes = require("./routes/rotating");
+const courtLadderRoutes = require("./routes/courtLadder");
+const laddersRoutes = require("./routes/ladders");
+const divisionsRoutes = require("./routes/divisions");
+const dualRoutes = require("./routes/dual");
 const {
   requireAuth,
   requireRole,
@@ -109,6 +135,16 @@ const {
 /* -----------------------------
    Helpers
 ------------------------------ */
+// signed-in user for the match event log (null when anonymous)
+function sessionUserId(req) {
+  return req.session?.user?.id ?? null;
+}
+
+// route errors that carry their own HTTP status (a bad ?division=)
+function errToStatus(err) {
+  return err instanceof DivisionScopeError ? err.status : 500;
+}
+
 function errToMessage(err) {
   if (!err) return "Unknown error";
   if (typeof err === "string") return err;
@@ -133,26 +169,6 @@ function duprLabel(dupr) {
   return "New (under 2.0)";
 }
 
-function validatePickleballScore(
-  scoreA,
-  scoreB,
-  { playTo = 11, winBy = 2 } = {}
-) {
-  if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB)) {
-    return "Scores must be integers.";
-  }
-  if (scoreA < 0 || scoreB < 0) return "Scores must be >= 0.";
-  if (scoreA === scoreB) return "Ties are not allowed.";
-
-  const max = Math.max(scoreA, scoreB);
-  const min = Math.min(scoreA, scoreB);
-
-  if (max < playTo) return `Game must be played to at least ${playTo}.`;
-  if (max - min < winBy) return `Team must win by ${winBy}.`;
-
-  return null;
-}
-
 function parseBool(v) {
   if (v === true) return true;
   if (v === false) return false;
@@ -184,6 +200,83 @@ app.use("/api/auth", authRoutes);
 app.use("/api/teams", teamsRoutes);
 app.use("/api/tournaments", tournamentsRoutes);
 app.use("/api", signupRoutes(pool));
+app.use(
+  "/api/rotating",
+  rotatingRoutes({
+    pool,
+    engine,
+    helpers: {
+      errToMessage,
+      errToStatus,
+      resolveTournamentId,
+      validatePickleballScore,
+      getScoringProfiles,
+      parseScoringProfile,
+      scoringRules,
+      getRandomSeed,
+      resolveRandomSeed,
+      rngFor,
+    },
+  })
+);
+app.use(
+  "/api/ladders",
+  laddersRoutes({
+    pool,
+    engine,
+    helpers: {
+      errToMessage,
+      validatePickleballScore,
+      parseScoringProfile,
+      scoringRules,
+    },
+  })
+);
+app.use(
+  "/api/divisions",
+  divisionsRoutes({
+    pool,
+    helpers: {
+      errToMessage,
+      errToStatus,
+      resolveTournamentId,
+    },
+  })
+);
+app.use(
+  "/api/dual",
+  dualRoutes({
+    pool,
+    engine,
+    helpers: {
+      errToMessage,
+      errToStatus,
+      resolveTournamentId,
+      validatePickleballScore,
+      getScoringProfiles,
+      parseScoringProfile,
+      scoringRules,
+      resolveRandomSeed,
+      rngFor,
+    },
+  })
+);
+app.use(
+  "/api/courtladder",
+  courtLadderRoutes({
+    pool,
+    engine,
+    helpers: {
+      errToMessage,
+      errToStatus,
+      resolveTournamentId,
+      validatePickleballScore,
+      getScoringProfiles,
+      parseScoringProfile,
+      scoringRules,
+    },
+  })
+);
 
 app.get("/health", (req, res) => {
   res.json({ ok: true });
@@ -194,7 +287,12 @@ app.get("/health", (req, res) => {
 ------------------------------ */
 async function getDefaultTournamentId() {
   const r = await pool.query(
-    "select id from tournaments order by id desc limit 1;"
+    `
+    select id from tournaments
+    where parent_tournament_id is null
+    order by id desc
+    limit 1;
+    `
   );
   if (r.rowCount === 0)
     throw new Error("No tournaments found. Seed one first.");
@@ -208,16 +306,27 @@ function parseTournamentId(v) {
   return String(n);
 }
 
+// `division` (query or body) narrows the tournament to one of its divisions
 async function resolveTournamentId(req) {
   const fromQuery = parseTournamentId(req.query?.tournamentId);
   const fromBody = parseTournamentId(req.body?.tournamentId);
-  return fromQuery || fromBody || (await getDefaultTournamentId());
+  const tournamentId =
+    fromQuery || fromBody || (await getDefaultTournamentId());
+  return scopeToDivision(
+    tournamentId,
+    req.query?.division ?? req.body?.division
+  );
 }
 
-async function getTeamsForTournament(tournamentId) {
-  const r = await pool.query(
+async function getTeamsForTournament(tournamentId, db = pool) {
+  const r = await db.query(
     `
-    select teams.id, teams.name
+    select
+      teams.id,
+      teams.name,
+      tt.pool,
+      tt.withdrawn_at as "withdrawnAt",
+      tt.withdrawn_results as "withdrawnResults"
     from tournament_teams tt
     join teams on teams.id = tt.team_id
     where tt.tournament_id = $1
@@ -228,32 +337,162 @@ async function getTeamsForTournament(tournamentId) {
   return r.rows;
 }
 
-async function getMatchesForTournamentByPhase(tournamentId, phases) {
+/**
+ * Teams that withdrew mid-tournament: [{ teamId, results: 'keep'|'void' }].
+ */
+async function getWithdrawals(tournamentId, db = pool) {
+  const r = await db.query(
+    `
+    select team_id as "teamId", withdrawn_results as "results"
+    from tournament_teams
+    where tournament_id = $1 and withdrawn_at is not null;
+    `,
+    [tournamentId]
+  );
+  return r.rows.map((row) => ({ ...row, teamId: String(row.teamId) }));
+}
+
+/**
+ * Forfeit every unfinished RR or bracket match of a withdrawn team to its
+ * opponent. When both teams have withdrawn, the one that left later wins.
+ * Returns how many matches were forfeited.
+ */
+async function forfeitWithdrawnMatches(tournamentId, userId = null, db = pool) {
+  const r = await db.query(
+    `
+    select
+      m.code,
+      m.phase,
+      case
+        when ta.withdrawn_at is null then m.team_a_id
+        when tb.withdrawn_at is null then m.team_b_id
+        when ta.withdrawn_at > tb.withdrawn_at then m.team_a_id
+        else m.team_b_id
+      end as "winnerId"
+    from matches m
+    join tournament_teams ta
+      on ta.tournament_id = m.tournament_id and ta.team_id = m.team_a_id
+    join tournament_teams tb
+      on tb.tournament_id = m.tournament_id and tb.team_id = m.team_b_id
+    where m.tournament_id = $1
+      and m.phase <> 'DUAL'
+      and m.winner_id is null
+      and (ta.withdrawn_at is not null or tb.withdrawn_at is not null);
+    `,
+    [tournamentId]
+  );
+
+  for (const m of r.rows) {
+    await setWinnerOnly(
+      {
+        tournamentId,
+        phase: m.phase,
+        code: m.code,
+        winnerId: m.winnerId,
+        userId,
+      },
+      db
+    );
+  }
+  return r.rowCount;
+}
+
+/**
+ * Average player DUPR per team (teams with no rated players are left out).
+ */
+async function getTeamRatings(tournamentId) {
   const r = await pool.query(
+    `
+    select tp.team_id as "teamId", avg(p.dupr_rating)::float as rating
+    from team_players tp
+    join tournament_teams tt on tt.team_id = tp.team_id
+    join players p on p.id = tp.player_id
+    where tt.tournament_id = $1
+      and p.dupr_rating is not null
+    group by tp.team_id;
+    `,
+    [tournamentId]
+  );
+  return new Map(r.rows.map((row) => [String(row.teamId), row.rating]));
+}
+
+/**
+ * Pools from the teams' pool column: [{ pool: "A", teamIds: [...] }, ...].
+ * Empty when the tournament isn't using pool play.
+ */
+function getPoolsFromTeams(teams) {
+  const byPool = new Map();
+  for (const t of teams) {
+    if (!t.pool) continue;
+    if (!byPool.has(t.pool)) byPool.set(t.pool, []);
+    byPool.get(t.pool).push(t.id);
+  }
+
+  return [...byPool.keys()]
+    .sort()
+    .map((poolName) => ({ pool: poolName, teamIds: byPool.get(poolName) }));
+}
+
+async function getMatchesForTournamentByPhase(tournamentId, phases, db = pool) {
+  const r = await db.query(
     `
     select
-      code,
-      phase,
-      team_a_id as "teamAId",
-      team_b_id as "teamBId",
-      score_a as "scoreA",
-      score_b as "scoreB",
-      winner_id as "winnerId",
-      start_time as "startTime",
-      court,
-      status
-    from matches
-    where tournament_id = $1
-      and phase = any($2::text[])
+      m.code,
+      m.phase,
+      m.team_a_id as "teamAId",
+      m.team_b_id as "teamBId",
+      m.score_a as "scoreA",
+      m.score_b as "scoreB",
+      m.winner_id as "winnerId",
+      m.start_time as "startTime",
+      m.court,
+      m.pool,
+      m.round,
+      m.status,
+      m.bracket,
+      case
+        when m.phase = 'RR' then t.rr_match_format
+        when m.phase in ('FINAL', 'THIRD', 'GF') then t.medal_match_format
+        else t.playoff_match_format
+      end as "matchFormat",
+      case
+        when m.phase = 'RR' then t.rr_scoring
+        when m.phase in ('FINAL', 'THIRD', 'GF') then t.medal_scoring
+        else t.playoff_scoring
+      end as "scoring",
+      (
+        select json_agg(
+          json_build_object('scoreA', g.score_a, 'scoreB', g.score_b)
+          order by g.game_number
+        )
+        from match_games g
+        where g.match_id = m.id
+      ) as games
+    from matches m
+    join tournaments t on t.id = m.tournament_id
+    where m.tournament_id = $1
+      and ($2::text[] is null or m.phase = any($2::text[]))
     order by
+      case when m.bracket = 'consolation' then 1 else 0 end,
       case
-        when code like 'RR-%' then 1
-        when code like 'SF%' then 2
-        when code = 'FINAL' then 3
-        when code = 'THIRD' then 4
-        else 9
+        when m.phase = 'RR' then 1
+        when m.phase ~ '^R[0-9]+$' then 2
+        when m.phase = 'QF' then 3
+        when m.phase = 'SF' then 4
+        when m.phase = 'FINAL' then 5
+        when m.phase = 'THIRD' then 6
+        when m.phase = 'WB' then 7
+        when m.phase = 'LB' then 8
+        when m.phase = 'GF' then 9
+        else 99
       end,
-      code;
+      case
+        when m.phase ~ '^R[0-9]+$' then -substring(m.phase from 2)::int
+        else 0
+      end,
+      m.round nulls first,
+      case when m.phase = 'RR' then length(m.code) else 0 end,
+      m.code;
     `,
     [tournamentId, phases]
   );
@@ -268,34 +507,478 @@ async function getMatchesForTournamentByPhase(tournamentId, phases) {
     winnerId: m.winnerId,
     startTime: m.startTime,
     court: m.court,
+    pool: m.pool,
+    round: m.round,
+    bracket: m.bracket,
+    matchFormat: m.matchFormat,
+    scoring: scoringRules(
+      m.scoring ?? defaultScoringProfile(stageForPhase(m.phase), m.matchFormat)
+    ),
+    games: m.games,
     status: m.status || (m.winnerId ? "completed" : "pending"),
   }));
 }
 
-function computePlacementsFromMatches({ semis, finals }) {
+/**
+ * Seeds for the main (and optional consolation) bracket from the completed
+ * round robin, following the playoff rules. Returns { error } when the field
+ * can't fill the bracket.
+ */
+function seedPlayoffs({
+  teams,
+  rrMatches,
+  standingsOptions,
+  rules,
+  format,
+  consolation = false,
+  consolationTeamCount,
+}) {
+  const standings = engine.computeStandings(
+    teams.map((t) => t.id),
+    rrMatches,
+    standingsOptions
+  );
+
+  const pools = getPoolsFromTeams(teams);
+  // whole field, best first (pool play: pool winners, then runners-up...)
+  let ranked = standings.map((s) => String(s.teamId));
+  let poolStandings = [{ pool: null, standings }];
+  let seeded;
+
+  try {
+    if (pools.length > 1) {
+      poolStandings = engine.computePoolStandings(
+        pools,
+        rrMatches,
+        standingsOptions
+      );
+      seeded = engine.crossoverSeeds(poolStandings, rules.advancePerPool);
+
+      const deepest = Math.max(...poolStandings.map((p) => p.standings.length));
+      ranked = [];
+      for (let rank = 0; rank < deepest; rank++) {
+        for (const p of poolStandings) {
+          if (p.standings[rank]) ranked.push(String(p.standings[rank].teamId));
+        }
+      }
+    } else {
+      const { teamCount } = rules;
+
+      if (!Array.isArray(standings) || standings.length < teamCount) {
+        return {
+          error: `Need at least ${teamCount} teams (with completed RR) to generate playoffs.`,
+        };
+      }
+
+      seeded = standings.slice(0, teamCount).map((s) => String(s.teamId));
+    }
+
+    seeded = [
+      ...seeded,
+      ...engine.wildcardSeeds(poolStandings, standings, seeded, rules.wildcards),
+    ];
+  } catch (e) {
+    return { error: errToMessage(e) };
+  }
+
+  if (seeded.length < 2) {
+    return { error: "Need at least 2 teams to generate playoffs." };
+  }
+
+  let consolationSeeded = [];
+  if (consolation) {
+    try {
+      consolationSeeded = engine.consolationSeeds(
+        ranked,
+        seeded,
+        consolationTeamCount
+      );
+    } catch (e) {
+      return { error: errToMessage(e) };
+    }
+  }
+
+  let rematchSwaps = [];
+  if (rules.avoidRematches) {
+    const plan =
+      format === "double"
+        ? engine.buildDoubleEliminationBracket(seeded.length)
+        : engine.buildSingleEliminationBracket(seeded.length);
+    const result = engine.avoidFirstRoundRematches(plan, seeded, rrMatches);
+    seeded = result.seeds;
+    rematchSwaps = result.swaps;
+  }
+
+  return { seeded, consolationSeeded, rematchSwaps };
+}
+
+// bracket: "main" or "consolation"; dual-event fixtures aren't playoffs
+async function getPlayoffMatches(tournamentId, bracket = "main", db = pool) {
+  const all = await getMatchesForTournamentByPhase(tournamentId, null, db);
+  return all.filter(
+    (m) => m.phase !== "RR" && m.phase !== "DUAL" && m.bracket === bracket
+  );
+}
+
+async function getPlayoffSeeds(tournamentId, bracket = "main", db = pool) {
+  const r = await db.query(
+    `
+    select team_id as "teamId"
+    from playoff_seeds
+    where tournament_id = $1 and bracket = $2
+    order by seed;
+    `,
+    [tournamentId, bracket]
+  );
+  return r.rows.map((row) => String(row.teamId));
+}
+
+// once seeded, round robin results only change through /correct
+async function playoffsSeeded(tournamentId) {
+  return (await getPlayoffSeeds(tournamentId)).length > 0;
+}
+
+function rrLockedMessage(code) {
+  return `Playoffs are seeded from the round robin. Correct ${code} with POST /api/matches/${code}/correct so the seeds and bracket follow.`;
+}
+
+/**
+ * Replaces the stored seeds of both brackets (seed 1 first).
+ */
+async function savePlayoffSeeds(
+  tournamentId,
+  seeded,
+  consolationSeeded = [],
+  db = pool
+) {
+  await db.query(`delete from playoff_seeds where tournament_id = $1;`, [
+    tournamentId,
+  ]);
+
+  const params = [tournamentId];
+  const chunks = [
+    ...seeded.map((teamId, idx) => ["main", idx + 1, teamId]),
+    ...consolationSeeded.map((teamId, idx) => ["consolation", idx + 1, teamId]),
+  ].map(([bracket, seed, teamId]) => {
+    params.push(bracket, seed, teamId);
+    return `($1, $${params.length - 2}, $${params.length - 1}, $${params.length})`;
+  });
+  if (chunks.length === 0) return;
+
+  await db.query(
+    `
+    insert into playoff_seeds (tournament_id, bracket, seed, team_id)
+    values ${chunks.join(", ")};
+    `,
+    params
+  );
+}
+
+/**
+ * Resolved bracket for the tournament (null if playoffs weren't generated).
+ * Every slot is returned, including the ones still waiting on a feeder.
+ */
+async function getPlayoffFormat(tournamentId, db = pool) {
+  const r = await db.query(
+    `
+    select
+      playoff_format as "format",
+      grand_final_reset as "grandFinalReset"
+    from tournaments
+    where id = $1;
+    `,
+    [tournamentId]
+  );
+  return r.rows[0] ?? { format: "single", grandFinalReset: true };
+}
+
+/**
+ * Playoff qualification and seeding rules, with defaults filled in.
+ */
+async function getPlayoffRules(tournamentId, db = pool) {
+  const r = await db.query(
+    `
+    select
+      playoff_team_count as "teamCount",
+      playoff_advance_per_pool as "advancePerPool",
+      playoff_wildcards as "wildcards",
+      playoff_third_place as "thirdPlace",
+      playoff_reseed as "reseed",
+      playoff_avoid_rematches as "avoidRematches"
+    from tournaments
+    where id = $1;
+    `,
+    [tournamentId]
+  );
+  const row = r.rows[0] ?? {};
+  return {
+    teamCount: row.teamCount ?? 4,
+    advancePerPool: row.advancePerPool ?? 2,
+    wildcards: row.wildcards ?? 0,
+    thirdPlace: row.thirdPlace ?? true,
+    reseed: row.reseed ?? false,
+    avoidRematches: row.avoidRematches ?? false,
+  };
+}
+
+/**
+ * Apply the playoff rule fields present in `body` to `current`.
+ * Returns { rules } or { error }.
+ */
+function parsePlayoffRules(body, current) {
+  const rules = { ...current };
+
+  const counts = [
+    ["teamCount", 2],
+    ["advancePerPool", 1],
+    ["wildcards", 0],
+  ];
+  for (const [key, min] of counts) {
+    const v = body?.[key];
+    if (v === undefined || v === null || v === "") continue;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min) {
+      return { error: `${key} must be an integer >= ${min}.` };
+    }
+    rules[key] = n;
+  }
+
+  for (const key of ["thirdPlace", "reseed", "avoidRematches"]) {
+    if (body?.[key] !== undefined) rules[key] = parseBool(body[key]);
+  }
+
+  return { rules };
+}
+
+async function savePlayoffRules(tournamentId, rules) {
+  await pool.query(
+    `
+    update tournaments
+    set playoff_team_count = $2,
+        playoff_advance_per_pool = $3,
+        playoff_wildcards = $4,
+        playoff_third_place = $5,
+        playoff_reseed = $6,
+        playoff_avoid_rematches = $7
+    where id = $1;
+    `,
+    [
+      tournamentId,
+      rules.teamCount,
+      rules.advancePerPool,
+      rules.wildcards,
+      rules.thirdPlace,
+      rules.reseed,
+      rules.avoidRematches,
+    ]
+  );
+}
+
+async function getSwissRounds(tournamentId) {
+  const r = await pool.query(
+    `select swiss_rounds as "swissRounds" from tournaments where id = $1;`,
+    [tournamentId]
+  );
+  return r.rows[0]?.swissRounds ?? null;
+}
+
+async function getMatchFormats(tournamentId, db = pool) {
+  const r = await db.query(
+    `
+    select
+      rr_match_format as "rr",
+      playoff_match_format as "playoff",
+      medal_match_format as "medal"
+    from tournaments
+    where id = $1;
+    `,
+    [tournamentId]
+  );
+  return r.rows[0] ?? { rr: "single", playoff: "single", medal: "single" };
+}
+
+/**
+ * Scoring profile key per stage ({ rr, playoff, medal }), with the defaults
+ * filled in for stages that never had one saved.
+ */
+async function getScoringProfiles(tournamentId) {
+  const r = await pool.query(
+    `
+    select
+      rr_scoring as "rr",
+      playoff_scoring as "playoff",
+      medal_scoring as "medal"
+    from tournaments
+    where id = $1;
+    `,
+    [tournamentId]
+  );
+  const saved = r.rows[0] ?? {};
+  const formats = await getMatchFormats(tournamentId);
+
+  const profiles = {};
+  for (const stage of ["rr", "playoff", "medal"]) {
+    profiles[stage] =
+      saved[stage] ?? defaultScoringProfile(stage, formats[stage]);
+  }
+  return profiles;
+}
+
+/**
+ * Saved tiebreaker settings: { tiebreakers, pointDiffCap, forfeitScore }.
+ * Nulls mean "use the engine default".
+ */
+async function getStandingsRules(tournamentId, db = pool) {
+  const r = await db.query(
+    `
+    select
+      standings_tiebreakers as "tiebreakers",
+      point_diff_cap as "pointDiffCap",
+      forfeit_score_winner as "forfeitWinner",
+      forfeit_score_loser as "forfeitLoser"
+    from tournaments
+    where id = $1;
+    `,
+    [tournamentId]
+  );
+  const row = r.rows[0] ?? {};
+  return {
+    tiebreakers: row.tiebreakers ?? null,
+    pointDiffCap: row.pointDiffCap ?? null,
+    forfeitScore:
+      row.forfeitWinner == null
+        ? null
+        : { winner: row.forfeitWinner, loser: row.forfeitLoser ?? 0 },
+  };
+}
+
+// Options for engine.computeStandings / computePoolStandings.
+async function getStandingsOptions(tournamentId, db = pool) {
+  const formats = await getMatchFormats(tournamentId, db);
+  const rules = await getStandingsRules(tournamentId, db);
+  const withdrawals = await getWithdrawals(tournamentId, db);
+  return {
+    gameDiff: formats.rr !== "single",
+    tiebreakers: rules.tiebreakers ?? undefined,
+    pointDiffCap: rules.pointDiffCap ?? undefined,
+    forfeitScore: rules.forfeitScore,
+    coinFlipSeed:
+      (await getRandomSeed(tournamentId, db)) ?? String(tournamentId),
+    withdrawnTeamIds: withdrawals.map((w) => w.teamId),
+    voidedTeamIds: withdrawals
+      .filter((w) => w.results === "void")
+      .map((w) => w.teamId),
+  };
+}
+
+async function getPlayoffBracket(tournamentId, playoffMatches, db = pool) {
+  const seeds = await getPlayoffSeeds(tournamentId, "main", db);
+  if (seeds.length < 2) return null;
+
+  const { format, grandFinalReset } = await getPlayoffFormat(tournamentId, db);
+  const { thirdPlace, reseed } = await getPlayoffRules(tournamentId, db);
+  const plan =
+    format === "double"
+      ? engine.buildDoubleEliminationBracket(seeds.length, {
+          reset: grandFinalReset,
+        })
+      : engine.buildSingleEliminationBracket(seeds.length, { thirdPlace });
+  const matches =
+    playoffMatches ?? (await getPlayoffMatches(tournamentId, "main", db));
+  const slots = engine.resolveBracket(plan, seeds, matches, { reseed });
+
+  return { seeds, plan, slots };
+}
+
+// Consolation match codes: C-SF1, C-FINAL, C-THIRD...
+const CONSOLATION_CODE_PREFIX = "C-";
+
+/**
+ * Consolation (silver) bracket: always single elimination, null if the
+ * playoffs were generated without one.
+ */
+async function getConsolationBracket(
+  tournamentId,
+  consolationMatches,
+  db = pool
+) {
+  const seeds = await getPlayoffSeeds(tournamentId, "consolation", db);
+  if (seeds.length < 2) return null;
+
+  const plan = engine.buildSingleEliminationBracket(seeds.length, {
+    codePrefix: CONSOLATION_CODE_PREFIX,
+  });
+  const matches =
+    consolationMatches ??
+    (await getPlayoffMatches(tournamentId, "consolation", db));
+  const slots = engine.resolveBracket(plan, seeds, matches);
+
+  return { seeds, plan, slots };
+}
+
+async function getBracketFor(tournamentId, bracket, matches, db = pool) {
+  return bracket === "consolation"
+    ? getConsolationBracket(tournamentId, matches, db)
+    : getPlayoffBracket(tournamentId, matches, db);
+}
+
+function loserOf(m) {
+  return String(m.winnerId) === String(m.teamAId)
+    ? String(m.teamBId)
+    : String(m.teamAId);
+}
+
+// codePrefix: CONSOLATION_CODE_PREFIX for the consolation bracket
+function computePlacementsFromMatches({ semis, finals }, codePrefix = "") {
   const byId = new Map();
   for (const m of [...(semis ?? []), ...(finals ?? [])]) {
     byId.set(String(m.id), m);
   }
 
-  const final = byId.get("FINAL");
-  const third = byId.get("THIRD");
+  const final = byId.get(`${codePrefix}FINAL`);
+  const third = byId.get(`${codePrefix}THIRD`);
 
-  if (!final?.winnerId || !third?.winnerId) return null;
+  // brackets with fewer than 4 teams have no third-place match
+  if (!final?.winnerId) return null;
+  if (third && !third.winnerId) return null;
 
   const champion = String(final.winnerId);
-  const runnerUp =
-    String(final.winnerId) === String(final.teamAId)
-      ? String(final.teamBId)
-      : String(final.teamAId);
-
-  const thirdPlace = String(third.winnerId);
-  const fourthPlace =
-    String(third.winnerId) === String(third.teamAId)
-      ? String(third.teamBId)
-      : String(third.teamAId);
-
-  return { champion, runnerUp, third: thirdPlace, fourth: fourthPlace };
+  const runnerUp = loserOf(final);
+
+  if (!third) return { champion, runnerUp, third: null, fourth: null };
+
+  return {
+    champion,
+    runnerUp,
+    third: String(third.winnerId),
+    fourth: loserOf(third),
+  };
+}
+
+/**
+ * Double elimination: GF (or GF-RESET when it was needed) decides 1st/2nd,
+ * the last two losers-bracket matches decide 3rd and 4th.
+ */
+function computeDoubleElimPlacements(bracket) {
+  const byId = new Map(bracket.slots.map((m) => [m.id, m]));
+  const gf = byId.get("GF");
+  const gfReset = byId.get("GF-RESET");
+
+  if (!gf?.winnerId) return null;
+
+  const decider = gfReset?.teamAId ? gfReset : gf;
+  if (!decider.winnerId) return null;
+
+  const lbMatches = bracket.plan.losers.flatMap((r) => r.matches);
+  const lbFinal = byId.get(lbMatches[lbMatches.length - 1]?.code);
+  const lbSemi = byId.get(lbMatches[lbMatches.length - 2]?.code);
+
+  return {
+    champion: String(decider.winnerId),
+    runnerUp: loserOf(decider),
+    third: lbFinal?.winnerId ? loserOf(lbFinal) : null,
+    fourth: lbSemi?.winnerId ? loserOf(lbSemi) : null,
+  };
 }
 
 function decoratePlacementsWithTeamNames(placements, teams) {
@@ -303,16 +986,21 @@ function decoratePlacementsWithTeamNames(placements, teams) {
 
   const nameById = new Map((teams ?? []).map((t) => [String(t.id), t.name]));
   const nameFor = (id) => nameById.get(String(id)) ?? `Team ${id}`;
+  const entry = (id) => (id ? { id, name: nameFor(id) } : null);
 
   return {
-    champion: { id: placements.champion, name: nameFor(placements.champion) },
-    runnerUp: { id: placements.runnerUp, name: nameFor(placements.runnerUp) },
-    third: { id: placements.third, name: nameFor(placements.third) },
-    fourth: { id: placements.fourth, name: nameFor(placements.fourth) },
+    champion: entry(placements.champion),
+    runnerUp: entry(placements.runnerUp),
+    third: entry(placements.third),
+    fourth: entry(placements.fourth),
   };
 }
 
-function computeQueue(matches) {
+/**
+ * On court / on deck / up soon. Matches involving a team in `skipTeamIds`
+ * (withdrawn teams) are never offered.
+ */
+function computeQueue(matches, skipTeamIds = new Set()) {
   const busyTeams = new Set();
 
   for (const m of matches) {
@@ -324,6 +1012,8 @@ function computeQueue(matches) {
 
   const playable = matches.filter((m) => {
     if (m.status !== "pending") return false;
+    if (skipTeamIds.has(String(m.teamAId))) return false;
+    if (skipTeamIds.has(String(m.teamBId))) return false;
     if (busyTeams.has(String(m.teamAId))) return false;
     if (busyTeams.has(String(m.teamBId))) return false;
     return true;
@@ -336,139 +1026,528 @@ function computeQueue(matches) {
   };
 }
 
-async function finalsAreScored(tournamentId) {
-  const r = await pool.query(
-    `
-    select code, score_a, score_b, winner_id
-    from matches
-    where tournament_id = $1
-      and phase in ('FINAL','THIRD')
-    limit 1;
-    `,
-    [tournamentId]
+/**
+ * First downstream bracket match (fed by `code`) that already has a result.
+ * Changing `code` would orphan that result, so callers block the edit.
+ * A reseeded round is fed by every match of the rounds before it.
+ */
+function scoredDownstreamMatch(bracket, code) {
+  if (!bracket) return null;
+
+  const round = bracket.slots.find((m) => m.id === code)?.round;
+  return (
+    bracket.slots.find(
+      (m) =>
+        m.winnerId &&
+        ([m.sourceA, m.sourceB].some(
+          (src) => src?.winnerOf === code || src?.loserOf === code
+        ) ||
+          (!!m.sourceA?.reseed && round != null && m.round > round))
+    ) ?? null
   );
+}
 
-  if (r.rowCount === 0) return false;
+/**
+ * Run `fn(client)` in one transaction. When `db` is already a transaction
+ * client, `fn` joins that transaction instead.
+ */
+async function withTransaction(fn, db = pool) {
+  if (db !== pool) return fn(db);
 
-  return r.rows.some(
-    (m) => m.winner_id !== null || m.score_a !== null || m.score_b !== null
-  );
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    const result = await fn(client);
+    await client.query("commit");
+    return result;
+  } catch (e) {
+    await client.query("rollback");
+    throw e;
+  } finally {
+    client.release();
+  }
 }
 
-async function clearMatch({ tournamentId, phase, code }) {
-  await pool.query(
+async function deleteMatchGames({ tournamentId, phase, code }, db = pool) {
+  await db.query(
     `
-    update matches
-    set score_a = null,
-        score_b = null,
-        winner_id = null,
-        status = 'pending'
-    where tournament_id = $1 and phase = $2 and code = $3;
+    delete from match_games
+    where match_id = (
+      select id from matches
+      where tournament_id = $1 and phase = $2 and code = $3
+    );
     `,
     [tournamentId, phase, code]
   );
 }
 
-async function setWinnerOnly({ tournamentId, phase, code, winnerId }) {
-  await pool.query(
+/**
+ * A match as the event log records it: teams, scores, winner, status and
+ * per-game points. Null when the match doesn't exist.
+ */
+async function getMatchSnapshot(tournamentId, code, db = pool) {
+  const r = await db.query(
     `
-    update matches
-    set score_a = null,
-        score_b = null,
-        winner_id = $1,
-        status = 'completed'
-    where tournament_id = $2 and phase = $3 and code = $4;
+    select
+      m.id,
+      m.team_a_id as "teamAId",
+      m.team_b_id as "teamBId",
+      m.score_a as "scoreA",
+      m.score_b as "scoreB",
+      m.winner_id as "winnerId",
+      m.status,
+      coalesce(
+        (
+          select json_agg(
+            json_build_object('scoreA', g.score_a, 'scoreB', g.score_b)
+            order by g.game_number
+          )
+          from match_games g
+          where g.match_id = m.id
+        ),
+        '[]'
+      ) as games
+    from matches m
+    where m.tournament_id = $1 and m.code = $2;
     `,
-    [winnerId, tournamentId, phase, code]
+    [tournamentId, code]
   );
+  if (r.rowCount === 0) return null;
+  const { id, ...snapshot } = r.rows[0];
+  return { matchId: id, snapshot };
 }
 
-async function setScore({
-  tournamentId,
-  phase,
-  code,
-  scoreA,
-  scoreB,
-  winnerId,
-}) {
-  await pool.query(
+/**
+ * Append an entry to the match event log. Entries are never changed or
+ * deleted; a revert is a new entry.
+ */
+async function logMatchEvent(
+  { tournamentId, matchId, code, kind, before, after, userId = null },
+  db = pool
+) {
+  await db.query(
     `
-    update matches
-    set score_a = $1,
-        score_b = $2,
-        winner_id = $3,
-        status = 'completed'
-    where tournament_id = $4 and phase = $5 and code = $6;
+    insert into match_events (
+      tournament_id, match_id, code, kind, old_value, new_value, user_id
+    )
+    values ($1, $2, $3, $4, $5, $6, $7);
     `,
-    [scoreA, scoreB, winnerId, tournamentId, phase, code]
+    [
+      tournamentId,
+      matchId,
+      code,
+      kind,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      userId,
+    ]
   );
 }
 
-async function ensureFinalsFromSemis(tournamentId) {
-  const semis = await getMatchesForTournamentByPhase(tournamentId, ["SF"]);
-  const sf1 = semis.find((m) => String(m.id) === "SF1");
-  const sf2 = semis.find((m) => String(m.id) === "SF2");
-
-  if (!sf1?.winnerId || !sf2?.winnerId) return;
-
-  const loserId = (match) =>
-    String(match.winnerId) === String(match.teamAId)
-      ? String(match.teamBId)
-      : String(match.teamAId);
+/**
+ * Overwrite a match's result and log the change, in one transaction. kind
+ * defaults to "score" for a first result and "correction" when it replaces
+ * one.
+ */
+async function writeMatchResult(
+  {
+    tournamentId,
+    phase,
+    code,
+    scoreA = null,
+    scoreB = null,
+    winnerId = null,
+    status,
+    games = null,
+    kind,
+    userId = null,
+  },
+  db = pool
+) {
+  await withTransaction(async (client) => {
+    const prior = await getMatchSnapshot(tournamentId, code, client);
+    if (!prior) throw new Error(`Match ${code} not found.`);
 
-  const sf1Loser = loserId(sf1);
-  const sf2Loser = loserId(sf2);
+    await client.query(
+      `
+      update matches
+      set score_a = $1,
+          score_b = $2,
+          winner_id = $3,
+          status = $4
+      where tournament_id = $5 and phase = $6 and code = $7;
+      `,
+      [scoreA, scoreB, winnerId, status, tournamentId, phase, code]
+    );
 
-  await pool.query(
-    `
-    delete from matches
-    where tournament_id = $1 and phase in ('FINAL','THIRD');
-    `,
-    [tournamentId]
+    await deleteMatchGames({ tournamentId, phase, code }, client);
+    if (games?.length) {
+      await client.query(
+        `
+        insert into match_games (match_id, game_number, score_a, score_b)
+        select m.id, g.n, g.a, g.b
+        from matches m,
+          unnest($4::int[], $5::int[]) with ordinality as g(a, b, n)
+        where m.tournament_id = $1 and m.phase = $2 and m.code = $3;
+        `,
+        [
+          tournamentId,
+          phase,
+          code,
+          games.map((g) => g.scoreA),
+          games.map((g) => g.scoreB),
+        ]
+      );
+    }
+
+    const after = await getMatchSnapshot(tournamentId, code, client);
+    await logMatchEvent(
+      {
+        tournamentId,
+        matchId: prior.matchId,
+        code,
+        kind: kind ?? (prior.snapshot.winnerId ? "correction" : "score"),
+        before: prior.snapshot,
+        after: after.snapshot,
+        userId,
+      },
+      client
+    );
+  }, db);
+}
+
+/**
+ * Move an unplayed match between pending and on court, logging the change.
+ */
+async function setMatchStatus({ tournamentId, code, status, userId = null }) {
+  await withTransaction(async (client) => {
+    const prior = await getMatchSnapshot(tournamentId, code, client);
+    if (!prior || prior.snapshot.winnerId) return;
+    if (prior.snapshot.status === status) return;
+
+    await client.query(
+      `
+      update matches
+      set status = $3
+      where tournament_id = $1 and code = $2 and winner_id is null;
+      `,
+      [tournamentId, code, status]
+    );
+    await logMatchEvent(
+      {
+        tournamentId,
+        matchId: prior.matchId,
+        code,
+        kind: "status",
+        before: prior.snapshot,
+        after: { ...prior.snapshot, status },
+        userId,
+      },
+      client
+    );
+  });
+}
+
+async function clearMatch({ tournamentId, phase, code, userId }, db = pool) {
+  await writeMatchResult(
+    {
+      tournamentId,
+      phase,
+      code,
+      status: "pending",
+      kind: "reset",
+      userId,
+    },
+    db
   );
+}
 
-  await pool.query(
+async function setWinnerOnly(
+  { tournamentId, phase, code, winnerId, userId },
+  db = pool
+) {
+  await writeMatchResult(
+    {
+      tournamentId,
+      phase,
+      code,
+      winnerId,
+      status: "completed",
+      kind: "forfeit",
+      userId,
+    },
+    db
+  );
+}
+
+async function setScore(
+  {
+    tournamentId,
+    phase,
+    code,
+    scoreA,
+    scoreB,
+    winnerId,
+    games = null,
+    userId,
+  },
+  db = pool
+) {
+  await writeMatchResult(
+    {
+      tournamentId,
+      phase,
+      code,
+      scoreA,
+      scoreB,
+      winnerId,
+      status: "completed",
+      games,
+      userId,
+    },
+    db
+  );
+}
+
+/**
+ * Bring the stored playoff matches in line with the bracket:
+ * - insert matches once both teams are known (winners advance automatically)
+ * - re-pair unplayed matches if an upstream winner changed
+ * - drop matches whose feeder was cleared
+ */
+async function syncPlayoffBracket(tournamentId, db = pool) {
+  // a withdrawn team that advances forfeits its next match, which can feed
+  // another round, so keep going until nothing new is forfeited
+  do {
+    await syncBracket(tournamentId, "main", db);
+    await syncBracket(tournamentId, "consolation", db);
+  } while ((await forfeitWithdrawnMatches(tournamentId, null, db)) > 0);
+}
+
+async function syncBracket(tournamentId, bracketName, db = pool) {
+  const existing = await getPlayoffMatches(tournamentId, bracketName, db);
+  const bracket = await getBracketFor(tournamentId, bracketName, existing, db);
+  if (!bracket) return;
+
+  const stored = new Map(existing.map((m) => [String(m.id), m]));
+  // a result played by a pairing that no longer holds is cleared (and logged)
+  const hasResult = (row) =>
+    row.winnerId != null || row.scoreA != null || row.scoreB != null;
+
+  for (const m of bracket.slots) {
+    const row = stored.get(m.id);
+    const ready = !!m.teamAId && !!m.teamBId;
+
+    if (!ready) {
+      if (row) {
+        if (hasResult(row)) {
+          await clearMatch({ tournamentId, phase: row.phase, code: m.id }, db);
+        }
+        await db.query(
+          `delete from matches where tournament_id = $1 and code = $2;`,
+          [tournamentId, m.id]
+        );
+      }
+      continue;
+    }
+
+    if (!row) {
+      await db.query(
+        `
+        insert into matches (
+          tournament_id, code, phase, team_a_id, team_b_id, status, bracket
+        )
+        values ($1, $2, $3, $4, $5, 'pending', $6);
+        `,
+        [tournamentId, m.id, m.phase, m.teamAId, m.teamBId, bracketName]
+      );
+      continue;
+    }
+
+    if (
+      String(row.teamAId) !== m.teamAId ||
+      String(row.teamBId) !== m.teamBId
+    ) {
+      if (hasResult(row)) {
+        await clearMatch({ tournamentId, phase: row.phase, code: m.id }, db);
+      }
+      await db.query(
+        `
+        update matches
+        set team_a_id = $1,
+            team_b_id = $2,
+            score_a = null,
+            score_b = null,
+            winner_id = null,
+            status = 'pending'
+        where tournament_id = $3 and code = $4;
+        `,
+        [m.teamAId, m.teamBId, tournamentId, m.id]
+      );
+    }
+  }
+}
+
+// db: a transaction client when the caller runs inside one
+async function deletePlayoffs(tournamentId, db = pool) {
+  const result = await db.query(
     `
-    insert into matches (
-      tournament_id, code, phase, team_a_id, team_b_id, status
-    )
-    values
-      ($1, 'FINAL', 'FINAL', $2, $3, 'pending'),
-      ($1, 'THIRD', 'THIRD', $4, $5, 'pending');
+    delete from matches
+    where tournament_id = $1
+      and phase not in ('RR', 'DUAL');
     `,
-    [tournamentId, sf1.winnerId, sf2.winnerId, sf1Loser, sf2Loser]
+    [tournamentId]
   );
+
+  await db.query(`delete from playoff_seeds where tournament_id = $1;`, [
+    tournamentId,
+  ]);
+
+  return result.rowCount || 0;
 }
 
-async function sendState(tournamentId, res) {
+/**
+ * Bracket rounds for display, including TBD slots.
+ */
+function bracketForState(bracket) {
+  if (!bracket) return null;
+
+  const bySlot = new Map(bracket.slots.map((m) => [m.id, m]));
+  const roundsFor = (rounds) =>
+    rounds.map((r) => ({
+      round: r.round,
+      phase: r.phase,
+      matches: r.matches.map((m) => bySlot.get(m.code)),
+    }));
+
+  if (bracket.plan.format === "double") {
+    return {
+      format: "double",
+      teamCount: bracket.plan.teamCount,
+      winners: roundsFor(bracket.plan.winners),
+      losers: roundsFor(bracket.plan.losers),
+      grandFinal: bySlot.get("GF"),
+      reset: bracket.plan.reset ? bySlot.get("GF-RESET") : null,
+    };
+  }
+
+  return {
+    format: "single",
+    teamCount: bracket.plan.teamCount,
+    rounds: bracket.plan.rounds.map((r) => ({
+      round: r.round,
+      phase: r.phase,
+      matches: r.matches.map((m) => bySlot.get(m.code)),
+    })),
+    thirdPlace: bracket.plan.thirdPlace
+      ? bySlot.get(bracket.plan.thirdPlace.code)
+      : null,
+  };
+}
+
+async function getTournamentState(tournamentId) {
   const teams = await getTeamsForTournament(tournamentId);
   const rrMatches = await getMatchesForTournamentByPhase(tournamentId, ["RR"]);
-  const semis = await getMatchesForTournamentByPhase(tournamentId, ["SF"]);
-  const finals = await getMatchesForTournamentByPhase(tournamentId, [
-    "FINAL",
-    "THIRD",
-  ]);
+  const playoffs = await getPlayoffMatches(tournamentId);
+  const semis = playoffs.filter((m) => m.phase === "SF");
+  const finals = playoffs.filter(
+    (m) => m.phase === "FINAL" || m.phase === "THIRD"
+  );
+  const bracket = await getPlayoffBracket(tournamentId, playoffs);
+  const consolationMatches = await getPlayoffMatches(
+    tournamentId,
+    "consolation"
+  );
+  const consolationBracket = await getConsolationBracket(
+    tournamentId,
+    consolationMatches
+  );
+
+  const matchFormats = await getMatchFormats(tournamentId);
+  const standingsOptions = await getStandingsOptions(tournamentId);
 
   const standings = engine.computeStandings(
     teams.map((t) => t.id),
-    rrMatches
+    rrMatches,
+    standingsOptions
+  );
+  const pools = engine.computePoolStandings(
+    getPoolsFromTeams(teams),
+    rrMatches,
+    standingsOptions
   );
+  const swissRounds = await getSwissRounds(tournamentId);
 
-  const placementsRaw = computePlacementsFromMatches({ semis, finals });
+  const placementsRaw =
+    bracket?.plan.format === "double"
+      ? computeDoubleElimPlacements(bracket)
+      : computePlacementsFromMatches({ semis, finals });
   const placements = decoratePlacementsWithTeamNames(placementsRaw, teams);
-  const queue = computeQueue([...rrMatches, ...semis, ...finals]);
+  const queue = computeQueue(
+    [...rrMatches, ...playoffs, ...consolationMatches],
+    new Set(teams.filter((t) => t.withdrawnAt).map((t) => String(t.id)))
+  );
 
-  return res.json({
-    ok: true,
+  return {
     tournamentId,
     teams,
     rrMatches,
     standings,
+    pools,
+    matchFormats,
+    scoringProfiles: await getScoringProfiles(tournamentId),
+    standingsRules: await getStandingsRules(tournamentId),
+    playoffRules: await getPlayoffRules(tournamentId),
+    randomSeed: await getRandomSeed(tournamentId),
+    ...(await getEventFormat(tournamentId)),
+    ...(await getDivisionContext(tournamentId)),
+    swiss: swissRounds
+      ? {
+          rounds: swissRounds,
+          currentRound: Math.max(0, ...rrMatches.map((m) => m.round ?? 0)),
+        }
+      : null,
+    playoffSeeds: bracket?.seeds ?? [],
+    playoffs,
+    bracket: bracketForState(bracket),
     semis,
     finals,
     placements,
+    consolation: consolationBracket
+      ? {
+          seeds: consolationBracket.seeds,
+          matches: consolationMatches,
+          bracket: bracketForState(consolationBracket),
+          placements: decoratePlacementsWithTeamNames(
+            computePlacementsFromMatches(
+              { finals: consolationMatches },
+              CONSOLATION_CODE_PREFIX
+            ),
+            teams
+          ),
+        }
+      : null,
     queue,
-  });
+  };
+}
+
+/**
+ * Division info for the state: the parent tournament, every division of it,
+ * and which one this state is for (null when it's the parent or there are none).
+ */
+async function getDivisionContext(tournamentId) {
+  const parentId = await getDivisionParentId(tournamentId);
+  const divisions = await getDivisions(parentId ?? tournamentId);
+  return {
+    parentTournamentId: parentId ?? String(tournamentId),
+    division: divisions.find((d) => d.id === String(tournamentId)) ?? null,
+    divisions,
+  };
+}
+
+async function sendState(tournamentId, res) {
+  const state = await getTournamentState(tournamentId);
+  return res.json({ ok: true, ...state });
 }
 
 /* -----------------------------
@@ -478,17 +1557,7 @@ async function sendState(tournamentId, res) {
 app.post("/api/playoffs/reset", async (req, res) => {
   try {
     const tournamentId = await resolveTournamentId(req);
-
-    const result = await pool.query(
-      `
-      delete from matches
-      where tournament_id = $1
-        and phase in ('SF', 'FINAL', 'THIRD');
-      `,
-      [tournamentId]
-    );
-
-    const deleted = result.rowCount || 0;
+    const deleted = await deletePlayoffs(tournamentId);
 
     if (deleted === 0) {
       return res.json({
@@ -502,25 +1571,48 @@ app.post("/api/playoffs/reset", async (req, res) => {
     return res.json({ ok: true, tournamentId, deleted });
   } catch (err) {
     console.error("Playoffs reset error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
+/*
+   Body: { tournamentId?, teamCount?, advancePerPool?, wildcards?, thirdPlace?,
+           reseed?, avoidRematches?, format?, grandFinalReset?, consolation?,
+           consolationTeamCount? }
+   The qualification and seeding fields default to the tournament's saved
+   playoff rules (see PATCH /api/tournament/playoff-rules) and are saved back.
+   - teamCount: teams advancing, default 4
+   - advancePerPool: pool play only, top K of each pool go into a crossover
+     bracket (A1 vs B2, B1 vs A2...), default 2
+   - wildcards: extra spots for the best non-qualifiers (pool play: best
+     3rd places first), seeded below the automatic qualifiers
+   - thirdPlace: single elim only, play for third (default true)
+   - reseed: single elim only, best vs worst remaining seed every round
+   - avoidRematches: swap first-round pairings that met in the round robin
+   - format: "single" (default) or "double" elimination
+   - grandFinalReset: double elim only, default true
+   - consolation: also build a single-elimination silver bracket from the teams
+     that didn't qualify, seeded in standings order (pool play: 3rd places
+     first, then 4th places...). Played alongside the main bracket.
+   - consolationTeamCount: teams in the consolation bracket, default all
+   Builds the bracket (byes for top seeds when teamCount isn't a power of
+   two) and inserts the first playable matches.
+*/
 app.post("/api/playoffs/generate", async (req, res) => {
   try {
     const tournamentId = await resolveTournamentId(req);
 
-    const existingSemis = await pool.query(
+    const existing = await pool.query(
       `
       select code from matches
-      where tournament_id = $1 and phase = 'SF'
+      where tournament_id = $1 and phase not in ('RR', 'DUAL')
       limit 1;
       `,
       [tournamentId]
     );
-    if (existingSemis.rowCount > 0) {
+    if (existing.rowCount > 0) {
       return res.status(409).json({
-        error: "Semifinals already exist. Reset playoffs to regenerate.",
+        error: "Playoffs already exist. Reset playoffs to regenerate.",
       });
     }
 
@@ -538,259 +1630,222 @@ app.post("/api/playoffs/generate", async (req, res) => {
       });
     }
 
-    const standings = engine.computeStandings(
-      teams.map((t) => t.id),
-      rrMatches
+    const matchFormats = await getMatchFormats(tournamentId);
+
+    const parsedRules = parsePlayoffRules(
+      req.body,
+      await getPlayoffRules(tournamentId)
     );
+    if (parsedRules.error) {
+      return res.status(400).json({ error: parsedRules.error });
+    }
+    const rules = parsedRules.rules;
 
-    if (!Array.isArray(standings) || standings.length < 4) {
-      return res.status(409).json({
-        error:
-          "Need at least 4 teams (with completed RR) to generate semifinals.",
+    const format = (req.body?.format ?? "single").toString().toLowerCase();
+    if (format !== "single" && format !== "double") {
+      return res
+        .status(400)
+        .json({ error: 'format must be "single" or "double".' });
+    }
+    const grandFinalReset =
+      req.body?.grandFinalReset === undefined
+        ? true
+        : parseBool(req.body.grandFinalReset);
+    if (format === "double" && rules.reseed) {
+      return res.status(400).json({
+        error: "Reseeding is only available for single elimination.",
       });
     }
 
-    const top4 = standings.slice(0, 4).map((s) => String(s.teamId));
-    const [seed1, seed2, seed3, seed4] = top4;
+    const rawCount = req.body?.consolationTeamCount;
+    const seeding = seedPlayoffs({
+      teams,
+      rrMatches,
+      standingsOptions: await getStandingsOptions(tournamentId),
+      rules,
+      format,
+      consolation: parseBool(req.body?.consolation),
+      consolationTeamCount:
+        rawCount === undefined || rawCount === null || rawCount === ""
+          ? undefined
+          : Number(rawCount),
+    });
+    if (seeding.error) return res.status(409).json({ error: seeding.error });
+    const { seeded, consolationSeeded, rematchSwaps } = seeding;
 
-    await pool.query(
-      `
-      delete from matches
-      where tournament_id = $1
-        and phase in ('SF', 'FINAL', 'THIRD');
-      `,
-      [tournamentId]
+    const playoffMatchFormat = parseMatchFormat(
+      req.body?.playoffMatchFormat,
+      matchFormats.playoff
     );
+    const medalMatchFormat = parseMatchFormat(
+      req.body?.medalMatchFormat,
+      matchFormats.medal
+    );
+    if (!playoffMatchFormat || !medalMatchFormat) {
+      return res.status(400).json({
+        error: `Match format must be one of: ${Object.keys(MATCH_FORMATS).join(", ")}.`,
+      });
+    }
+
+    await deletePlayoffs(tournamentId);
+    await savePlayoffRules(tournamentId, rules);
 
     await pool.query(
       `
-      insert into matches (
-        tournament_id, code, phase, team_a_id, team_b_id, status
-      )
-      values
-        ($1, 'SF1', 'SF', $2, $3, 'pending'),
-        ($1, 'SF2', 'SF', $4, $5, 'pending');
+      update tournaments
+      set playoff_format = $1,
+          grand_final_reset = $2,
+          playoff_match_format = $3,
+          medal_match_format = $4
+      where id = $5;
       `,
-      [tournamentId, seed1, seed4, seed2, seed3]
+      [
+        format,
+        grandFinalReset,
+        playoffMatchFormat,
+        medalMatchFormat,
+        tournamentId,
+      ]
     );
 
-    const semis = await getMatchesForTournamentByPhase(tournamentId, ["SF"]);
-    const finals = await getMatchesForTournamentByPhase(tournamentId, [
-      "FINAL",
-      "THIRD",
-    ]);
+    await savePlayoffSeeds(tournamentId, seeded, consolationSeeded);
 
-    return res.json({
-      ok: true,
-      tournamentId,
-      teams,
-      rrMatches,
-      standings,
-      semis,
-      finals,
-      placements: null,
-      queue: computeQueue([...rrMatches, ...semis, ...finals]),
-    });
+    await syncPlayoffBracket(tournamentId);
+
+    const state = await getTournamentState(tournamentId);
+    return res.json({ ok: true, ...state, rematchSwaps });
   } catch (err) {
     console.error("Playoffs generate error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
 /* -----------------------------
-  Playoffs: Score Semis
+  Playoffs: Score any bracket match
+  (semis/finals paths kept for older clients)
 ------------------------------ */
-app.post("/api/playoffs/semis/:id/score", async (req, res) => {
-  try {
-    const tournamentId = await resolveTournamentId(req);
-    const id = String(req.params.id || "").toUpperCase();
-
-    if (id !== "SF1" && id !== "SF2") {
-      return res
-        .status(400)
-        .json({ error: "Invalid semifinal id. Use SF1 or SF2." });
-    }
-
-    const mRes = await pool.query(
-      `
-      select team_a_id as "teamAId", team_b_id as "teamBId"
-      from matches
-      where tournament_id = $1 and phase = 'SF' and code = $2
-      `,
-      [tournamentId, id]
-    );
-    if (mRes.rowCount === 0) {
-      return res.status(404).json({ error: `Semifinal not found: ${id}` });
-    }
-    const m = mRes.rows[0];
-
-    if (await finalsAreScored(tournamentId)) {
-      return res.status(409).json({
-        error: "Finals already scored. Reset playoffs before changing semis.",
-      });
-    }
-
-    const clear = parseBool(req.body?.clear);
-    const winnerIdRaw = req.body?.winnerId;
-
-    if (clear) {
-      await clearMatch({ tournamentId, phase: "SF", code: id });
+app.post(
+  [
+    "/api/playoffs/matches/:id/score",
+    "/api/playoffs/semis/:id/score",
+    "/api/playoffs/finals/:id/score",
+  ],
+  async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const id = String(req.params.id || "").toUpperCase();
 
-      await pool.query(
+      const mRes = await pool.query(
         `
-        delete from matches
-        where tournament_id = $1 and phase in ('FINAL','THIRD');
+        select
+          phase,
+          bracket,
+          team_a_id as "teamAId",
+          team_b_id as "teamBId"
+        from matches
+        where tournament_id = $1 and code = $2 and phase not in ('RR', 'DUAL')
         `,
-        [tournamentId]
+        [tournamentId, id]
       );
-
-      return sendState(tournamentId, res);
-    }
-
-    if (
-      winnerIdRaw !== undefined &&
-      winnerIdRaw !== null &&
-      winnerIdRaw !== ""
-    ) {
-      const w = Number(winnerIdRaw);
-      if (!Number.isInteger(w)) {
-        return res.status(400).json({ error: "winnerId must be an integer." });
-      }
-      const a = Number(m.teamAId);
-      const b = Number(m.teamBId);
-      if (w !== a && w !== b) {
-        return res
-          .status(400)
-          .json({ error: "winnerId must be Team A or Team B for this match." });
+      if (mRes.rowCount === 0) {
+        return res.status(404).json({ error: `Playoff match not found: ${id}` });
       }
+      const m = mRes.rows[0];
 
-      await setWinnerOnly({ tournamentId, phase: "SF", code: id, winnerId: w });
-      await ensureFinalsFromSemis(tournamentId);
+      const downstream = scoredDownstreamMatch(
+        await getBracketFor(tournamentId, m.bracket),
+        id
+      );
+      if (downstream) {
+        return res.status(409).json({
+          error: `${downstream.id} already has a result. Clear it (or reset playoffs) before changing ${id}.`,
+        });
+      }
 
-      return sendState(tournamentId, res);
-    }
+      const clear = parseBool(req.body?.clear);
+      const winnerIdRaw = req.body?.winnerId;
 
-    const { scoreA, scoreB } = req.body;
+      if (clear) {
+        await clearMatch({
+          tournamentId,
+          phase: m.phase,
+          code: id,
+          userId: sessionUserId(req),
+        });
+        await syncPlayoffBracket(tournamentId);
+        return sendState(tournamentId, res);
+      }
 
-    const msg = validatePickleballScore(scoreA, scoreB, {
-      playTo: 15,
-      winBy: 2,
-    });
-    if (msg) return res.status(400).json({ error: msg });
+      if (
+        winnerIdRaw !== undefined &&
+        winnerIdRaw !== null &&
+        winnerIdRaw !== ""
+      ) {
+        const w = Number(winnerIdRaw);
+        if (!Number.isInteger(w)) {
+          return res
+            .status(400)
+            .json({ error: "winnerId must be an integer." });
+        }
+        const a = Number(m.teamAId);
+        const b = Number(m.teamBId);
+        if (w !== a && w !== b) {
+          return res.status(400).json({
+            error: "winnerId must be Team A or Team B for this match.",
+          });
+        }
+
+        await setWinnerOnly({
+          tournamentId,
+          phase: m.phase,
+          code: id,
+          winnerId: w,
+          userId: sessionUserId(req),
+        });
+        await syncPlayoffBracket(tournamentId);
 
-    const winnerId = Number(scoreA) > Number(scoreB) ? m.teamAId : m.teamBId;
+        return sendState(tournamentId, res);
+      }
 
-    await setScore({
-      tournamentId,
-      phase: "SF",
-      code: id,
-      scoreA,
-      scoreB,
-      winnerId,
-    });
+      const format = matchFormatForPhase(
+        await getMatchFormats(tournamentId),
+        m.phase
+      );
+      const profile = (await getScoringProfiles(tournamentId))[
+        stageForPhase(m.phase)
+      ];
+      const result = parseMatchResult(req.body, format, scoringRules(profile));
+      if (result.error) return res.status(400).json({ error: result.error });
 
-    await ensureFinalsFromSemis(tournamentId);
+      await setScore({
+        tournamentId,
+        phase: m.phase,
+        code: id,
+        scoreA: result.scoreA,
+        scoreB: result.scoreB,
+        winnerId: result.winner === "A" ? m.teamAId : m.teamBId,
+        games: result.games,
+        userId: sessionUserId(req),
+      });
+      await syncPlayoffBracket(tournamentId);
 
-    return sendState(tournamentId, res);
-  } catch (err) {
-    console.error("Semis score error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+      return sendState(tournamentId, res);
+    } catch (err) {
+      console.error("Playoff score error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
   }
-});
+);
 
 /* -----------------------------
-  Playoffs: Score Finals + Third
+   Tournament-scoped Players + Team Creation
 ------------------------------ */
-app.post("/api/playoffs/finals/:id/score", async (req, res) => {
-  try {
-    const tournamentId = await resolveTournamentId(req);
-    const id = String(req.params.id || "").toUpperCase();
-
-    if (id !== "FINAL" && id !== "THIRD") {
-      return res
-        .status(400)
-        .json({ error: "Invalid finals id. Use FINAL or THIRD." });
-    }
-
-    const mRes = await pool.query(
-      `
-      select team_a_id as "teamAId", team_b_id as "teamBId"
-      from matches
-      where tournament_id = $1 and code = $2 and phase = $3
-      `,
-      [tournamentId, id, id]
-    );
-
-    if (mRes.rowCount === 0) {
-      return res.status(404).json({ error: `${id} match not found.` });
-    }
-
-    const m = mRes.rows[0];
 
-    const clear = parseBool(req.body?.clear);
-    const winnerIdRaw = req.body?.winnerId;
-
-    if (clear) {
-      await clearMatch({ tournamentId, phase: id, code: id });
-      return sendState(tournamentId, res);
-    }
-
-    if (
-      winnerIdRaw !== undefined &&
-      winnerIdRaw !== null &&
-      winnerIdRaw !== ""
-    ) {
-      const w = Number(winnerIdRaw);
-      if (!Number.isInteger(w)) {
-        return res.status(400).json({ error: "winnerId must be an integer." });
-      }
-      const a = Number(m.teamAId);
-      const b = Number(m.teamBId);
-      if (w !== a && w !== b) {
-        return res
-          .status(400)
-          .json({ error: "winnerId must be Team A or Team B for this match." });
-      }
-
-      await setWinnerOnly({ tournamentId, phase: id, code: id, winnerId: w });
-      return sendState(tournamentId, res);
-    }
-
-    const { scoreA, scoreB } = req.body;
-
-    const msg = validatePickleballScore(scoreA, scoreB, {
-      playTo: 15,
-      winBy: 2,
-    });
-    if (msg) return res.status(400).json({ error: msg });
-
-    const winnerId = Number(scoreA) > Number(scoreB) ? m.teamAId : m.teamBId;
-
-    await setScore({
-      tournamentId,
-      phase: id,
-      code: id,
-      scoreA,
-      scoreB,
-      winnerId,
-    });
-
-    return sendState(tournamentId, res);
-  } catch (err) {
-    console.error("Finals score error:", err);
-    res.status(500).json({ error: errToMessage(err) });
-  }
-});
-
-/* -----------------------------
-   Tournament-scoped Players + Team Creation
------------------------------- */
-
-app.get("/api/tournaments/:tid/players", async (req, res) => {
-  const tid = Number(req.params.tid);
-  if (!Number.isInteger(tid) || tid <= 0) {
-    return res.status(400).json({ error: "Invalid tournament id." });
-  }
+app.get("/api/tournaments/:tid/players", async (req, res) => {
+  const tid = Number(req.params.tid);
+  if (!Number.isInteger(tid) || tid <= 0) {
+    return res.status(400).json({ error: "Invalid tournament id." });
+  }
 
   try {
     const q = `
@@ -801,6 +1856,7 @@ app.get("/api/tournaments/:tid/players", async (req, res) => {
         p.dupr_rating as "duprRating",
         p.self_rating as "selfRating",
         p.skill_source as "skillSource",
+        p.gender,
         exists (
           select 1
           from team_players tp
@@ -823,7 +1879,7 @@ app.get("/api/tournaments/:tid/players", async (req, res) => {
     );
   } catch (err) {
     console.error("GET /api/tournaments/:tid/players error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -893,149 +1949,248 @@ app.delete("/api/tournaments/:tid/players/:id", async (req, res) => {
     return res.json({ ok: true, id });
   } catch (err) {
     console.error("DELETE /api/tournaments/:tid/players/:id error:", err);
-    return res.status(500).json({ error: errToMessage(err) });
+    return res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
-app.post(
-  "/api/tournaments/:tid/teams",
-  requireAuth,
-  requireRole("admin"),
-  requireRegistrationUnlocked,
-  async (req, res) => {
-    const tid = Number(req.params.tid);
-    const playerAId = Number(req.body.playerAId);
-    const playerBId = Number(req.body.playerBId);
-    const requestedName = (req.body.teamName ?? "").toString().trim();
+/* -----------------------------
+   Tournament State + Match Endpoints
+------------------------------ */
 
-    if (!Number.isInteger(tid) || tid <= 0) {
-      return res.status(400).json({ error: "Invalid tournament id." });
-    }
-    if (!Number.isInteger(playerAId) || !Number.isInteger(playerBId)) {
-      return res
-        .status(400)
-        .json({ error: "playerAId and playerBId are required." });
-    }
-    if (playerAId === playerBId) {
-      return res.status(400).json({ error: "Pick two different players." });
-    }
+app.get("/api/tournament/state", async (req, res) => {
+  try {
+    const tournamentId = await resolveTournamentId(req);
+    res.json(await getTournamentState(tournamentId));
+  } catch (err) {
+    console.error("State error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
+  }
+});
 
-    const client = await pool.connect();
-    try {
-      await client.query("BEGIN");
+/*
+   PATCH /api/tournament/scoring
+   Body: { tournamentId?, rr?, playoff?, medal? } (scoring profile keys)
+   Applies to scores entered from now on; saved results are left alone.
+*/
+app.patch("/api/tournament/scoring", async (req, res) => {
+  try {
+    const tournamentId = await resolveTournamentId(req);
 
-      const inTournament = await client.query(
-        `
-      select count(*)::int as c
-      from tournament_players
-      where tournament_id = $1
-        and player_id in ($2, $3);
+    const rr = parseScoringProfile(req.body?.rr, undefined);
+    const playoff = parseScoringProfile(req.body?.playoff, undefined);
+    const medal = parseScoringProfile(req.body?.medal, undefined);
+    if (rr === null || playoff === null || medal === null) {
+      return res.status(400).json({
+        error: `Scoring profile must be one of: ${Object.keys(SCORING_PROFILES).join(", ")}.`,
+      });
+    }
+
+    await pool.query(
+      `
+      update tournaments
+      set rr_scoring = coalesce($1, rr_scoring),
+          playoff_scoring = coalesce($2, playoff_scoring),
+          medal_scoring = coalesce($3, medal_scoring)
+      where id = $4;
       `,
-        [tid, playerAId, playerBId]
-      );
+      [rr ?? null, playoff ?? null, medal ?? null, tournamentId]
+    );
 
-      if (inTournament.rows?.[0]?.c !== 2) {
-        throw new Error("Both players must be signed up for this tournament.");
+    return sendState(tournamentId, res);
+  } catch (err) {
+    console.error("Scoring profile error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
+  }
+});
+
+/*
+   PATCH /api/tournament/standings-rules
+   Body: { tournamentId?, tiebreakers?, pointDiffCap?, forfeitScore? }
+   tiebreakers: ordered keys (engine.TIEBREAKERS) or null for the default.
+   forfeitScore: { winner, loser } (e.g. 11-0) or null for "no points".
+   Fields left out keep their saved value.
+*/
+app.patch("/api/tournament/standings-rules", async (req, res) => {
+  try {
+    const tournamentId = await resolveTournamentId(req);
+    const rules = await getStandingsRules(tournamentId);
+    const body = req.body ?? {};
+
+    if (body.tiebreakers !== undefined) {
+      const list = body.tiebreakers;
+      if (
+        list !== null &&
+        (!Array.isArray(list) ||
+          list.some((k) => !engine.TIEBREAKERS.includes(k)) ||
+          new Set(list).size !== list.length)
+      ) {
+        return res.status(400).json({
+          error: `tiebreakers must be a list of distinct keys from: ${engine.TIEBREAKERS.join(", ")}.`,
+        });
       }
+      rules.tiebreakers = list?.length ? list : null;
+    }
 
-      const alreadyOnTeam = await client.query(
-        `
-      select tp.player_id
-      from team_players tp
-      join tournament_teams tt on tt.team_id = tp.team_id
-      where tt.tournament_id = $1
-        and tp.player_id in ($2, $3)
-      limit 1;
-      `,
-        [tid, playerAId, playerBId]
-      );
-      if (alreadyOnTeam.rowCount > 0) {
-        throw new Error(
-          "One of those players is already on a team in this tournament."
-        );
+    if (body.pointDiffCap !== undefined) {
+      const cap =
+        body.pointDiffCap === null || body.pointDiffCap === ""
+          ? null
+          : Number(body.pointDiffCap);
+      if (cap !== null && (!Number.isInteger(cap) || cap < 1)) {
+        return res
+          .status(400)
+          .json({ error: "pointDiffCap must be an integer >= 1." });
       }
+      rules.pointDiffCap = cap;
+    }
 
-      let finalName = requestedName;
-      if (!finalName) {
-        const n = await client.query(
-          `select count(*)::int as c from tournament_teams where tournament_id = $1;`,
-          [tid]
-        );
-        finalName = `SPD-${tid}-Team-${(n.rows?.[0]?.c ?? 0) + 1}`;
+    if (body.forfeitScore !== undefined) {
+      const f = body.forfeitScore;
+      if (f === null) {
+        rules.forfeitScore = null;
+      } else {
+        const winner = Number(f?.winner);
+        const loser = Number(f?.loser ?? 0);
+        if (
+          !Number.isInteger(winner) ||
+          !Number.isInteger(loser) ||
+          loser < 0 ||
+          winner <= loser
+        ) {
+          return res.status(400).json({
+            error:
+              "forfeitScore needs whole numbers with the winner ahead (e.g. 11-0).",
+          });
+        }
+        rules.forfeitScore = { winner, loser };
       }
+    }
 
-      const teamRow = await client.query(
-        `insert into teams(name) values ($1) returning id, name;`,
-        [finalName]
-      );
-      const teamId = teamRow.rows[0].id;
+    await pool.query(
+      `
+      update tournaments
+      set standings_tiebreakers = $1,
+          point_diff_cap = $2,
+          forfeit_score_winner = $3,
+          forfeit_score_loser = $4
+      where id = $5;
+      `,
+      [
+        rules.tiebreakers,
+        rules.pointDiffCap,
+        rules.forfeitScore?.winner ?? null,
+        rules.forfeitScore?.loser ?? 0,
+        tournamentId,
+      ]
+    );
 
-      await client.query(
-        `insert into team_players(team_id, player_id) values ($1, $2), ($1, $3);`,
-        [teamId, playerAId, playerBId]
-      );
+    return sendState(tournamentId, res);
+  } catch (err) {
+    console.error("Standings rules error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
+  }
+});
 
-      await client.query(
-        `insert into tournament_teams(tournament_id, team_id) values ($1, $2);`,
-        [tid, teamId]
-      );
+/*
+   PATCH /api/tournament/playoff-rules
+   Body: { tournamentId?, teamCount?, advancePerPool?, wildcards?, thirdPlace?,
+           reseed?, avoidRematches? }
+   Saved rules are the defaults for /api/playoffs/generate. They shape the
+   bracket, so they can't change while playoffs exist.
+*/
+app.patch("/api/tournament/playoff-rules", async (req, res) => {
+  try {
+    const tournamentId = await resolveTournamentId(req);
 
-      await client.query("COMMIT");
-      res.json({
-        ok: true,
-        tournamentId: tid,
-        team: { id: teamId, name: finalName },
+    const existing = await pool.query(
+      `
+      select 1 from matches
+      where tournament_id = $1 and phase not in ('RR', 'DUAL')
+      limit 1;
+      `,
+      [tournamentId]
+    );
+    if (existing.rowCount > 0) {
+      return res.status(409).json({
+        error: "Reset playoffs before changing the playoff rules.",
       });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error("POST /api/tournaments/:tid/teams error:", err);
-      res.status(400).json({ error: errToMessage(err) });
-    } finally {
-      client.release();
     }
-  }
-);
 
-/* -----------------------------
-   Tournament State + Match Endpoints
------------------------------- */
+    const parsed = parsePlayoffRules(
+      req.body,
+      await getPlayoffRules(tournamentId)
+    );
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-app.get("/api/tournament/state", async (req, res) => {
+    await savePlayoffRules(tournamentId, parsed.rules);
+
+    return sendState(tournamentId, res);
+  } catch (err) {
+    console.error("Playoff rules error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
+  }
+});
+
+/*
+   POST /api/tournament/teams/:teamId/withdraw
+   Body: { tournamentId?, results: "keep" | "void" }
+   The team's unplayed matches are forfeited to its opponents (bracket matches
+   it would reach later too) and it leaves the standings and the queue.
+   results: whether its played round robin results still count for the
+   teams it met. Calling it again only changes that choice.
+*/
+app.post("/api/tournament/teams/:teamId/withdraw", async (req, res) => {
   try {
     const tournamentId = await resolveTournamentId(req);
+    const teamId = Number(req.params.teamId);
+    if (!Number.isInteger(teamId)) {
+      return res.status(400).json({ error: "teamId must be an integer." });
+    }
 
-    const teams = await getTeamsForTournament(tournamentId);
-    const rrMatches = await getMatchesForTournamentByPhase(tournamentId, [
-      "RR",
-    ]);
-    const semis = await getMatchesForTournamentByPhase(tournamentId, ["SF"]);
-    const finals = await getMatchesForTournamentByPhase(tournamentId, [
-      "FINAL",
-      "THIRD",
-    ]);
+    const results = req.body?.results;
+    if (results !== "keep" && results !== "void") {
+      return res
+        .status(400)
+        .json({ error: 'results must be "keep" or "void".' });
+    }
 
-    const standings = engine.computeStandings(
-      teams.map((t) => t.id),
-      rrMatches
+    const started = await pool.query(
+      `select 1 from matches where tournament_id = $1 and phase <> 'DUAL' limit 1;`,
+      [tournamentId]
     );
+    if (started.rowCount === 0) {
+      return res.status(409).json({
+        error:
+          "No matches have been scheduled yet. Remove the team from the tournament instead.",
+      });
+    }
 
-    const placementsRaw = computePlacementsFromMatches({ semis, finals });
-    const placements = decoratePlacementsWithTeamNames(placementsRaw, teams);
-    const queue = computeQueue([...rrMatches, ...semis, ...finals]);
+    const updated = await pool.query(
+      `
+      update tournament_teams
+      set withdrawn_at = coalesce(withdrawn_at, now()),
+          withdrawn_results = $3
+      where tournament_id = $1 and team_id = $2;
+      `,
+      [tournamentId, teamId, results]
+    );
+    if (updated.rowCount === 0) {
+      return res
+        .status(404)
+        .json({ error: `Team ${teamId} is not in this tournament.` });
+    }
 
-    res.json({
-      teams,
-      rrMatches,
-      standings,
-      semis,
-      finals,
-      placements,
-      queue,
+    const forfeited = await forfeitWithdrawnMatches(
       tournamentId,
-    });
+      sessionUserId(req)
+    );
+    await syncPlayoffBracket(tournamentId);
+
+    const state = await getTournamentState(tournamentId);
+    return res.json({ ok: true, ...state, forfeited });
   } catch (err) {
-    console.error("State error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    console.error("Withdraw team error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1045,10 +2200,27 @@ app.post("/api/tournament/reset", async (req, res) => {
     await pool.query(`delete from matches where tournament_id = $1;`, [
       tournamentId,
     ]);
+    await pool.query(`delete from playoff_seeds where tournament_id = $1;`, [
+      tournamentId,
+    ]);
+    await pool.query(
+      `
+      update tournament_teams
+      set pool = null,
+          withdrawn_at = null,
+          withdrawn_results = null
+      where tournament_id = $1;
+      `,
+      [tournamentId]
+    );
+    await pool.query(
+      `update tournaments set swiss_rounds = null where id = $1;`,
+      [tournamentId]
+    );
     res.json({ ok: true, tournamentId });
   } catch (err) {
     console.error("Reset error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1063,7 +2235,56 @@ app.post("/api/roundrobin/generate", async (req, res) => {
       });
     }
 
-    const maxGamesPerTeam = teams.length - 1;
+    const poolsRaw = req.body?.pools;
+    const poolCount =
+      poolsRaw === undefined || poolsRaw === null || poolsRaw === ""
+        ? 1
+        : Number(poolsRaw);
+
+    if (!Number.isInteger(poolCount) || poolCount < 1) {
+      return res.status(400).json({ error: "pools must be an integer >= 1." });
+    }
+    if (poolCount > 1 && teams.length < poolCount * 2) {
+      return res.status(409).json({
+        error: `Need at least ${poolCount * 2} teams for ${poolCount} pools (2 per pool).`,
+      });
+    }
+
+    const poolSeeding = req.body?.poolSeeding ?? "seed";
+    if (!["seed", "rating", "random"].includes(poolSeeding)) {
+      return res.status(400).json({
+        error: 'poolSeeding must be "seed", "rating" or "random".',
+      });
+    }
+
+    // every random draw below comes from the tournament's stored seed
+    const randomSeed = await resolveRandomSeed(tournamentId, req.body?.seed);
+    if (!randomSeed) {
+      return res
+        .status(400)
+        .json({ error: "seed must be a string of 1-64 characters." });
+    }
+
+    // team rating = average player DUPR (pool seeding, opponent balancing)
+    const ratings = await getTeamRatings(tournamentId);
+
+    // Pools are snake-drafted from the seed order, team rating or a random draw
+    let poolList = null;
+    if (poolCount > 1) {
+      let ordered = teams;
+      if (poolSeeding === "rating") {
+        const ratingOf = (t) => ratings.get(String(t.id)) ?? -1;
+        ordered = [...teams].sort((a, b) => ratingOf(b) - ratingOf(a));
+      } else if (poolSeeding === "random") {
+        ordered = engine.shuffle(teams, rngFor(randomSeed, "pools"));
+      }
+      poolList = engine.assignPoolsSnake(ordered, poolCount);
+    }
+
+    // with pools, smaller pools are capped at their own size in the engine
+    const maxGamesPerTeam = poolList
+      ? Math.max(...poolList.map((p) => p.teams.length)) - 1
+      : teams.length - 1;
 
     const raw = req.body?.gamesPerTeam;
     const hasExplicitGamesPerTeam =
@@ -1092,103 +2313,562 @@ app.post("/api/roundrobin/generate", async (req, res) => {
     const startTime = parseISODate(req.body?.startTimeISO);
     const endTime = parseISODate(req.body?.endTimeISO);
 
-    const rrMatches = engine.generateRoundRobinSchedule(teams, gamesPerTeam);
+    const matchFormat = parseMatchFormat(req.body?.matchFormat, "single");
+    if (!matchFormat) {
+      return res.status(400).json({
+        error: `matchFormat must be one of: ${Object.keys(MATCH_FORMATS).join(", ")}.`,
+      });
+    }
+
+    const opponentBalance = req.body?.opponentBalance ?? "random";
+    if (opponentBalance !== "random" && opponentBalance !== "rating") {
+      return res
+        .status(400)
+        .json({ error: 'opponentBalance must be "random" or "rating".' });
+    }
+
+    // with "rating", partial round robins even out strength of schedule
+    const scheduleOptions = {
+      rng: rngFor(randomSeed, "rr"),
+      ...(opponentBalance === "rating" ? { ratings } : {}),
+    };
+
+    const rrMatches = poolList
+      ? engine.generatePoolPlaySchedule(poolList, gamesPerTeam, scheduleOptions)
+      : engine.generateRoundRobinSchedule(teams, gamesPerTeam, scheduleOptions);
+
+    let scheduled = rrMatches.map((m) => ({
+      ...m,
+      startTime: null,
+      court: null,
+    }));
+
+    let timeline = null;
+
+    // every check runs before the old schedule is touched
+    if (startTime && endTime) {
+      if (!Number.isInteger(courts) || courts < 1) {
+        return res.status(400).json({ error: "courts must be an integer >= 1." });
+      }
+      if (slotMinutes <= 0) {
+        return res.status(400).json({ error: "slotMinutes must be > 0." });
+      }
+      if (endTime <= startTime) {
+        return res
+          .status(400)
+          .json({ error: "endTimeISO must be after startTimeISO." });
+      }
+
+      const totalMinutes = minutesBetween(startTime, endTime);
+      const slots = Math.floor(totalMinutes / slotMinutes);
+
+      // slots follow the rounds; a team never plays twice in one slot
+      const slotted = engine.assignRoundSlots(rrMatches, courts);
+      const slotsNeeded = Math.max(...slotted.map((m) => m.slot)) + 1;
+      if (slotsNeeded > slots) {
+        const minimum = engine.minimumSlots(rrMatches, courts);
+        return res.status(409).json({
+          error: engine.explainScheduleShortfall({
+            teams,
+            matchCount: rrMatches.length,
+            courts,
+            slots,
+            slotMinutes,
+            slotsNeeded,
+            minimum,
+          }),
+          details: {
+            slotsAvailable: slots,
+            slotsNeeded,
+            minimumSlots: minimum.slots,
+            extraMinutesNeeded: (slotsNeeded - slots) * slotMinutes,
+          },
+        });
+      }
+
+      const timeOf = (slot) =>
+        addMinutes(startTime, slot * slotMinutes).toISOString();
+      scheduled = slotted.map(({ slot, ...m }) => ({
+        ...m,
+        startTime: timeOf(slot),
+      }));
+
+      const nameById = new Map(teams.map((t) => [String(t.id), t.name]));
+      timeline = engine.teamTimelines(slotted).map((t) => ({
+        teamId: t.teamId,
+        teamName: nameById.get(t.teamId) ?? null,
+        matches: t.matches.map(({ slot, ...m }) => ({
+          ...m,
+          startTime: timeOf(slot),
+          opponentName: nameById.get(m.opponentId) ?? null,
+        })),
+        firstStartTime: timeOf(t.firstSlot),
+        lastStartTime: timeOf(t.lastSlot),
+        idleMinutes: t.idleSlots * slotMinutes,
+        longestWaitMinutes: t.longestWait * slotMinutes,
+      }));
+    }
+
+    // replace the old schedule in one go so a failure leaves it intact
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+
+      await client.query(
+        `delete from matches where tournament_id = $1 and phase = 'RR';`,
+        [tournamentId]
+      );
+      await deletePlayoffs(tournamentId, client);
+
+      await client.query(
+        `
+        update tournament_teams
+        set pool = null,
+            withdrawn_at = null,
+            withdrawn_results = null
+        where tournament_id = $1;
+        `,
+        [tournamentId]
+      );
+      await client.query(
+        `
+        update tournaments
+        set swiss_rounds = null,
+            rr_match_format = $2
+        where id = $1;
+        `,
+        [tournamentId, matchFormat]
+      );
+      for (const p of poolList ?? []) {
+        await client.query(
+          `
+          update tournament_teams
+          set pool = $1
+          where tournament_id = $2 and team_id = any($3::bigint[]);
+          `,
+          [p.pool, tournamentId, p.teams.map((t) => t.id)]
+        );
+      }
+
+      if (scheduled.length > 0) {
+        const params = [];
+        const chunks = [];
+        let i = 1;
+
+        for (const m of scheduled) {
+          chunks.push(
+            `($${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++})`
+          );
+          params.push(
+            tournamentId,
+            m.id,
+            "RR",
+            m.teamAId,
+            m.teamBId,
+            m.startTime ? m.startTime : null,
+            m.court ? m.court : null,
+            m.pool ?? null,
+            m.round ?? null,
+            "pending"
+          );
+        }
+
+        await client.query(
+          `
+          insert into matches (
+            tournament_id, code, phase, team_a_id, team_b_id, start_time, court, pool, round, status
+          )
+          values ${chunks.join(", ")}
+          `,
+          params
+        );
+      }
+
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback");
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const poolByTeam = new Map();
+    for (const p of poolList ?? []) {
+      for (const t of p.teams) poolByTeam.set(String(t.id), p.pool);
+    }
+
+    res.json({
+      teams: teams.map((t) => ({
+        ...t,
+        pool: poolByTeam.get(String(t.id)) ?? null,
+      })),
+      matches: scheduled.map((m) => ({ ...m, status: "pending" })),
+      tournamentId,
+      meta: {
+        teamsCount: teams.length,
+        gamesPerTeam,
+        maxGamesPerTeam,
+        rrMatchesCount: scheduled.length,
+        randomSeed,
+        poolSeeding,
+        opponentBalance,
+        strengthOfSchedule: engine
+          .strengthOfSchedule(rrMatches, ratings)
+          .map((row) => ({
+            ...row,
+            teamName:
+              teams.find((t) => String(t.id) === row.teamId)?.name ?? null,
+          })),
+        pools: (poolList ?? []).map((p) => ({
+          pool: p.pool,
+          teamIds: p.teams.map((t) => t.id),
+        })),
+      },
+      schedule:
+        startTime && endTime
+          ? {
+              startTimeISO: startTime.toISOString(),
+              endTimeISO: endTime.toISOString(),
+              slotMinutes,
+              courts,
+              timeline,
+            }
+          : null,
+    });
+  } catch (err) {
+    console.error("RR generate error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
+  }
+});
+
+/*
+   POST /api/roundrobin/add-team
+   Body: { tournamentId?, teamId, pool?, gamesPerTeam?, preview? }
+   Slots a team that joined after the round robin started into the pending
+   rounds without touching completed or on-court matches (see
+   engine.scheduleLateTeam). pool: which pool it joins with pool play
+   (default: the smallest). preview: true returns the diff
+   ({ remove, add, games }) without saving; the same body then commits it.
+*/
+app.post("/api/roundrobin/add-team", async (req, res) => {
+  try {
+    const tournamentId = await resolveTournamentId(req);
+    const teamId = Number(req.body?.teamId);
+    if (!Number.isInteger(teamId)) {
+      return res.status(400).json({ error: "teamId must be an integer." });
+    }
+
+    const teams = await getTeamsForTournament(tournamentId);
+    const team = teams.find((t) => Number(t.id) === teamId);
+    if (!team) {
+      return res
+        .status(404)
+        .json({ error: `Team ${teamId} is not in this tournament.` });
+    }
+    if (team.withdrawnAt) {
+      return res.status(409).json({ error: "That team has withdrawn." });
+    }
+
+    const rrMatches = await getMatchesForTournamentByPhase(tournamentId, [
+      "RR",
+    ]);
+    if (rrMatches.length === 0) {
+      return res.status(409).json({
+        error:
+          "There's no round robin yet. Generate it and every team is included.",
+      });
+    }
+    if (await getSwissRounds(tournamentId)) {
+      return res.status(409).json({
+        error:
+          "Swiss rounds are paired from the standings; new teams join at the next round.",
+      });
+    }
+    if ((await getPlayoffMatches(tournamentId)).length > 0) {
+      return res
+        .status(409)
+        .json({ error: "Playoffs already started. Reset playoffs first." });
+    }
+    const scheduled = rrMatches.some((m) =>
+      [String(m.teamAId), String(m.teamBId)].includes(String(teamId))
+    );
+    if (scheduled) {
+      return res
+        .status(409)
+        .json({ error: "That team is already on the schedule." });
+    }
+
+    // with pool play the team joins one pool and only meets its teams
+    const pools = getPoolsFromTeams(teams);
+    let poolName = null;
+    if (pools.length > 0) {
+      const requested = req.body?.pool;
+      const target =
+        requested === undefined || requested === null || requested === ""
+          ? [...pools].sort((a, b) => a.teamIds.length - b.teamIds.length)[0]
+          : pools.find((p) => p.pool === String(requested));
+      if (!target) {
+        return res.status(400).json({
+          error: `pool must be one of: ${pools.map((p) => p.pool).join(", ")}.`,
+        });
+      }
+      poolName = target.pool;
+    }
+
+    const active = new Set(
+      teams.filter((t) => !t.withdrawnAt).map((t) => String(t.id))
+    );
+    const opponentIds = (
+      poolName ? pools.find((p) => p.pool === poolName).teamIds : [...active]
+    )
+      .map((id) => String(id))
+      .filter((id) => id !== String(teamId) && active.has(id));
+    if (opponentIds.length === 0) {
+      return res.status(409).json({ error: "There's nobody left to play." });
+    }
+
+    const rawGames = req.body?.gamesPerTeam;
+    let gamesPerTeam;
+    if (rawGames !== undefined && rawGames !== null && rawGames !== "") {
+      gamesPerTeam = Number(rawGames);
+      if (!Number.isInteger(gamesPerTeam) || gamesPerTeam < 1) {
+        return res
+          .status(400)
+          .json({ error: "gamesPerTeam must be an integer >= 1." });
+      }
+    }
+
+    // the stored seed keeps the preview and the commit identical
+    const randomSeed = await resolveRandomSeed(tournamentId);
+    const plan = engine.scheduleLateTeam(teamId, rrMatches, {
+      opponentIds,
+      gamesPerTeam,
+      pool: poolName,
+      rng: rngFor(randomSeed, `late:${teamId}`),
+    });
+
+    const diff = {
+      teamId: String(teamId),
+      pool: poolName,
+      gamesPerTeam: plan.gamesPerTeam,
+      remove: plan.remove,
+      add: plan.add,
+      games: plan.games,
+    };
+    if (parseBool(req.body?.preview)) {
+      return res.json({ ok: true, preview: true, tournamentId, ...diff });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+
+      const removeCodes = plan.remove.map((m) => m.id);
+      const removed = await client.query(
+        `
+        delete from matches
+        where tournament_id = $1
+          and phase = 'RR'
+          and code = any($2::text[])
+          and status = 'pending'
+          and winner_id is null;
+        `,
+        [tournamentId, removeCodes]
+      );
+      if (removed.rowCount !== removeCodes.length) {
+        await client.query("rollback");
+        return res.status(409).json({
+          error: "The schedule changed since the preview. Preview again.",
+        });
+      }
+
+      for (const m of plan.add) {
+        await client.query(
+          `
+          insert into matches (
+            tournament_id, code, phase, team_a_id, team_b_id, start_time,
+            court, pool, round, status
+          )
+          values ($1, $2, 'RR', $3, $4, $5, $6, $7, $8, 'pending');
+          `,
+          [
+            tournamentId,
+            m.id,
+            m.teamAId,
+            m.teamBId,
+            m.startTime,
+            m.court,
+            m.pool,
+            m.round,
+          ]
+        );
+      }
+
+      await client.query(
+        `
+        update tournament_teams
+        set pool = $3
+        where tournament_id = $1 and team_id = $2;
+        `,
+        [tournamentId, teamId, poolName]
+      );
+
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback");
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const state = await getTournamentState(tournamentId);
+    return res.json({ ok: true, ...state, lateTeam: diff });
+  } catch (err) {
+    console.error("RR add team error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
+  }
+});
+
+/*
+   Swiss: pair the next round from the scored RR matches.
+   Body (round 1 only): { tournamentId?, rounds?, pairing?, seed? }
+   - rounds: planned number of Swiss rounds, default ceil(log2(teams))
+   - pairing: "seed" (default) or "random"
+   - seed: replaces the tournament's random seed (random pairing draws from it)
+*/
+app.post("/api/swiss/next-round", async (req, res) => {
+  try {
+    const tournamentId = await resolveTournamentId(req);
+    const teams = await getTeamsForTournament(tournamentId);
+
+    if (teams.length < 2) {
+      return res
+        .status(409)
+        .json({ error: "You need at least 2 teams for a Swiss event." });
+    }
 
-    await pool.query(
-      `delete from matches where tournament_id = $1 and phase = 'RR';`,
-      [tournamentId]
-    );
-    await pool.query(
-      `delete from matches where tournament_id = $1 and phase in ('SF','FINAL','THIRD');`,
-      [tournamentId]
-    );
+    const playoffs = await getPlayoffMatches(tournamentId);
+    if (playoffs.length > 0) {
+      return res
+        .status(409)
+        .json({ error: "Playoffs already started. Reset playoffs first." });
+    }
 
-    let scheduled = rrMatches.map((m) => ({
-      ...m,
-      startTime: null,
-      court: null,
-    }));
+    const rrMatches = await getMatchesForTournamentByPhase(tournamentId, [
+      "RR",
+    ]);
+    let swissRounds = await getSwissRounds(tournamentId);
 
-    if (startTime && endTime) {
-      const totalMinutes = minutesBetween(startTime, endTime);
-      const slots = Math.floor(totalMinutes / slotMinutes);
-      const capacity = slots * courts;
+    if (rrMatches.length > 0 && !swissRounds) {
+      return res.status(409).json({
+        error:
+          "This tournament already has a round robin schedule. Reset matches before starting Swiss.",
+      });
+    }
 
-      if (rrMatches.length > capacity) {
-        return res.status(409).json({
-          error: `Schedule won't fit: ${rrMatches.length} matches > capacity ${capacity} (${slots} slots x ${courts} courts).`,
-        });
-      }
+    const pending = rrMatches.filter((m) => !m.winnerId);
+    const currentRound = Math.max(0, ...rrMatches.map((m) => m.round ?? 0));
 
-      scheduled = rrMatches.map((m, idx) => {
-        const slotIndex = Math.floor(idx / courts);
-        const court = (idx % courts) + 1;
-        const st = addMinutes(startTime, slotIndex * slotMinutes);
-        return { ...m, startTime: st.toISOString(), court };
+    if (pending.length > 0) {
+      return res.status(409).json({
+        error: `Round ${currentRound} isn't complete yet. Missing winners for: ${pending
+          .map((m) => m.id)
+          .join(", ")}`,
       });
     }
 
-    if (scheduled.length > 0) {
-      const params = [];
-      const chunks = [];
-      let i = 1;
+    if (currentRound === 0) {
+      const rawRounds = req.body?.rounds;
+      swissRounds =
+        rawRounds === undefined || rawRounds === null || rawRounds === ""
+          ? Math.max(1, Math.ceil(Math.log2(teams.length)))
+          : Number(rawRounds);
+
+      // odd fields get a bye each round, so one extra round fits
+      const maxRounds = teams.length % 2 ? teams.length : teams.length - 1;
+      if (
+        !Number.isInteger(swissRounds) ||
+        swissRounds < 1 ||
+        swissRounds > maxRounds
+      ) {
+        return res.status(400).json({
+          error: `rounds must be an integer between 1 and ${maxRounds}.`,
+        });
+      }
 
-      for (const m of scheduled) {
-        chunks.push(
-          `($${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++})`
-        );
-        params.push(
-          tournamentId,
-          m.id,
-          "RR",
-          m.teamAId,
-          m.teamBId,
-          m.startTime ? m.startTime : null,
-          m.court ? m.court : null,
-          "pending"
-        );
+      const matchFormat = parseMatchFormat(req.body?.matchFormat, "single");
+      if (!matchFormat) {
+        return res.status(400).json({
+          error: `matchFormat must be one of: ${Object.keys(MATCH_FORMATS).join(", ")}.`,
+        });
       }
 
       await pool.query(
         `
-        insert into matches (
-          tournament_id, code, phase, team_a_id, team_b_id, start_time, court, status
-        )
-        values ${chunks.join(", ")}
+        update tournaments
+        set swiss_rounds = $1,
+            rr_match_format = $2
+        where id = $3;
         `,
-        params
+        [swissRounds, matchFormat, tournamentId]
       );
+    } else if (currentRound >= swissRounds) {
+      return res
+        .status(409)
+        .json({ error: `All ${swissRounds} Swiss rounds have been played.` });
     }
 
-    res.json({
-      teams,
-      matches: scheduled.map((m) => ({ ...m, status: "pending" })),
-      tournamentId,
-      meta: {
-        teamsCount: teams.length,
-        gamesPerTeam,
-        maxGamesPerTeam,
-        rrMatchesCount: scheduled.length,
-      },
-      schedule:
-        startTime && endTime
-          ? {
-              startTimeISO: startTime.toISOString(),
-              endTimeISO: endTime.toISOString(),
-              slotMinutes,
-              courts,
-            }
-          : null,
+    const pairing = req.body?.pairing === "random" ? "random" : "seed";
+    const randomSeed = await resolveRandomSeed(tournamentId, req.body?.seed);
+    if (!randomSeed) {
+      return res
+        .status(400)
+        .json({ error: "seed must be a string of 1-64 characters." });
+    }
+
+    let round;
+    try {
+      round = engine.generateSwissRound(
+        teams.filter((t) => !t.withdrawnAt).map((t) => t.id),
+        rrMatches,
+        {
+          pairing,
+          rng: rngFor(randomSeed, `swiss:${currentRound + 1}`),
+          standings: await getStandingsOptions(tournamentId),
+        }
+      );
+    } catch (e) {
+      return res.status(409).json({ error: errToMessage(e) });
+    }
+
+    const nextRound = currentRound + 1;
+    const params = [tournamentId, nextRound];
+    const chunks = round.pairs.map(([teamAId, teamBId], idx) => {
+      params.push(`RR-${rrMatches.length + idx + 1}`, teamAId, teamBId);
+      return `($1, $${params.length - 2}, 'RR', $${params.length - 1}, $${params.length}, $2, 'pending')`;
     });
+
+    await pool.query(
+      `
+      insert into matches (
+        tournament_id, code, phase, team_a_id, team_b_id, round, status
+      )
+      values ${chunks.join(", ")};
+      `,
+      params
+    );
+
+    const state = await getTournamentState(tournamentId);
+    return res.json({ ok: true, ...state, round: nextRound, bye: round.bye });
   } catch (err) {
-    console.error("RR generate error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    console.error("Swiss next round error:", err);
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
 app.patch("/api/roundrobin/matches/:code/score", async (req, res) => {
   const { code } = req.params;
-  const { scoreA, scoreB, winnerId: winnerIdRaw } = req.body;
+  const { winnerId: winnerIdRaw } = req.body;
 
   try {
     const tournamentId = await resolveTournamentId(req);
@@ -1207,6 +2887,9 @@ app.patch("/api/roundrobin/matches/:code/score", async (req, res) => {
     if (mRes.rowCount === 0) {
       return res.status(404).json({ error: `RR match not found: ${code}` });
     }
+    if (await playoffsSeeded(tournamentId)) {
+      return res.status(409).json({ error: rrLockedMessage(code) });
+    }
 
     const m = mRes.rows[0];
 
@@ -1228,47 +2911,35 @@ app.patch("/api/roundrobin/matches/:code/score", async (req, res) => {
         });
       }
 
-      await pool.query(
-        `
-        update matches
-        set score_a = null,
-            score_b = null,
-            winner_id = $1,
-            status = 'completed'
-        where tournament_id = $2
-          and code = $3
-          and phase = 'RR'
-        `,
-        [w, tournamentId, code]
-      );
-    } else {
-      const msg = validatePickleballScore(scoreA, scoreB, {
-        playTo: 11,
-        winBy: 2,
+      await setWinnerOnly({
+        tournamentId,
+        phase: "RR",
+        code,
+        winnerId: w,
+        userId: sessionUserId(req),
       });
-      if (msg) return res.status(400).json({ error: msg });
-
-      const winnerId = scoreA > scoreB ? m.teamAId : m.teamBId;
+    } else {
+      const { rr: format } = await getMatchFormats(tournamentId);
+      const { rr: profile } = await getScoringProfiles(tournamentId);
+      const result = parseMatchResult(req.body, format, scoringRules(profile));
+      if (result.error) return res.status(400).json({ error: result.error });
 
-      await pool.query(
-        `
-        update matches
-        set score_a = $1,
-            score_b = $2,
-            winner_id = $3,
-            status = 'completed'
-        where tournament_id = $4
-          and code = $5
-          and phase = 'RR'
-        `,
-        [scoreA, scoreB, winnerId, tournamentId, code]
-      );
+      await setScore({
+        tournamentId,
+        phase: "RR",
+        code,
+        scoreA: result.scoreA,
+        scoreB: result.scoreB,
+        winnerId: result.winner === "A" ? m.teamAId : m.teamBId,
+        games: result.games,
+        userId: sessionUserId(req),
+      });
     }
 
     return sendState(tournamentId, res);
   } catch (err) {
     console.error("RR score error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1328,19 +2999,17 @@ app.post("/api/matches/:code/on-court", async (req, res) => {
       });
     }
 
-    await pool.query(
-      `
-      update matches
-      set status = 'on_court'
-      where tournament_id = $1 and code = $2
-      `,
-      [tournamentId, code]
-    );
+    await setMatchStatus({
+      tournamentId,
+      code,
+      status: "on_court",
+      userId: sessionUserId(req),
+    });
 
     return sendState(tournamentId, res);
   } catch (err) {
     console.error("Mark on court error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1349,24 +3018,505 @@ app.post("/api/matches/:code/reset-status", async (req, res) => {
     const tournamentId = await resolveTournamentId(req);
     const code = String(req.params.code || "").trim();
 
-    await pool.query(
-      `
-      update matches
-      set status = 'pending'
-      where tournament_id = $1
-        and code = $2
-        and winner_id is null
-      `,
-      [tournamentId, code]
-    );
+    await setMatchStatus({
+      tournamentId,
+      code,
+      status: "pending",
+      userId: sessionUserId(req),
+    });
 
     return sendState(tournamentId, res);
   } catch (err) {
     console.error("Reset match status error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
+/* -----------------------------
+   Match history (event log)
+------------------------------ */
+
+/*
+   GET /api/matches/:code/history
+   Every logged change to the match, oldest first, with who made it.
+*/
+app.get(
+  "/api/matches/:code/history",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const code = String(req.params.code || "").trim();
+
+      const current = await getMatchSnapshot(tournamentId, code);
+      if (!current) return res.status(404).json({ error: "Match not found." });
+
+      const r = await pool.query(
+        `
+        select
+          e.id,
+          e.kind,
+          e.old_value as "oldValue",
+          e.new_value as "newValue",
+          e.user_id as "userId",
+          u.email as "userEmail",
+          e.created_at as "createdAt"
+        from match_events e
+        left join users u on u.id = e.user_id
+        where e.tournament_id = $1 and e.match_id = $2
+        order by e.id;
+        `,
+        [tournamentId, current.matchId]
+      );
+
+      res.json({
+        ok: true,
+        tournamentId,
+        code,
+        current: current.snapshot,
+        events: r.rows,
+      });
+    } catch (err) {
+      console.error("Match history error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  }
+);
+
+/*
+   POST /api/matches/:code/revert
+   Body: { tournamentId?, eventId, version?: "after" | "before" }
+   Puts the match back the way it was right after (default) or right before
+   a logged change. The revert is logged too; standings and the bracket
+   follow from the restored result.
+*/
+app.post(
+  "/api/matches/:code/revert",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const code = String(req.params.code || "").trim();
+
+      const eventId = Number(req.body?.eventId);
+      if (!Number.isInteger(eventId)) {
+        return res.status(400).json({ error: "eventId must be an integer." });
+      }
+      const version = req.body?.version ?? "after";
+      if (version !== "after" && version !== "before") {
+        return res
+          .status(400)
+          .json({ error: 'version must be "after" or "before".' });
+      }
+
+      const mRes = await pool.query(
+        `
+        select id, phase, bracket
+        from matches
+        where tournament_id = $1 and code = $2;
+        `,
+        [tournamentId, code]
+      );
+      if (mRes.rowCount === 0) {
+        return res.status(404).json({ error: "Match not found." });
+      }
+      const m = mRes.rows[0];
+
+      const eRes = await pool.query(
+        `
+        select old_value as "oldValue", new_value as "newValue"
+        from match_events
+        where id = $1 and tournament_id = $2 and match_id = $3;
+        `,
+        [eventId, tournamentId, m.id]
+      );
+      if (eRes.rowCount === 0) {
+        return res
+          .status(404)
+          .json({ error: `No change ${eventId} for match ${code}.` });
+      }
+      if (m.phase === "RR" && (await playoffsSeeded(tournamentId))) {
+        return res.status(409).json({ error: rrLockedMessage(code) });
+      }
+
+      const target =
+        version === "before" ? eRes.rows[0].oldValue : eRes.rows[0].newValue;
+      if (!target) {
+        return res.status(400).json({ error: "That version wasn't recorded." });
+      }
+
+      const { snapshot: current } = await getMatchSnapshot(tournamentId, code);
+      if (
+        String(target.teamAId) !== String(current.teamAId) ||
+        String(target.teamBId) !== String(current.teamBId)
+      ) {
+        return res.status(409).json({
+          error: "The teams in this match have changed since that version.",
+        });
+      }
+
+      if (m.phase !== "RR") {
+        const downstream = scoredDownstreamMatch(
+          await getBracketFor(tournamentId, m.bracket),
+          code
+        );
+        if (downstream) {
+          return res.status(409).json({
+            error: `${downstream.id} already has a result. Clear it (or reset playoffs) before changing ${code}.`,
+          });
+        }
+      }
+
+      // the bracket follows in the same transaction, or neither changes
+      await withTransaction(async (client) => {
+        await writeMatchResult(
+          {
+            tournamentId,
+            phase: m.phase,
+            code,
+            scoreA: target.scoreA,
+            scoreB: target.scoreB,
+            winnerId: target.winnerId,
+            status: target.status,
+            games: target.games,
+            kind: "revert",
+            userId: sessionUserId(req),
+          },
+          client
+        );
+        if (m.phase !== "RR") await syncPlayoffBracket(tournamentId, client);
+      });
+
+      return sendState(tournamentId, res);
+    } catch (err) {
+      console.error("Match revert error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  }
+);
+
+/* -----------------------------
+   Result corrections (after playoffs advance)
+------------------------------ */
+
+/**
+ * What correcting `match` to `corrected` would change in the playoffs:
+ * the seeds that move (round robin corrections only) and every downstream
+ * bracket match that gets cleared, re-paired or dropped.
+ *
+ * `key` fingerprints the current state plus the impact, so a commit can
+ * check it applies exactly what the admin previewed.
+ */
+async function getCorrectionImpact(
+  { tournamentId, match, code, corrected, mode },
+  db = pool
+) {
+  const rules = await getPlayoffRules(tournamentId, db);
+  const seeds = {
+    main: await getPlayoffSeeds(tournamentId, "main", db),
+    consolation: await getPlayoffSeeds(tournamentId, "consolation", db),
+  };
+
+  let nextSeeds = seeds;
+  const seedChanges = [];
+  if (match.phase === "RR" && seeds.main.length >= 2) {
+    const rrMatches = (
+      await getMatchesForTournamentByPhase(tournamentId, ["RR"], db)
+    ).map((m) => (m.id === code ? { ...m, ...corrected } : m));
+
+    const seeding = seedPlayoffs({
+      teams: await getTeamsForTournament(tournamentId, db),
+      rrMatches,
+      standingsOptions: await getStandingsOptions(tournamentId, db),
+      rules,
+      format: (await getPlayoffFormat(tournamentId, db)).format,
+      consolation: seeds.consolation.length > 0,
+      consolationTeamCount: seeds.consolation.length || undefined,
+    });
+    if (seeding.error) return { error: seeding.error };
+
+    nextSeeds = {
+      main: seeding.seeded,
+      consolation: seeding.consolationSeeded,
+    };
+    for (const bracket of ["main", "consolation"]) {
+      if (nextSeeds[bracket].length !== seeds[bracket].length) {
+        return {
+          error:
+            "The corrected standings change how many teams qualify. Reset playoffs instead.",
+        };
+      }
+      nextSeeds[bracket].forEach((teamId, idx) => {
+        if (teamId !== seeds[bracket][idx]) {
+          seedChanges.push({
+            bracket,
+            seed: idx + 1,
+            before: seeds[bracket][idx],
+            after: teamId,
+          });
+        }
+      });
+    }
+  }
+
+  const changes = [];
+  for (const bracketName of ["main", "consolation"]) {
+    const inBracket = match.phase !== "RR" && match.bracket === bracketName;
+    const seedsMoved = seedChanges.some((c) => c.bracket === bracketName);
+    if (!inBracket && !seedsMoved) continue;
+
+    const stored = await getPlayoffMatches(tournamentId, bracketName, db);
+    const bracket = await getBracketFor(tournamentId, bracketName, stored, db);
+    if (!bracket) continue;
+
+    let clear = null;
+    if (mode === "clear") clear = inBracket ? [code] : true;
+
+    const impact = engine.bracketCorrectionImpact(
+      bracket.plan,
+      nextSeeds[bracketName],
+      inBracket
+        ? stored.map((m) => (m.id === code ? { ...m, ...corrected } : m))
+        : stored,
+      { reseed: bracketName === "main" && rules.reseed, clear }
+    );
+    changes.push(
+      ...impact.changes.map((c) => ({ ...c, bracket: bracketName }))
+    );
+  }
+
+  const key = crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify([
+        code,
+        mode,
+        match.scoreA,
+        match.scoreB,
+        match.winnerId,
+        corrected,
+        seedChanges,
+        changes,
+      ])
+    )
+    .digest("hex");
+
+  return { seeds: nextSeeds, seedChanges, changes, key };
+}
+
+/*
+   POST /api/matches/:code/correct
+   Body: { tournamentId?, scoreA, scoreB | games | winnerId,
+           mode?: "reseed" | "clear", confirm? }
+   Changes a result the playoffs already build on: a round robin match (the
+   seeds are re-computed) or an earlier bracket round.
+   - mode "reseed" (default): the corrected result flows through; only
+     downstream results whose pairing changes are lost.
+   - mode "clear": every downstream result is cleared to be replayed.
+   Without `confirm` nothing is written and the response is the impact
+   preview. Send the preview's impact.key back as `confirm` to apply it;
+   if anything changed in between, the fresh preview comes back with a 409.
+   The key check and every write run in one transaction.
+*/
+app.post(
+  "/api/matches/:code/correct",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const tournamentId = await resolveTournamentId(req);
+      const code = String(req.params.code || "").trim();
+
+      const mode = req.body?.mode ?? "reseed";
+      if (mode !== "reseed" && mode !== "clear") {
+        return res
+          .status(400)
+          .json({ error: 'mode must be "reseed" or "clear".' });
+      }
+
+      const getMatch = async (db) => {
+        const r = await db.query(
+          `
+          select
+            phase,
+            bracket,
+            team_a_id as "teamAId",
+            team_b_id as "teamBId",
+            score_a as "scoreA",
+            score_b as "scoreB",
+            winner_id as "winnerId"
+          from matches
+          where tournament_id = $1 and code = $2;
+          `,
+          [tournamentId, code]
+        );
+        return r.rows[0] ?? null;
+      };
+
+      const m = await getMatch(pool);
+      if (!m) {
+        return res.status(404).json({ error: "Match not found." });
+      }
+
+      if (m.phase === "DUAL") {
+        return res.status(409).json({
+          error:
+            "Team dual results don't feed the playoffs. Edit them on the dual match.",
+        });
+      }
+      if (m.winnerId == null) {
+        return res
+          .status(409)
+          .json({ error: `${code} has no result to correct yet.` });
+      }
+
+      let corrected;
+      const winnerIdRaw = req.body?.winnerId;
+      if (
+        winnerIdRaw !== undefined &&
+        winnerIdRaw !== null &&
+        winnerIdRaw !== ""
+      ) {
+        const w = Number(winnerIdRaw);
+        if (!Number.isInteger(w)) {
+          return res
+            .status(400)
+            .json({ error: "winnerId must be an integer." });
+        }
+        if (w !== Number(m.teamAId) && w !== Number(m.teamBId)) {
+          return res.status(400).json({
+            error: "winnerId must be Team A or Team B for this match.",
+          });
+        }
+
+        corrected = {
+          scoreA: null,
+          scoreB: null,
+          winnerId: String(w),
+          games: null,
+        };
+      } else {
+        const format = matchFormatForPhase(
+          await getMatchFormats(tournamentId),
+          m.phase
+        );
+        const profile = (await getScoringProfiles(tournamentId))[
+          stageForPhase(m.phase)
+        ];
+        const result = parseMatchResult(req.body, format, scoringRules(profile));
+        if (result.error) return res.status(400).json({ error: result.error });
+
+        corrected = {
+          scoreA: result.scoreA,
+          scoreB: result.scoreB,
+          winnerId: String(result.winner === "A" ? m.teamAId : m.teamBId),
+          games: result.games,
+        };
+      }
+
+      const impact = await getCorrectionImpact({
+        tournamentId,
+        match: m,
+        code,
+        corrected,
+        mode,
+      });
+      if (impact.error) return res.status(409).json({ error: impact.error });
+
+      const confirmKey = req.body?.confirm;
+      if (!confirmKey) {
+        return res.json({ ok: true, preview: true, code, mode, impact });
+      }
+
+      const userId = sessionUserId(req);
+      const outcome = await withTransaction(async (client) => {
+        // one correction at a time, so the key still holds when it's applied
+        await client.query(
+          `select id from tournaments where id = $1 for update;`,
+          [tournamentId]
+        );
+
+        const current = await getMatch(client);
+        const fresh = current
+          ? await getCorrectionImpact(
+              { tournamentId, match: current, code, corrected, mode },
+              client
+            )
+          : { error: "Match not found." };
+        if (fresh.error) return { error: fresh.error };
+        if (fresh.key !== confirmKey) return { stale: fresh };
+
+        if (corrected.scoreA == null && corrected.scoreB == null) {
+          await setWinnerOnly(
+            {
+              tournamentId,
+              phase: current.phase,
+              code,
+              winnerId: corrected.winnerId,
+              userId,
+            },
+            client
+          );
+        } else {
+          await setScore(
+            {
+              tournamentId,
+              phase: current.phase,
+              code,
+              scoreA: corrected.scoreA,
+              scoreB: corrected.scoreB,
+              winnerId: corrected.winnerId,
+              games: corrected.games,
+              userId,
+            },
+            client
+          );
+        }
+
+        if (fresh.seedChanges.length > 0) {
+          await savePlayoffSeeds(
+            tournamentId,
+            fresh.seeds.main,
+            fresh.seeds.consolation,
+            client
+          );
+        }
+
+        // clear through the event log; the sync then re-pairs or drops them
+        for (const c of fresh.changes) {
+          if (c.before.winnerId == null && c.before.status === "pending") {
+            continue;
+          }
+          await clearMatch(
+            { tournamentId, phase: c.phase, code: c.id, userId },
+            client
+          );
+        }
+        await syncPlayoffBracket(tournamentId, client);
+
+        return { impact: fresh };
+      });
+
+      if (outcome.error) return res.status(409).json({ error: outcome.error });
+      if (outcome.stale) {
+        return res.status(409).json({
+          error:
+            "The tournament changed since the preview. Check the new impact and confirm again.",
+          impact: outcome.stale,
+        });
+      }
+
+      const state = await getTournamentState(tournamentId);
+      return res.json({ ok: true, ...state, impact: outcome.impact });
+    } catch (err) {
+      console.error("Match correction error:", err);
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
+    }
+  }
+);
+
 /* -----------------------------
    Players helpers (schema fallback)
 ------------------------------ */
@@ -1437,7 +3587,7 @@ app.get("/api/players", async (req, res) => {
     );
   } catch (err) {
     console.error("GET /api/players error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1479,7 +3629,7 @@ app.post("/api/players", async (req, res) => {
     res.status(201).json({ ...p, duprTier: duprLabel(p.duprRating) });
   } catch (err) {
     console.error("POST /api/players error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1555,7 +3705,7 @@ app.patch(
       res.json({ ...p, duprTier: duprLabel(p.duprRating) });
     } catch (err) {
       console.error("PATCH /api/players/:id error:", err);
-      res.status(500).json({ error: errToMessage(err) });
+      res.status(errToStatus(err)).json({ error: errToMessage(err) });
     }
   }
 );
@@ -1591,7 +3741,7 @@ app.delete("/api/players/:id", async (req, res) => {
     res.json({ ok: true, id });
   } catch (err) {
     console.error("DELETE /api/players/:id error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
@@ -1623,16 +3773,27 @@ app.get("/api/matches", async (req, res) => {
         winner_id as "winnerId",
         start_time as "startTime",
         court,
+        bracket,
         status
       from matches
       ${where}
       order by
+        case when bracket = 'consolation' then 1 else 0 end,
+        case
+          when phase = 'RR' then 1
+          when phase ~ '^R[0-9]+$' then 2
+          when phase = 'QF' then 3
+          when phase = 'SF' then 4
+          when phase = 'FINAL' then 5
+          when phase = 'THIRD' then 6
+          when phase = 'WB' then 7
+          when phase = 'LB' then 8
+          when phase = 'GF' then 9
+          else 99
+        end,
         case
-          when code like 'RR-%' then 1
-          when code like 'SF%' then 2
-          when code = 'FINAL' then 3
-          when code = 'THIRD' then 4
-          else 9
+          when phase ~ '^R[0-9]+$' then -substring(phase from 2)::int
+          else 0
         end,
         code;
       `,
@@ -1648,7 +3809,7 @@ app.get("/api/matches", async (req, res) => {
     });
   } catch (err) {
     console.error("GET /api/matches error:", err);
-    res.status(500).json({ error: errToMessage(err) });
+    res.status(errToStatus(err)).json({ error: errToMessage(err) });
   }
 });
 
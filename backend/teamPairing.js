@@ -0,0 +1,308 @@
+// backend/teamPairing.js
+
+/*
+   Pairing players into doubles teams for /api/teams/generate, and the
+   fairness report of the result. Players are { id, name, duprRating, gender }.
+*/
+
+function shuffleInPlace(arr, rng = Math.random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+const PAIRING_STRATEGIES = ["dupr", "balanced", "random"];
+// a snake draft of two-player teams deals exactly the "dupr" pairs
+const STRATEGY_ALIASES = { snake: "dupr" };
+
+function byDuprDesc(p1, p2) {
+  const a = p1.duprRating;
+  const b = p2.duprRating;
+
+  const aNull = a === null || a === undefined;
+  const bNull = b === null || b === undefined;
+
+  if (aNull && bNull) return 0;
+  if (aNull) return 1; // nulls last
+  if (bNull) return -1;
+
+  // higher dupr first
+  return Number(b) - Number(a);
+}
+
+/**
+ * Fair DUPR pairing strategy: sort by dupr desc (null last),
+ * then pair top with bottom, next top with next bottom, etc.
+ * Example with 10: [1..10] -> (1,10), (2,9), (3,8)...
+ */
+function pairByDupr(players) {
+  const sorted = [...players].sort(byDuprDesc);
+
+  const pairs = [];
+  let i = 0;
+  let j = sorted.length - 1;
+  while (i < j) {
+    pairs.push([sorted[i], sorted[j]]);
+    i++;
+    j--;
+  }
+  const leftover = i === j ? sorted[i] : null;
+  return { pairs, leftover };
+}
+
+/**
+ * Rating used to balance teams: the player's DUPR, or the average of the
+ * rated players for anyone without one (so unrated players don't all count
+ * as the weakest). fieldAverage is null when nobody is rated.
+ */
+function ratingLookup(players) {
+  const rated = players
+    .map((p) => p.duprRating)
+    .filter((r) => r !== null && r !== undefined)
+    .map(Number);
+  const fieldAverage = rated.length
+    ? rated.reduce((sum, r) => sum + r, 0) / rated.length
+    : null;
+
+  return {
+    fieldAverage,
+    ratingOf: (p) =>
+      p.duprRating === null || p.duprRating === undefined
+        ? fieldAverage ?? 0
+        : Number(p.duprRating),
+  };
+}
+
+const byRatingDesc = (ratingOf) => (a, b) => ratingOf(b) - ratingOf(a);
+
+// top with bottom, second with second-to-last... (`sorted` best first)
+function foldPairs(sorted) {
+  const pairs = [];
+  for (let i = 0, j = sorted.length - 1; i < j; i++, j--) {
+    pairs.push([sorted[i], sorted[j]]);
+  }
+  return pairs;
+}
+
+// variance of the team totals, then the gap between the best and worst team
+function pairingScore(pairs, ratingOf) {
+  const sums = pairs.map((pair) => pair.reduce((s, p) => s + ratingOf(p), 0));
+  if (sums.length === 0) return { variance: 0, spread: 0 };
+
+  const mean = sums.reduce((s, v) => s + v, 0) / sums.length;
+  return {
+    variance: sums.reduce((s, v) => s + (v - mean) ** 2, 0) / sums.length,
+    spread: Math.max(...sums) - Math.min(...sums),
+  };
+}
+
+function isBetterScore(x, y) {
+  const EPS = 1e-9;
+  return (
+    x.variance < y.variance - EPS ||
+    (x.variance <= y.variance + EPS && x.spread < y.spread - EPS)
+  );
+}
+
+// `sorted` from the middle of the ratings outwards
+function middleOut(sorted) {
+  const mid = (sorted.length - 1) / 2;
+  return sorted
+    .map((p, idx) => ({ p, idx }))
+    .sort(
+      (x, y) =>
+        Math.abs(x.idx - mid) - Math.abs(y.idx - mid) || x.idx - y.idx
+    )
+    .map(({ p }) => p);
+}
+
+/**
+ * Picks `count` players to sit out, one at a time, so the rest pair up as
+ * evenly as possible. `pairWithout(sitOuts)` pairs the remaining field.
+ * Candidates are tried from the middle of the ratings outwards, so on a tie
+ * the middle player sits out as with pairByDupr.
+ */
+function chooseSitOuts(sorted, count, pairWithout, ratingOf) {
+  const candidates = middleOut(sorted);
+
+  const sitOuts = [];
+  for (let k = 0; k < count; k++) {
+    let best = null;
+    for (const p of candidates) {
+      if (sitOuts.includes(p)) continue;
+      const score = pairingScore(pairWithout([...sitOuts, p]), ratingOf);
+      if (!best || isBetterScore(score, best.score)) best = { p, score };
+    }
+    sitOuts.push(best.p);
+  }
+  return sitOuts;
+}
+
+/**
+ * Variance-minimizing pairing. For a given field, top with bottom already
+ * gives the lowest variance of team totals, so this differs from "dupr" in
+ * who it starts from: unrated players count at the field average instead of
+ * last, and on an odd field the player whose sitting out leaves the most
+ * even teams sits out (not simply the middle one).
+ */
+function pairBalanced(players, ratingOf) {
+  const sorted = [...players].sort(byRatingDesc(ratingOf));
+  const without = (sitOuts) => sorted.filter((p) => !sitOuts.includes(p));
+
+  const [leftover = null] = chooseSitOuts(
+    sorted,
+    sorted.length % 2,
+    (sitOuts) => foldPairs(without(sitOuts)),
+    ratingOf
+  );
+  return { pairs: foldPairs(without([leftover])), leftover };
+}
+
+function pairRandom(players, rng) {
+  const copy = [...players];
+  shuffleInPlace(copy, rng);
+
+  const pairs = [];
+  for (let i = 0; i + 1 < copy.length; i += 2) {
+    pairs.push([copy[i], copy[i + 1]]);
+  }
+  const leftover = copy.length % 2 === 1 ? copy[copy.length - 1] : null;
+  return { pairs, leftover };
+}
+
+/**
+ * Mixed doubles: one man and one woman per team. When one side is longer,
+ * its last players (by player id) sit out.
+ * - "dupr": strongest man with weakest woman, and so on
+ * - "balanced": the same by rating with unrated players at the field
+ *   average, and the sit-outs chosen to leave the most even teams
+ * - "random": shuffled on both sides
+ */
+function pairMixed(players, strategy, rng, ratingOf) {
+  const men = players.filter((p) => p.gender === "male");
+  const women = players.filter((p) => p.gender === "female");
+  const n = Math.min(men.length, women.length);
+
+  if (strategy === "balanced") {
+    const desc = byRatingDesc(ratingOf);
+    const pairUp = (ms, ws) => {
+      const b = [...ws].sort(desc).reverse();
+      return [...ms].sort(desc).map((m, i) => [m, b[i]]);
+    };
+    const menLonger = men.length > women.length;
+    const longer = [...(menLonger ? men : women)].sort(desc);
+    const shorter = menLonger ? women : men;
+    // while sit-outs are still being picked, the rest of the surplus is
+    // assumed to come from the middle
+    const kept = (sitOuts) => {
+      const rest = longer.filter((p) => !sitOuts.includes(p));
+      const surplus = middleOut(rest).slice(0, rest.length - n);
+      return rest.filter((p) => !surplus.includes(p));
+    };
+    const pairKept = (sitOuts) =>
+      menLonger
+        ? pairUp(kept(sitOuts), shorter)
+        : pairUp(shorter, kept(sitOuts));
+
+    const leftovers = chooseSitOuts(
+      longer,
+      longer.length - n,
+      pairKept,
+      ratingOf
+    );
+    return { pairs: pairKept(leftovers), leftovers };
+  }
+
+  const leftovers = [...men.slice(n), ...women.slice(n)];
+  const a = men.slice(0, n);
+  const b = women.slice(0, n);
+  if (strategy === "random") {
+    shuffleInPlace(a, rng);
+    shuffleInPlace(b, rng);
+  } else {
+    a.sort(byDuprDesc);
+    b.sort(byDuprDesc).reverse();
+  }
+
+  return { pairs: a.map((m, i) => [m, b[i]]), leftovers };
+}
+
+function roundRating(n) {
+  return n === null ? null : Math.round(n * 1000) / 1000;
+}
+
+/**
+ * How even the generated teams are: each team's average rating (unrated
+ * players at the field average), the spread and standard deviation of those
+ * averages, and the teams the draw favors most and least. Ratings are null
+ * when nobody in the field has a DUPR.
+ */
+function fairnessReport(teams, { fieldAverage, ratingOf }) {
+  const rows = teams.map((t) => {
+    const unratedPlayers = t.players.filter(
+      (p) => p.duprRating === null || p.duprRating === undefined
+    ).length;
+    const average =
+      fieldAverage === null
+        ? null
+        : t.players.reduce((s, p) => s + ratingOf(p), 0) / t.players.length;
+    return { teamId: t.id, name: t.name, average, unratedPlayers };
+  });
+
+  const unratedPlayers = rows.reduce((s, r) => s + r.unratedPlayers, 0);
+  const teamsOut = rows.map((r) => ({
+    teamId: r.teamId,
+    name: r.name,
+    averageRating: roundRating(r.average),
+    unratedPlayers: r.unratedPlayers,
+  }));
+
+  if (fieldAverage === null || rows.length === 0) {
+    return {
+      fieldAverage: null,
+      teams: teamsOut,
+      spread: null,
+      standardDeviation: null,
+      mostFavored: null,
+      leastFavored: null,
+      unratedPlayers,
+    };
+  }
+
+  const averages = rows.map((r) => r.average);
+  const mean = averages.reduce((s, v) => s + v, 0) / averages.length;
+  const variance =
+    averages.reduce((s, v) => s + (v - mean) ** 2, 0) / averages.length;
+  const ranked = [...teamsOut].sort(
+    (x, y) => y.averageRating - x.averageRating
+  );
+  const pick = ({ teamId, name, averageRating }) => ({
+    teamId,
+    name,
+    averageRating,
+  });
+
+  return {
+    fieldAverage: roundRating(fieldAverage),
+    teams: teamsOut,
+    spread: roundRating(Math.max(...averages) - Math.min(...averages)),
+    standardDeviation: roundRating(Math.sqrt(variance)),
+    mostFavored: pick(ranked[0]),
+    leastFavored: pick(ranked[ranked.length - 1]),
+    unratedPlayers,
+  };
+}
+
+module.exports = {
+  PAIRING_STRATEGIES,
+  STRATEGY_ALIASES,
+  shuffleInPlace,
+  byDuprDesc,
+  ratingLookup,
+  pairByDupr,
+  pairBalanced,
+  pairRandom,
+  pairMixed,
+  fairnessReport,
+};
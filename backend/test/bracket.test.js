@@ -0,0 +1,224 @@
+// backend/test/bracket.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildSingleEliminationBracket,
+  buildDoubleEliminationBracket,
+  bracketSlots,
+  resolveBracket,
+  advanceBracket,
+} = require("../tournamentEngine");
+const { playedMatch } = require("./fixtures");
+
+const pairings = (slots) =>
+  Object.fromEntries(slots.map((s) => [s.id, [s.teamAId, s.teamBId]]));
+
+test("single elimination gives the top seeds byes", () => {
+  const bracket = buildSingleEliminationBracket(6);
+
+  assert.equal(bracket.size, 8);
+  assert.deepEqual(
+    bracket.rounds.map((r) => r.phase),
+    ["QF", "SF", "FINAL"]
+  );
+  assert.deepEqual(
+    bracket.rounds[0].matches.map((m) => [m.code, m.a, m.b]),
+    [
+      ["QF1", { seed: 4 }, { seed: 5 }],
+      ["QF2", { seed: 3 }, { seed: 6 }],
+    ]
+  );
+  assert.deepEqual(bracket.rounds[1].matches[0].a, { seed: 1 });
+  assert.deepEqual(bracket.thirdPlace.a, { loserOf: "SF1" });
+});
+
+test("third place needs two real semifinals; codePrefix namespaces codes", () => {
+  assert.equal(buildSingleEliminationBracket(3).thirdPlace, null);
+  assert.equal(
+    buildSingleEliminationBracket(4, { thirdPlace: false }).thirdPlace,
+    null
+  );
+  assert.deepEqual(
+    bracketSlots(buildSingleEliminationBracket(4, { codePrefix: "C-" })).map(
+      (s) => s.code
+    ),
+    ["C-SF1", "C-SF2", "C-FINAL", "C-THIRD"]
+  );
+  assert.throws(() => buildSingleEliminationBracket(1), /at least 2 teams/);
+});
+
+test("double elimination wires losers into the losers bracket", () => {
+  const bracket = buildDoubleEliminationBracket(4);
+
+  assert.deepEqual(
+    bracketSlots(bracket).map((s) => [s.code, s.a, s.b]),
+    [
+      ["WB1-1", { seed: 1 }, { seed: 4 }],
+      ["WB1-2", { seed: 2 }, { seed: 3 }],
+      ["WB2-1", { winnerOf: "WB1-1" }, { winnerOf: "WB1-2" }],
+      ["LB1-1", { loserOf: "WB1-1" }, { loserOf: "WB1-2" }],
+      ["LB2-1", { winnerOf: "LB1-1" }, { loserOf: "WB2-1" }],
+      ["GF", { winnerOf: "WB2-1" }, { winnerOf: "LB2-1" }],
+      ["GF-RESET", { loserOf: "GF" }, { winnerOf: "GF" }],
+    ]
+  );
+  assert.equal(buildDoubleEliminationBracket(4, { reset: false }).reset, null);
+});
+
+test("resolveBracket advances winners and losers from recorded results", () => {
+  const bracket = buildSingleEliminationBracket(4);
+  const slots = resolveBracket(
+    bracket,
+    [1, 2, 3, 4],
+    [playedMatch("SF1", "1", "4", "4"), playedMatch("SF2", "2", "3", "2")]
+  );
+
+  assert.deepEqual(pairings(slots), {
+    SF1: ["1", "4"],
+    SF2: ["2", "3"],
+    FINAL: ["4", "2"],
+    THIRD: ["1", "3"],
+  });
+  assert.equal(slots[0].winnerId, "4");
+  assert.equal(slots[2].status, "pending");
+});
+
+test("a stored result only counts while its pairing holds", () => {
+  const bracket = buildSingleEliminationBracket(4);
+  const slots = resolveBracket(
+    bracket,
+    [1, 2, 3, 4],
+    [
+      playedMatch("SF1", "1", "4", "1"),
+      playedMatch("SF2", "2", "3", "3"),
+      // played as 1 vs 2 before SF2 was corrected
+      playedMatch("FINAL", "1", "2", "1"),
+    ]
+  );
+  const final = slots.find((s) => s.id === "FINAL");
+
+  assert.deepEqual([final.teamAId, final.teamBId], ["1", "3"]);
+  assert.equal(final.winnerId, null);
+  assert.equal(final.scoreA, null);
+});
+
+test("the grand final reset is only filled when the losers champ wins", () => {
+  const bracket = buildDoubleEliminationBracket(4);
+  const played = [
+    playedMatch("WB1-1", "1", "4", "1"),
+    playedMatch("WB1-2", "2", "3", "2"),
+    playedMatch("WB2-1", "1", "2", "1"),
+    playedMatch("LB1-1", "4", "3", "3"),
+    playedMatch("LB2-1", "3", "2", "2"),
+  ];
+
+  const held = resolveBracket(
+    bracket,
+    [1, 2, 3, 4],
+    [...played, playedMatch("GF", "1", "2", "1")]
+  );
+  assert.deepEqual(pairings(held)["GF-RESET"], [null, null]);
+
+  const reset = resolveBracket(
+    bracket,
+    [1, 2, 3, 4],
+    [...played, playedMatch("GF", "1", "2", "2")]
+  );
+  assert.deepEqual(pairings(reset)["GF-RESET"], ["1", "2"]);
+});
+
+test("advanceBracket only returns new matches that are ready", () => {
+  const bracket = buildSingleEliminationBracket(4);
+  const sf = [playedMatch("SF1", "1", "4", "1")];
+
+  assert.deepEqual(advanceBracket(bracket, [1, 2, 3, 4], sf), [
+    {
+      id: "SF2",
+      phase: "SF",
+      teamAId: "2",
+      teamBId: "3",
+      scoreA: null,
+      scoreB: null,
+      winnerId: null,
+    },
+  ]);
+});
+
+test("reseeding waits for the whole round, then pairs best with worst", () => {
+  const bracket = buildSingleEliminationBracket(8);
+  const seeds = [11, 12, 13, 14, 15, 16, 17, 18];
+  const quarters = [
+    playedMatch("QF1", "11", "18", "11"),
+    playedMatch("QF2", "14", "15", "15"),
+    playedMatch("QF3", "12", "17", "17"),
+  ];
+
+  const waiting = resolveBracket(bracket, seeds, quarters, { reseed: true });
+  assert.deepEqual(pairings(waiting).SF1, [null, null]);
+  assert.deepEqual(pairings(waiting).SF2, [null, null]);
+
+  const played = [...quarters, playedMatch("QF4", "13", "16", "13")];
+  const fixed = resolveBracket(bracket, seeds, played);
+  assert.deepEqual(pairings(fixed).SF1, ["11", "15"]);
+  assert.deepEqual(pairings(fixed).SF2, ["17", "13"]);
+
+  // seeds 1, 3, 5 and 7 are left
+  const reseeded = resolveBracket(bracket, seeds, played, { reseed: true });
+  assert.deepEqual(pairings(reseeded).SF1, ["11", "17"]);
+  assert.deepEqual(pairings(reseeded).SF2, ["13", "15"]);
+  assert.deepEqual(reseeded.find((s) => s.id === "SF1").sourceA, {
+    reseed: "high",
+  });
+  // third place still follows the semifinal losers
+  assert.deepEqual(reseeded.find((s) => s.id === "THIRD").sourceA, {
+    loserOf: "SF1",
+  });
+});
+
+test("a reseeded round keeps results whose pairing holds", () => {
+  const bracket = buildSingleEliminationBracket(4);
+  const slots = resolveBracket(
+    bracket,
+    [1, 2, 3, 4],
+    [
+      playedMatch("SF1", "1", "4", "4"),
+      playedMatch("SF2", "2", "3", "2"),
+      playedMatch("FINAL", "2", "4", "2"),
+    ],
+    { reseed: true }
+  );
+  const final = slots.find((s) => s.id === "FINAL");
+
+  // seed 2 outranks seed 4, so 2 is the high side either way
+  assert.deepEqual([final.teamAId, final.teamBId], ["2", "4"]);
+  assert.equal(final.winnerId, "2");
+});
+
+test("double elimination drops losers across the losers bracket", () => {
+  const bracket = buildDoubleEliminationBracket(8);
+  const seeds = [1, 2, 3, 4, 5, 6, 7, 8];
+  const played = [
+    playedMatch("WB1-1", "1", "8", "1"),
+    playedMatch("WB1-2", "4", "5", "4"),
+    playedMatch("WB1-3", "2", "7", "2"),
+    playedMatch("WB1-4", "3", "6", "3"),
+    playedMatch("WB2-1", "1", "4", "1"),
+    playedMatch("WB2-2", "2", "3", "3"),
+    playedMatch("LB1-1", "8", "5", "5"),
+    playedMatch("LB1-2", "7", "6", "6"),
+  ];
+  const slots = pairings(resolveBracket(bracket, seeds, played));
+
+  assert.deepEqual(slots["LB1-1"], ["8", "5"]);
+  assert.deepEqual(slots["LB1-2"], ["7", "6"]);
+  // the second-round losers cross over so early rematches are avoided
+  assert.deepEqual(slots["LB2-1"], ["5", "2"]);
+  assert.deepEqual(slots["LB2-2"], ["6", "4"]);
+  assert.deepEqual(slots["WB3-1"], ["1", "3"]);
+
+  // two losses and you are out: 7 and 8 lost in WB1 and again in LB1
+  const later = ["LB2-1", "LB2-2", "LB3-1", "LB4-1", "GF"];
+  for (const code of later) {
+    assert.ok(!slots[code].includes("7") && !slots[code].includes("8"));
+  }
+});
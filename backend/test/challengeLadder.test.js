@@ -0,0 +1,43 @@
+// backend/test/challengeLadder.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  challengeRangeError,
+  rungsAfterChallenge,
+} = require("../tournamentEngine");
+
+test("a team can challenge up to maxRungs rungs above it", () => {
+  assert.equal(challengeRangeError(5, 4, 3), null);
+  assert.equal(challengeRangeError(5, 2, 3), null);
+  assert.equal(
+    challengeRangeError(5, 1, 3),
+    "You can challenge at most 3 rungs up."
+  );
+});
+
+test("a team can't challenge itself or anyone below it", () => {
+  for (const defender of [5, 6]) {
+    assert.equal(
+      challengeRangeError(5, defender, 3),
+      "You can only challenge teams above you."
+    );
+  }
+});
+
+test("an upset swaps the two rungs", () => {
+  assert.deepEqual(rungsAfterChallenge(5, 3, true), {
+    challengerPosition: 3,
+    defenderPosition: 5,
+    swapped: true,
+  });
+});
+
+test("a defended challenge, or a challenger already above, keeps the rungs", () => {
+  assert.deepEqual(rungsAfterChallenge(5, 3, false), {
+    challengerPosition: 5,
+    defenderPosition: 3,
+    swapped: false,
+  });
+  // an admin moved the challenger up before the result came in
+  assert.equal(rungsAfterChallenge(2, 3, true).swapped, false);
+});
@@ -0,0 +1,66 @@
+// backend/test/consolation.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  consolationSeeds,
+  buildSingleEliminationBracket,
+  resolveBracket,
+} = require("../tournamentEngine");
+
+const ranked = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+test("the best non-qualifier is consolation seed 1", () => {
+  assert.deepEqual(consolationSeeds(ranked, ["1", "2", "3", "4"]), [
+    "5",
+    "6",
+    "7",
+    "8",
+    "9",
+    "10",
+  ]);
+  assert.deepEqual(consolationSeeds(ranked, [1, 2, 3, 4], 4), [
+    "5",
+    "6",
+    "7",
+    "8",
+  ]);
+});
+
+test("qualifiers are skipped wherever they finished", () => {
+  // a wildcard (7) qualified ahead of 5 and 6
+  assert.deepEqual(consolationSeeds(ranked, [1, 2, 3, 7], 4), [
+    "4",
+    "5",
+    "6",
+    "8",
+  ]);
+});
+
+test("the consolation bracket pairs its own seeds", () => {
+  const seeds = consolationSeeds(ranked, [1, 2, 3, 4], 4);
+  const slots = resolveBracket(
+    buildSingleEliminationBracket(4, { codePrefix: "C-" }),
+    seeds
+  );
+
+  assert.deepEqual(
+    slots
+      .filter((s) => s.phase === "SF")
+      .map((s) => [s.id, s.teamAId, s.teamBId]),
+    [
+      ["C-SF1", "5", "8"],
+      ["C-SF2", "6", "7"],
+    ]
+  );
+});
+
+test("a consolation bracket needs two teams that missed out", () => {
+  assert.throws(
+    () => consolationSeeds(ranked, [1, 2, 3, 4, 5, 6, 7, 8, 9]),
+    /at least 2 teams/
+  );
+  assert.throws(
+    () => consolationSeeds(ranked, [1, 2, 3, 4, 5, 6, 7, 8], 4),
+    /Only 2 teams missed the playoffs \(need 4\)/
+  );
+});
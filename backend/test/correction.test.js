@@ -0,0 +1,161 @@
+// backend/test/correction.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildSingleEliminationBracket,
+  bracketCorrectionImpact,
+} = require("../tournamentEngine");
+const { playedMatch } = require("./fixtures");
+
+const seeds = [1, 2, 3, 4];
+// SF1: 1 beat 4, SF2: 2 beat 3, then the final and third place were played
+const stored = () => [
+  playedMatch("SF1", "1", "4", "1", "SF"),
+  playedMatch("SF2", "2", "3", "2", "SF"),
+  playedMatch("FINAL", "1", "2", "1", "FINAL"),
+  playedMatch("THIRD", "4", "3", "4", "THIRD"),
+];
+const withCorrection = (id, patch) =>
+  stored().map((m) => (m.id === id ? { ...m, ...patch } : m));
+
+const summary = (changes) =>
+  Object.fromEntries(
+    changes.map((c) => [
+      c.id,
+      c.after ? [c.after.teamAId, c.after.teamBId] : null,
+    ])
+  );
+
+test("a new winner re-pairs and clears what it fed", () => {
+  const bracket = buildSingleEliminationBracket(4);
+  const matches = withCorrection("SF2", {
+    scoreA: 9,
+    scoreB: 11,
+    winnerId: "3",
+  });
+
+  const { slots, changes } = bracketCorrectionImpact(bracket, seeds, matches);
+
+  assert.deepEqual(summary(changes), {
+    FINAL: ["1", "3"],
+    THIRD: ["4", "2"],
+  });
+  const final = changes.find((c) => c.id === "FINAL");
+  assert.deepEqual(final.before, {
+    teamAId: "1",
+    teamBId: "2",
+    scoreA: 11,
+    scoreB: 7,
+    winnerId: "1",
+    status: "final",
+  });
+  assert.equal(slots.find((s) => s.id === "FINAL").winnerId, null);
+});
+
+test("a score change that keeps the winner changes nothing downstream", () => {
+  const bracket = buildSingleEliminationBracket(4);
+  const matches = withCorrection("SF2", { scoreA: 15, scoreB: 13 });
+
+  const { slots, changes } = bracketCorrectionImpact(bracket, seeds, matches);
+
+  assert.deepEqual(changes, []);
+  assert.equal(slots.find((s) => s.id === "FINAL").winnerId, "1");
+});
+
+test("clear drops downstream results even where the pairing holds", () => {
+  const bracket = buildSingleEliminationBracket(4);
+
+  const fromSf2 = bracketCorrectionImpact(bracket, seeds, stored(), {
+    clear: ["SF2"],
+  });
+  assert.deepEqual(summary(fromSf2.changes), {
+    FINAL: ["1", "2"],
+    THIRD: ["4", "3"],
+  });
+  assert.ok(
+    fromSf2.slots
+      .filter((s) => s.id === "FINAL" || s.id === "THIRD")
+      .every((s) => s.winnerId === null && s.status === "pending")
+  );
+  // the corrected match itself keeps its result
+  assert.equal(fromSf2.slots.find((s) => s.id === "SF2").winnerId, "2");
+
+  const everything = bracketCorrectionImpact(bracket, seeds, stored(), {
+    clear: true,
+  });
+  assert.deepEqual(
+    everything.changes.map((c) => c.id),
+    ["SF1", "SF2", "FINAL", "THIRD"]
+  );
+});
+
+test("new seeds from a round robin correction re-pair the first round", () => {
+  const bracket = buildSingleEliminationBracket(4);
+
+  const { changes } = bracketCorrectionImpact(bracket, [1, 3, 2, 4], stored());
+
+  // SF1 is still 1 vs 4; SF2 becomes 3 vs 2, so nothing after it is ready
+  assert.deepEqual(summary(changes), {
+    SF2: ["3", "2"],
+    FINAL: null,
+    THIRD: null,
+  });
+});
+
+test("clearing in a reseeded bracket reaches every later round", () => {
+  const bracket = buildSingleEliminationBracket(8);
+  const quarters = [
+    playedMatch("QF1", "1", "8", "1", "QF"),
+    playedMatch("QF2", "4", "5", "4", "QF"),
+    playedMatch("QF3", "2", "7", "2", "QF"),
+    playedMatch("QF4", "3", "6", "3", "QF"),
+  ];
+  const matches = [
+    ...quarters,
+    playedMatch("SF1", "1", "4", "1", "SF"),
+    playedMatch("SF2", "2", "3", "2", "SF"),
+  ];
+  const eight = [1, 2, 3, 4, 5, 6, 7, 8];
+
+  // QF1 doesn't feed SF2 directly, but a reseeded SF2 waits on every quarter
+  const plain = bracketCorrectionImpact(bracket, eight, matches, {
+    clear: ["QF1"],
+  });
+  assert.deepEqual(
+    plain.changes.map((c) => c.id),
+    ["SF1"]
+  );
+
+  const reseeded = bracketCorrectionImpact(bracket, eight, matches, {
+    clear: ["QF1"],
+    reseed: true,
+  });
+  assert.deepEqual(
+    reseeded.changes.map((c) => c.id),
+    ["SF1", "SF2"]
+  );
+});
+
+test("a reseeded correction re-pairs the next round", () => {
+  const bracket = buildSingleEliminationBracket(8);
+  const eight = [1, 2, 3, 4, 5, 6, 7, 8];
+  const matches = [
+    playedMatch("QF1", "1", "8", "1", "QF"),
+    playedMatch("QF2", "4", "5", "4", "QF"),
+    playedMatch("QF3", "2", "7", "2", "QF"),
+    // corrected: 6 beat 3
+    playedMatch("QF4", "3", "6", "6", "QF"),
+    playedMatch("SF1", "1", "4", "1", "SF"),
+    playedMatch("SF2", "2", "3", "2", "SF"),
+  ];
+
+  const { changes } = bracketCorrectionImpact(bracket, eight, matches, {
+    reseed: true,
+  });
+
+  // 1, 2, 4 and 6 are left: 1 vs 6 and 2 vs 4
+  assert.deepEqual(summary(changes), {
+    SF1: ["1", "6"],
+    SF2: ["2", "4"],
+  });
+});
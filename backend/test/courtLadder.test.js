@@ -0,0 +1,88 @@
+// backend/test/courtLadder.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateCourtLadderRound,
+  courtLadderOrderAfterRound,
+} = require("../tournamentEngine");
+
+const singles = (n) => Array.from({ length: n }, (_, i) => [String(i + 1)]);
+const scored = (match, scoreA, scoreB) => ({ ...match, scoreA, scoreB });
+
+test("courts fill from the top of the ladder with split partners", () => {
+  const { matches, sitOuts } = generateCourtLadderRound(singles(9), 1);
+
+  assert.deepEqual(
+    matches.map((m) => [m.court, m.teamA, m.teamB]),
+    [
+      [1, ["1", "3"], ["2", "4"]],
+      [2, ["5", "7"], ["6", "8"]],
+    ]
+  );
+  assert.deepEqual(sitOuts, ["9"]);
+});
+
+test("winners move up, losers move down, the ends stay put", () => {
+  const { matches } = generateCourtLadderRound(singles(12), 1);
+  const order = courtLadderOrderAfterRound([
+    scored(matches[0], 7, 11), // 2 and 4 win on the top court
+    scored(matches[1], 11, 5), // 5 and 7 win on court 2
+    scored(matches[2], 3, 11), // 10 and 12 win on the bottom court
+  ]);
+
+  assert.deepEqual(order.flat(), [
+    // court 1: its own winners stay, court 2 winners come up
+    ...["2", "4", "5", "7"],
+    // court 2: court 1 losers come down, court 3 winners come up
+    ...["1", "3", "10", "12"],
+    // court 3: court 2 losers come down, its own losers stay
+    ...["6", "8", "9", "11"],
+  ]);
+});
+
+test("fixed partners move as one team", () => {
+  const units = [
+    ["1", "2"],
+    ["3", "4"],
+    ["5", "6"],
+    ["7", "8"],
+  ];
+  const { matches } = generateCourtLadderRound(units, 1, {
+    splitPartners: false,
+  });
+  assert.deepEqual(matches[0].teamA, ["1", "2"]);
+
+  const order = courtLadderOrderAfterRound(
+    [scored(matches[0], 11, 9), scored(matches[1], 4, 11)],
+    { splitPartners: false }
+  );
+  assert.deepEqual(order, [
+    ["1", "2"],
+    ["7", "8"],
+    ["3", "4"],
+    ["5", "6"],
+  ]);
+});
+
+test("last round's sit-outs play next on the bottom court", () => {
+  const { matches, sitOuts } = generateCourtLadderRound(singles(8), 2, {
+    priorityUnits: [["9"]],
+  });
+
+  assert.deepEqual(matches[1].teamA.concat(matches[1].teamB).sort(), [
+    "5",
+    "6",
+    "7",
+    "9",
+  ]);
+  assert.deepEqual(sitOuts, ["8"]);
+});
+
+test("an unscored court blocks the move", () => {
+  const { matches } = generateCourtLadderRound(singles(4), 1);
+
+  assert.throws(
+    () => courtLadderOrderAfterRound(matches),
+    /Match L1-1 has no score yet/
+  );
+});
@@ -0,0 +1,114 @@
+// backend/test/dual.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixtureResult, lineupError } = require("../dualFixtures");
+const { computeDualStandings } = require("../tournamentEngine");
+
+// A fixture between teams "A" and "B"; `scores` fills games 1..5 in order.
+function fixture(...scores) {
+  return {
+    teamAId: "A",
+    teamBId: "B",
+    games: [1, 2, 3, 4, 5].map((number) => ({
+      number,
+      scoreA: scores[number - 1]?.[0] ?? null,
+      scoreB: scores[number - 1]?.[1] ?? null,
+    })),
+  };
+}
+
+test("three of the four games win the fixture", () => {
+  assert.deepEqual(fixtureResult(fixture([11, 5], [8, 11], [11, 9], [11, 3])), {
+    scoreA: 3,
+    scoreB: 1,
+    winnerId: "A",
+    needsDreamBreaker: false,
+  });
+});
+
+test("no winner until all four games are in", () => {
+  assert.deepEqual(fixtureResult(fixture([11, 5], [11, 8])), {
+    scoreA: 2,
+    scoreB: 0,
+    winnerId: null,
+    needsDreamBreaker: false,
+  });
+  assert.deepEqual(fixtureResult(fixture()), {
+    scoreA: null,
+    scoreB: null,
+    winnerId: null,
+    needsDreamBreaker: false,
+  });
+});
+
+test("a 2-2 split goes to the DreamBreaker", () => {
+  const split = [
+    [11, 5],
+    [8, 11],
+    [11, 9],
+    [4, 11],
+  ];
+
+  assert.deepEqual(fixtureResult(fixture(...split)), {
+    scoreA: 2,
+    scoreB: 2,
+    winnerId: null,
+    needsDreamBreaker: true,
+  });
+  assert.deepEqual(fixtureResult(fixture(...split, [19, 21])), {
+    scoreA: 2,
+    scoreB: 3,
+    winnerId: "B",
+    needsDreamBreaker: true,
+  });
+});
+
+test("a DreamBreaker win counts in the team standings", () => {
+  const played = fixture([11, 5], [8, 11], [11, 9], [4, 11], [19, 21]);
+  const standings = computeDualStandings(
+    ["A", "B"],
+    [{ ...played, ...fixtureResult(played) }]
+  );
+
+  assert.deepEqual(
+    standings.map((s) => [s.teamId, s.wins, s.gamesWon, s.gameDiff]),
+    [
+      ["B", 1, 3, 1],
+      ["A", 0, 2, -1],
+    ]
+  );
+});
+
+test("lineups follow the gender and mixed-game rules", () => {
+  const roster = [
+    { id: "w1", gender: "female" },
+    { id: "w2", gender: "female" },
+    { id: "m1", gender: "male" },
+    { id: "m2", gender: "male" },
+  ];
+  const lineup = {
+    womens: ["w1", "w2"],
+    mens: ["m1", "m2"],
+    mixed_1: ["w1", "m1"],
+    mixed_2: ["w2", "m2"],
+    dreambreaker: ["w1", "m1", "w2", "m2"],
+  };
+
+  assert.equal(lineupError(lineup, roster), null);
+  assert.equal(
+    lineupError({ ...lineup, mens: ["m1", "w1"] }, roster),
+    "Men's doubles needs two men."
+  );
+  assert.equal(
+    lineupError({ ...lineup, mixed_2: ["w2", "m1"] }, roster),
+    "A player can only play one mixed game."
+  );
+  assert.equal(
+    lineupError({ ...lineup, dreambreaker: ["w1", "m1"] }, roster),
+    "DreamBreaker needs 4 players."
+  );
+  assert.equal(
+    lineupError({ ...lineup, womens: ["w1", "x9"] }, roster),
+    "Women's doubles lists a player who isn't on the roster."
+  );
+});
@@ -0,0 +1,32 @@
+// backend/test/fixtures.js
+// Match rows shaped like the ones server.js hands to the engine.
+
+// A scored round robin match; the higher score wins.
+function rrMatch(id, teamAId, teamBId, scoreA, scoreB) {
+  return {
+    id,
+    phase: "RR",
+    teamAId,
+    teamBId,
+    scoreA,
+    scoreB,
+    winnerId: scoreA > scoreB ? teamAId : teamBId,
+  };
+}
+
+// A finished bracket match won 11-7 by `winnerId`.
+function playedMatch(id, teamAId, teamBId, winnerId, phase) {
+  const aWon = winnerId === teamAId;
+  return {
+    id,
+    phase,
+    teamAId,
+    teamBId,
+    scoreA: aWon ? 11 : 7,
+    scoreB: aWon ? 7 : 11,
+    winnerId,
+    status: "final",
+  };
+}
+
+module.exports = { rrMatch, playedMatch };
@@ -0,0 +1,104 @@
+// backend/test/lateTeam.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateRoundRobinSchedule,
+  scheduleLateTeam,
+  seededRng,
+} = require("../tournamentEngine");
+
+const teams = Array.from({ length: 8 }, (_, i) => ({ id: String(i + 1) }));
+
+// 8 teams, 4 games each: round 1 is final, round 2 is on court.
+function inProgress() {
+  return generateRoundRobinSchedule(teams, 4, { rng: seededRng(3) }).map(
+    (m, idx) => {
+      const base = {
+        ...m,
+        startTime: `slot-${m.round}`,
+        court: idx + 1,
+        status: "pending",
+      };
+      if (m.round === 1) {
+        return {
+          ...base,
+          status: "final",
+          scoreA: 11,
+          scoreB: 6,
+          winnerId: m.teamAId,
+        };
+      }
+      return m.round === 2 ? { ...base, status: "on_court" } : base;
+    }
+  );
+}
+
+const apply = (matches, plan) => [
+  ...matches.filter((m) => !plan.remove.includes(m)),
+  ...plan.add,
+];
+
+test("a late team gets a full schedule from pending matches only", () => {
+  const matches = inProgress();
+  const plan = scheduleLateTeam("9", matches, { rng: seededRng(1) });
+  const after = apply(matches, plan);
+
+  assert.equal(plan.gamesPerTeam, 4);
+  assert.ok(plan.remove.length > 0);
+  assert.ok(plan.remove.every((m) => m.status === "pending" && m.round > 2));
+  // played and on-court matches are all still there, unchanged
+  for (const m of matches.filter((x) => x.round <= 2)) {
+    assert.ok(after.includes(m));
+  }
+
+  const opponents = plan.add.map((m) => m.teamAId);
+  assert.equal(new Set(opponents).size, 4);
+  assert.ok(plan.add.every((m) => m.teamBId === "9" && m.round > 2));
+  assert.ok(plan.games.every((g) => g.after === 4));
+});
+
+test("nobody plays twice in a round after the late team is added", () => {
+  const matches = inProgress();
+  const after = apply(
+    matches,
+    scheduleLateTeam("9", matches, { rng: seededRng(1) })
+  );
+
+  for (const round of new Set(after.map((m) => m.round))) {
+    const ids = after
+      .filter((m) => m.round === round)
+      .flatMap((m) => [m.teamAId, m.teamBId]);
+    assert.equal(new Set(ids).size, ids.length, `round ${round}`);
+  }
+});
+
+test("a split match hands its slot to the late team", () => {
+  const matches = inProgress();
+  const plan = scheduleLateTeam("9", matches, { rng: seededRng(1) });
+
+  for (const removed of plan.remove) {
+    const takeover = plan.add.find(
+      (m) => m.teamAId === String(removed.teamAId)
+    );
+    assert.deepEqual(
+      [takeover.round, takeover.startTime, takeover.court],
+      [removed.round, removed.startTime, removed.court]
+    );
+  }
+});
+
+test("an odd target is topped up and one opponent ends a game over", () => {
+  const plan = scheduleLateTeam("9", inProgress(), {
+    gamesPerTeam: 3,
+    rng: seededRng(1),
+  });
+  const over = plan.games.filter((g) => g.after > g.before);
+
+  assert.equal(plan.add.length, 3);
+  assert.deepEqual(
+    over.map((g) => g.after - g.before),
+    over.map((g) => (g.teamId === "9" ? 3 : 1))
+  );
+  assert.equal(plan.games.filter((g) => g.after === 5).length, 1);
+  assert.throws(() => scheduleLateTeam("9", []), /No opponents/);
+});
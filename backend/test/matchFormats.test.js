@@ -0,0 +1,96 @@
+// backend/test/matchFormats.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMatchResult, scoringRules, stageForPhase } = require("../scoring");
+
+const rules = scoringRules("to_11");
+const games = (...scores) => ({
+  games: scores.map(([scoreA, scoreB]) => ({ scoreA, scoreB })),
+});
+
+test("a single game keeps its points as the score", () => {
+  assert.deepEqual(
+    parseMatchResult({ scoreA: 9, scoreB: 11 }, "single", rules),
+    {
+      scoreA: 9,
+      scoreB: 11,
+      games: null,
+      winner: "B",
+    }
+  );
+});
+
+test("best of 3 goes to whoever wins two games", () => {
+  const result = parseMatchResult(
+    games([11, 8], [6, 11], [11, 9]),
+    "best_of_3",
+    rules
+  );
+
+  assert.equal(result.winner, "A");
+  assert.deepEqual([result.scoreA, result.scoreB], [2, 1]);
+  assert.equal(result.games.length, 3);
+
+  // a sweep needs no third game
+  assert.equal(
+    parseMatchResult(games([4, 11], [9, 11]), "best_of_3", rules).winner,
+    "B"
+  );
+});
+
+test("best of 5 needs three games and nothing after", () => {
+  const result = parseMatchResult(
+    games([11, 8], [6, 11], [11, 9], [5, 11], [8, 11]),
+    "best_of_5",
+    rules
+  );
+  assert.deepEqual([result.scoreA, result.scoreB, result.winner], [2, 3, "B"]);
+
+  assert.match(
+    parseMatchResult(games([11, 8], [11, 6]), "best_of_5", rules).error,
+    /First to 3 games wins/
+  );
+  assert.match(
+    parseMatchResult(
+      games([11, 8], [11, 6], [11, 2], [3, 11]),
+      "best_of_5",
+      rules
+    ).error,
+    /Game 4 was played after the match was decided/
+  );
+});
+
+test("two games always both count; a split goes to total points", () => {
+  const split = parseMatchResult(games([11, 3], [9, 11]), "two_games", rules);
+  assert.deepEqual([split.scoreA, split.scoreB, split.winner], [1, 1, "A"]);
+
+  const swept = parseMatchResult(games([11, 9], [11, 9]), "two_games", rules);
+  assert.equal(swept.winner, "A");
+
+  assert.match(
+    parseMatchResult(games([11, 3]), "two_games", rules).error,
+    /All 2 games must be played/
+  );
+  assert.match(
+    parseMatchResult(games([11, 9], [9, 11]), "two_games", rules).error,
+    /equal total points/
+  );
+});
+
+test("each game is checked against the stage's scoring rules", () => {
+  assert.equal(
+    parseMatchResult(games([11, 8], [11, 10]), "best_of_3", rules).error,
+    "Game 2: Team must win by 2."
+  );
+  assert.equal(
+    parseMatchResult(games([11, 8], [11, 6], [11, 2]), "single", rules).error,
+    "This match is a single game."
+  );
+});
+
+test("phases map to the rr, playoff and medal stages", () => {
+  assert.deepEqual(
+    ["RR", "QF", "WB1-1", "FINAL", "THIRD", "GF"].map(stageForPhase),
+    ["rr", "playoff", "playoff", "medal", "medal", "medal"]
+  );
+});
@@ -0,0 +1,97 @@
+// backend/test/pools.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  assignPoolsSnake,
+  computePoolStandings,
+  crossoverSeeds,
+  buildSingleEliminationBracket,
+  resolveBracket,
+} = require("../tournamentEngine");
+const { rrMatch } = require("./fixtures");
+
+// Pool standings where each pool finishes in the listed order.
+const finished = (order) =>
+  Object.entries(order).map(([pool, ids]) => ({
+    pool,
+    standings: ids.map((teamId, idx) => ({ teamId, poolRank: idx + 1 })),
+  }));
+
+test("snake draft spreads the seeds across pools", () => {
+  const pools = assignPoolsSnake([1, 2, 3, 4, 5, 6, 7, 8], 2);
+
+  assert.deepEqual(pools, [
+    { pool: "A", teams: [1, 4, 5, 8] },
+    { pool: "B", teams: [2, 3, 6, 7] },
+  ]);
+  assert.throws(() => assignPoolsSnake([1, 2, 3], 2), /at least 4 teams/);
+});
+
+test("pool standings only count matches inside the pool", () => {
+  const pools = [
+    { pool: "A", teamIds: ["1", "2"] },
+    { pool: "B", teamIds: ["3", "4"] },
+  ];
+  const standings = computePoolStandings(pools, [
+    rrMatch("RR-1", "1", "2", 5, 11),
+    rrMatch("RR-2", "3", "4", 11, 9),
+    // a cross-pool result must not reach either table
+    rrMatch("RR-3", "1", "3", 11, 0),
+  ]);
+
+  assert.deepEqual(
+    standings.map((p) => p.standings.map((s) => [s.teamId, s.poolRank])),
+    [
+      [
+        ["2", 1],
+        ["1", 2],
+      ],
+      [
+        ["3", 1],
+        ["4", 2],
+      ],
+    ]
+  );
+  assert.equal(standings[0].standings[1].wins, 0);
+});
+
+test("crossover seeds pair A1 vs B2 and B1 vs A2", () => {
+  const seeds = crossoverSeeds(
+    finished({ A: ["a1", "a2", "a3"], B: ["b1", "b2", "b3"] }),
+    2
+  );
+  assert.deepEqual(seeds, ["a1", "b1", "a2", "b2"]);
+
+  const slots = resolveBracket(buildSingleEliminationBracket(4), seeds);
+  assert.deepEqual(
+    slots.filter((s) => s.phase === "SF").map((s) => [s.teamAId, s.teamBId]),
+    [
+      ["a1", "b2"],
+      ["b1", "a2"],
+    ]
+  );
+});
+
+test("four pools never meet their own pool in the first round", () => {
+  const seeds = crossoverSeeds(
+    finished({
+      A: ["a1", "a2"],
+      B: ["b1", "b2"],
+      C: ["c1", "c2"],
+      D: ["d1", "d2"],
+    }),
+    2
+  );
+  const quarters = resolveBracket(
+    buildSingleEliminationBracket(8),
+    seeds
+  ).filter((s) => s.phase === "QF");
+
+  for (const s of quarters) {
+    assert.notEqual(s.teamAId[0], s.teamBId[0]);
+  }
+  assert.throws(
+    () => crossoverSeeds(finished({ A: ["a1"], B: ["b1", "b2"] }), 2),
+    /Pool A only has 1 teams/
+  );
+});
@@ -0,0 +1,68 @@
+// backend/test/ratingBalance.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateRoundRobinSchedule,
+  strengthOfSchedule,
+  seededRng,
+} = require("../tournamentEngine");
+
+const teams = Array.from({ length: 10 }, (_, i) => ({ id: String(i + 1) }));
+// 2.5 up to 5.2: a wide field, so a random draw can be lopsided
+const ratings = new Map(teams.map((t, i) => [t.id, 2.5 + i * 0.3]));
+
+const spread = (matches) => {
+  const sos = strengthOfSchedule(matches, ratings).map((s) => s.sos);
+  return Math.max(...sos) - Math.min(...sos);
+};
+// "round:team" for every team that plays in a round
+const teamsByRound = (matches) =>
+  matches
+    .flatMap((m) => [`${m.round}:${m.teamAId}`, `${m.round}:${m.teamBId}`])
+    .sort();
+
+test("rating balance keeps every team's opponents in a narrow band", () => {
+  for (const seed of [1, 2, 3, 4, 5, 6]) {
+    const random = generateRoundRobinSchedule(teams, 4, {
+      rng: seededRng(seed),
+    });
+    const balanced = generateRoundRobinSchedule(teams, 4, {
+      rng: seededRng(seed),
+      ratings,
+    });
+
+    assert.ok(spread(balanced) < spread(random));
+    assert.ok(spread(balanced) < 0.6, `seed ${seed}: ${spread(balanced)}`);
+  }
+});
+
+test("balancing only re-pairs inside rounds and never adds a rematch", () => {
+  const random = generateRoundRobinSchedule(teams, 4, { rng: seededRng(4) });
+  const balanced = generateRoundRobinSchedule(teams, 4, {
+    rng: seededRng(4),
+    ratings,
+  });
+  const pairs = balanced.map((m) => [m.teamAId, m.teamBId].sort().join("-"));
+
+  assert.deepEqual(teamsByRound(balanced), teamsByRound(random));
+  assert.equal(new Set(pairs).size, pairs.length);
+});
+
+test("unrated teams count as the field average", () => {
+  const sos = strengthOfSchedule(
+    [
+      { teamAId: "1", teamBId: "2" },
+      { teamAId: "1", teamBId: "3" },
+    ],
+    new Map([
+      ["1", 3],
+      ["2", 4],
+    ])
+  );
+
+  assert.deepEqual(sos, [
+    { teamId: "1", rating: 3, sos: 3.75, opponents: 2 },
+    { teamId: "2", rating: 4, sos: 3, opponents: 1 },
+    { teamId: "3", rating: null, sos: 3, opponents: 1 },
+  ]);
+});
@@ -0,0 +1,68 @@
+// backend/test/rotatingPartners.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateRotatingPartnerSchedule,
+  seededRng,
+} = require("../tournamentEngine");
+
+const players = (n) => Array.from({ length: n }, (_, i) => i + 1);
+const pair = (a, b) => [a, b].sort().join("-");
+
+test("no two players partner twice while fresh partners remain", () => {
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const { matches } = generateRotatingPartnerSchedule(players(8), 5, {
+      rng: seededRng(seed),
+    });
+    const partners = matches.flatMap((m) => [
+      pair(...m.teamA),
+      pair(...m.teamB),
+    ]);
+
+    assert.equal(matches.length, 10);
+    assert.equal(new Set(partners).size, partners.length);
+  }
+});
+
+test("every player is placed exactly once per round", () => {
+  const { matches, sitOuts } = generateRotatingPartnerSchedule(players(9), 3, {
+    rng: seededRng(7),
+  });
+
+  for (const { round, playerIds } of sitOuts) {
+    const seated = matches
+      .filter((m) => m.round === round)
+      .flatMap((m) => [...m.teamA, ...m.teamB]);
+    assert.deepEqual(
+      [...seated, ...playerIds].sort(),
+      players(9).map(String).sort()
+    );
+  }
+});
+
+test("sit-outs stay balanced, also when courts are short", () => {
+  for (const courts of [undefined, 1]) {
+    const { sitOuts } = generateRotatingPartnerSchedule(players(10), 5, {
+      courts,
+      rng: seededRng(1),
+    });
+    const count = new Map(players(10).map((id) => [String(id), 0]));
+
+    for (const { playerIds } of sitOuts) {
+      for (const id of playerIds) count.set(id, count.get(id) + 1);
+      const counts = [...count.values()];
+      assert.ok(Math.max(...counts) - Math.min(...counts) <= 1);
+    }
+  }
+});
+
+test("rejects fields too small to play", () => {
+  assert.throws(
+    () => generateRotatingPartnerSchedule(players(3), 2),
+    /at least 4 players/
+  );
+  assert.throws(
+    () => generateRotatingPartnerSchedule(players(4), 0),
+    /rounds must be >= 1/
+  );
+});
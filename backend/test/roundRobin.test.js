@@ -0,0 +1,85 @@
+// backend/test/roundRobin.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateRoundRobinSchedule,
+  seededRng,
+} = require("../tournamentEngine");
+
+const teams = (n) =>
+  Array.from({ length: n }, (_, i) => ({ id: String(i + 1) }));
+const rounds = (matches) => {
+  const byRound = new Map();
+  for (const m of matches) {
+    if (!byRound.has(m.round)) byRound.set(m.round, []);
+    byRound.get(m.round).push(m);
+  }
+  return [...byRound.values()];
+};
+const playing = (round) => round.flatMap((m) => [m.teamAId, m.teamBId]);
+
+// Rounds each team sat out, by team id.
+function byeCounts(matches, n) {
+  const byes = new Map(teams(n).map((t) => [t.id, 0]));
+  for (const round of rounds(matches)) {
+    const busy = new Set(playing(round));
+    for (const id of byes.keys()) {
+      if (!busy.has(id)) byes.set(id, byes.get(id) + 1);
+    }
+  }
+  return [...byes.values()];
+}
+
+test("a full odd round robin gives every team exactly one bye", () => {
+  const matches = generateRoundRobinSchedule(teams(7), 6);
+  const pairs = matches.map((m) => [m.teamAId, m.teamBId].sort().join("-"));
+
+  assert.equal(matches.length, 21);
+  assert.equal(new Set(pairs).size, 21);
+  assert.equal(rounds(matches).length, 7);
+  assert.deepEqual(byeCounts(matches, 7), [1, 1, 1, 1, 1, 1, 1]);
+});
+
+test("nobody plays twice in a round and byes stay within one", () => {
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const matches = generateRoundRobinSchedule(teams(9), 4, {
+      rng: seededRng(seed),
+    });
+
+    for (const round of rounds(matches)) {
+      const ids = playing(round);
+      assert.equal(new Set(ids).size, ids.length);
+    }
+    for (const { id } of teams(9)) {
+      assert.equal(
+        matches.filter((m) => m.teamAId === id || m.teamBId === id).length,
+        4
+      );
+    }
+    const byes = byeCounts(matches, 9);
+    assert.ok(Math.max(...byes) - Math.min(...byes) <= 1);
+  }
+});
+
+test("teams that finish a round late start the next one late", () => {
+  const matches = generateRoundRobinSchedule(teams(8), 7, {
+    rng: seededRng(1),
+  });
+  const all = rounds(matches);
+
+  for (let r = 1; r < all.length; r++) {
+    const last = all[r - 1][all[r - 1].length - 1];
+    const first = all[r][0];
+    for (const id of [first.teamAId, first.teamBId]) {
+      assert.ok(![last.teamAId, last.teamBId].includes(id));
+    }
+  }
+});
+
+test("rejects more games per team than there are opponents", () => {
+  assert.throws(
+    () => generateRoundRobinSchedule(teams(4), 4),
+    /gamesPerTeam=4 is too large for 4 teams \(max is 3\)/
+  );
+  assert.throws(() => generateRoundRobinSchedule(teams(1), 1), /at least 2/);
+});
@@ -0,0 +1,54 @@
+// backend/test/scoringProfiles.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validatePickleballScore,
+  parseScoringProfile,
+  scoringRules,
+  defaultScoringProfile,
+} = require("../scoring");
+
+const check = (profile, a, b) =>
+  validatePickleballScore(a, b, scoringRules(profile));
+
+test("win by 2 rejects a one-point game", () => {
+  assert.equal(check("to_11", 11, 10), "Team must win by 2.");
+  assert.equal(check("to_11", 12, 10), null);
+  assert.equal(check("to_11", 9, 7), "Game must be played to at least 11.");
+  assert.equal(check("to_15", 11, 5), "Game must be played to at least 15.");
+  assert.equal(check("rally_21", 21, 19), null);
+});
+
+test("a cap ends the game on a one-point lead", () => {
+  assert.equal(check("to_11_cap_15", 15, 14), null);
+  assert.equal(check("to_11_cap_15", 14, 13), "Team must win by 2.");
+  assert.equal(check("to_11_cap_15", 16, 14), "Games are capped at 15.");
+  assert.equal(check("to_15_cap_17", 17, 16), null);
+});
+
+test("timed games accept any untied score", () => {
+  assert.equal(check("timed", 7, 6), null);
+  assert.equal(check("timed", 3, 3), "Ties are not allowed.");
+  assert.equal(check("timed", -1, 3), "Scores must be >= 0.");
+});
+
+test("profile keys parse case-insensitively and unknown ones fall back", () => {
+  assert.equal(parseScoringProfile("TO_15", "to_11"), "to_15");
+  assert.equal(parseScoringProfile("", "to_11"), "to_11");
+  assert.equal(parseScoringProfile("to_99", "to_11"), null);
+
+  assert.deepEqual(scoringRules("to_99"), {
+    profile: "to_11",
+    label: "To 11, win by 2",
+    playTo: 11,
+    winBy: 2,
+    cap: null,
+    timed: false,
+  });
+});
+
+test("stages without a saved profile get the default", () => {
+  assert.equal(defaultScoringProfile("rr", "best_of_3"), "to_11");
+  assert.equal(defaultScoringProfile("playoff", "single"), "to_15");
+  assert.equal(defaultScoringProfile("medal", "best_of_3"), "to_11");
+});
@@ -0,0 +1,52 @@
+// backend/test/seededRng.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  seededRng,
+  shuffle,
+  generateRoundRobinSchedule,
+} = require("../tournamentEngine");
+
+const draw = (rng, n) => Array.from({ length: n }, () => rng());
+
+test("the same seed gives the same sequence", () => {
+  assert.deepEqual(
+    draw(seededRng("abc123"), 20),
+    draw(seededRng("abc123"), 20)
+  );
+  // numbers and their string form are the same seed
+  assert.deepEqual(draw(seededRng(42), 5), draw(seededRng("42"), 5));
+});
+
+test("different seeds give different sequences in [0, 1)", () => {
+  const a = draw(seededRng("a"), 50);
+  const b = draw(seededRng("b"), 50);
+
+  assert.notDeepEqual(a, b);
+  assert.ok([...a, ...b].every((x) => x >= 0 && x < 1));
+});
+
+test("a seeded shuffle is reproducible and leaves the input alone", () => {
+  const ids = [1, 2, 3, 4, 5, 6, 7, 8];
+  const first = shuffle(ids, seededRng("draw"));
+
+  assert.deepEqual(shuffle(ids, seededRng("draw")), first);
+  assert.deepEqual(
+    [...first].sort((x, y) => x - y),
+    ids
+  );
+  assert.deepEqual(ids, [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test("a seeded round robin can be regenerated", () => {
+  const teams = Array.from({ length: 7 }, (_, i) => ({
+    id: i + 1,
+    name: `T${i + 1}`,
+  }));
+  const pairs = (matches) =>
+    matches.map((m) => [m.round, m.teamAId, m.teamBId]);
+
+  const first = generateRoundRobinSchedule(teams, 4, { rng: seededRng(9) });
+  const again = generateRoundRobinSchedule(teams, 4, { rng: seededRng(9) });
+  assert.deepEqual(pairs(again), pairs(first));
+});
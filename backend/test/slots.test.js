@@ -0,0 +1,108 @@
+// backend/test/slots.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateRoundRobinSchedule,
+  assignRoundSlots,
+  minimumSlots,
+  explainScheduleShortfall,
+  teamTimelines,
+  seededRng,
+} = require("../tournamentEngine");
+
+const teams = (n) =>
+  Array.from({ length: n }, (_, i) => ({
+    id: String(i + 1),
+    name: `T${i + 1}`,
+  }));
+const slotCount = (slotted) => Math.max(...slotted.map((m) => m.slot)) + 1;
+
+test("no team plays twice in one slot and no slot overbooks the courts", () => {
+  const matches = generateRoundRobinSchedule(teams(8), 7, {
+    rng: seededRng(2),
+  });
+
+  for (const courts of [1, 3, 4]) {
+    const slotted = assignRoundSlots(matches, courts);
+    assert.equal(slotted.length, matches.length);
+
+    for (let slot = 0; slot < slotCount(slotted); slot++) {
+      const inSlot = slotted.filter((m) => m.slot === slot);
+      const ids = inSlot.flatMap((m) => [m.teamAId, m.teamBId]);
+      assert.ok(inSlot.length <= courts);
+      assert.equal(new Set(ids).size, ids.length);
+      assert.deepEqual(
+        inSlot.map((m) => m.court),
+        inSlot.map((_, idx) => idx + 1)
+      );
+    }
+  }
+  assert.throws(() => assignRoundSlots(matches, 0), /courts must be/);
+});
+
+test("minimumSlots is bound by the courts or by the busiest team", () => {
+  const matches = generateRoundRobinSchedule(teams(6), 5, {
+    rng: seededRng(1),
+  });
+
+  // 15 matches on 2 courts need 8 slots
+  assert.deepEqual(minimumSlots(matches, 2), {
+    slots: 8,
+    byCourts: 8,
+    byTeam: 5,
+    busiestTeamId: "1",
+    busiestTeamGames: 5,
+  });
+  // on 4 courts every team's 5 games are the limit
+  assert.equal(minimumSlots(matches, 4).slots, 5);
+  assert.equal(slotCount(assignRoundSlots(matches, 4)), 5);
+});
+
+test("timelines count the idle slots between a team's matches", () => {
+  const timeline = teamTimelines([
+    { id: "RR-1", teamAId: "1", teamBId: "2", slot: 0, court: 1 },
+    { id: "RR-2", teamAId: "1", teamBId: "3", slot: 3, court: 1 },
+  ]).find((t) => t.teamId === "1");
+
+  assert.deepEqual(
+    [timeline.firstSlot, timeline.lastSlot, timeline.idleSlots],
+    [0, 3, 2]
+  );
+  assert.equal(timeline.longestWait, 2);
+  assert.deepEqual(
+    timeline.matches.map((m) => m.opponentId),
+    ["2", "3"]
+  );
+});
+
+test("a schedule that overruns its window says what is short", () => {
+  const field = teams(6);
+  const matches = generateRoundRobinSchedule(field, 5, { rng: seededRng(1) });
+  const shortfall = (courts, slots, slotsNeeded) =>
+    explainScheduleShortfall({
+      teams: field,
+      matchCount: matches.length,
+      courts,
+      slots,
+      slotMinutes: 20,
+      slotsNeeded,
+      minimum: minimumSlots(matches, courts),
+    });
+
+  assert.equal(
+    shortfall(4, 4, 5),
+    "Schedule won't fit: the window has 4 slots of 20 min on 4 courts, " +
+      "but this schedule needs 5. T1 plays 5 matches and can only play one " +
+      "per slot. Extend the end time by 20 min, add courts, or lower games " +
+      "per team."
+  );
+  assert.match(
+    shortfall(2, 6, 8),
+    /15 matches on 2 courts take at least 8 slots even with every court busy\. Extend the end time by 40 min/
+  );
+  assert.match(
+    shortfall(2, 8, 9),
+    /Courts alone would need 8 slots, but keeping every team to one court per slot takes 9\./
+  );
+  assert.match(shortfall(1, 1, 15), /window has 1 slot of 20 min on 1 court,/);
+});
@@ -0,0 +1,117 @@
+// backend/test/standings.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeStandings } = require("../tournamentEngine");
+const { rrMatch } = require("./fixtures");
+
+const order = (standings) => standings.map((s) => s.teamId);
+
+test("sorts by wins and returns string team ids", () => {
+  const standings = computeStandings(
+    [1, 2, 3],
+    [
+      rrMatch("1", 1, 2, 11, 5),
+      rrMatch("2", 1, 3, 11, 9),
+      rrMatch("3", 2, 3, 11, 4),
+    ]
+  );
+
+  assert.deepEqual(order(standings), ["1", "2", "3"]);
+  assert.deepEqual(
+    standings.map((s) => s.decidedBy),
+    ["wins", "wins", "wins"]
+  );
+  assert.equal(standings[0].pointDiff, 8);
+});
+
+test("head-to-head breaks a two-way tie ahead of point differential", () => {
+  // 1 and 2 both have one win; 2 has the better point diff, 1 won the meeting
+  const matches = [
+    rrMatch("1", 1, 2, 11, 9),
+    rrMatch("2", 3, 4, 11, 9),
+    rrMatch("3", 1, 3, 5, 11),
+    rrMatch("4", 2, 4, 11, 0),
+  ];
+
+  const byPoints = computeStandings([1, 2, 3, 4], matches);
+  assert.deepEqual(order(byPoints).slice(1, 3), ["2", "1"]);
+  assert.equal(byPoints[1].decidedBy, "pointDiff");
+
+  const byMeeting = computeStandings([1, 2, 3, 4], matches, {
+    tiebreakers: ["headToHead", "pointDiff"],
+  });
+  assert.deepEqual(order(byMeeting).slice(1, 3), ["1", "2"]);
+  assert.equal(byMeeting[1].decidedBy, "headToHead");
+});
+
+test("a head-to-head cycle falls through to the next tiebreaker", () => {
+  const matches = [
+    rrMatch("1", 1, 2, 11, 5),
+    rrMatch("2", 2, 3, 11, 9),
+    rrMatch("3", 3, 1, 11, 8),
+    rrMatch("4", 1, 4, 11, 0),
+    rrMatch("5", 2, 4, 11, 0),
+    rrMatch("6", 3, 4, 11, 0),
+  ];
+
+  const standings = computeStandings([1, 2, 3, 4], matches, {
+    tiebreakers: ["headToHead", "pointDiff"],
+  });
+  assert.deepEqual(order(standings), ["1", "3", "2", "4"]);
+  assert.deepEqual(
+    standings.map((s) => s.decidedBy),
+    ["pointDiff", "pointDiff", "pointDiff", "wins"]
+  );
+});
+
+test("pointDiffCapped limits each game's margin", () => {
+  const matches = [
+    rrMatch("1", 1, 3, 11, 0),
+    rrMatch("2", 2, 3, 11, 6),
+    rrMatch("3", 3, 1, 11, 9),
+    rrMatch("4", 3, 2, 11, 10),
+  ];
+
+  // raw: 1 -> +9, 2 -> +4; capped at 5: 1 -> +3, 2 -> +4
+  const raw = computeStandings([1, 2, 3], matches);
+  assert.deepEqual(order(raw).slice(1), ["1", "2"]);
+
+  const capped = computeStandings([1, 2, 3], matches, {
+    tiebreakers: ["pointDiffCapped"],
+    pointDiffCap: 5,
+  });
+  assert.deepEqual(order(capped).slice(1), ["2", "1"]);
+  assert.equal(capped[1].cappedPointDiff, 4);
+  assert.equal(capped[1].decidedBy, "pointDiffCapped");
+});
+
+test("coin flips are stable for the same seed", () => {
+  const a = computeStandings([1, 2, 3, 4], [], { coinFlipSeed: 7 });
+  const b = computeStandings([4, 3, 2, 1], [], { coinFlipSeed: 7 });
+
+  assert.deepEqual(order(a), order(b));
+  assert.ok(a.every((s) => s.decidedBy === "coinFlip"));
+});
+
+test("forfeits count as wins and only score points with forfeitScore", () => {
+  const forfeit = {
+    id: "1",
+    phase: "RR",
+    teamAId: 1,
+    teamBId: 2,
+    scoreA: null,
+    scoreB: null,
+    winnerId: 2,
+  };
+
+  const plain = computeStandings([1, 2], [forfeit]);
+  assert.deepEqual(order(plain), ["2", "1"]);
+  assert.equal(plain[0].pointDiff, 0);
+  assert.equal(plain[1].gamesPlayed, 1);
+
+  const scored = computeStandings([1, 2], [forfeit], {
+    forfeitScore: { winner: 11, loser: 0 },
+  });
+  assert.equal(scored[0].pointDiff, 11);
+  assert.equal(scored[1].pointDiff, -11);
+});
@@ -0,0 +1,76 @@
+// backend/test/swiss.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateSwissRound, computeStandings } = require("../tournamentEngine");
+const { rrMatch } = require("./fixtures");
+
+// Play `rounds` Swiss rounds where the lower team id always wins 11-6.
+function playSwiss(teamIds, rounds) {
+  const matches = [];
+  const byes = [];
+  for (let r = 0; r < rounds; r++) {
+    const { pairs, bye } = generateSwissRound(teamIds, matches);
+    for (const [a, b] of pairs) {
+      const aWins = Number(a) < Number(b);
+      matches.push(
+        rrMatch(
+          `RR-${matches.length + 1}`,
+          a,
+          b,
+          aWins ? 11 : 6,
+          aWins ? 6 : 11
+        )
+      );
+    }
+    byes.push(bye);
+  }
+  return { matches, byes };
+}
+
+const key = (m) => [m.teamAId, m.teamBId].sort().join("-");
+
+test("round one pairs the top half against the bottom half by seed", () => {
+  assert.deepEqual(generateSwissRound([1, 2, 3, 4, 5, 6, 7, 8], []), {
+    pairs: [
+      ["1", "5"],
+      ["2", "6"],
+      ["3", "7"],
+      ["4", "8"],
+    ],
+    bye: null,
+  });
+});
+
+test("later rounds pair close records and never repeat a pairing", () => {
+  const ids = ["1", "2", "3", "4", "5", "6", "7", "8"];
+  const { matches } = playSwiss(ids, 3);
+  const keys = matches.map(key);
+
+  assert.equal(new Set(keys).size, keys.length);
+  // after two rounds 1 and 2 are the only unbeaten teams
+  assert.deepEqual(matches.slice(8, 9).map(key), ["1-2"]);
+});
+
+test("the bye rotates and never counts as a win", () => {
+  const ids = ["1", "2", "3", "4", "5", "6", "7"];
+  const { matches, byes } = playSwiss(ids, 5);
+
+  assert.equal(new Set(byes).size, byes.length);
+  assert.equal(new Set(matches.map(key)).size, matches.length);
+
+  const standings = computeStandings(ids, matches);
+  for (const id of byes) {
+    const row = standings.find((s) => s.teamId === id);
+    assert.equal(row.gamesPlayed, 4);
+    assert.equal(row.wins, matches.filter((m) => m.winnerId === id).length);
+  }
+});
+
+test("a field with every pairing used up throws instead of repeating", () => {
+  const { matches } = playSwiss(["1", "2", "3", "4"], 3);
+
+  assert.throws(
+    () => generateSwissRound(["1", "2", "3", "4"], matches),
+    /No Swiss pairing left without a rematch/
+  );
+});
@@ -0,0 +1,166 @@
+// backend/test/teamPairing.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { seededRng } = require("../tournamentEngine");
+const {
+  PAIRING_STRATEGIES,
+  STRATEGY_ALIASES,
+  ratingLookup,
+  pairByDupr,
+  pairBalanced,
+  pairRandom,
+  pairMixed,
+  fairnessReport,
+} = require("../teamPairing");
+
+const player = (id, duprRating, gender) => ({
+  id,
+  name: `P${id}`,
+  duprRating,
+  gender,
+});
+
+const ids = ({ pairs }) => pairs.map((pair) => pair.map((p) => p.id));
+const totals = ({ pairs }, ratingOf) =>
+  pairs.map((pair) => pair.reduce((s, p) => s + ratingOf(p), 0));
+
+test("snake is an alias of dupr, not a strategy of its own", () => {
+  assert.deepEqual(PAIRING_STRATEGIES, ["dupr", "balanced", "random"]);
+  assert.equal(STRATEGY_ALIASES.snake, "dupr");
+});
+
+test("dupr pairs top with bottom and sits out the middle player", () => {
+  const field = [5, 4, 3.9, 3, 1].map((r, i) => player(i + 1, r));
+  const dupr = pairByDupr(field);
+
+  assert.deepEqual(ids(dupr), [
+    [1, 5],
+    [2, 4],
+  ]);
+  assert.equal(dupr.leftover.id, 3);
+});
+
+test("balanced sits out whoever leaves the most even teams", () => {
+  const field = [5, 4, 3.9, 3, 1].map((r, i) => player(i + 1, r));
+  const { ratingOf } = ratingLookup(field);
+  const balanced = pairBalanced(field, ratingOf);
+
+  assert.equal(balanced.leftover.id, 5);
+  assert.deepEqual(ids(balanced), [
+    [1, 4],
+    [2, 3],
+  ]);
+  // 8 and 7.9 against dupr's 6 and 7
+  const [a, b] = totals(balanced, ratingOf);
+  assert.ok(Math.abs(a - b) < Math.abs(6 - 7));
+});
+
+test("balanced counts unrated players at the field average", () => {
+  const field = [player(1, 5), player(2, 4), player(3, null), player(4, 3)];
+  const { fieldAverage, ratingOf } = ratingLookup(field);
+
+  assert.equal(fieldAverage, 4);
+  assert.equal(ratingOf(field[2]), 4);
+  // dupr puts the unrated player last, so they partner the top seed
+  assert.deepEqual(ids(pairByDupr(field)), [
+    [1, 3],
+    [2, 4],
+  ]);
+  assert.deepEqual(ids(pairBalanced(field, ratingOf)), [
+    [1, 4],
+    [2, 3],
+  ]);
+});
+
+test("an even field pairs everyone", () => {
+  const field = [4, 3, 2, 1].map((r, i) => player(i + 1, r));
+  const { ratingOf } = ratingLookup(field);
+
+  assert.equal(pairBalanced(field, ratingOf).leftover, null);
+  assert.equal(pairByDupr(field).leftover, null);
+});
+
+test("random pairing is reproducible from a seed", () => {
+  const field = [1, 2, 3, 4, 5, 6, 7].map((id) => player(id, null));
+  const first = pairRandom(field, seededRng("teams"));
+  const again = pairRandom(field, seededRng("teams"));
+
+  assert.deepEqual(ids(again), ids(first));
+  assert.equal(again.leftover.id, first.leftover.id);
+  assert.equal(
+    new Set([...ids(first).flat(), first.leftover.id]).size,
+    field.length
+  );
+});
+
+test("mixed pairs one man with one woman per team", () => {
+  const field = [
+    player(1, 2, "male"),
+    player(2, 3, "male"),
+    player(3, 5, "male"),
+    player(4, 4.5, "male"),
+    player(5, 4, "female"),
+    player(6, 3.5, "female"),
+  ];
+  const { ratingOf } = ratingLookup(field);
+
+  // dupr sits out the last men by id, then pairs strongest with weakest
+  const dupr = pairMixed(field, "dupr", Math.random, ratingOf);
+  assert.deepEqual(
+    dupr.leftovers.map((p) => p.id),
+    [3, 4]
+  );
+  assert.deepEqual(ids(dupr), [
+    [2, 6],
+    [1, 5],
+  ]);
+
+  // balanced picks the sit-outs that even the teams out
+  const balanced = pairMixed(field, "balanced", Math.random, ratingOf);
+  assert.deepEqual(balanced.leftovers.map((p) => p.id).sort(), [1, 2]);
+  assert.deepEqual(totals(balanced, ratingOf), [8.5, 8.5]);
+  assert.ok(
+    balanced.pairs.every(
+      ([m, w]) => m.gender === "male" && w.gender === "female"
+    )
+  );
+});
+
+test("the fairness report summarizes team averages", () => {
+  const field = [player(1, 5), player(2, 4), player(3, null), player(4, 2)];
+  const lookup = ratingLookup(field);
+  // field average is 11 / 3; player 3 counts at that
+  const teams = [
+    { id: 1, name: "A", players: [field[0], field[3]] },
+    { id: 2, name: "B", players: [field[1], field[2]] },
+  ];
+
+  const report = fairnessReport(teams, lookup);
+  assert.equal(report.fieldAverage, 3.667);
+  assert.deepEqual(
+    report.teams.map((t) => [t.teamId, t.averageRating, t.unratedPlayers]),
+    [
+      [1, 3.5, 0],
+      [2, 3.833, 1],
+    ]
+  );
+  assert.equal(report.spread, 0.333);
+  assert.equal(report.standardDeviation, 0.167);
+  assert.equal(report.mostFavored.teamId, 2);
+  assert.equal(report.leastFavored.teamId, 1);
+  assert.equal(report.unratedPlayers, 1);
+});
+
+test("the fairness report has no ratings when nobody is rated", () => {
+  const field = [player(1, null), player(2, null)];
+  const report = fairnessReport(
+    [{ id: 1, name: "A", players: field }],
+    ratingLookup(field)
+  );
+
+  assert.equal(report.fieldAverage, null);
+  assert.equal(report.teams[0].averageRating, null);
+  assert.equal(report.spread, null);
+  assert.equal(report.mostFavored, null);
+  assert.equal(report.unratedPlayers, 2);
+});
@@ -0,0 +1,86 @@
+// backend/test/withdrawal.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeStandings,
+  computePoolStandings,
+} = require("../tournamentEngine");
+const { rrMatch } = require("./fixtures");
+
+const order = (standings) => standings.map((s) => s.teamId);
+
+// What forfeitWithdrawnMatches records: a winner and no score.
+const forfeit = (id, teamAId, teamBId, winnerId) => ({
+  id,
+  phase: "RR",
+  teamAId,
+  teamBId,
+  scoreA: null,
+  scoreB: null,
+  winnerId,
+});
+
+// Team 3 beat 1, then withdrew before playing 2.
+const matches = [
+  rrMatch("RR-1", "3", "1", 11, 4),
+  rrMatch("RR-2", "1", "2", 11, 9),
+  forfeit("RR-3", "2", "3", "2"),
+];
+
+test("a withdrawn team leaves the table but its results stand", () => {
+  const standings = computeStandings(["1", "2", "3"], matches, {
+    withdrawnTeamIds: ["3"],
+  });
+
+  // 1 keeps its loss to 3 and 2 keeps the forfeit win; pointDiff splits them
+  assert.deepEqual(
+    standings.map((s) => [s.teamId, s.wins, s.gamesPlayed, s.pointDiff]),
+    [
+      ["2", 1, 2, -2],
+      ["1", 1, 2, -5],
+    ]
+  );
+});
+
+test("forfeits left by a withdrawal can credit points", () => {
+  const standings = computeStandings(["1", "2", "3"], matches, {
+    withdrawnTeamIds: ["3"],
+    forfeitScore: { winner: 11, loser: 0 },
+  });
+  const two = standings.find((s) => s.teamId === "2");
+
+  assert.equal(two.pointsFor, 9 + 11);
+  assert.equal(two.pointDiff, -2 + 11);
+});
+
+test("voiding a withdrawn team drops every match it was in", () => {
+  const standings = computeStandings(["1", "2", "3"], matches, {
+    withdrawnTeamIds: ["3"],
+    voidedTeamIds: ["3"],
+  });
+
+  assert.deepEqual(order(standings), ["1", "2"]);
+  assert.deepEqual(
+    standings.map((s) => [s.wins, s.gamesPlayed, s.pointDiff]),
+    [
+      [1, 1, 2],
+      [0, 1, -2],
+    ]
+  );
+});
+
+test("pool standings rank the teams that are left", () => {
+  const [pool] = computePoolStandings(
+    [{ pool: "A", teamIds: ["1", "2", "3"] }],
+    matches,
+    { withdrawnTeamIds: ["3"] }
+  );
+
+  assert.deepEqual(
+    pool.standings.map((s) => [s.teamId, s.poolRank]),
+    [
+      ["2", 1],
+      ["1", 2],
+    ]
+  );
+});
@@ -8,6 +8,25 @@
  *   when DB returns ids like "41" (strings) but engine inputs are numbers (or vice versa).
  */
 
+/**
+ * Deterministic random number generator (mulberry32) for reproducible draws.
+ * The same seed always yields the same sequence, so a schedule generated from
+ * a stored seed can be regenerated and audited.
+ *
+ * @param {string|number} seed
+ * @returns {Function} rng() -> float in [0, 1)
+ */
+function seededRng(seed) {
+  let state = hashString(String(seed));
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 function shuffle(array, rng = Math.random) {
   const a = [...array];
   for (let i = a.length - 1; i > 0; i--) {
@@ -25,76 +44,48 @@ function pairKey(aId, bId) {
 }
 
 /**
- * Generate RR matchups so each team plays `gamesPerTeam` matches.
- * Greedy + shuffle. Works well for league-night scheduling.
+ * Circle method: every team plays every other once. Odd counts get a "BYE"
+ * slot, so each team sits out exactly one round.
  *
- * @param {Array<{id: number|string, name: string}>} teams
- * @param {number} gamesPerTeam (default 4)
- * @param {object} [options]
- * @param {number} [options.maxAttempts=200] - retries with reshuffle if stuck
- * @returns {Array<{id: string, phase:'RR', teamAId, teamBId, scoreA:null, scoreB:null, winnerId:null}>}
+ * @returns {Array<Array<[id, id]>>} rounds of pairs
  */
-function generateRoundRobinSchedule(teams, gamesPerTeam = 4, options = {}) {
-  const maxAttempts = options.maxAttempts ?? 200;
+function circleRounds(teamIds) {
+  const ids = [...teamIds];
+  if (ids.length % 2 === 1) ids.push("BYE");
 
-  if (teams.length < 2) throw new Error("Need at least 2 teams.");
-  if (gamesPerTeam < 1) throw new Error("gamesPerTeam must be >= 1");
-  if (gamesPerTeam > teams.length - 1) {
-    throw new Error(
-      `gamesPerTeam=${gamesPerTeam} is too large for ${teams.length} teams (max is ${
-        teams.length - 1
-      }).`
-    );
-  }
+  const n = ids.length;
+  const half = n / 2;
 
-  const teamIds = teams.map((t) => t.id);
+  const fixed = ids[0];
+  let rotating = ids.slice(1);
 
-  // Full Round Robin: use "circle method" (balanced; each team plays each other exactly once)
-  if (gamesPerTeam === teams.length - 1) {
-    const ids = [...teamIds];
-    const hasBye = ids.length % 2 === 1;
-    if (hasBye) ids.push("BYE");
-
-    const n = ids.length;
-    const rounds = n - 1;
-    const half = n / 2;
-
-    const fixed = ids[0];
-    let rotating = ids.slice(1);
-
-    const schedule = [];
-
-    for (let r = 0; r < rounds; r++) {
-      const left = [fixed, ...rotating.slice(0, half - 1)];
-      const right = rotating.slice(half - 1).reverse();
-
-      for (let i = 0; i < half; i++) {
-        const aId = left[i];
-        const bId = right[i];
-
-        if (aId === "BYE" || bId === "BYE") continue;
-
-        schedule.push({
-          id: `RR-${schedule.length + 1}`,
-          phase: "RR",
-          teamAId: aId,
-          teamBId: bId,
-          scoreA: null,
-          scoreB: null,
-          winnerId: null,
-        });
-      }
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const left = [fixed, ...rotating.slice(0, half - 1)];
+    const right = rotating.slice(half - 1).reverse();
 
-      rotating = [
-        rotating[rotating.length - 1],
-        ...rotating.slice(0, rotating.length - 1),
-      ];
+    const round = [];
+    for (let i = 0; i < half; i++) {
+      if (left[i] === "BYE" || right[i] === "BYE") continue;
+      round.push([left[i], right[i]]);
     }
+    rounds.push(round);
 
-    return schedule;
+    rotating = [
+      rotating[rotating.length - 1],
+      ...rotating.slice(0, rotating.length - 1),
+    ];
   }
 
-  // Partial Round Robin: greedy + shuffle
+  return rounds;
+}
+
+/**
+ * Random set of distinct pairs where every team plays exactly `gamesPerTeam`
+ * times (greedy + reshuffle).
+ */
+function randomPairs(teamIds, gamesPerTeam, maxAttempts, rng) {
   const allPairs = [];
   for (let i = 0; i < teamIds.length; i++) {
     for (let j = i + 1; j < teamIds.length; j++) {
@@ -104,44 +95,639 @@ function generateRoundRobinSchedule(teams, gamesPerTeam = 4, options = {}) {
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     const gamesPlayed = new Map(teamIds.map((id) => [id, 0]));
-    const usedPairs = new Set();
-    const schedule = [];
+    const chosen = [];
 
-    const pairs = shuffle(allPairs);
-
-    for (const [aId, bId] of pairs) {
+    for (const [aId, bId] of shuffle(allPairs, rng)) {
       if (gamesPlayed.get(aId) >= gamesPerTeam) continue;
       if (gamesPlayed.get(bId) >= gamesPerTeam) continue;
 
-      const key = pairKey(aId, bId);
-      if (usedPairs.has(key)) continue;
-
-      usedPairs.add(key);
       gamesPlayed.set(aId, gamesPlayed.get(aId) + 1);
       gamesPlayed.set(bId, gamesPlayed.get(bId) + 1);
+      chosen.push([aId, bId]);
+    }
+
+    const complete = teamIds.every((id) => gamesPlayed.get(id) === gamesPerTeam);
+    if (complete) return chosen;
+  }
+
+  throw new Error(
+    `Could not generate a schedule where each team plays ${gamesPerTeam} games after many attempts.
+Try reducing gamesPerTeam or increasing team count.`
+  );
+}
+
+/**
+ * Split pairs into rounds (each team at most once per round). Each round
+ * first takes pairs whose teams have sat out the most, then those with the
+ * most games left, so byes spread evenly.
+ */
+function roundsFromPairs(pairs, teamIds) {
+  const left = new Map(teamIds.map((id) => [id, 0]));
+  for (const [a, b] of pairs) {
+    left.set(a, left.get(a) + 1);
+    left.set(b, left.get(b) + 1);
+  }
+  const byes = new Map(teamIds.map((id) => [id, 0]));
+  const need = ([a, b]) =>
+    (byes.get(a) + byes.get(b)) * 1000 + left.get(a) + left.get(b);
+
+  let remaining = pairs.map((p, idx) => ({ p, idx }));
+  const rounds = [];
+
+  while (remaining.length) {
+    const busy = new Set();
+    const round = [];
+
+    const ordered = [...remaining].sort(
+      (x, y) => need(y.p) - need(x.p) || x.idx - y.idx
+    );
+    for (const item of ordered) {
+      const [a, b] = item.p;
+      if (busy.has(a) || busy.has(b)) continue;
+      busy.add(a);
+      busy.add(b);
+      round.push(item);
+    }
+
+    for (const id of teamIds) {
+      if (!busy.has(id) && left.get(id) > 0) byes.set(id, byes.get(id) + 1);
+    }
+    for (const { p } of round) {
+      left.set(p[0], left.get(p[0]) - 1);
+      left.set(p[1], left.get(p[1]) - 1);
+    }
+
+    const taken = new Set(round);
+    remaining = remaining.filter((item) => !taken.has(item));
+    rounds.push(round.map((item) => item.p));
+  }
+
+  return rounds;
+}
+
+/**
+ * Order each round so teams that played late in the previous round play late
+ * again; every team then gets about a full round of rest between matches
+ * when rounds spill over several court slots.
+ */
+function orderRoundsForRest(rounds) {
+  return rounds.map((round, r) => {
+    if (r === 0) return round;
+    const lastPos = new Map();
+    rounds[r - 1].forEach(([a, b], idx) => {
+      lastPos.set(String(a), idx);
+      lastPos.set(String(b), idx);
+    });
+    const latest = ([a, b]) =>
+      Math.max(lastPos.get(String(a)) ?? -1, lastPos.get(String(b)) ?? -1);
+    return [...round].sort((x, y) => latest(x) - latest(y));
+  });
+}
+
+/**
+ * Strength of schedule: each team's average opponent rating. Teams without
+ * a rating count as the field average.
+ *
+ * @param {Array<{teamAId, teamBId}>} matches
+ * @param {Map<string, number>} ratings - team id -> rating
+ * @returns {Array<{teamId: string, rating: number|null, sos: number|null, opponents: number}>}
+ */
+function strengthOfSchedule(matches, ratings) {
+  const known = [...ratings.values()].filter((v) => Number.isFinite(v));
+  const fieldAvg = known.length
+    ? known.reduce((a, b) => a + b, 0) / known.length
+    : null;
+  const ratingOf = (id) => {
+    const v = ratings.get(String(id));
+    return Number.isFinite(v) ? v : fieldAvg;
+  };
+
+  const totals = new Map();
+  for (const m of matches) {
+    for (const [id, opp] of [
+      [m.teamAId, m.teamBId],
+      [m.teamBId, m.teamAId],
+    ]) {
+      const key = String(id);
+      const t = totals.get(key) ?? { sum: 0, n: 0 };
+      t.sum += ratingOf(opp) ?? 0;
+      t.n += 1;
+      totals.set(key, t);
+    }
+  }
+
+  return [...totals.entries()].map(([teamId, t]) => ({
+    teamId,
+    rating: Number.isFinite(ratings.get(teamId)) ? ratings.get(teamId) : null,
+    sos: fieldAvg == null ? null : t.sum / t.n,
+    opponents: t.n,
+  }));
+}
+
+/**
+ * Re-pair teams inside rounds to even out strength of schedule. Swapping
+ * (a-b, c-d) for (a-c, b-d) or (a-d, b-c) keeps every team in the same
+ * rounds, so byes and game counts don't change. Hill climbs on the spread
+ * (sum of squared distance from the mean) of average opponent rating and
+ * never creates a rematch.
+ */
+function balanceRoundsByRating(rounds, ratings, options = {}) {
+  const rng = options.rng ?? Math.random;
+  const iterations = options.iterations ?? 3000;
+
+  const known = [...ratings.values()].filter((v) => Number.isFinite(v));
+  if (known.length < 2) return rounds;
+  const fieldAvg = known.reduce((a, b) => a + b, 0) / known.length;
+  const ratingOf = (id) => {
+    const v = ratings.get(String(id));
+    return Number.isFinite(v) ? v : fieldAvg;
+  };
+
+  const out = rounds.map((round) => round.map((p) => [...p]));
+  const used = new Set(out.flat().map(([a, b]) => pairKey(a, b)));
+  const oppSum = new Map();
+  const games = new Map();
+  for (const [a, b] of out.flat()) {
+    for (const [id, opp] of [
+      [a, b],
+      [b, a],
+    ]) {
+      const key = String(id);
+      oppSum.set(key, (oppSum.get(key) ?? 0) + ratingOf(opp));
+      games.set(key, (games.get(key) ?? 0) + 1);
+    }
+  }
+
+  const spread = () => {
+    const avgs = [...oppSum.keys()].map((id) => oppSum.get(id) / games.get(id));
+    const mean = avgs.reduce((a, b) => a + b, 0) / avgs.length;
+    return avgs.reduce((acc, v) => acc + (v - mean) ** 2, 0);
+  };
+  const shift = (id, from, to) => {
+    const key = String(id);
+    oppSum.set(key, oppSum.get(key) - ratingOf(from) + ratingOf(to));
+  };
+  const opponents = (pairs) => {
+    const opp = new Map();
+    for (const [x, y] of pairs) {
+      opp.set(x, y);
+      opp.set(y, x);
+    }
+    return opp;
+  };
+  const repair = (fromPairs, toPairs) => {
+    const from = opponents(fromPairs);
+    const to = opponents(toPairs);
+    for (const id of from.keys()) shift(id, from.get(id), to.get(id));
+  };
+
+  let best = spread();
+  for (let i = 0; i < iterations; i++) {
+    const round = out[Math.floor(rng() * out.length)];
+    if (round.length < 2) continue;
+    const p = Math.floor(rng() * round.length);
+    let q = Math.floor(rng() * (round.length - 1));
+    if (q >= p) q += 1;
+
+    const [a, b] = round[p];
+    const [c, d] = round[q];
+    const next = rng() < 0.5 ? [[a, c], [b, d]] : [[a, d], [b, c]];
+    if (next.some(([x, y]) => used.has(pairKey(x, y)))) continue;
+
+    repair([[a, b], [c, d]], next);
+    const score = spread();
+    if (score < best - 1e-9) {
+      best = score;
+      used.delete(pairKey(a, b));
+      used.delete(pairKey(c, d));
+      for (const [x, y] of next) used.add(pairKey(x, y));
+      round[p] = next[0];
+      round[q] = next[1];
+    } else {
+      repair(next, [[a, b], [c, d]]);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Generate RR matchups so each team plays `gamesPerTeam` matches, in rounds
+ * where no team plays twice.
+ *
+ * - Full RR (gamesPerTeam = teams - 1): circle method. With an odd count
+ *   every team gets exactly one bye.
+ * - Partial RR, even count: the first `gamesPerTeam` circle rounds of a
+ *   shuffled order, so nobody sits out.
+ * - Partial RR, odd count: random pairs split into rounds with byes spread
+ *   as evenly as possible.
+ *
+ * @param {Array<{id: number|string, name: string}>} teams
+ * @param {number} gamesPerTeam (default 4)
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=200] - retries with reshuffle if stuck
+ * @param {Function} [options.rng=Math.random]
+ * @param {Map<string, number>} [options.ratings] - team id -> rating; with
+ *   a partial RR, opponents are re-paired so every team's average opponent
+ *   rating comes out as close as possible (see balanceRoundsByRating)
+ * @returns {Array<{id: string, phase:'RR', round: number, teamAId, teamBId, scoreA:null, scoreB:null, winnerId:null}>}
+ */
+function generateRoundRobinSchedule(teams, gamesPerTeam = 4, options = {}) {
+  const maxAttempts = options.maxAttempts ?? 200;
+  const rng = options.rng ?? Math.random;
+
+  if (teams.length < 2) throw new Error("Need at least 2 teams.");
+  if (gamesPerTeam < 1) throw new Error("gamesPerTeam must be >= 1");
+  if (gamesPerTeam > teams.length - 1) {
+    throw new Error(
+      `gamesPerTeam=${gamesPerTeam} is too large for ${teams.length} teams (max is ${
+        teams.length - 1
+      }).`
+    );
+  }
+
+  const teamIds = teams.map((t) => t.id);
+
+  let rounds;
+  if (gamesPerTeam === teams.length - 1) {
+    rounds = circleRounds(teamIds);
+  } else if (teamIds.length % 2 === 0) {
+    rounds = circleRounds(shuffle(teamIds, rng)).slice(0, gamesPerTeam);
+  } else {
+    rounds = roundsFromPairs(
+      randomPairs(teamIds, gamesPerTeam, maxAttempts, rng),
+      teamIds
+    );
+  }
+
+  if (options.ratings && gamesPerTeam < teams.length - 1) {
+    rounds = balanceRoundsByRating(rounds, options.ratings, { rng });
+  }
 
+  const schedule = [];
+  orderRoundsForRest(rounds).forEach((round, r) => {
+    for (const [aId, bId] of round) {
       schedule.push({
         id: `RR-${schedule.length + 1}`,
         phase: "RR",
+        round: r + 1,
         teamAId: aId,
         teamBId: bId,
         scoreA: null,
         scoreB: null,
         winnerId: null,
       });
+    }
+  });
+
+  return schedule;
+}
+
+/**
+ * Fit a team that arrived after the round robin started into the remaining
+ * pending rounds. Completed and on-court matches are never touched.
+ *
+ * - Each pending match A-B that is split becomes A-N and N-B, so A and B
+ *   keep their game count while the new team N gains two. Split matches
+ *   are team-disjoint and taken from the earliest pending rounds, one per
+ *   round where possible; A-N keeps the split match's round, time and court.
+ * - An odd target (or too few pending matches) is topped up with extra
+ *   matches against the teams with the fewest games, who end up one over.
+ * - N-B and top-up matches go in the earliest pending round where both
+ *   teams are free, or in new rounds after the last one.
+ *
+ * @param {number|string} teamId - the late team
+ * @param {Array} rrMatches - current RR matches (id, round, status, winnerId,
+ *   teamAId, teamBId, startTime, court)
+ * @param {object} [options]
+ * @param {Array<number|string>} [options.opponentIds] - teams N may play
+ *   (default: every team in rrMatches)
+ * @param {number} [options.gamesPerTeam] - target for N (default: the most
+ *   games any opponent has, capped at the number of opponents)
+ * @param {string} [options.pool] - set on the new matches
+ * @param {Function} [options.rng=Math.random]
+ * @returns {{ gamesPerTeam: number, remove: Array, add: Array,
+ *   games: Array<{teamId: string, before: number, after: number}> }}
+ */
+function scheduleLateTeam(teamId, rrMatches, options = {}) {
+  const rng = options.rng ?? Math.random;
+  const newId = String(teamId);
+
+  const ids = (
+    options.opponentIds ??
+    rrMatches.flatMap((m) => [m.teamAId, m.teamBId])
+  )
+    .map((id) => String(id))
+    .filter((id, idx, all) => id !== newId && all.indexOf(id) === idx);
+  if (ids.length === 0) throw new Error("No opponents to schedule against.");
+
+  const known = new Set(ids);
+  const matches = rrMatches.filter(
+    (m) => known.has(String(m.teamAId)) && known.has(String(m.teamBId))
+  );
 
-      const done = teamIds.every((id) => gamesPlayed.get(id) === gamesPerTeam);
-      if (done) break;
+  const games = new Map(ids.map((id) => [id, 0]));
+  for (const m of matches) {
+    for (const id of [String(m.teamAId), String(m.teamBId)]) {
+      games.set(id, games.get(id) + 1);
     }
+  }
 
-    const complete = teamIds.every((id) => gamesPlayed.get(id) === gamesPerTeam);
-    if (complete) return schedule;
+  const target = Math.min(
+    options.gamesPerTeam ?? Math.max(...games.values()),
+    ids.length
+  );
+
+  const isPending = (m) => m.status === "pending" && !m.winnerId;
+  const pendingRounds = matches.filter(isPending).map((m) => m.round ?? 1);
+  const firstOpenRound = pendingRounds.length
+    ? Math.min(...pendingRounds)
+    : null;
+
+  // split team-disjoint pending matches, earliest rounds first
+  const candidates = shuffle(matches.filter(isPending), rng).sort(
+    (x, y) => (x.round ?? 1) - (y.round ?? 1)
+  );
+  const split = [];
+  const opponents = new Set();
+  for (const sameRoundOk of [false, true]) {
+    for (const m of candidates) {
+      if (split.length * 2 + 2 > target) break;
+      if (split.includes(m)) continue;
+      const pair = [String(m.teamAId), String(m.teamBId)];
+      if (pair.some((id) => opponents.has(id))) continue;
+      const round = m.round ?? 1;
+      if (!sameRoundOk && split.some((s) => (s.round ?? 1) === round)) continue;
+      split.push(m);
+      for (const id of pair) opponents.add(id);
+    }
   }
 
-  throw new Error(
-    `Could not generate a schedule where each team plays ${gamesPerTeam} games after many attempts.
-Try reducing gamesPerTeam or increasing team count.`
+  // who plays in which round once the split matches are gone
+  const busy = new Map();
+  const markBusy = (round, ...teamIds) => {
+    if (!busy.has(round)) busy.set(round, new Set());
+    for (const id of teamIds) busy.get(round).add(String(id));
+  };
+  for (const m of matches) {
+    if (!split.includes(m)) markBusy(m.round ?? 1, m.teamAId, m.teamBId);
+  }
+
+  let lastRound = Math.max(0, ...matches.map((m) => m.round ?? 1));
+  let nextCode =
+    Math.max(
+      0,
+      ...rrMatches.map((m) => Number(String(m.id).replace(/^RR-/, "")) || 0)
+    ) + 1;
+
+  const add = [];
+  const addMatch = (opponentId, round, extra = {}) => {
+    markBusy(round, newId, opponentId);
+    add.push({
+      id: `RR-${nextCode++}`,
+      phase: "RR",
+      round,
+      teamAId: String(opponentId),
+      teamBId: newId,
+      scoreA: null,
+      scoreB: null,
+      winnerId: null,
+      status: "pending",
+      pool: options.pool ?? null,
+      startTime: null,
+      court: null,
+      ...extra,
+    });
+  };
+  const placeLater = (opponentId) => {
+    const free = (r) =>
+      ![newId, opponentId].some((id) => busy.get(r)?.has(id));
+    let round = null;
+    if (firstOpenRound != null) {
+      for (let r = firstOpenRound; r <= lastRound; r++) {
+        if (free(r)) {
+          round = r;
+          break;
+        }
+      }
+    }
+    if (round == null) round = ++lastRound;
+    addMatch(opponentId, round);
+  };
+
+  for (const m of split) {
+    // N can't take two split slots that were scheduled at the same time
+    const clash = add.some(
+      (a) => a.startTime && String(a.startTime) === String(m.startTime)
+    );
+    addMatch(m.teamAId, m.round ?? 1, {
+      startTime: clash ? null : m.startTime ?? null,
+      court: clash ? null : m.court ?? null,
+    });
+  }
+  for (const m of split) placeLater(String(m.teamBId));
+
+  // top up with the teams that have played the least; they end up one over
+  const after = new Map(games);
+  const topUp = shuffle(
+    ids.filter((id) => !opponents.has(id)),
+    rng
+  ).sort((x, y) => games.get(x) - games.get(y));
+  for (const id of topUp) {
+    if (add.length >= target) break;
+    after.set(id, after.get(id) + 1);
+    placeLater(id);
+  }
+
+  return {
+    gamesPerTeam: target,
+    remove: split,
+    add: add.sort((x, y) => x.round - y.round),
+    games: [
+      ...ids.map((id) => ({
+        teamId: id,
+        before: games.get(id),
+        after: after.get(id),
+      })),
+      { teamId: newId, before: 0, after: add.length },
+    ],
+  };
+}
+
+/**
+ * Put matches into time slots of `courts` matches each, in round order.
+ *
+ * - A team never plays twice in one slot.
+ * - A match whose teams both rested in the previous slot is preferred over
+ *   one that would make a team play back-to-back.
+ * - Among those, teams that have waited longest since their last match go
+ *   first, which keeps each team's idle gaps short.
+ *
+ * Only the current round and the next one are looked at, so rounds stay
+ * roughly in order.
+ *
+ * @param {Array<{round?: number, teamAId, teamBId}>} matches - in round order
+ * @param {number} courts
+ * @returns {Array} the matches with `slot` (0-based) and `court` (1-based)
+ */
+function assignRoundSlots(matches, courts) {
+  if (!Number.isInteger(courts) || courts < 1) {
+    throw new Error("courts must be an integer >= 1");
+  }
+
+  let queue = matches.map((m, idx) => ({ m, idx }));
+  const out = [];
+  const lastSlot = new Map();
+  const teamsOf = (m) => [String(m.teamAId), String(m.teamBId)];
+
+  for (let slot = 0; queue.length; slot++) {
+    const firstRound = queue[0].m.round ?? 1;
+    const waited = (id) => (lastSlot.has(id) ? slot - lastSlot.get(id) : 0);
+    const longestWait = ({ m }) => Math.max(...teamsOf(m).map(waited));
+    const window = queue
+      .filter(({ m }) => (m.round ?? 1) <= firstRound + 1)
+      .sort((x, y) => longestWait(y) - longestWait(x) || x.idx - y.idx);
+
+    const inSlot = [];
+    const busy = new Set();
+    const free = ({ m }) => teamsOf(m).every((id) => !busy.has(id));
+    const rested = ({ m }) => teamsOf(m).every((id) => waited(id) !== 1);
+    const take = (item) => {
+      inSlot.push(item);
+      for (const id of teamsOf(item.m)) busy.add(id);
+    };
+
+    for (const item of window) {
+      if (inSlot.length >= courts) break;
+      if (free(item) && rested(item)) take(item);
+    }
+    for (const item of window) {
+      if (inSlot.length >= courts) break;
+      if (!inSlot.includes(item) && free(item)) take(item);
+    }
+
+    inSlot.forEach(({ m }, idx) => {
+      out.push({ ...m, slot, court: idx + 1 });
+      for (const id of teamsOf(m)) lastSlot.set(id, slot);
+    });
+    queue = queue.filter((item) => !inSlot.includes(item));
+  }
+
+  return out;
+}
+
+/**
+ * Fewest slots any conflict-free schedule could use: every court busy every
+ * slot, and the busiest team playing in every slot.
+ *
+ * @returns {{ slots: number, byCourts: number, byTeam: number, busiestTeamId, busiestTeamGames: number }}
+ */
+function minimumSlots(matches, courts) {
+  const games = new Map();
+  for (const m of matches) {
+    for (const id of [String(m.teamAId), String(m.teamBId)]) {
+      games.set(id, (games.get(id) ?? 0) + 1);
+    }
+  }
+
+  let busiestTeamId = null;
+  let busiestTeamGames = 0;
+  for (const [id, n] of games) {
+    if (n > busiestTeamGames) {
+      busiestTeamId = id;
+      busiestTeamGames = n;
+    }
+  }
+
+  const byCourts = Math.ceil(matches.length / courts);
+  return {
+    slots: Math.max(byCourts, busiestTeamGames),
+    byCourts,
+    byTeam: busiestTeamGames,
+    busiestTeamId,
+    busiestTeamGames,
+  };
+}
+
+/**
+ * Why a round robin doesn't fit its time window, and what would fix it.
+ * `minimum` is minimumSlots for the same matches.
+ */
+function explainScheduleShortfall({
+  teams,
+  matchCount,
+  courts,
+  slots,
+  slotMinutes,
+  slotsNeeded,
+  minimum,
+}) {
+  const parts = [
+    `Schedule won't fit: the window has ${slots} slot${slots === 1 ? "" : "s"} of ${slotMinutes} min on ${courts} court${courts === 1 ? "" : "s"}, but this schedule needs ${slotsNeeded}.`,
+  ];
+
+  if (minimum.byTeam > slots && minimum.byTeam >= minimum.byCourts) {
+    const team = teams.find((t) => String(t.id) === minimum.busiestTeamId);
+    parts.push(
+      `${team?.name ?? "One team"} plays ${minimum.busiestTeamGames} matches and can only play one per slot.`
+    );
+  } else if (minimum.byCourts > slots) {
+    parts.push(
+      `${matchCount} matches on ${courts} courts take at least ${minimum.byCourts} slots even with every court busy.`
+    );
+  } else {
+    parts.push(
+      `Courts alone would need ${minimum.slots} slots, but keeping every team to one court per slot takes ${slotsNeeded}.`
+    );
+  }
+
+  parts.push(
+    `Extend the end time by ${(slotsNeeded - slots) * slotMinutes} min, add courts, or lower games per team.`
   );
+  return parts.join(" ");
+}
+
+/**
+ * Per-team view of a slotted schedule (see assignRoundSlots).
+ * idleSlots counts the slots a team sits between its first and last match.
+ *
+ * @returns {Array<{teamId: string, matches: Array<{id, slot, court, opponentId}>, firstSlot, lastSlot, idleSlots, longestWait}>}
+ */
+function teamTimelines(slottedMatches) {
+  const byTeam = new Map();
+  for (const m of slottedMatches) {
+    for (const [id, opp] of [
+      [m.teamAId, m.teamBId],
+      [m.teamBId, m.teamAId],
+    ]) {
+      const key = String(id);
+      if (!byTeam.has(key)) byTeam.set(key, []);
+      byTeam.get(key).push({
+        id: m.id,
+        slot: m.slot,
+        court: m.court,
+        opponentId: String(opp),
+      });
+    }
+  }
+
+  return [...byTeam.entries()].map(([teamId, list]) => {
+    const sorted = list.sort((a, b) => a.slot - b.slot);
+    const firstSlot = sorted[0].slot;
+    const lastSlot = sorted[sorted.length - 1].slot;
+    let longestWait = 0;
+    for (let i = 1; i < sorted.length; i++) {
+      longestWait = Math.max(longestWait, sorted[i].slot - sorted[i - 1].slot - 1);
+    }
+    return {
+      teamId,
+      matches: sorted,
+      firstSlot,
+      lastSlot,
+      idleSlots: lastSlot - firstSlot + 1 - sorted.length,
+      longestWait,
+    };
+  });
 }
 
 /**
@@ -162,24 +748,176 @@ function scoreMatch(matches, matchId, scoreA, scoreB) {
   return match;
 }
 
+/**
+ * Tiebreakers a standings chain can use, applied in order to teams level on
+ * wins:
+ * - headToHead: wins in the matches among the tied teams only (a mini-table
+ *   for 3+ teams). Skipped unless every pair of tied teams has played.
+ * - gameDiff: gamesWon - gamesLost
+ * - pointDiff: total point differential
+ * - pointDiffCapped: point differential with each game's margin capped at
+ *   `pointDiffCap`
+ * - pointsFor: most points scored
+ * - pointsAgainst: fewest points allowed
+ * - coinFlip: deterministic "coin flip" from `coinFlipSeed` and the team id
+ */
+const TIEBREAKERS = [
+  "headToHead",
+  "gameDiff",
+  "pointDiff",
+  "pointDiffCapped",
+  "pointsFor",
+  "pointsAgainst",
+  "coinFlip",
+];
+
+// FNV-1a: a stable 32-bit hash so coin flips don't change between requests.
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Score every team in `group` on one tiebreaker (higher is better).
+ * Returns null when the tiebreaker can't be applied to this group.
+ */
+function tiebreakerValues(key, group, stats, results, options) {
+  if (key === "headToHead") {
+    const inGroup = new Set(group);
+    const wins = new Map(group.map((id) => [id, 0]));
+    const met = new Set();
+    for (const r of results) {
+      if (!inGroup.has(r.teamAId) || !inGroup.has(r.teamBId)) continue;
+      met.add(pairKey(r.teamAId, r.teamBId));
+      wins.set(r.winnerId, wins.get(r.winnerId) + 1);
+    }
+    const pairs = (group.length * (group.length - 1)) / 2;
+    return met.size === pairs ? wins : null;
+  }
+
+  const value = {
+    gameDiff: (s) => s.gamesWon - s.gamesLost,
+    pointDiff: (s) => s.pointDiff,
+    pointDiffCapped: (s) => s.cappedPointDiff,
+    pointsFor: (s) => s.pointsFor,
+    pointsAgainst: (s) => -s.pointsAgainst,
+    coinFlip: (s) => hashString(`${options.coinFlipSeed ?? ""}:${s.teamId}`),
+  }[key];
+  if (!value) return null;
+
+  return new Map(group.map((id) => [id, value(stats.get(id))]));
+}
+
+/**
+ * Order a group of teams tied on wins by walking the tiebreaker chain.
+ * When a tiebreaker splits the group, every sub-group that is still tied
+ * starts the chain again on its own (so head-to-head is re-run among fewer
+ * teams). Sets `decidedBy` on each team the chain separates.
+ */
+function breakTies(group, chain, stats, results, options, from = 0) {
+  if (group.length === 1) return group;
+
+  for (let i = from; i < chain.length; i++) {
+    const values = tiebreakerValues(chain[i], group, stats, results, options);
+    if (!values) continue;
+
+    const levels = [...new Set(values.values())].sort((x, y) => y - x);
+    if (levels.length === 1) continue;
+
+    return levels.flatMap((level) => {
+      const sub = group.filter((id) => values.get(id) === level);
+      if (sub.length === 1) {
+        stats.get(sub[0]).decidedBy = chain[i];
+        return sub;
+      }
+      return breakTies(sub, chain, stats, results, options, 0);
+    });
+  }
+
+  return group;
+}
+
 /**
  * Compute standings from RR matches.
- * Returns array of { teamId, wins, pointDiff, gamesPlayed } sorted by wins desc, pointDiff desc.
+ * Returns array of { teamId, wins, pointDiff, pointsFor, pointsAgainst,
+ * gamesPlayed, gamesWon, gamesLost, decidedBy } sorted by wins desc, then
+ * the tiebreaker chain.
+ *
+ * Multi-game matches (best of 3/5, two games) carry `games: [{scoreA, scoreB}]`;
+ * points then come from the individual games and scoreA/scoreB are games won.
+ * `gamesPlayed` still counts matches.
+ *
+ * Options:
+ * - tiebreakers: ordered chain (see TIEBREAKERS). Defaults to pointDiff, with
+ *   gameDiff first when `gameDiff` is set. A coin flip always settles
+ *   whatever the chain leaves tied.
+ * - gameDiff: use the multi-game default chain
+ * - pointDiffCap: max margin a single game adds for pointDiffCapped (default 11)
+ * - forfeitScore: { winner, loser } points credited for a forfeit, e.g.
+ *   { winner: 11, loser: 0 }. Default null: forfeits don't touch points.
+ * - coinFlipSeed: anything stable per tournament (e.g. its id)
+ * - withdrawnTeamIds: teams that left mid-event. They are left out of the
+ *   returned standings; their results still count for their opponents.
+ * - voidedTeamIds: withdrawn teams whose results don't count at all (every
+ *   match involving them is ignored, forfeits included)
+ *
+ * decidedBy: "wins" when no other team has the same wins, otherwise the
+ * tiebreaker that separated the team from the others on its record.
  *
  * Forfeits/scratches:
  * - If winnerId is set and scoreA/scoreB are BOTH null => count as a win for winner, 1 game played for both,
- *   and do NOT change pointDiff.
+ *   and only change points when `forfeitScore` is set.
  */
-function computeStandings(teamIds, rrMatches) {
+function computeStandings(teamIds, rrMatches, options = {}) {
+  const {
+    gameDiff = false,
+    pointDiffCap = 11,
+    forfeitScore = null,
+  } = options;
+  const chain = options.tiebreakers?.length
+    ? options.tiebreakers.filter((k) => TIEBREAKERS.includes(k))
+    : gameDiff
+    ? ["gameDiff", "pointDiff"]
+    : ["pointDiff"];
+  if (!chain.includes("coinFlip")) chain.push("coinFlip");
+
   // normalize ids to strings so Map keys match DB-returned ids like "41"
   const ids = teamIds.map((id) => String(id));
+  const withdrawn = new Set((options.withdrawnTeamIds ?? []).map(String));
+  const voided = new Set((options.voidedTeamIds ?? []).map(String));
 
   const stats = new Map(
     ids.map((id) => [
       id,
-      { teamId: id, wins: 0, pointDiff: 0, gamesPlayed: 0 },
+      {
+        teamId: id,
+        wins: 0,
+        pointDiff: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        cappedPointDiff: 0,
+        gamesPlayed: 0,
+        gamesWon: 0,
+        gamesLost: 0,
+        decidedBy: null,
+      },
     ])
   );
+  // decided results between known teams, for head-to-head
+  const results = [];
+
+  function addPoints(team, scored, allowed) {
+    const margin = scored - allowed;
+    team.pointsFor += scored;
+    team.pointsAgainst += allowed;
+    team.pointDiff += margin;
+    team.cappedPointDiff +=
+      Math.sign(margin) * Math.min(Math.abs(margin), pointDiffCap);
+  }
 
   for (const m of rrMatches) {
     if (m.phase !== "RR") continue;
@@ -188,6 +926,7 @@ function computeStandings(teamIds, rrMatches) {
     const teamAId = String(m.teamAId);
     const teamBId = String(m.teamBId);
     const winnerId = String(m.winnerId);
+    if (voided.has(teamAId) || voided.has(teamBId)) continue;
 
     const a = stats.get(teamAId);
     const b = stats.get(teamBId);
@@ -205,99 +944,1312 @@ function computeStandings(teamIds, rrMatches) {
       const loser = stats.get(loserId);
       if (loser) loser.gamesPlayed += 1;
 
+      if (forfeitScore && loser) {
+        addPoints(winner, forfeitScore.winner, forfeitScore.loser);
+        addPoints(loser, forfeitScore.loser, forfeitScore.winner);
+      }
+
+      results.push({ teamAId, teamBId, winnerId });
       continue;
     }
 
     // NORMAL SCORING
-    const scoreA = Number(m.scoreA);
-    const scoreB = Number(m.scoreB);
-    if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB)) continue;
+    const games = m.games?.length
+      ? m.games
+      : [{ scoreA: m.scoreA, scoreB: m.scoreB }];
+    if (
+      games.some(
+        (g) =>
+          !Number.isInteger(Number(g.scoreA)) ||
+          !Number.isInteger(Number(g.scoreB))
+      )
+    ) {
+      continue;
+    }
 
     a.gamesPlayed += 1;
     b.gamesPlayed += 1;
 
-    if (scoreA > scoreB) a.wins += 1;
+    // winnerId decides the match: a two-game split is settled on points
+    if (winnerId === teamAId) a.wins += 1;
     else b.wins += 1;
+    results.push({ teamAId, teamBId, winnerId });
+
+    for (const g of games) {
+      const scoreA = Number(g.scoreA);
+      const scoreB = Number(g.scoreB);
 
-    a.pointDiff += scoreA - scoreB;
-    b.pointDiff += scoreB - scoreA;
+      if (scoreA > scoreB) {
+        a.gamesWon += 1;
+        b.gamesLost += 1;
+      } else {
+        b.gamesWon += 1;
+        a.gamesLost += 1;
+      }
+
+      addPoints(a, scoreA, scoreB);
+      addPoints(b, scoreB, scoreA);
+    }
   }
 
-  return Array.from(stats.values()).sort((x, y) => {
-    if (y.wins !== x.wins) return y.wins - x.wins;
-    return y.pointDiff - x.pointDiff;
-  });
+  const byWins = new Map();
+  for (const s of stats.values()) {
+    if (withdrawn.has(s.teamId)) continue;
+    if (!byWins.has(s.wins)) byWins.set(s.wins, []);
+    byWins.get(s.wins).push(s.teamId);
+  }
+
+  return [...byWins.keys()]
+    .sort((x, y) => y - x)
+    .flatMap((wins) => {
+      const group = byWins.get(wins);
+      if (group.length === 1) {
+        stats.get(group[0]).decidedBy = "wins";
+        return group;
+      }
+      return breakTies(group, chain, stats, results, options);
+    })
+    .map((id) => {
+      const { cappedPointDiff, ...entry } = stats.get(id);
+      return chain.includes("pointDiffCapped")
+        ? { ...entry, cappedPointDiff }
+        : entry;
+    });
 }
 
 /**
- * Generate semifinal matches from standings.
- * Requires at least 4 teams.
+ * Pair one Swiss round from the results so far.
+ *
+ * Notes:
+ * - Round 1 (no RR results yet) pairs by seed (top half vs bottom half:
+ *   1 v n/2+1, 2 v n/2+2...) or at random.
+ * - Later rounds rank by computeStandings (wins, then the tiebreaker
+ *   chain in options.standings) and pair each team with the
+ *   closest record it hasn't played yet (backtracking when a greedy pick
+ *   would leave a rematch at the bottom). Never repeats a pairing.
+ * - Odd team count: the lowest-ranked team without a bye sits out. Byes are
+ *   not matches, so they don't count as wins.
+ *
+ * @param {Array<number|string>} teamIds - in seed order
+ * @param {Array} rrMatches - every RR match played so far
+ * @param {object} [options]
+ * @param {'seed'|'random'} [options.pairing='seed'] - round 1 only
+ * @param {Function} [options.rng=Math.random]
+ * @param {object} [options.standings] - computeStandings options for ranking
+ * @returns {{pairs: Array<[string, string]>, bye: string|null}}
  */
-function generatePlayoffsFromStandings(standings) {
-  if (standings.length < 4) throw new Error("Need at least 4 teams for playoffs.");
+function generateSwissRound(teamIds, rrMatches, options = {}) {
+  const pairing = options.pairing ?? "seed";
+  const rng = options.rng ?? Math.random;
 
-  const seed1 = standings[0].teamId;
-  const seed2 = standings[1].teamId;
-  const seed3 = standings[2].teamId;
-  const seed4 = standings[3].teamId;
+  if (teamIds.length < 2) throw new Error("Need at least 2 teams.");
 
-  return [
-    {
-      id: "SF1",
-      phase: "SF",
-      teamAId: seed1,
-      teamBId: seed4,
-      scoreA: null,
-      scoreB: null,
-      winnerId: null,
-    },
-    {
-      id: "SF2",
-      phase: "SF",
-      teamAId: seed2,
-      teamBId: seed3,
-      scoreA: null,
-      scoreB: null,
-      winnerId: null,
-    },
+  const ids = teamIds.map((id) => String(id));
+  const played = new Set(
+    rrMatches
+      .filter((m) => m.phase === "RR")
+      .map((m) => pairKey(m.teamAId, m.teamBId))
+  );
+  const gamesPlayed = new Map(ids.map((id) => [id, 0]));
+  for (const m of rrMatches) {
+    if (m.phase !== "RR") continue;
+    for (const id of [String(m.teamAId), String(m.teamBId)]) {
+      if (gamesPlayed.has(id)) gamesPlayed.set(id, gamesPlayed.get(id) + 1);
+    }
+  }
+
+  let ranked;
+  if (played.size === 0) {
+    ranked = pairing === "random" ? shuffle(ids, rng) : ids;
+  } else {
+    const standings = computeStandings(ids, rrMatches, options.standings);
+    ranked = standings.map((s) => s.teamId);
+  }
+
+  // a team that has played fewer games than the rest already had a bye
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const mostGames = Math.max(...ranked.map((id) => gamesPlayed.get(id)));
+    bye =
+      [...ranked].reverse().find((id) => gamesPlayed.get(id) === mostGames) ??
+      ranked[ranked.length - 1];
+    ranked = ranked.filter((id) => id !== bye);
+  }
+
+  if (played.size === 0) {
+    const half = ranked.length / 2;
+    const pairs = [];
+    for (let i = 0; i < half; i++) {
+      pairs.push(
+        pairing === "random"
+          ? [ranked[i * 2], ranked[i * 2 + 1]]
+          : [ranked[i], ranked[i + half]]
+      );
+    }
+    return { pairs, bye };
+  }
+
+  const wins = new Map(
+    computeStandings(ids, rrMatches).map((s) => [s.teamId, s.wins])
+  );
+
+  const pairUp = (remaining) => {
+    if (remaining.length === 0) return [];
+
+    const [team, ...rest] = remaining;
+    const candidates = rest
+      .map((id, idx) => ({ id, idx }))
+      .filter(({ id }) => !played.has(pairKey(team, id)))
+      .sort(
+        (x, y) =>
+          Math.abs(wins.get(team) - wins.get(x.id)) -
+            Math.abs(wins.get(team) - wins.get(y.id)) || x.idx - y.idx
+      );
+
+    for (const { id } of candidates) {
+      const tail = pairUp(rest.filter((other) => other !== id));
+      if (tail) return [[team, id], ...tail];
+    }
+    return null;
+  };
+
+  const pairs = pairUp(ranked);
+  if (!pairs) {
+    throw new Error(
+      "No Swiss pairing left without a rematch. Use fewer rounds or finish with playoffs."
+    );
+  }
+
+  return { pairs, bye };
+}
+
+/**
+ * Rotating-partner ("popcorn") schedule for individual players: every round
+ * players are split into 2v2 matches with new partners.
+ *
+ * Notes:
+ * - When the player count isn't a multiple of 4, the players with the fewest
+ *   sit-outs so far play; the rest sit out this round.
+ * - Each round tries `attempts` random splits and keeps the one with the fewest
+ *   repeated partners (heavily penalized) and repeated opponents.
+ *
+ * @param {Array<number|string>} playerIds
+ * @param {number} rounds
+ * @param {object} [options]
+ * @param {number} [options.courts] - max matches per round (default: everyone plays)
+ * @param {number} [options.attempts=200]
+ * @param {Function} [options.rng=Math.random]
+ * @returns {{matches: Array<{id: string, round: number, court: number, teamA: string[], teamB: string[]}>, sitOuts: Array<{round: number, playerIds: string[]}>}}
+ */
+function generateRotatingPartnerSchedule(playerIds, rounds, options = {}) {
+  const attempts = options.attempts ?? 200;
+  const rng = options.rng ?? Math.random;
+
+  const ids = playerIds.map((id) => String(id));
+  if (ids.length < 4) throw new Error("Need at least 4 players.");
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    throw new Error("rounds must be >= 1");
+  }
+
+  const maxMatches = Math.floor(ids.length / 4);
+  const perRound = Math.min(maxMatches, options.courts ?? maxMatches);
+  if (perRound < 1) throw new Error("Need at least 1 court.");
+
+  const partnerCount = new Map();
+  const opponentCount = new Map();
+  const sitOutCount = new Map(ids.map((id) => [id, 0]));
+  const bump = (map, a, b) => {
+    const key = pairKey(a, b);
+    map.set(key, (map.get(key) ?? 0) + 1);
+  };
+  const count = (map, a, b) => map.get(pairKey(a, b)) ?? 0;
+
+  const matches = [];
+  const sitOuts = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    // whoever sat out the most plays first (random among ties)
+    const order = shuffle(ids, rng).sort(
+      (a, b) => sitOutCount.get(b) - sitOutCount.get(a)
+    );
+    const active = order.slice(0, perRound * 4);
+    const resting = order.slice(perRound * 4);
+
+    let best = null;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const mixed = shuffle(active, rng);
+      const games = [];
+      let penalty = 0;
+
+      for (let i = 0; i < mixed.length; i += 4) {
+        const [a1, a2, b1, b2] = mixed.slice(i, i + 4);
+        penalty += 100 * (count(partnerCount, a1, a2) + count(partnerCount, b1, b2));
+        for (const a of [a1, a2]) {
+          for (const b of [b1, b2]) penalty += count(opponentCount, a, b);
+        }
+        games.push({ teamA: [a1, a2], teamB: [b1, b2] });
+      }
+
+      if (!best || penalty < best.penalty) best = { games, penalty };
+      if (penalty === 0) break;
+    }
+
+    best.games.forEach((g, idx) => {
+      bump(partnerCount, g.teamA[0], g.teamA[1]);
+      bump(partnerCount, g.teamB[0], g.teamB[1]);
+      for (const a of g.teamA) {
+        for (const b of g.teamB) bump(opponentCount, a, b);
+      }
+      matches.push({
+        id: `P${round}-${idx + 1}`,
+        round,
+        court: idx + 1,
+        teamA: g.teamA,
+        teamB: g.teamB,
+      });
+    });
+
+    for (const id of resting) sitOutCount.set(id, sitOutCount.get(id) + 1);
+    sitOuts.push({ round, playerIds: resting });
+  }
+
+  return { matches, sitOuts };
+}
+
+/**
+ * Individual standings for rotating-partner events.
+ * Returns array of { playerId, wins, losses, gamesPlayed, pointsFor, pointsAgainst, pointDiff }
+ * sorted by wins desc, pointDiff desc.
+ *
+ * @param {Array<number|string>} playerIds
+ * @param {Array<{teamA: Array, teamB: Array, scoreA, scoreB}>} matches
+ */
+function computePlayerStandings(playerIds, matches) {
+  const stats = new Map(
+    playerIds.map((id) => [
+      String(id),
+      {
+        playerId: String(id),
+        wins: 0,
+        losses: 0,
+        gamesPlayed: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        pointDiff: 0,
+      },
+    ])
+  );
+
+  for (const m of matches) {
+    const scoreA = Number(m.scoreA);
+    const scoreB = Number(m.scoreB);
+    if (m.scoreA == null || m.scoreB == null) continue; // unplayed
+    if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB)) continue;
+
+    const sides = [
+      { ids: m.teamA, pf: scoreA, pa: scoreB },
+      { ids: m.teamB, pf: scoreB, pa: scoreA },
+    ];
+
+    for (const side of sides) {
+      for (const id of side.ids) {
+        const st = stats.get(String(id));
+        if (!st) continue;
+        st.gamesPlayed += 1;
+        st.pointsFor += side.pf;
+        st.pointsAgainst += side.pa;
+        st.pointDiff += side.pf - side.pa;
+        if (side.pf > side.pa) st.wins += 1;
+        else st.losses += 1;
+      }
+    }
+  }
+
+  return Array.from(stats.values()).sort((x, y) => {
+    if (y.wins !== x.wins) return y.wins - x.wins;
+    return y.pointDiff - x.pointDiff;
+  });
+}
+
+/**
+ * Court ladder ("King of the Court" / "Up-Down the River") round builder.
+ * `units` is the ladder from the top court down. A unit is the group that
+ * moves together: one player when partners split, a fixed pair otherwise.
+ * Every court seats 4 players; units that don't fit sit out.
+ *
+ * Options:
+ * - courts: max courts in use (default: as many as the field fills)
+ * - splitPartners: pair each upper player with a lower player on the court
+ * - priorityUnits: units that sat out last round; they play this round and
+ *   enter on the bottom court
+ *
+ * @param {Array<Array<number|string>>} units
+ * @param {number} round
+ * @returns {{ matches: Array<{id, round, court, teamA, teamB}>, sitOuts: Array<string> }}
+ */
+function generateCourtLadderRound(units, round, options = {}) {
+  const { courts, splitPartners = true, priorityUnits = [] } = options;
+
+  const unitSize = splitPartners ? 1 : 2;
+  const unitsPerCourt = 4 / unitSize;
+  const all = [...units, ...priorityUnits].map((u) => u.map(String));
+
+  if (all.some((u) => u.length !== unitSize)) {
+    throw new Error(
+      splitPartners
+        ? "Split-partner ladders move players one at a time."
+        : "Fixed-partner ladders need two players per team."
+    );
+  }
+
+  const courtCount = Math.min(
+    Math.floor(all.length / unitsPerCourt),
+    courts ?? Number.POSITIVE_INFINITY
+  );
+  if (courtCount < 1) {
+    throw new Error("A court ladder needs at least 4 players.");
+  }
+
+  const capacity = courtCount * unitsPerCourt;
+  const mustPlay = all.slice(units.length).slice(0, capacity);
+  const ladder = all.slice(0, units.length);
+  const fromLadder = capacity - mustPlay.length;
+
+  const playing = [...ladder.slice(0, fromLadder), ...mustPlay];
+  const sitting = [
+    ...ladder.slice(fromLadder),
+    ...all.slice(units.length + mustPlay.length),
   ];
+
+  const matches = [];
+  for (let c = 0; c < courtCount; c++) {
+    const p = playing.slice(c * unitsPerCourt, (c + 1) * unitsPerCourt).flat();
+    const [teamA, teamB] = splitPartners
+      ? [
+          [p[0], p[2]],
+          [p[1], p[3]],
+        ]
+      : [
+          [p[0], p[1]],
+          [p[2], p[3]],
+        ];
+    matches.push({
+      id: `L${round}-${c + 1}`,
+      round,
+      court: c + 1,
+      teamA,
+      teamB,
+    });
+  }
+
+  return { matches, sitOuts: sitting.flat() };
 }
 
 /**
- * After semis are scored, generate Final + ThirdPlace.
+ * Ladder order after a completed court-ladder round: winners move up a court,
+ * losers move down; court 1 winners and bottom-court losers stay put.
+ * Within each court the players arriving from above are listed first.
+ *
+ * @param {Array<{court, teamA: Array, teamB: Array, scoreA, scoreB}>} roundMatches
+ * @param {{ splitPartners?: boolean }} options
+ * @returns {Array<Array<string>>} units, top court first
  */
-function generateFinalsFromSemis(semis) {
-  const sf1 = semis.find((m) => m.id === "SF1");
-  const sf2 = semis.find((m) => m.id === "SF2");
-  if (!sf1 || !sf2) throw new Error("Need SF1 and SF2.");
+function courtLadderOrderAfterRound(roundMatches, options = {}) {
+  const { splitPartners = true } = options;
+
+  const courts = [...roundMatches].sort((a, b) => a.court - b.court);
+  const results = courts.map((m) => {
+    if (m.scoreA == null || m.scoreB == null) {
+      throw new Error(`Match ${m.id} has no score yet.`);
+    }
+    const aWon = Number(m.scoreA) > Number(m.scoreB);
+    return {
+      winners: (aWon ? m.teamA : m.teamB).map(String),
+      losers: (aWon ? m.teamB : m.teamA).map(String),
+    };
+  });
+
+  const toUnits = (side) => (splitPartners ? side.map((id) => [id]) : [side]);
 
-  if (!sf1.winnerId || !sf2.winnerId) {
-    throw new Error("Both semifinals must be completed before generating finals.");
+  const last = results.length - 1;
+  const order = [];
+  for (let k = 0; k <= last; k++) {
+    const upper = k === 0 ? results[0].winners : results[k - 1].losers;
+    const lower = k === last ? results[last].losers : results[k + 1].winners;
+    order.push(...toUnits(upper), ...toUnits(lower));
   }
+  return order;
+}
+
+/**
+ * Final court-ladder ranking: the court each unit finished on (its last
+ * played round), winners of that match first, then cumulative points.
+ * Returns array of { playerIds, finalCourt, wonLast, wins, losses,
+ * gamesPlayed, pointsFor, pointsAgainst, pointDiff }.
+ *
+ * @param {Array<Array<number|string>>} units
+ * @param {Array<{round, court, teamA: Array, teamB: Array, scoreA, scoreB}>} matches
+ */
+function computeCourtLadderStandings(units, matches) {
+  const scored = matches
+    .filter((m) => m.scoreA != null && m.scoreB != null)
+    .sort((a, b) => a.round - b.round);
 
-  const sf1Loser = sf1.winnerId === sf1.teamAId ? sf1.teamBId : sf1.teamAId;
-  const sf2Loser = sf2.winnerId === sf2.teamAId ? sf2.teamBId : sf2.teamAId;
+  const byPlayer = new Map(
+    computePlayerStandings(units.flat(), scored).map((s) => [s.playerId, s])
+  );
+
+  const rows = units.map((unit) => {
+    const ids = unit.map(String);
+    const lead = ids[0];
+    let finalCourt = null;
+    let wonLast = false;
+
+    for (const m of scored) {
+      const onA = m.teamA.map(String).includes(lead);
+      const onB = m.teamB.map(String).includes(lead);
+      if (!onA && !onB) continue;
+      finalCourt = m.court;
+      wonLast = onA
+        ? Number(m.scoreA) > Number(m.scoreB)
+        : Number(m.scoreB) > Number(m.scoreA);
+    }
+
+    const st = byPlayer.get(lead);
+    return {
+      playerIds: ids,
+      finalCourt,
+      wonLast,
+      wins: st.wins,
+      losses: st.losses,
+      gamesPlayed: st.gamesPlayed,
+      pointsFor: st.pointsFor,
+      pointsAgainst: st.pointsAgainst,
+      pointDiff: st.pointDiff,
+    };
+  });
+
+  return rows.sort((x, y) => {
+    const cx = x.finalCourt ?? Number.POSITIVE_INFINITY;
+    const cy = y.finalCourt ?? Number.POSITIVE_INFINITY;
+    if (cx !== cy) return cx - cy;
+    if (x.wonLast !== y.wonLast) return x.wonLast ? -1 : 1;
+    if (y.pointsFor !== x.pointsFor) return y.pointsFor - x.pointsFor;
+    return y.pointDiff - x.pointDiff;
+  });
+}
+
+/**
+ * Challenge ladder rule: a team may only challenge a team above it, at most
+ * `maxRungs` rungs up (rung 1 is the top).
+ *
+ * @returns {string|null} why the challenge isn't allowed, or null
+ */
+function challengeRangeError(challengerPosition, defenderPosition, maxRungs) {
+  const gap = challengerPosition - defenderPosition;
+  if (gap < 1) return "You can only challenge teams above you.";
+  if (gap > maxRungs) return `You can challenge at most ${maxRungs} rungs up.`;
+  return null;
+}
+
+/**
+ * Rungs after a challenge result: a challenger who wins from below swaps
+ * rungs with the defender. Anything else leaves both in place, including a
+ * win after an admin moved the challenger above the defender.
+ *
+ * @returns {{ challengerPosition: number, defenderPosition: number, swapped: boolean }}
+ */
+function rungsAfterChallenge(
+  challengerPosition,
+  defenderPosition,
+  challengerWon
+) {
+  if (!challengerWon || challengerPosition <= defenderPosition) {
+    return { challengerPosition, defenderPosition, swapped: false };
+  }
+  return {
+    challengerPosition: defenderPosition,
+    defenderPosition: challengerPosition,
+    swapped: true,
+  };
+}
+
+/**
+ * Team standings for dual (team-vs-team) events. Only decided fixtures count.
+ * Returns array of { teamId, fixturesPlayed, wins, losses, gamesWon,
+ * gamesLost, gameDiff, pointsFor, pointsAgainst, pointDiff }
+ * sorted by wins desc, gameDiff desc, pointDiff desc.
+ *
+ * @param {Array<number|string>} teamIds
+ * @param {Array<{teamAId, teamBId, winnerId, games: Array<{scoreA, scoreB}>}>} fixtures
+ */
+function computeDualStandings(teamIds, fixtures) {
+  const stats = new Map(
+    teamIds.map((id) => [
+      String(id),
+      {
+        teamId: String(id),
+        fixturesPlayed: 0,
+        wins: 0,
+        losses: 0,
+        gamesWon: 0,
+        gamesLost: 0,
+        gameDiff: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        pointDiff: 0,
+      },
+    ])
+  );
+
+  for (const f of fixtures) {
+    if (f.winnerId == null) continue; // undecided
+
+    const sides = [
+      { id: String(f.teamAId), own: "scoreA", opp: "scoreB" },
+      { id: String(f.teamBId), own: "scoreB", opp: "scoreA" },
+    ];
+
+    for (const side of sides) {
+      const st = stats.get(side.id);
+      if (!st) continue;
+      st.fixturesPlayed += 1;
+      if (String(f.winnerId) === side.id) st.wins += 1;
+      else st.losses += 1;
+
+      for (const g of f.games ?? []) {
+        const pf = Number(g[side.own]);
+        const pa = Number(g[side.opp]);
+        if (!Number.isInteger(pf) || !Number.isInteger(pa)) continue;
+        if (pf > pa) st.gamesWon += 1;
+        else st.gamesLost += 1;
+        st.pointsFor += pf;
+        st.pointsAgainst += pa;
+      }
+      st.gameDiff = st.gamesWon - st.gamesLost;
+      st.pointDiff = st.pointsFor - st.pointsAgainst;
+    }
+  }
+
+  return Array.from(stats.values()).sort((x, y) => {
+    if (y.wins !== x.wins) return y.wins - x.wins;
+    if (y.gameDiff !== x.gameDiff) return y.gameDiff - x.gameDiff;
+    return y.pointDiff - x.pointDiff;
+  });
+}
+
+/**
+ * Pool label for a 0-based index: 0 -> "A", 1 -> "B"...
+ */
+function poolLabel(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * Split teams into `poolCount` pools with a snake draft, so each pool gets a
+ * similar spread of strength. `teams` must already be ordered strongest first
+ * (by seed or rating).
+ * Example with 8 teams / 2 pools: A = 1,4,5,8  B = 2,3,6,7
+ *
+ * @returns {Array<{pool: string, teams: Array}>}
+ */
+function assignPoolsSnake(teams, poolCount) {
+  if (!Number.isInteger(poolCount) || poolCount < 1) {
+    throw new Error("poolCount must be >= 1");
+  }
+  if (teams.length < poolCount * 2) {
+    throw new Error(
+      `Need at least ${poolCount * 2} teams for ${poolCount} pools (2 per pool).`
+    );
+  }
+
+  const pools = Array.from({ length: poolCount }, (_, i) => ({
+    pool: poolLabel(i),
+    teams: [],
+  }));
+
+  teams.forEach((team, idx) => {
+    const pass = Math.floor(idx / poolCount);
+    const offset = idx % poolCount;
+    const target = pass % 2 === 0 ? offset : poolCount - 1 - offset;
+    pools[target].teams.push(team);
+  });
+
+  return pools;
+}
+
+/**
+ * Round robin inside each pool. Match ids stay RR-1, RR-2... across pools and
+ * every match is tagged with its pool and round. `gamesPerTeam` is capped by
+ * pool size.
+ *
+ * @param {Array<{pool: string, teams: Array}>} pools
+ * @param {number} gamesPerTeam
+ * @returns {Array<{id: string, phase:'RR', pool: string, round: number, teamAId, teamBId, scoreA:null, scoreB:null, winnerId:null}>}
+ */
+function generatePoolPlaySchedule(pools, gamesPerTeam = 4, options = {}) {
+  const all = [];
+
+  for (const p of pools) {
+    const games = Math.min(gamesPerTeam, p.teams.length - 1);
+    const poolMatches = generateRoundRobinSchedule(p.teams, games, options);
+
+    for (const m of poolMatches) all.push({ ...m, pool: p.pool });
+  }
+
+  // pools play their rounds side by side: round 1 of every pool, then round 2...
+  return all
+    .sort((x, y) => x.round - y.round)
+    .map((m, idx) => ({ ...m, id: `RR-${idx + 1}` }));
+}
+
+/**
+ * Standings per pool: only matches between two teams of the same pool count.
+ * Each entry gets its pool and poolRank (1 = pool winner).
+ * `options` are passed through to computeStandings.
+ *
+ * @param {Array<{pool: string, teamIds: Array}>} pools
+ * @returns {Array<{pool: string, standings: Array}>}
+ */
+function computePoolStandings(pools, rrMatches, options = {}) {
+  return pools.map((p) => {
+    const ids = new Set(p.teamIds.map((id) => String(id)));
+    const poolMatches = rrMatches.filter(
+      (m) => ids.has(String(m.teamAId)) && ids.has(String(m.teamBId))
+    );
+
+    return {
+      pool: p.pool,
+      standings: computeStandings(p.teamIds, poolMatches, options).map(
+        (s, idx) => ({
+          ...s,
+          pool: p.pool,
+          poolRank: idx + 1,
+        })
+      ),
+    };
+  });
+}
+
+/**
+ * Playoff seeds for a crossover bracket: all pool winners first (A1, B1...),
+ * then all runners-up (A2, B2...), and so on. With the standard bracket order
+ * that pairs A1 vs B2, B1 vs A2, etc.
+ *
+ * @param {Array<{pool: string, standings: Array}>} poolStandings
+ * @param {number} advancePerPool - K teams from each pool
+ * @returns {string[]} team ids, seed 1 first
+ */
+function crossoverSeeds(poolStandings, advancePerPool) {
+  if (!Number.isInteger(advancePerPool) || advancePerPool < 1) {
+    throw new Error("advancePerPool must be >= 1");
+  }
+
+  const seeds = [];
+  for (let rank = 0; rank < advancePerPool; rank++) {
+    for (const p of poolStandings) {
+      const entry = p.standings[rank];
+      if (!entry) {
+        throw new Error(
+          `Pool ${p.pool} only has ${p.standings.length} teams (need ${advancePerPool}).`
+        );
+      }
+      seeds.push(String(entry.teamId));
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Seeds for a consolation bracket: the teams that missed the main playoffs, in
+ * the same standings order (best non-qualifier is consolation seed 1).
+ *
+ * @param {Array<number|string>} rankedTeamIds - whole field, best first
+ * @param {Array<number|string>} qualifiedTeamIds - main bracket seeds
+ * @param {number} [teamCount] - default: every non-qualifier
+ * @returns {string[]} team ids, seed 1 first
+ */
+function consolationSeeds(rankedTeamIds, qualifiedTeamIds, teamCount) {
+  const qualified = new Set(qualifiedTeamIds.map(String));
+  const rest = rankedTeamIds.map(String).filter((id) => !qualified.has(id));
+  const count = teamCount ?? rest.length;
+
+  if (!Number.isInteger(count) || count < 2) {
+    throw new Error("A consolation bracket needs at least 2 teams.");
+  }
+  if (count > rest.length) {
+    throw new Error(
+      `Only ${rest.length} teams missed the playoffs (need ${count}).`
+    );
+  }
+  return rest.slice(0, count);
+}
+
+/**
+ * Wildcard spots: the best teams that didn't qualify automatically. Pool play
+ * takes every pool's next finishers first (all 3rd places before any 4th
+ * place), ordered across pools by the overall standings. A single group just
+ * takes the next teams in the standings.
+ *
+ * @param {Array<{pool: string, standings: Array}>} poolStandings
+ * @param {Array} overallStandings - computeStandings of the whole field
+ * @param {Array<number|string>} qualifiedTeamIds
+ * @param {number} count
+ * @returns {string[]} team ids, best first
+ */
+function wildcardSeeds(poolStandings, overallStandings, qualifiedTeamIds, count) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error("wildcards must be an integer >= 0");
+  }
+  if (count === 0) return [];
+
+  const qualified = new Set(qualifiedTeamIds.map(String));
+  const overallRank = new Map(
+    overallStandings.map((s, idx) => [String(s.teamId), idx])
+  );
+
+  const deepest = Math.max(0, ...poolStandings.map((p) => p.standings.length));
+  const candidates = [];
+  for (let rank = 0; rank < deepest; rank++) {
+    const tier = poolStandings
+      .map((p) => p.standings[rank])
+      .filter((s) => s && !qualified.has(String(s.teamId)))
+      .map((s) => String(s.teamId))
+      .sort((a, b) => overallRank.get(a) - overallRank.get(b));
+    candidates.push(...tier);
+  }
+
+  if (candidates.length < count) {
+    throw new Error(
+      `Only ${candidates.length} teams are left for ${count} wildcard spots.`
+    );
+  }
+  return candidates.slice(0, count);
+}
+
+/**
+ * Re-pair first-round playoff matches that would repeat a round robin match.
+ * The lower seed of a rematch swaps places with the closest-seeded lower seed
+ * of another first-round match, as long as neither new pairing is a rematch.
+ * Rematches that can't be fixed that way are left alone.
+ *
+ * @param {object} bracket - bracket plan (single or double)
+ * @param {Array<number|string>} seededTeamIds - seed 1 first
+ * @param {Array<{teamAId, teamBId}>} rrMatches
+ * @returns {{ seeds: string[], swaps: Array<[string, string]> }}
+ */
+function avoidFirstRoundRematches(bracket, seededTeamIds, rrMatches) {
+  const seeds = seededTeamIds.map(String);
+  const played = new Set(rrMatches.map((m) => pairKey(m.teamAId, m.teamBId)));
+  const isRematch = (a, b) => played.has(pairKey(a, b));
+
+  const firstRound = bracketSlots(bracket)
+    .filter((slot) => slot.a?.seed && slot.b?.seed)
+    .sort((x, y) => x.a.seed - y.a.seed);
+
+  const swaps = [];
+  for (const m of firstRound) {
+    const top = seeds[m.a.seed - 1];
+    const low = seeds[m.b.seed - 1];
+    if (!isRematch(top, low)) continue;
+
+    const options = firstRound
+      .filter((n) => n !== m)
+      .sort(
+        (x, y) =>
+          Math.abs(x.b.seed - m.b.seed) - Math.abs(y.b.seed - m.b.seed) ||
+          x.b.seed - y.b.seed
+      );
+
+    for (const n of options) {
+      const otherTop = seeds[n.a.seed - 1];
+      const otherLow = seeds[n.b.seed - 1];
+      if (isRematch(top, otherLow) || isRematch(otherTop, low)) continue;
+
+      seeds[m.b.seed - 1] = otherLow;
+      seeds[n.b.seed - 1] = low;
+      swaps.push([low, otherLow]);
+      break;
+    }
+  }
+
+  return { seeds, swaps };
+}
+
+/**
+ * Phase code for a single-elimination round, keyed by how many bracket slots
+ * the round has: 2 -> FINAL, 4 -> SF, 8 -> QF, 16 -> R16, 32 -> R32...
+ */
+function eliminationPhaseFor(slots) {
+  if (slots === 2) return "FINAL";
+  if (slots === 4) return "SF";
+  if (slots === 8) return "QF";
+  return `R${slots}`;
+}
+
+function eliminationMatchCode(phase, index) {
+  if (phase === "FINAL") return "FINAL";
+  if (/^R\d+$/.test(phase)) return `${phase}-${index}`;
+  return `${phase}${index}`;
+}
+
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+}
+
+/**
+ * Standard bracket seed order for a power-of-two bracket, so seeds 1 and 2 can
+ * only meet in the final, 1-4 only from the semis on, etc.
+ * Example with 8: [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function bracketSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, sum - seed]);
+  }
+  return order;
+}
+
+/**
+ * Build the wiring for a single-elimination bracket with `teamCount` seeds.
+ *
+ * Notes:
+ * - When teamCount isn't a power of two, the top seeds get byes. A bye is never
+ *   a match: the seed is fed straight into the next round.
+ * - Each match side is a source: { seed } | { winnerOf: code } | { loserOf: code }.
+ * - Third place is only played when both semifinals are real matches.
+ * - `codePrefix` namespaces every match code (e.g. "C-" gives C-SF1, C-FINAL),
+ *   so a second bracket can run next to the main one.
+ *
+ * @param {number} teamCount
+ * @param {object} [options]
+ * @param {boolean} [options.thirdPlace=true]
+ * @param {string} [options.codePrefix='']
+ * @returns {{format:'single', teamCount: number, size: number, rounds: Array<{round: number, phase: string, matches: Array}>, thirdPlace: object|null}}
+ */
+function buildSingleEliminationBracket(teamCount, options = {}) {
+  const thirdPlace = options.thirdPlace ?? true;
+  const codePrefix = options.codePrefix ?? "";
+
+  if (!Number.isInteger(teamCount) || teamCount < 2) {
+    throw new Error("Need at least 2 teams for playoffs.");
+  }
+
+  const size = nextPowerOfTwo(teamCount);
+  let sources = bracketSeedOrder(size).map((seed) =>
+    seed <= teamCount ? { seed } : null
+  );
+
+  const rounds = [];
+
+  while (sources.length > 1) {
+    const phase = eliminationPhaseFor(sources.length);
+    const round = rounds.length + 1;
+    const matches = [];
+    const next = [];
+
+    for (let i = 0; i < sources.length; i += 2) {
+      const a = sources[i];
+      const b = sources[i + 1];
+
+      // BYE: the lone team moves up without playing
+      if (!a || !b) {
+        next.push(a || b);
+        continue;
+      }
+
+      const code = codePrefix + eliminationMatchCode(phase, matches.length + 1);
+      matches.push({ code, phase, round, a, b });
+      next.push({ winnerOf: code });
+    }
+
+    rounds.push({ round, phase, matches });
+    sources = next;
+  }
+
+  const semis = rounds.find((r) => r.phase === "SF");
+  const finalRound = rounds[rounds.length - 1].round;
+
+  return {
+    format: "single",
+    teamCount,
+    size,
+    rounds,
+    thirdPlace:
+      thirdPlace && semis?.matches.length === 2
+        ? {
+            code: `${codePrefix}THIRD`,
+            phase: "THIRD",
+            round: finalRound,
+            a: { loserOf: semis.matches[0].code },
+            b: { loserOf: semis.matches[1].code },
+          }
+        : null,
+  };
+}
+
+/**
+ * Winners bracket + losers bracket + grand final for `teamCount` seeds.
+ *
+ * Notes:
+ * - Winners bracket uses the same seeding/byes as single elimination.
+ * - Losers bracket alternates "drop" rounds (LB survivors vs the teams that just
+ *   lost in the winners bracket) and consolidation rounds (survivors vs each other).
+ *   Drops come in reversed order so teams don't immediately meet again.
+ * - Grand final: winners champ (A) vs losers champ (B). With `reset`, a second
+ *   game (GF-RESET) is only played if B wins the first one.
+ *
+ * @param {number} teamCount
+ * @param {object} [options]
+ * @param {boolean} [options.reset=true]
+ * @returns {{format:'double', teamCount: number, size: number, winners: Array, losers: Array, grandFinal: object, reset: object|null}}
+ */
+function buildDoubleEliminationBracket(teamCount, options = {}) {
+  const reset = options.reset ?? true;
+
+  if (!Number.isInteger(teamCount) || teamCount < 2) {
+    throw new Error("Need at least 2 teams for playoffs.");
+  }
+
+  const size = nextPowerOfTwo(teamCount);
+  const winners = [];
+  const losers = [];
+
+  // Pair two sources into a match, or pass the lone team through on a bye.
+  const play = (list, code, phase, round, a, b) => {
+    if (!a || !b) return { winner: a || b || null, loser: null };
+    list.push({ code, phase, round, a, b });
+    return { winner: { winnerOf: code }, loser: { loserOf: code } };
+  };
+
+  const playRound = (sourcesA, sourcesB, phase, round) => {
+    const matches = [];
+    const results = sourcesA.map((a, i) =>
+      play(
+        matches,
+        `${phase}${round}-${matches.length + 1}`,
+        phase,
+        round,
+        a,
+        sourcesB[i]
+      )
+    );
+    return { matches, results };
+  };
+
+  const pairUp = (sources) => [
+    sources.filter((_, i) => i % 2 === 0),
+    sources.filter((_, i) => i % 2 === 1),
+  ];
+
+  // losers rounds made only of byes are skipped, so numbering stays compact
+  const playLosers = (sourcesA, sourcesB) => {
+    const lb = playRound(sourcesA, sourcesB, "LB", losers.length + 1);
+    if (lb.matches.length) {
+      losers.push({ round: losers.length + 1, phase: "LB", matches: lb.matches });
+    }
+    return lb.results.map((r) => r.winner);
+  };
+
+  let wbSources = bracketSeedOrder(size).map((seed) =>
+    seed <= teamCount ? { seed } : null
+  );
+  let lbSources = null;
+  let wbRound = 0;
+
+  while (wbSources.length > 1) {
+    wbRound += 1;
+    const wb = playRound(...pairUp(wbSources), "WB", wbRound);
+    if (wb.matches.length) {
+      winners.push({ round: wbRound, phase: "WB", matches: wb.matches });
+    }
+    wbSources = wb.results.map((r) => r.winner);
+    const dropped = wb.results.map((r) => r.loser);
+
+    if (!lbSources) {
+      // first winners round: its losers start the losers bracket
+      lbSources = dropped.length === 1 ? dropped : playLosers(...pairUp(dropped));
+      continue;
+    }
+
+    lbSources = playLosers(lbSources, [...dropped].reverse());
+    if (lbSources.length > 1) lbSources = playLosers(...pairUp(lbSources));
+  }
+
+  const grandFinal = {
+    code: "GF",
+    phase: "GF",
+    round: 1,
+    a: wbSources[0],
+    b: lbSources[0],
+  };
+
+  return {
+    format: "double",
+    teamCount,
+    size,
+    winners,
+    losers,
+    grandFinal,
+    reset: reset
+      ? {
+          code: "GF-RESET",
+          phase: "GF",
+          round: 2,
+          a: { loserOf: "GF" },
+          b: { winnerOf: "GF" },
+          ifNeeded: true,
+        }
+      : null,
+  };
+}
+
+/**
+ * Every match slot of a bracket plan (single or double), in play order.
+ */
+function bracketSlots(bracket) {
+  if (bracket.format === "double") {
+    // losers-bracket slots are fed by winners-bracket slots, so those go first
+    return [
+      ...bracket.winners.flatMap((r) => r.matches),
+      ...bracket.losers.flatMap((r) => r.matches),
+      bracket.grandFinal,
+      ...(bracket.reset ? [bracket.reset] : []),
+    ];
+  }
 
   return [
-    {
-      id: "FINAL",
-      phase: "FINAL",
-      teamAId: sf1.winnerId,
-      teamBId: sf2.winnerId,
-      scoreA: null,
-      scoreB: null,
-      winnerId: null,
-    },
-    {
-      id: "THIRD",
-      phase: "THIRD",
-      teamAId: sf1Loser,
-      teamBId: sf2Loser,
+    ...bracket.rounds.flatMap((r) => r.matches),
+    ...(bracket.thirdPlace ? [bracket.thirdPlace] : []),
+  ];
+}
+
+/**
+ * Fill a bracket with teams from the seeds + recorded results.
+ *
+ * `seededTeamIds[0]` is seed 1. Returns every bracket match (in `bracketSlots`
+ * order) with teamAId/teamBId set once known and null while still waiting on a
+ * feeder. A recorded result only counts if it was played by the teams now in
+ * the slot, so changing an upstream winner invalidates everything it fed.
+ *
+ * With `options.reseed` (single elimination only) every round after the first
+ * waits for the whole previous round, then pairs the best remaining seed with
+ * the worst, the second best with the second worst, and so on.
+ */
+function resolveBracket(bracket, seededTeamIds, matches = [], options = {}) {
+  const recorded = new Map(matches.map((m) => [String(m.id), m]));
+  const resolved = new Map();
+  const reseed = !!options.reseed && bracket.format === "single";
+  const seedOf = new Map(seededTeamIds.map((id, idx) => [String(id), idx]));
+
+  // match code -> [teamAId, teamBId] once its round is reseeded
+  const reseeded = new Map();
+  const reseedRound = (round) => {
+    const entrants = round.matches.flatMap((m) => [teamFrom(m.a), teamFrom(m.b)]);
+    const ready = entrants.every((id) => id != null);
+    const ordered = [...entrants].sort((x, y) => seedOf.get(x) - seedOf.get(y));
+
+    round.matches.forEach((m, i) => {
+      reseeded.set(
+        m.code,
+        ready ? [ordered[i], ordered[ordered.length - 1 - i]] : [null, null]
+      );
+    });
+  };
+
+  const teamFrom = (source) => {
+    if (!source) return null;
+
+    if (source.seed) {
+      const id = seededTeamIds[source.seed - 1];
+      return id == null ? null : String(id);
+    }
+
+    const feeder = resolved.get(source.winnerOf ?? source.loserOf);
+    if (!feeder?.winnerId || !feeder.teamAId || !feeder.teamBId) return null;
+
+    if (source.winnerOf) return feeder.winnerId;
+    return feeder.winnerId === feeder.teamAId ? feeder.teamBId : feeder.teamAId;
+  };
+
+  // an "if needed" slot (grand final reset) only fills when B won the feeder
+  const isNeeded = (slot) => {
+    if (!slot.ifNeeded) return true;
+    const feeder = resolved.get(slot.b.winnerOf);
+    return !!feeder?.winnerId && feeder.winnerId === feeder.teamBId;
+  };
+
+  const slots = bracketSlots(bracket);
+
+  for (const slot of slots) {
+    const needed = isNeeded(slot);
+    const round =
+      reseed && slot.phase !== "THIRD" && slot.round > 1
+        ? bracket.rounds[slot.round - 1]
+        : null;
+    if (round && !reseeded.has(slot.code)) reseedRound(round);
+
+    const [teamAId, teamBId] = round
+      ? reseeded.get(slot.code)
+      : needed
+      ? [teamFrom(slot.a), teamFrom(slot.b)]
+      : [null, null];
+
+    const played = recorded.get(slot.code);
+    const samePairing =
+      !!played &&
+      !!teamAId &&
+      !!teamBId &&
+      String(played.teamAId) === teamAId &&
+      String(played.teamBId) === teamBId;
+
+    resolved.set(slot.code, {
+      id: slot.code,
+      phase: slot.phase,
+      round: slot.round,
+      sourceA: round ? { reseed: "high" } : slot.a,
+      sourceB: round ? { reseed: "low" } : slot.b,
+      ifNeeded: !!slot.ifNeeded,
+      teamAId,
+      teamBId,
+      scoreA: samePairing ? played.scoreA ?? null : null,
+      scoreB: samePairing ? played.scoreB ?? null : null,
+      winnerId:
+        samePairing && played.winnerId != null ? String(played.winnerId) : null,
+      status: samePairing ? played.status ?? "pending" : "pending",
+    });
+  }
+
+  return slots.map((slot) => resolved.get(slot.code));
+}
+
+/**
+ * Knock-on effect of correcting a result the bracket depends on.
+ *
+ * `matches` are the stored bracket matches with the correction already
+ * applied (for a round robin correction, pass the re-computed seeds instead).
+ * By default only results whose pairing no longer holds are lost, so the
+ * corrected winner simply re-advances. `options.clear` also drops every
+ * result downstream of the given match codes (true = the whole bracket),
+ * even where the pairing survives.
+ *
+ * Returns the resolved slots plus one change per stored match that gets
+ * cleared, re-paired or dropped: { id, phase, before, after } where `after`
+ * is { teamAId, teamBId } or null when the match is no longer ready.
+ */
+function bracketCorrectionImpact(
+  bracket,
+  seededTeamIds,
+  matches = [],
+  options = {}
+) {
+  const reseed = !!options.reseed && bracket.format === "single";
+  const slots = bracketSlots(bracket);
+
+  const cleared = new Set();
+  if (options.clear) {
+    const from = new Set(
+      options.clear === true ? [] : options.clear.map(String)
+    );
+    const roundOf = new Map(slots.map((slot) => [slot.code, slot.round]));
+    const fedBy = (slot) =>
+      [slot.a, slot.b].some(
+        (src) => from.has(src?.winnerOf) || from.has(src?.loserOf)
+      ) ||
+      // a reseeded round depends on every match of the rounds before it
+      (reseed &&
+        slot.phase !== "THIRD" &&
+        slot.round > 1 &&
+        [...from].some((code) => roundOf.get(code) < slot.round));
+
+    for (const slot of slots) {
+      if (options.clear === true || fedBy(slot)) {
+        cleared.add(slot.code);
+        from.add(slot.code);
+      }
+    }
+  }
+
+  const working = matches.map((m) =>
+    cleared.has(String(m.id))
+      ? { ...m, scoreA: null, scoreB: null, winnerId: null, status: "pending" }
+      : m
+  );
+  const resolved = resolveBracket(bracket, seededTeamIds, working, {
+    reseed: options.reseed,
+  });
+  const byCode = new Map(resolved.map((m) => [m.id, m]));
+
+  const changes = [];
+  for (const m of matches) {
+    const slot = byCode.get(String(m.id));
+    const ready = !!slot?.teamAId && !!slot?.teamBId;
+    const repaired =
+      !ready ||
+      String(m.teamAId) !== slot.teamAId ||
+      String(m.teamBId) !== slot.teamBId;
+    const resultLost = m.winnerId != null && slot?.winnerId == null;
+    if (!repaired && !resultLost) continue;
+
+    changes.push({
+      id: String(m.id),
+      phase: m.phase,
+      before: {
+        teamAId: m.teamAId == null ? null : String(m.teamAId),
+        teamBId: m.teamBId == null ? null : String(m.teamBId),
+        scoreA: m.scoreA ?? null,
+        scoreB: m.scoreB ?? null,
+        winnerId: m.winnerId == null ? null : String(m.winnerId),
+        status: m.status ?? "pending",
+      },
+      after: ready ? { teamAId: slot.teamAId, teamBId: slot.teamBId } : null,
+    });
+  }
+
+  return { slots: resolved, changes };
+}
+
+/**
+ * Generate the first playable playoff matches from standings.
+ * Default is the classic top-4 (SF1: 1v4, SF2: 2v3). With a non power of two
+ * `teamCount`, only the matches without byes are returned.
+ */
+function generatePlayoffsFromStandings(standings, options = {}) {
+  const teamCount = options.teamCount ?? 4;
+
+  if (standings.length < teamCount) {
+    throw new Error(`Need at least ${teamCount} teams for playoffs.`);
+  }
+
+  const seeded = standings.slice(0, teamCount).map((s) => s.teamId);
+  const bracket = buildSingleEliminationBracket(teamCount, options);
+
+  return advanceBracket(bracket, seeded, []);
+}
+
+/**
+ * After results come in, return bracket matches that are now ready to play
+ * (both teams known) and aren't in `matches` yet. Works for any bracket plan
+ * (single or double): losers drop into the losers bracket as soon as their
+ * winners-bracket match is scored.
+ */
+function advanceBracket(bracket, seededTeamIds, matches) {
+  const existing = new Set(matches.map((m) => String(m.id)));
+
+  return resolveBracket(bracket, seededTeamIds, matches)
+    .filter((m) => m.teamAId && m.teamBId && !existing.has(m.id))
+    .map((m) => ({
+      id: m.id,
+      phase: m.phase,
+      teamAId: m.teamAId,
+      teamBId: m.teamBId,
       scoreA: null,
       scoreB: null,
       winnerId: null,
-    },
-  ];
+    }));
 }
 
 /**
@@ -312,10 +2264,40 @@ function buildTournament(teams, gamesPerTeam = 4) {
 }
 
 module.exports = {
+  TIEBREAKERS,
+  seededRng,
+  shuffle,
   generateRoundRobinSchedule,
+  scheduleLateTeam,
+  strengthOfSchedule,
+  assignRoundSlots,
+  minimumSlots,
+  explainScheduleShortfall,
+  teamTimelines,
   scoreMatch,
   computeStandings,
+  generateSwissRound,
+  generateRotatingPartnerSchedule,
+  computePlayerStandings,
+  generateCourtLadderRound,
+  courtLadderOrderAfterRound,
+  computeCourtLadderStandings,
+  challengeRangeError,
+  rungsAfterChallenge,
+  computeDualStandings,
+  assignPoolsSnake,
+  generatePoolPlaySchedule,
+  computePoolStandings,
+  crossoverSeeds,
+  consolationSeeds,
+  wildcardSeeds,
+  avoidFirstRoundRematches,
+  buildSingleEliminationBracket,
+  buildDoubleEliminationBracket,
+  bracketSlots,
+  resolveBracket,
+  bracketCorrectionImpact,
   generatePlayoffsFromStandings,
-  generateFinalsFromSemis,
+  advanceBracket,
   buildTournament,
 };
\ No newline at end of file
@@ -24,6 +24,10 @@ import {
   ChevronDown,
   Settings,
   MapPin,
+  Shuffle,
+  ChevronsUp,
+  Swords,
+  Shield,
 } from "lucide-react";
 
 import heroImg from "./assets/pickleball-court.png";
@@ -33,6 +37,11 @@ import {
 } from "./tournamentStore";
 import { setOptimisticPlayer } from "./optimisticPlayerStore";
 import { API_BASE } from "./apiBase";
+import {
+  categoryNeedsGender,
+  eventFormatLabel,
+  genderCollection,
+} from "./eventCategories";
 import usePageTitle from "./hooks/usePageTitle";
 
 /* -----------------------------
@@ -180,18 +189,28 @@ export default function App({ user, setUser }) {
   const [joinEmail, setJoinEmail] = useState("");
   const [joinDupr, setJoinDupr] = useState("");
   const [joinSelfRating, setJoinSelfRating] = useState("");
+  const [joinGender, setJoinGender] = useState("");
   const [joinStatus, setJoinStatus] = useState("idle");
   const [joinError, setJoinError] = useState("");
 
   const isSubmitting = joinStatus === "saving";
   const needsSelfRating = joinDupr.trim() === "";
+  const selectedTournament = tournaments.find(
+    (t) => String(t.id) === String(selectedTid)
+  );
+  const needsGender = categoryNeedsGender(selectedTournament?.eventCategory);
+  const selectedFormatLabel = eventFormatLabel(
+    selectedTournament?.eventCategory,
+    selectedTournament?.teamSize
+  );
 
   const canJoinSubmit =
     joinName.trim() &&
     joinEmail.includes("@") &&
     selectedTid &&
     !isSubmitting &&
-    (!needsSelfRating || !!joinSelfRating);
+    (!needsSelfRating || !!joinSelfRating) &&
+    (!needsGender || !!joinGender);
 
   async function submitJoin(e) {
     e.preventDefault();
@@ -215,6 +234,7 @@ export default function App({ user, setUser }) {
       email: joinEmail.trim().toLowerCase(),
       duprRating: joinDupr.trim(),
       selfRating: joinDupr.trim() === "" ? joinSelfRating : null,
+      gender: joinGender || null,
     };
 
     try {
@@ -529,6 +549,34 @@ export default function App({ user, setUser }) {
                           </Text>
                         </Stack>
 
+                        {needsGender ? (
+                          <Stack gap={2}>
+                            <Text fontSize="sm" fontWeight="700">
+                              Gender (required for {selectedFormatLabel})
+                            </Text>
+
+                            <Select.Root
+                              collection={genderCollection}
+                              value={joinGender ? [joinGender] : []}
+                              onValueChange={(d) =>
+                                setJoinGender(d.value?.[0] ?? "")
+                              }
+                              disabled={isSubmitting}
+                            >
+                              <Select.Trigger>
+                                <Select.ValueText placeholder="Choose" />
+                              </Select.Trigger>
+                              <Select.Content>
+                                {genderCollection.items.map((item) => (
+                                  <Select.Item key={item.value} item={item}>
+                                    {item.label}
+                                  </Select.Item>
+                                ))}
+                              </Select.Content>
+                            </Select.Root>
+                          </Stack>
+                        ) : null}
+
                         <HStack
                           justify={{ base: "stretch", sm: "flex-end" }}
                           gap={2}
@@ -591,6 +639,37 @@ export default function App({ user, setUser }) {
               onClick={() => navigate("/bracket")}
               disabled={!hasTournamentSelected}
             />
+            <ActionTile
+              icon={<Shuffle size={18} />}
+              title="Rotating Partners"
+              desc="Social mixer with new partners every round."
+              cta="Rotating Partners"
+              onClick={() => navigate("/rotating")}
+              disabled={!hasTournamentSelected}
+            />
+            <ActionTile
+              icon={<ChevronsUp size={18} />}
+              title="Court Ladder"
+              desc="King of the Court / Up-Down the River."
+              cta="Court Ladder"
+              onClick={() => navigate("/court-ladder")}
+              disabled={!hasTournamentSelected}
+            />
+            <ActionTile
+              icon={<Shield size={18} />}
+              title="Team Duals"
+              desc="Team vs team fixtures with captain lineups."
+              cta="Team Duals"
+              onClick={() => navigate("/dual")}
+              disabled={!hasTournamentSelected}
+            />
+            <ActionTile
+              icon={<Swords size={18} />}
+              title="Challenge Ladders"
+              desc="Season-long ladders: challenge up, win and swap."
+              cta="View Ladders"
+              onClick={() => navigate("/ladders")}
+            />
           </Grid>
         </Stack>
       </Container>
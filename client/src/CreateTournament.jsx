@@ -16,7 +16,9 @@ import {
   Text,
   Dialog,
   Portal,
+  Select,
   Switch,
+  createListCollection,
 } from "@chakra-ui/react";
 import { PlusCircle, Trophy, Trash2, Pencil, Home } from "lucide-react";
 import {
@@ -24,6 +26,10 @@ import {
   setCurrentTournamentId,
 } from "./tournamentStore";
 import { API_BASE } from "./apiBase";
+import {
+  eventCategoryCollection,
+  teamSizeCollection,
+} from "./eventCategories";
 import StickyPageHeader from "./components/StickyPageHeader";
 import usePageTitle from "./hooks/usePageTitle";
 
@@ -33,6 +39,21 @@ function CreateTournament() {
 
   const [name, setName] = useState("");
   const [gamesPerTeam, setGamesPerTeam] = useState("4");
+  const [eventCategory, setEventCategory] = useState("open");
+  const [teamSize, setTeamSize] = useState("2");
+
+  // mixed is doubles only
+  const categoryCollection = useMemo(
+    () =>
+      teamSize === "1"
+        ? createListCollection({
+            items: eventCategoryCollection.items.filter(
+              (item) => item.value !== "mixed"
+            ),
+          })
+        : eventCategoryCollection,
+    [teamSize]
+  );
   const [status, setStatus] = useState("idle");
   const [error, setError] = useState("");
 
@@ -140,6 +161,8 @@ function CreateTournament() {
         body: JSON.stringify({
           name: trimmed,
           ...(gptNum === null ? {} : { gamesPerTeam: gptNum }),
+          eventCategory,
+          teamSize: Number(teamSize),
           isPublic,
           showPlayerNamesPublic,
           showDuprPublic,
@@ -161,6 +184,8 @@ function CreateTournament() {
 
       setName("");
       setGamesPerTeam("4");
+      setEventCategory("open");
+      setTeamSize("2");
       setIsPublic(true);
       setShowPlayerNamesPublic(true);
       setShowDuprPublic(false);
@@ -369,6 +394,62 @@ function CreateTournament() {
                       Controls how many round-robin matches each team will play.
                     </Text>
                   </Stack>
+
+                  <Stack gap={2}>
+                    <Text fontSize="sm" fontWeight="700">
+                      Event
+                    </Text>
+                    <HStack gap={2} wrap="wrap">
+                      <Select.Root
+                        collection={categoryCollection}
+                        value={[eventCategory]}
+                        onValueChange={(d) =>
+                          setEventCategory(d.value?.[0] ?? "open")
+                        }
+                        width="180px"
+                      >
+                        <Select.Trigger>
+                          <Select.ValueText placeholder="Open" />
+                        </Select.Trigger>
+                        <Select.Content>
+                          {categoryCollection.items.map((item) => (
+                            <Select.Item key={item.value} item={item}>
+                              {item.label}
+                            </Select.Item>
+                          ))}
+                        </Select.Content>
+                      </Select.Root>
+
+                      <Select.Root
+                        collection={teamSizeCollection}
+                        value={[teamSize]}
+                        onValueChange={(d) => {
+                          const next = d.value?.[0] ?? "2";
+                          setTeamSize(next);
+                          if (next === "1" && eventCategory === "mixed") {
+                            setEventCategory("open");
+                          }
+                        }}
+                        width="180px"
+                      >
+                        <Select.Trigger>
+                          <Select.ValueText placeholder="Doubles" />
+                        </Select.Trigger>
+                        <Select.Content>
+                          {teamSizeCollection.items.map((item) => (
+                            <Select.Item key={item.value} item={item}>
+                              {item.label}
+                            </Select.Item>
+                          ))}
+                        </Select.Content>
+                      </Select.Root>
+                    </HStack>
+                    <Text fontSize="xs" opacity={0.75}>
+                      Men&apos;s, women&apos;s and mixed events ask players
+                      for their gender at signup and pair teams to match.
+                      Singles players each play as their own entrant.
+                    </Text>
+                  </Stack>
                 </Stack>
 
                 <Card.Root bg="white">
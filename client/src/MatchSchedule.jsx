@@ -1,11 +1,12 @@
 import { API_BASE } from "./apiBase";
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import {
   Badge,
   Box,
   Button,
   Card,
+  Code,
   Container,
   Dialog,
   Flex,
@@ -35,9 +36,23 @@ import {
   X,
   Play,
   PauseCircle,
+  History,
 } from "lucide-react";
-import { getCurrentTournamentId } from "./tournamentStore";
+import {
+  getCurrentDivisionId,
+  getCurrentTournamentId,
+  setCurrentDivisionId,
+} from "./tournamentStore";
+import { scoringProfileCollection } from "./scoringProfiles";
+import { DECIDED_BY_LABELS } from "./standingsRules";
+import StandingsRulesEditor from "./components/StandingsRulesEditor";
+import PlayoffRulesEditor from "./components/PlayoffRulesEditor";
+import TeamWithdrawalEditor from "./components/TeamWithdrawalEditor";
+import LateTeamScheduler from "./components/LateTeamScheduler";
+import MatchHistoryDialog from "./components/MatchHistoryDialog";
+import CorrectionDialog from "./components/CorrectionDialog";
 import StickyPageHeader from "./components/StickyPageHeader";
+import DivisionSelect from "./components/DivisionSelect";
 import usePageTitle from "./hooks/usePageTitle";
 
 /* -----------------------------
@@ -46,12 +61,36 @@ import usePageTitle from "./hooks/usePageTitle";
 
 function labelForPhase(phase) {
   if (phase === "RR") return { label: "Round Robin", variant: "club" };
+  if (/^R\d+$/.test(phase ?? "")) {
+    return { label: `Round of ${phase.slice(1)}`, variant: "club" };
+  }
+  if (phase === "QF") return { label: "Quarterfinal", variant: "club" };
   if (phase === "SF") return { label: "Semifinal", variant: "club" };
   if (phase === "FINAL") return { label: "Final", variant: "pickle" };
   if (phase === "THIRD") return { label: "Third Place", variant: "club" };
+  if (phase === "WB") return { label: "Winners Bracket", variant: "club" };
+  if (phase === "LB") return { label: "Losers Bracket", variant: "club" };
+  if (phase === "GF") return { label: "Grand Final", variant: "pickle" };
+  if (phase === "CONS") return { label: "Consolation", variant: "club" };
   return { label: phase, variant: "club" };
 }
 
+function isFinalsPhase(phase) {
+  return phase === "FINAL" || phase === "THIRD" || phase === "GF";
+}
+
+// Consolation matches are listed under their own "CONS" phase (their real
+// round is in the match code: C-SF1, C-FINAL...)
+function phaseOf(match) {
+  return match?.bracket === "consolation" ? "CONS" : match?.phase;
+}
+
+// Still editable once the main finals are confirmed: the finals themselves and
+// the consolation bracket, which is played alongside them
+function playsThroughFinals(phase) {
+  return isFinalsPhase(phase) || phase === "CONS";
+}
+
 function statusMeta(status) {
   if (status === "on_court") return { label: "On Court", variant: "pickle" };
   if (status === "completed") return { label: "Completed", variant: "club" };
@@ -103,7 +142,12 @@ function formatTeamDisplay(team) {
   return code ? `${teamName} ${code}` : teamName;
 }
 
-function validateScore(phase, a, b) {
+// Mirrors validatePickleballScore on the server. Rules come from match.scoring.
+function validateScore(
+  a,
+  b,
+  { playTo = 11, winBy = 2, cap = null, timed = false } = {}
+) {
   const scoreA = Number(a);
   const scoreB = Number(b);
 
@@ -112,18 +156,100 @@ function validateScore(phase, a, b) {
   }
   if (scoreA < 0 || scoreB < 0) return "Scores can’t be negative.";
   if (scoreA === scoreB) return "Ties not supported.";
+  if (timed) return null;
 
-  const diff = Math.abs(scoreA - scoreB);
-  if (diff < 2) return "Team has to win by 2.";
+  const max = Math.max(scoreA, scoreB);
+  const min = Math.min(scoreA, scoreB);
 
-  const min = phase === "RR" ? 11 : 15;
-  if (Math.max(scoreA, scoreB) < min) {
-    return `Game must be played to at least ${min}.`;
-  }
+  if (max < playTo) return `Game must be played to at least ${playTo}.`;
+  if (cap != null && max > cap) return `Games are capped at ${cap}.`;
+  if (cap != null && max === cap) return null;
+  if (max - min < winBy) return `Team has to win by ${winBy}.`;
 
   return null;
 }
 
+// Mirrors MATCH_FORMATS on the server.
+const MATCH_FORMATS = {
+  single: { maxGames: 1, gamesToWin: 1 },
+  best_of_3: { maxGames: 3, gamesToWin: 2 },
+  best_of_5: { maxGames: 5, gamesToWin: 3 },
+  two_games: { maxGames: 2, gamesToWin: null },
+};
+
+function isMultiGame(match) {
+  return (MATCH_FORMATS[match?.matchFormat]?.maxGames ?? 1) > 1;
+}
+
+// Multi-game matches are edited as comma-separated game scores per team.
+function scoreInputsForMatch(match) {
+  if (match?.games?.length) {
+    return {
+      scoreA: match.games.map((g) => g.scoreA).join(", "),
+      scoreB: match.games.map((g) => g.scoreB).join(", "),
+    };
+  }
+  return {
+    scoreA: normalizeScoreInput(match?.scoreA),
+    scoreB: normalizeScoreInput(match?.scoreB),
+  };
+}
+
+function formatMatchScore(m) {
+  if (m?.games?.length) {
+    return m.games.map((g) => `${g.scoreA}-${g.scoreB}`).join(", ");
+  }
+  if (m?.scoreA != null && m?.scoreB != null) return `${m.scoreA}-${m.scoreB}`;
+  return "—";
+}
+
+/**
+ * Parse + validate comma-separated game scores for a multi-game match.
+ * Returns { error } or { games: [{ scoreA, scoreB }] }. Every game uses the
+ * match's scoring rules.
+ */
+function parseGameScores(match, a, b) {
+  const spec = MATCH_FORMATS[match?.matchFormat] ?? MATCH_FORMATS.single;
+  const listA = String(a ?? "").split(/[\s,]+/).filter(Boolean);
+  const listB = String(b ?? "").split(/[\s,]+/).filter(Boolean);
+
+  if (listA.length === 0 || listA.length !== listB.length) {
+    return { error: "Enter one score per game for both teams (e.g. 11, 9, 11)." };
+  }
+  if (listA.length > spec.maxGames) {
+    return { error: `This match has at most ${spec.maxGames} games.` };
+  }
+  if (![...listA, ...listB].every(isIntString)) {
+    return { error: "Scores must be whole numbers." };
+  }
+
+  const games = listA.map((v, i) => ({
+    scoreA: Number(v),
+    scoreB: Number(listB[i]),
+  }));
+
+  let gamesA = 0;
+  let gamesB = 0;
+  for (let i = 0; i < games.length; i++) {
+    if (spec.gamesToWin && Math.max(gamesA, gamesB) >= spec.gamesToWin) {
+      return { error: `Game ${i + 1} was played after the match was decided.` };
+    }
+    const err = validateScore(games[i].scoreA, games[i].scoreB, match?.scoring);
+    if (err) return { error: `Game ${i + 1}: ${err}` };
+    if (games[i].scoreA > games[i].scoreB) gamesA += 1;
+    else gamesB += 1;
+  }
+
+  if (spec.gamesToWin && Math.max(gamesA, gamesB) < spec.gamesToWin) {
+    return { error: `First to ${spec.gamesToWin} games wins.` };
+  }
+  if (!spec.gamesToWin && games.length < spec.maxGames) {
+    return { error: `All ${spec.maxGames} games must be played.` };
+  }
+
+  return { games };
+}
+
 function isForfeitRR(match) {
   if (match?.phase !== "RR") return false;
   if (!match?.winnerId) return false;
@@ -142,16 +268,122 @@ function hasAnyScoreOrForfeit(m) {
   return aHas || bHas || isForfeitRR(m);
 }
 
-const phaseCollection = createListCollection({
+function phaseRank(phase) {
+  if (phase === "RR") return 0;
+  const m = /^R(\d+)$/.exec(phase ?? "");
+  if (m) return 100 - Number(m[1]) / 1000;
+  const order = {
+    QF: 101,
+    SF: 102,
+    FINAL: 103,
+    THIRD: 104,
+    WB: 105,
+    LB: 106,
+    GF: 107,
+    CONS: 108,
+  };
+  return order[phase] ?? 999;
+}
+
+const basePhases = ["RR", "SF", "FINAL", "THIRD"];
+
+function buildPhaseCollection(phases) {
+  const all = [...new Set([...basePhases, ...phases])].sort(
+    (a, b) => phaseRank(a) - phaseRank(b)
+  );
+  return createListCollection({
+    items: [
+      { label: "All phases", value: "ALL" },
+      ...all.map((phase) => ({
+        label: labelForPhase(phase).label,
+        value: phase,
+      })),
+    ],
+  });
+}
+
+const consolationCollection = createListCollection({
+  items: [
+    { label: "No consolation", value: "off" },
+    { label: "Consolation bracket", value: "on" },
+  ],
+});
+
+const playoffFormatCollection = createListCollection({
+  items: [
+    { label: "Single elim", value: "single" },
+    { label: "Double elim", value: "double" },
+  ],
+});
+
+const medalMatchFormatCollection = createListCollection({
   items: [
-    { label: "All phases", value: "ALL" },
-    { label: "Round Robin", value: "RR" },
-    { label: "Semifinals", value: "SF" },
-    { label: "Final", value: "FINAL" },
-    { label: "Third Place", value: "THIRD" },
+    { label: "Medals: 1 game", value: "single" },
+    { label: "Medals: best of 3", value: "best_of_3" },
+    { label: "Medals: best of 5", value: "best_of_5" },
   ],
 });
 
+function StandingsTable({
+  standings,
+  teamDisplay,
+  scratchedTeamIds,
+  showGames = false,
+}) {
+  return (
+    <Table.Root size="sm" variant="outline">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeader>#</Table.ColumnHeader>
+          <Table.ColumnHeader>Team</Table.ColumnHeader>
+          <Table.ColumnHeader>Wins</Table.ColumnHeader>
+          <Table.ColumnHeader>Losses</Table.ColumnHeader>
+          {showGames ? <Table.ColumnHeader>Games</Table.ColumnHeader> : null}
+          <Table.ColumnHeader>PD</Table.ColumnHeader>
+          <Table.ColumnHeader>Decided by</Table.ColumnHeader>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {standings.map((s, idx) => {
+          const played = s.gamesPlayed ?? s.played ?? null;
+          const losses =
+            played != null
+              ? Math.max(0, Number(played) - Number(s.wins ?? 0))
+              : "—";
+          return (
+            <Table.Row key={String(s.teamId)}>
+              <Table.Cell>{idx + 1}</Table.Cell>
+              <Table.Cell fontWeight="600">
+                <HStack gap={2}>
+                  <Text>{teamDisplay(s.teamId)}</Text>
+                  {scratchedTeamIds.has(String(s.teamId)) ? (
+                    <Badge variant="outline" opacity={0.6}>
+                      Scratched
+                    </Badge>
+                  ) : null}
+                </HStack>
+              </Table.Cell>
+              <Table.Cell>{s.wins}</Table.Cell>
+              <Table.Cell>{losses}</Table.Cell>
+              {showGames ? (
+                <Table.Cell>
+                  {s.gamesWon ?? 0}-{s.gamesLost ?? 0}
+                </Table.Cell>
+              ) : null}
+              <Table.Cell>{s.pointDiff}</Table.Cell>
+              <Table.Cell>
+                <Text fontSize="xs" opacity={0.75}>
+                  {DECIDED_BY_LABELS[s.decidedBy] ?? "—"}
+                </Text>
+              </Table.Cell>
+            </Table.Row>
+          );
+        })}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
 function MatchesMiniList({ matches, teamDisplay }) {
   if (!matches?.length) return <Text opacity={0.7}>No matches to show.</Text>;
 
@@ -169,10 +401,7 @@ function MatchesMiniList({ matches, teamDisplay }) {
         {matches.map((m) => {
           const a = teamDisplay(m.teamAId);
           const b = teamDisplay(m.teamBId);
-          const score =
-            m.scoreA != null && m.scoreB != null
-              ? `${m.scoreA}-${m.scoreB}`
-              : "—";
+          const score = formatMatchScore(m);
           const winner = m.winnerId != null ? teamDisplay(m.winnerId) : "—";
 
           return (
@@ -220,7 +449,7 @@ function QueueMatchCard({
     );
   }
 
-  const phase = labelForPhase(match.phase);
+  const phase = labelForPhase(phaseOf(match));
   const status = statusMeta(match.status);
 
   return (
@@ -323,6 +552,15 @@ function QueueList({ matches, teamDisplay, onMarkOnCourt, actionLoading }) {
   );
 }
 
+// Heading to show above matches[idx] when it starts a new RR round.
+function rrRoundHeading(matches, idx) {
+  const m = matches[idx];
+  if (m.phase !== "RR" || m.round == null) return null;
+  const prev = matches[idx - 1];
+  if (prev?.phase === "RR" && prev.round === m.round) return null;
+  return `Round ${m.round}`;
+}
+
 function MatchesCardList({
   matches,
   edits,
@@ -340,10 +578,13 @@ function MatchesCardList({
   cancelEdit,
   saveMatch,
   openScratch,
+  openHistory,
+  canCorrect,
 }) {
   return (
     <Stack gap={3}>
-      {matches.map((m) => {
+      {matches.map((m, idx) => {
+        const heading = rrRoundHeading(matches, idx);
         const phaseMeta = labelForPhase(m.phase);
         const status = statusMeta(m.status);
         const aName = displayTeamForMatch(m, m.teamAId);
@@ -359,8 +600,10 @@ function MatchesCardList({
         const forfeited = isForfeitRR(m);
         const isEditingThis = !!editMode[m.id];
 
-        const isFinalsMatch = m.phase === "FINAL" || m.phase === "THIRD";
-        const lockedByFinals = finalsConfirmed && !isFinalsMatch;
+        const isFinalsMatch = playsThroughFinals(m.phase);
+        // admins can still correct earlier results (with an impact preview)
+        const lockedByFinals =
+          finalsConfirmed && !isFinalsMatch && !canCorrect;
 
         const locked =
           tournamentComplete ||
@@ -388,144 +631,167 @@ function MatchesCardList({
         const showCancel = isEditingThis;
 
         return (
-          <Box
-            key={`${m.phase}-${m.id}`}
-            border="1px solid"
-            borderColor="border"
-            borderRadius="2xl"
-            p={{ base: 3, md: 4 }}
-            bg={forfeited ? "gray.50" : "white"}
-          >
-            <HStack justify="space-between" align="start" gap={3} wrap="wrap">
-              <HStack gap={2} wrap="wrap">
-                <Badge variant={phaseMeta.variant}>{phaseMeta.label}</Badge>
-                <Badge variant={status.variant}>{status.label}</Badge>
-                <Text fontWeight="800">{m.id}</Text>
-                {m.court ? <Badge variant="outline">Court {m.court}</Badge> : null}
-              </HStack>
-
-              <HStack gap={1}>
-                {showEdit ? (
-                  <IconButton
-                    aria-label="Edit score"
-                    variant="outline"
-                    size="sm"
-                    borderRadius="full"
-                    onClick={() => beginEdit(m)}
-                    disabled={!tid || row.saving}
-                  >
-                    <RotateCcw size={16} />
-                  </IconButton>
-                ) : null}
+          <Fragment key={`${m.phase}-${m.id}`}>
+            {heading ? (
+              <Text fontWeight="800" fontSize="sm" opacity={0.7} pt={2}>
+                {heading}
+              </Text>
+            ) : null}
+            <Box
+              border="1px solid"
+              borderColor="border"
+              borderRadius="2xl"
+              p={{ base: 3, md: 4 }}
+              bg={forfeited ? "gray.50" : "white"}
+            >
+              <HStack justify="space-between" align="start" gap={3} wrap="wrap">
+                <HStack gap={2} wrap="wrap">
+                  <Badge variant={phaseMeta.variant}>{phaseMeta.label}</Badge>
+                  <Badge variant={status.variant}>{status.label}</Badge>
+                  <Text fontWeight="800">{m.id}</Text>
+                  {m.court ? <Badge variant="outline">Court {m.court}</Badge> : null}
+                </HStack>
 
-                {showCancel ? (
-                  <IconButton
-                    aria-label="Cancel edit"
-                    variant="outline"
-                    size="sm"
-                    borderRadius="full"
-                    onClick={() => cancelEdit(m)}
-                    disabled={!tid || row.saving}
-                  >
-                    <X size={16} />
-                  </IconButton>
-                ) : null}
+                <HStack gap={1}>
+                  {showEdit ? (
+                    <IconButton
+                      aria-label="Edit score"
+                      variant="outline"
+                      size="sm"
+                      borderRadius="full"
+                      onClick={() => beginEdit(m)}
+                      disabled={!tid || row.saving}
+                    >
+                      <RotateCcw size={16} />
+                    </IconButton>
+                  ) : null}
 
-                {showSave ? (
-                  <IconButton
-                    aria-label="Save score"
-                    variant="outline"
-                    size="sm"
-                    borderRadius="full"
-                    onClick={() => saveMatch(m)}
-                    disabled={!tid || row.saving}
-                  >
-                    <Save size={16} />
-                  </IconButton>
-                ) : null}
+                  {showCancel ? (
+                    <IconButton
+                      aria-label="Cancel edit"
+                      variant="outline"
+                      size="sm"
+                      borderRadius="full"
+                      onClick={() => cancelEdit(m)}
+                      disabled={!tid || row.saving}
+                    >
+                      <X size={16} />
+                    </IconButton>
+                  ) : null}
 
-                {showScratch ? (
-                  <IconButton
-                    aria-label="Scratch match"
-                    title="Forfeit (clears score)"
-                    variant="ghost"
-                    size="sm"
-                    borderRadius="full"
-                    onClick={() => openScratch(m)}
-                    disabled={!tid}
-                  >
-                    <Flag size={16} />
-                  </IconButton>
-                ) : null}
-              </HStack>
-            </HStack>
+                  {showSave ? (
+                    <IconButton
+                      aria-label="Save score"
+                      variant="outline"
+                      size="sm"
+                      borderRadius="full"
+                      onClick={() => saveMatch(m)}
+                      disabled={!tid || row.saving}
+                    >
+                      <Save size={16} />
+                    </IconButton>
+                  ) : null}
 
-            <Box mt={2}>
-              <Text fontWeight="700">{aName}</Text>
-              <Text opacity={0.75} fontSize="sm">
-                vs {bName}
-              </Text>
-            </Box>
+                  {showScratch ? (
+                    <IconButton
+                      aria-label="Scratch match"
+                      title="Forfeit (clears score)"
+                      variant="ghost"
+                      size="sm"
+                      borderRadius="full"
+                      onClick={() => openScratch(m)}
+                      disabled={!tid}
+                    >
+                      <Flag size={16} />
+                    </IconButton>
+                  ) : null}
 
-            <HStack mt={3} gap={2} align="center">
-              <Box flex="1">
-                <Text fontSize="xs" opacity={0.7} mb={1}>
-                  Score A
-                </Text>
-                <Input
-                  inputMode="numeric"
-                  value={row.scoreA}
-                  onChange={(e) => setScore(m.id, "scoreA", e.target.value)}
-                  disabled={!tid || locked}
-                />
-              </Box>
+                  {openHistory ? (
+                    <IconButton
+                      aria-label="Match history"
+                      title="History"
+                      variant="ghost"
+                      size="sm"
+                      borderRadius="full"
+                      onClick={() => openHistory(m)}
+                      disabled={!tid}
+                    >
+                      <History size={16} />
+                    </IconButton>
+                  ) : null}
+                </HStack>
+              </HStack>
 
-              <Box flex="1">
-                <Text fontSize="xs" opacity={0.7} mb={1}>
-                  Score B
+              <Box mt={2}>
+                <Text fontWeight="700">{aName}</Text>
+                <Text opacity={0.75} fontSize="sm">
+                  vs {bName}
                 </Text>
-                <Input
-                  inputMode="numeric"
-                  value={row.scoreB}
-                  onChange={(e) => setScore(m.id, "scoreB", e.target.value)}
-                  disabled={!tid || locked}
-                />
               </Box>
-            </HStack>
 
-            <Box mt={3}>
-              <HStack justify="space-between" align="center" wrap="wrap">
-                <Text fontWeight="700">
-                  Winner:{" "}
-                  <Box as="span" fontWeight="600">
-                    {winnerText(m)}
-                  </Box>
-                </Text>
+              <HStack mt={3} gap={2} align="center">
+                <Box flex="1">
+                  <Text fontSize="xs" opacity={0.7} mb={1}>
+                    Score A
+                  </Text>
+                  <Input
+                    inputMode={isMultiGame(m) ? "text" : "numeric"}
+                    placeholder={isMultiGame(m) ? "11, 9, 11" : undefined}
+                    value={row.scoreA}
+                    onChange={(e) => setScore(m.id, "scoreA", e.target.value)}
+                    disabled={!tid || locked}
+                  />
+                </Box>
 
-                {forfeited ? (
-                  <HStack gap={1.5} opacity={0.85}>
-                    <Flag size={14} />
-                    <Text fontSize="xs">Forfeit</Text>
-                  </HStack>
-                ) : null}
+                <Box flex="1">
+                  <Text fontSize="xs" opacity={0.7} mb={1}>
+                    Score B
+                  </Text>
+                  <Input
+                    inputMode={isMultiGame(m) ? "text" : "numeric"}
+                    placeholder={isMultiGame(m) ? "11, 9, 11" : undefined}
+                    value={row.scoreB}
+                    onChange={(e) => setScore(m.id, "scoreB", e.target.value)}
+                    disabled={!tid || locked}
+                  />
+                </Box>
               </HStack>
 
-              {row.error ? (
-                <Text mt={1} fontSize="sm" color="red.600">
-                  {row.error}
-                </Text>
-              ) : null}
+              <Box mt={3}>
+                <HStack justify="space-between" align="center" wrap="wrap">
+                  <Text fontWeight="700">
+                    Winner:{" "}
+                    <Box as="span" fontWeight="600">
+                      {winnerText(m)}
+                    </Box>
+                  </Text>
+
+                  {forfeited ? (
+                    <HStack gap={1.5} opacity={0.85}>
+                      <Flag size={14} />
+                      <Text fontSize="xs">Forfeit</Text>
+                    </HStack>
+                  ) : null}
+                </HStack>
+
+                {row.error ? (
+                  <Text mt={1} fontSize="sm" color="red.600">
+                    {row.error}
+                  </Text>
+                ) : null}
+              </Box>
             </Box>
-          </Box>
+          </Fragment>
         );
       })}
     </Stack>
   );
 }
 
-export default function MatchSchedule() {
+export default function MatchSchedule({ user }) {
   usePageTitle("Matches");
   const navigate = useNavigate();
+  const isAdmin = user?.role === "admin";
 
   const [status, setStatus] = useState("loading");
   const [state, setState] = useState(null);
@@ -536,19 +802,47 @@ export default function MatchSchedule() {
   const [query, setQuery] = useState("");
   const [edits, setEdits] = useState({});
   const [editMode, setEditMode] = useState({});
+  // { match, body } while a correction preview is open
+  const [correction, setCorrection] = useState(null);
   const [resetting, setResetting] = useState(false);
   const [resetError, setResetError] = useState("");
   const [resettingPlayoffs, setResettingPlayoffs] = useState(false);
   const [resetPlayoffsError, setResetPlayoffsError] = useState("");
-  const [advancingSemis, setAdvancingSemis] = useState(false);
-  const [advanceSemisError, setAdvanceSemisError] = useState("");
+  const [advancingPlayoffs, setAdvancingPlayoffs] = useState(false);
+  const [advancePlayoffsError, setAdvancePlayoffsError] = useState("");
+  const [playoffTeamCount, setPlayoffTeamCount] = useState("");
+  const [playoffFormat, setPlayoffFormat] = useState("single");
+  const [consolation, setConsolation] = useState("off");
+  const [medalMatchFormat, setMedalMatchFormat] = useState("single");
+  const [savingScoring, setSavingScoring] = useState(false);
+  const [scoringError, setScoringError] = useState("");
+  const [savingStandingsRules, setSavingStandingsRules] = useState(false);
+  const [standingsRulesError, setStandingsRulesError] = useState("");
+  const [savingPlayoffRules, setSavingPlayoffRules] = useState(false);
+  const [playoffRulesError, setPlayoffRulesError] = useState("");
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [withdrawError, setWithdrawError] = useState("");
+  const [lateTeamPreview, setLateTeamPreview] = useState(null);
+  const [lateTeamBusy, setLateTeamBusy] = useState(false);
+  const [lateTeamError, setLateTeamError] = useState("");
+  const [advancingSwiss, setAdvancingSwiss] = useState(false);
   const [advancingFinals, setAdvancingFinals] = useState(false);
   const [advanceFinalsError, setAdvanceFinalsError] = useState("");
   const [savedMsg, setSavedMsg] = useState("");
   const [queueActionLoading, setQueueActionLoading] = useState(false);
   const [queueActionError, setQueueActionError] = useState("");
 
-  const tid = getCurrentTournamentId();
+  const tournamentTid = getCurrentTournamentId();
+  const [divisionId, setDivisionId] = useState(() =>
+    getCurrentDivisionId(tournamentTid)
+  );
+  // a division runs as its own tournament, so it simply replaces the id
+  const tid = divisionId || tournamentTid;
+
+  function selectDivision(id) {
+    setCurrentDivisionId(tournamentTid, id);
+    setDivisionId(id);
+  }
 
   function withTid(path) {
     const base = (API_BASE || "").replace(/\/$/, "");
@@ -589,7 +883,7 @@ export default function MatchSchedule() {
       setStatus("loading");
       setResetError("");
       setResetPlayoffsError("");
-      setAdvanceSemisError("");
+      setAdvancePlayoffsError("");
       setAdvanceFinalsError("");
       setQueueActionError("");
 
@@ -613,15 +907,13 @@ export default function MatchSchedule() {
 
       const all = [
         ...(data.rrMatches ?? []),
-        ...(data.semis ?? []),
-        ...(data.finals ?? []),
+        ...(data.playoffs ?? []),
       ];
 
       const next = {};
       for (const m of all) {
         next[m.id] = {
-          scoreA: normalizeScoreInput(m.scoreA),
-          scoreB: normalizeScoreInput(m.scoreB),
+          ...scoreInputsForMatch(m),
           saving: false,
           error: null,
         };
@@ -668,26 +960,80 @@ export default function MatchSchedule() {
   }, [teamsById]);
 
   const standings = state?.standings ?? [];
+  const poolStandings = state?.pools ?? [];
   const seedByTeamId = useMemo(() => {
     const map = new Map();
-    standings.slice(0, 4).forEach((s, idx) => {
-      map.set(String(s.teamId), idx + 1);
+    (state?.playoffSeeds ?? []).forEach((teamId, idx) => {
+      map.set(String(teamId), idx + 1);
     });
     return map;
-  }, [standings]);
+  }, [state]);
+
+  const consolationSeedByTeamId = useMemo(() => {
+    const map = new Map();
+    (state?.consolation?.seeds ?? []).forEach((teamId, idx) => {
+      map.set(String(teamId), idx + 1);
+    });
+    return map;
+  }, [state]);
+
+  const usesPools = (state?.pools ?? []).length > 1;
+
+  // pool play: pick how many advance from each pool (crossover bracket)
+  const playoffTeamCountCollection = useMemo(() => {
+    const items = [];
+    const pools = state?.pools ?? [];
+    if (pools.length > 1) {
+      const smallest = Math.min(...pools.map((p) => p.standings.length));
+      for (let k = 1; k <= smallest; k++) {
+        items.push({ label: `Top ${k} / pool`, value: String(k) });
+      }
+      return createListCollection({ items });
+    }
+
+    const teamCount = (state?.standings ?? []).length;
+    for (let n = 2; n <= Math.max(2, teamCount); n++) {
+      items.push({ label: `Top ${n}`, value: String(n) });
+    }
+    return createListCollection({ items });
+  }, [state]);
+
+  const playoffTeamCountValue = useMemo(() => {
+    const items = playoffTeamCountCollection.items;
+    if (items.some((i) => i.value === playoffTeamCount)) return playoffTeamCount;
+    // default to the saved rules (what the last generate used)
+    const rules = state?.playoffRules;
+    const fallback = String(
+      usesPools ? rules?.advancePerPool ?? 2 : rules?.teamCount ?? 4
+    );
+    if (items.some((i) => i.value === fallback)) return fallback;
+    return items[items.length - 1]?.value ?? fallback;
+  }, [playoffTeamCountCollection, playoffTeamCount, usesPools, state]);
 
   const rrMatches = useMemo(
     () => (state?.rrMatches ?? []).map((m) => ({ ...m, phase: "RR" })),
     [state]
   );
-  const semis = useMemo(
-    () => (state?.semis ?? []).map((m) => ({ ...m, phase: "SF" })),
+  const playoffs = useMemo(
+    () => (state?.playoffs ?? []).map((m) => ({ ...m })),
     [state]
   );
-  const finals = useMemo(
-    () => (state?.finals ?? []).map((m) => ({ ...m })),
+  const consolationMatches = useMemo(
+    () =>
+      (state?.consolation?.matches ?? []).map((m) => ({
+        ...m,
+        phase: phaseOf(m),
+      })),
     [state]
   );
+  const earlyRounds = useMemo(
+    () => playoffs.filter((m) => !isFinalsPhase(m.phase)),
+    [playoffs]
+  );
+  const finals = useMemo(
+    () => playoffs.filter((m) => isFinalsPhase(m.phase)),
+    [playoffs]
+  );
 
   const scratchedTeamIds = useMemo(() => {
     const s = new Set();
@@ -700,6 +1046,21 @@ export default function MatchSchedule() {
     return s;
   }, [rrMatches]);
 
+  // teams added after the round robin was generated (not withdrawn ones)
+  const unscheduledTeams = useMemo(() => {
+    const scheduled = new Set(
+      rrMatches.flatMap((m) => [String(m.teamAId), String(m.teamBId)])
+    );
+    return (state?.teams ?? []).filter(
+      (t) => !t.withdrawnAt && !scheduled.has(String(t.id))
+    );
+  }, [state, rrMatches]);
+
+  const rrMultiGame = (state?.matchFormats?.rr ?? "single") !== "single";
+
+  const swiss = state?.swiss ?? null;
+  const swissRoundsLeft = swiss ? swiss.currentRound < swiss.rounds : false;
+
   const rrComplete = useMemo(() => {
     return rrMatches.length > 0 && rrMatches.every((m) => m.winnerId);
   }, [rrMatches]);
@@ -709,12 +1070,17 @@ export default function MatchSchedule() {
     [rrMatches]
   );
 
-  const semisExist = semis.length > 0;
-  const semisComplete = semisExist && semis.every((m) => m.winnerId);
+  const playoffsExist = playoffs.length > 0;
+  const earlyRoundsComplete = earlyRounds.every((m) => m.winnerId);
   const finalsExist = finals.length > 0;
 
   const finalMatch = useMemo(() => {
-    return finals.find((m) => m.phase === "FINAL" || m.id === "FINAL") ?? null;
+    // double elim: GF-RESET only exists when the reset game is needed
+    return (
+      finals.find((m) => m.id === "GF-RESET") ??
+      finals.find((m) => m.phase === "FINAL" || m.phase === "GF") ??
+      null
+    );
   }, [finals]);
 
   const thirdMatch = useMemo(() => {
@@ -725,8 +1091,12 @@ export default function MatchSchedule() {
     if (!finalMatch && !thirdMatch) return false;
     const finalDone = finalMatch ? !!finalMatch.winnerId : true;
     const thirdDone = thirdMatch ? !!thirdMatch.winnerId : true;
-    return finalDone && thirdDone;
-  }, [finalMatch, thirdMatch]);
+    // the consolation bracket has to finish too
+    const consolationDone = state?.consolation
+      ? !!state.consolation.placements
+      : true;
+    return finalDone && thirdDone && consolationDone;
+  }, [finalMatch, thirdMatch, state]);
 
   const finalsConfirmed = useMemo(() => {
     return !!finalMatch?.winnerId || !!thirdMatch?.winnerId;
@@ -736,9 +1106,9 @@ export default function MatchSchedule() {
   const championName = championTeamId ? teamDisplay(championTeamId) : "";
 
   const tournamentInProgress = useMemo(() => {
-    const count = rrMatches.length + semis.length + finals.length;
+    const count = rrMatches.length + playoffs.length;
     return count > 0 && !tournamentComplete;
-  }, [rrMatches, semis, finals, tournamentComplete]);
+  }, [rrMatches, playoffs, tournamentComplete]);
 
   const queue = state?.queue ?? {
     currentlyOnCourt: [],
@@ -769,11 +1139,8 @@ export default function MatchSchedule() {
         url: `/api/roundrobin/matches/${match.id}/score`,
       };
     }
-    if (match.phase === "SF") {
-      return { method: "POST", url: `/api/playoffs/semis/${match.id}/score` };
-    }
-    if (match.phase === "FINAL" || match.phase === "THIRD") {
-      return { method: "POST", url: `/api/playoffs/finals/${match.id}/score` };
+    if (match.phase) {
+      return { method: "POST", url: `/api/playoffs/matches/${match.id}/score` };
     }
     return null;
   }
@@ -786,8 +1153,8 @@ export default function MatchSchedule() {
       return;
     }
 
-    const isFinalsMatch = match.phase === "FINAL" || match.phase === "THIRD";
-    if (finalsConfirmed && !isFinalsMatch) {
+    const isFinalsMatch = playsThroughFinals(match.phase);
+    if (finalsConfirmed && !isFinalsMatch && !isAdmin) {
       alert(
         "Editing locked: Finals have been confirmed. Earlier matches can’t be edited."
       );
@@ -831,8 +1198,7 @@ export default function MatchSchedule() {
       ...prev,
       [match.id]: {
         ...(prev[match.id] ?? { saving: false, error: null }),
-        scoreA: normalizeScoreInput(match.scoreA),
-        scoreB: normalizeScoreInput(match.scoreB),
+        ...scoreInputsForMatch(match),
         error: null,
       },
     }));
@@ -870,8 +1236,8 @@ export default function MatchSchedule() {
       return;
     }
 
-    const isFinalsMatch = match.phase === "FINAL" || match.phase === "THIRD";
-    if (finalsConfirmed && !isFinalsMatch) {
+    const isFinalsMatch = playsThroughFinals(match.phase);
+    if (finalsConfirmed && !isFinalsMatch && !isAdmin) {
       setEdits((prev) => ({
         ...prev,
         [matchId]: {
@@ -896,21 +1262,45 @@ export default function MatchSchedule() {
 
     const scoreA = row.scoreA;
     const scoreB = row.scoreB;
+    let body;
+
+    if (isMultiGame(match)) {
+      const parsed = parseGameScores(match, scoreA, scoreB);
+      if (parsed.error) {
+        setEdits((prev) => ({
+          ...prev,
+          [matchId]: { ...prev[matchId], error: parsed.error },
+        }));
+        return;
+      }
+      body = { games: parsed.games };
+    } else {
+      if (!isIntString(scoreA) || !isIntString(scoreB)) {
+        setEdits((prev) => ({
+          ...prev,
+          [matchId]: {
+            ...prev[matchId],
+            error: "Scores must be whole numbers.",
+          },
+        }));
+        return;
+      }
 
-    if (!isIntString(scoreA) || !isIntString(scoreB)) {
-      setEdits((prev) => ({
-        ...prev,
-        [matchId]: { ...prev[matchId], error: "Scores must be whole numbers." },
-      }));
-      return;
+      const err = validateScore(scoreA, scoreB, match.scoring);
+      if (err) {
+        setEdits((prev) => ({
+          ...prev,
+          [matchId]: { ...prev[matchId], error: err },
+        }));
+        return;
+      }
+      body = { scoreA: Number(scoreA), scoreB: Number(scoreB) };
     }
 
-    const err = validateScore(match.phase, scoreA, scoreB);
-    if (err) {
-      setEdits((prev) => ({
-        ...prev,
-        [matchId]: { ...prev[matchId], error: err },
-      }));
+    // once playoffs exist, changing a decided result goes through the
+    // correction preview so the admin sees what it does downstream
+    if (isAdmin && match.winnerId && playoffsExist) {
+      setCorrection({ match, body });
       return;
     }
 
@@ -926,10 +1316,7 @@ export default function MatchSchedule() {
       const res = await fetch(withTid(endpoint.url), {
         method: endpoint.method,
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          scoreA: Number(scoreA),
-          scoreB: Number(scoreB),
-        }),
+        body: JSON.stringify(body),
       });
 
       const msg = await res.json().catch(() => ({}));
@@ -952,6 +1339,15 @@ export default function MatchSchedule() {
     }
   }
 
+  async function correctionApplied() {
+    const { match } = correction;
+    setCorrection(null);
+    endEdit(match.id);
+    setSavedMsg(`Corrected ${match.phase} ${match.id} ✅`);
+    setTimeout(() => setSavedMsg(""), 2500);
+    await loadState();
+  }
+
   async function markOnCourt(match) {
     if (!tid || !match?.id) return;
     setQueueActionError("");
@@ -1022,11 +1418,46 @@ export default function MatchSchedule() {
     }
   }
 
+  async function nextSwissRound() {
+    setAdvancePlayoffsError("");
+
+    if (!tid) return setAdvancePlayoffsError("No tournament selected.");
+
+    if (!rrComplete) {
+      const missing = rrIncompleteMatches.map((m) => m.id).join(", ");
+      setAdvancePlayoffsError(
+        `Round ${swiss.currentRound} isn't complete yet. Score (or scratch) these matches first: ${missing}`
+      );
+      return;
+    }
+
+    setAdvancingSwiss(true);
+    try {
+      const res = await fetch(withTid("/api/swiss/next-round"), {
+        method: "POST",
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      await loadState();
+      setPhaseFilter("RR");
+      setQuery("");
+      if (data?.bye) {
+        setSavedMsg(`Round ${data.round} paired ✅ Bye: ${teamDisplay(data.bye)}`);
+        setTimeout(() => setSavedMsg(""), 2500);
+      }
+    } catch (e) {
+      console.error(e);
+      setAdvancePlayoffsError(e?.message || "Could not pair the next round.");
+    } finally {
+      setAdvancingSwiss(false);
+    }
+  }
+
   async function resetPlayoffs() {
     setResetPlayoffsError("");
 
     if (!tid) return setResetPlayoffsError("No tournament selected.");
-    if (!confirm("Reset playoffs only? (Semis/Final/Third will be cleared, RR stays.)"))
+    if (!confirm("Reset playoffs only? (All playoff rounds will be cleared, RR stays.)"))
       return;
 
     setResettingPlayoffs(true);
@@ -1056,41 +1487,169 @@ export default function MatchSchedule() {
     }
   }
 
-  async function advanceToSemis() {
-    setAdvanceSemisError("");
+  async function updateScoringProfile(stage, profile) {
+    setScoringError("");
+    if (!tid) return setScoringError("No tournament selected.");
+
+    setSavingScoring(true);
+    try {
+      const res = await fetch(withTid("/api/tournament/scoring"), {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ [stage]: profile }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      await loadState();
+    } catch (e) {
+      console.error(e);
+      setScoringError(e?.message || "Could not update scoring.");
+    } finally {
+      setSavingScoring(false);
+    }
+  }
+
+  async function saveStandingsRules(rules) {
+    setStandingsRulesError("");
+    if (!tid) return setStandingsRulesError("No tournament selected.");
+
+    setSavingStandingsRules(true);
+    try {
+      const res = await fetch(withTid("/api/tournament/standings-rules"), {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(rules),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      await loadState();
+    } catch (e) {
+      console.error(e);
+      setStandingsRulesError(e?.message || "Could not save tiebreakers.");
+    } finally {
+      setSavingStandingsRules(false);
+    }
+  }
+
+  async function savePlayoffRules(rules) {
+    setPlayoffRulesError("");
+    if (!tid) return setPlayoffRulesError("No tournament selected.");
 
-    if (!tid) return setAdvanceSemisError("No tournament selected.");
+    setSavingPlayoffRules(true);
+    try {
+      const res = await fetch(withTid("/api/tournament/playoff-rules"), {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(rules),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      await loadState();
+    } catch (e) {
+      console.error(e);
+      setPlayoffRulesError(e?.message || "Could not save playoff rules.");
+    } finally {
+      setSavingPlayoffRules(false);
+    }
+  }
+
+  async function withdrawTeam(teamId, results) {
+    setWithdrawError("");
+    if (!tid) return setWithdrawError("No tournament selected.");
+
+    setWithdrawing(true);
+    try {
+      const res = await fetch(
+        withTid(`/api/tournament/teams/${teamId}/withdraw`),
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ results }),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      await loadState();
+    } catch (e) {
+      console.error(e);
+      setWithdrawError(e?.message || "Could not withdraw team.");
+    } finally {
+      setWithdrawing(false);
+    }
+  }
+
+  // preview: true only returns the diff; the same body then commits it
+  async function scheduleLateTeam(body, preview) {
+    setLateTeamError("");
+    if (!tid) return setLateTeamError("No tournament selected.");
+
+    setLateTeamBusy(true);
+    try {
+      const res = await fetch(withTid("/api/roundrobin/add-team"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, preview }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      if (preview) {
+        setLateTeamPreview(data);
+      } else {
+        setLateTeamPreview(null);
+        await loadState();
+      }
+    } catch (e) {
+      console.error(e);
+      setLateTeamError(e?.message || "Could not add the team.");
+    } finally {
+      setLateTeamBusy(false);
+    }
+  }
+
+  async function advanceToPlayoffs() {
+    setAdvancePlayoffsError("");
+
+    if (!tid) return setAdvancePlayoffsError("No tournament selected.");
 
     if (!rrComplete) {
       const missing = rrIncompleteMatches.map((m) => m.id).join(", ");
-      setAdvanceSemisError(
+      setAdvancePlayoffsError(
         `Round robin isn't complete yet. Score (or scratch) these matches first: ${missing}`
       );
       return;
     }
 
-    if (semisExist) {
-      setAdvanceSemisError(
-        "Semifinals already exist. Use Reset Playoffs if you want to regenerate."
+    if (playoffsExist) {
+      setAdvancePlayoffsError(
+        "Playoffs already exist. Use Reset Playoffs if you want to regenerate."
       );
       return;
     }
 
-    setAdvancingSemis(true);
+    setAdvancingPlayoffs(true);
     try {
       const res = await fetch(withTid("/api/playoffs/generate"), {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...(usesPools
+            ? { advancePerPool: Number(playoffTeamCountValue) }
+            : { teamCount: Number(playoffTeamCountValue) }),
+          format: playoffFormat,
+          medalMatchFormat,
+          consolation: consolation === "on",
+        }),
       });
       const data = await res.json().catch(() => ({}));
       if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
       await loadState();
-      setPhaseFilter("SF");
+      setPhaseFilter("ALL");
       setQuery("");
     } catch (e) {
       console.error(e);
-      setAdvanceSemisError(e?.message || "Could not generate semifinals.");
+      setAdvancePlayoffsError(e?.message || "Could not generate playoffs.");
     } finally {
-      setAdvancingSemis(false);
+      setAdvancingPlayoffs(false);
     }
   }
 
@@ -1099,22 +1658,22 @@ export default function MatchSchedule() {
 
     if (!tid) return setAdvanceFinalsError("No tournament selected.");
 
-    if (!semisExist) {
+    if (!playoffsExist) {
       setAdvanceFinalsError(
-        "Finals come after Semifinals. Advance to Semis first."
+        "Finals come after the earlier playoff rounds. Advance to Playoffs first."
       );
       return;
     }
 
     if (finalsExist) {
-      setPhaseFilter("FINAL");
+      setPhaseFilter(finalMatch?.phase ?? "FINAL");
       setQuery("");
       return;
     }
 
-    if (!semisComplete) {
+    if (!earlyRoundsComplete) {
       setAdvanceFinalsError(
-        "Semifinals aren’t complete yet. Enter both semi scores first."
+        "Earlier playoff rounds aren’t complete yet. Enter those scores first."
       );
       return;
     }
@@ -1122,12 +1681,12 @@ export default function MatchSchedule() {
     setAdvancingFinals(true);
     try {
       await loadState();
-      if (!(state?.finals ?? []).length) {
+      if (!(state?.playoffs ?? []).some((m) => isFinalsPhase(m.phase))) {
         setAdvanceFinalsError(
-          "Finals should appear after both semis are scored. If they still don’t show up, your backend needs to create FINAL and THIRD matches when semis complete."
+          "Finals should appear once the earlier playoff rounds are scored. If they still don’t show up, try Reset Playoffs and generate again."
         );
       } else {
-        setPhaseFilter("FINAL");
+        setPhaseFilter(finalMatch?.phase ?? "FINAL");
         setQuery("");
       }
     } finally {
@@ -1136,21 +1695,33 @@ export default function MatchSchedule() {
   }
 
   const allMatches = useMemo(() => {
-    const list = [...rrMatches, ...semis, ...finals];
+    const list = [...rrMatches, ...playoffs, ...consolationMatches];
     list.sort((a, b) => {
       const statusOrder = { on_court: 0, pending: 1, completed: 2 };
       const sa = statusOrder[a.status] ?? 9;
       const sb = statusOrder[b.status] ?? 9;
       if (sa !== sb) return sa - sb;
 
-      const order = { RR: 0, SF: 1, FINAL: 2, THIRD: 3 };
-      const pa = order[a.phase] ?? 99;
-      const pb = order[b.phase] ?? 99;
+      const pa = phaseRank(a.phase);
+      const pb = phaseRank(b.phase);
       if (pa !== pb) return pa - pb;
-      return String(a.id ?? "").localeCompare(String(b.id ?? ""));
+      if ((a.round ?? 0) !== (b.round ?? 0)) {
+        return (a.round ?? 0) - (b.round ?? 0);
+      }
+      return String(a.id ?? "").localeCompare(String(b.id ?? ""), undefined, {
+        numeric: true,
+      });
     });
     return list;
-  }, [rrMatches, semis, finals]);
+  }, [rrMatches, playoffs, consolationMatches]);
+
+  const phaseCollection = useMemo(
+    () =>
+      buildPhaseCollection(
+        [...playoffs, ...consolationMatches].map((m) => m.phase)
+      ),
+    [playoffs, consolationMatches]
+  );
 
   const filtered = useMemo(() => {
     const q = query.trim().toLowerCase();
@@ -1173,8 +1744,10 @@ export default function MatchSchedule() {
 
   function displayTeamForMatch(m, teamId) {
     const base = teamDisplay(teamId);
-    if (m.phase === "SF") {
-      const seed = seedByTeamId.get(String(teamId));
+    if (m.phase !== "RR") {
+      const seeds =
+        m.phase === "CONS" ? consolationSeedByTeamId : seedByTeamId;
+      const seed = seeds.get(String(teamId));
       if (seed) return `${seed}. ${base}`;
     }
     return base;
@@ -1185,6 +1758,7 @@ export default function MatchSchedule() {
   const [scratchStatus, setScratchStatus] = useState("idle");
   const [scratchError, setScratchError] = useState("");
   const [confirmScratchFor, setConfirmScratchFor] = useState(null);
+  const [historyCode, setHistoryCode] = useState(null);
 
   function openScratch(m) {
     if (tournamentComplete) return;
@@ -1206,6 +1780,14 @@ export default function MatchSchedule() {
   async function submitScratch(winnerId) {
     if (!scratchMatch?.id) return;
 
+    // seeded playoffs: the forfeit goes through the correction preview
+    if (isAdmin && playoffsExist) {
+      setScratchOpen(false);
+      setScratchMatch(null);
+      setCorrection({ match: scratchMatch, body: { winnerId } });
+      return;
+    }
+
     setScratchError("");
     setScratchStatus("saving");
 
@@ -1241,8 +1823,7 @@ export default function MatchSchedule() {
   }
 
   const finalsOnly = useMemo(() => {
-    const m = finals.find((x) => x.phase === "FINAL" || x.id === "FINAL");
-    return m ? [m] : [];
+    return finals.filter((x) => x.phase === "FINAL" || x.phase === "GF");
   }, [finals]);
 
   const thirdOnly = useMemo(() => {
@@ -1302,6 +1883,12 @@ export default function MatchSchedule() {
                 Match Schedule
               </Heading>
 
+              <DivisionSelect
+                tournamentId={tournamentTid}
+                value={divisionId}
+                onChange={selectDivision}
+              />
+
               {status === "loading" && <Badge variant="club">Loading…</Badge>}
               {status === "no-tournament" && (
                 <Badge variant="club">No tournament selected</Badge>
@@ -1336,21 +1923,135 @@ export default function MatchSchedule() {
               justify={{ base: "flex-start", md: "flex-end" }}
               wrap="wrap"
             >
+              {swiss ? (
+                <Button
+                  variant="outline"
+                  onClick={nextSwissRound}
+                  disabled={
+                    !tid ||
+                    advancingSwiss ||
+                    playoffsExist ||
+                    !swissRoundsLeft ||
+                    !rrComplete
+                  }
+                >
+                  <HStack gap={2}>
+                    <ChevronsRight size={16} />
+                    <Text>
+                      {advancingSwiss
+                        ? "Pairing…"
+                        : swissRoundsLeft
+                        ? `Pair Round ${swiss.currentRound + 1} of ${swiss.rounds}`
+                        : `Swiss done (${swiss.rounds} rounds)`}
+                    </Text>
+                  </HStack>
+                </Button>
+              ) : null}
+
+              <Select.Root
+                collection={playoffTeamCountCollection}
+                value={[playoffTeamCountValue]}
+                onValueChange={(details) =>
+                  setPlayoffTeamCount(details.value?.[0] ?? "4")
+                }
+                size="md"
+                width="140px"
+                disabled={!tid || playoffsExist || tournamentComplete}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="Teams" />
+                </Select.Trigger>
+                <Select.Content>
+                  {playoffTeamCountCollection.items.map((item) => (
+                    <Select.Item key={item.value} item={item}>
+                      {item.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+
+              <Select.Root
+                collection={playoffFormatCollection}
+                value={[playoffFormat]}
+                onValueChange={(details) =>
+                  setPlayoffFormat(details.value?.[0] ?? "single")
+                }
+                size="md"
+                width="150px"
+                disabled={!tid || playoffsExist || tournamentComplete}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="Single elim" />
+                </Select.Trigger>
+                <Select.Content>
+                  {playoffFormatCollection.items.map((item) => (
+                    <Select.Item key={item.value} item={item}>
+                      {item.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+
+              <Select.Root
+                collection={consolationCollection}
+                value={[consolation]}
+                onValueChange={(details) =>
+                  setConsolation(details.value?.[0] ?? "off")
+                }
+                size="md"
+                width="200px"
+                disabled={!tid || playoffsExist || tournamentComplete}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="No consolation" />
+                </Select.Trigger>
+                <Select.Content>
+                  {consolationCollection.items.map((item) => (
+                    <Select.Item key={item.value} item={item}>
+                      {item.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+
+              <Select.Root
+                collection={medalMatchFormatCollection}
+                value={[medalMatchFormat]}
+                onValueChange={(details) =>
+                  setMedalMatchFormat(details.value?.[0] ?? "single")
+                }
+                size="md"
+                width="180px"
+                disabled={!tid || playoffsExist || tournamentComplete}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="Medals: 1 game" />
+                </Select.Trigger>
+                <Select.Content>
+                  {medalMatchFormatCollection.items.map((item) => (
+                    <Select.Item key={item.value} item={item}>
+                      {item.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+
               <Button
                 variant="outline"
-                onClick={advanceToSemis}
+                onClick={advanceToPlayoffs}
                 disabled={
                   !tid ||
-                  advancingSemis ||
+                  advancingPlayoffs ||
                   tournamentComplete ||
-                  semisExist ||
-                  !rrComplete
+                  playoffsExist ||
+                  !rrComplete ||
+                  swissRoundsLeft
                 }
               >
                 <HStack gap={2}>
                   <ChevronsRight size={16} />
                   <Text>
-                    {advancingSemis ? "Advancing…" : "Advance to Semis"}
+                    {advancingPlayoffs ? "Advancing…" : "Advance to Playoffs"}
                   </Text>
                 </HStack>
               </Button>
@@ -1359,7 +2060,7 @@ export default function MatchSchedule() {
                 variant="outline"
                 onClick={advanceToFinals}
                 disabled={
-                  !tid || advancingFinals || tournamentComplete || !semisExist
+                  !tid || advancingFinals || tournamentComplete || !playoffsExist
                 }
               >
                 <HStack gap={2}>
@@ -1377,7 +2078,7 @@ export default function MatchSchedule() {
                   !tid ||
                   resettingPlayoffs ||
                   tournamentComplete ||
-                  (!semisExist && !finalsExist)
+                  !playoffsExist
                 }
               >
                 <HStack gap={2}>
@@ -1401,6 +2102,54 @@ export default function MatchSchedule() {
             </HStack>
           </Flex>
 
+          <HStack gap={3} wrap="wrap">
+            <Text fontSize="sm" fontWeight="700">
+              Scoring
+            </Text>
+            {[
+              { stage: "rr", label: "Round robin" },
+              { stage: "playoff", label: "Playoffs" },
+              { stage: "medal", label: "Medals" },
+            ].map(({ stage, label }) => (
+              <HStack key={stage} gap={2}>
+                <Text fontSize="sm" opacity={0.75}>
+                  {label}
+                </Text>
+                <Select.Root
+                  collection={scoringProfileCollection}
+                  value={
+                    state?.scoringProfiles?.[stage]
+                      ? [state.scoringProfiles[stage]]
+                      : []
+                  }
+                  onValueChange={(details) => {
+                    const profile = details.value?.[0];
+                    if (profile) updateScoringProfile(stage, profile);
+                  }}
+                  size="sm"
+                  width="220px"
+                  disabled={!tid || savingScoring || tournamentComplete}
+                >
+                  <Select.Trigger>
+                    <Select.ValueText placeholder="Scoring" />
+                  </Select.Trigger>
+                  <Select.Content>
+                    {scoringProfileCollection.items.map((item) => (
+                      <Select.Item key={item.value} item={item}>
+                        {item.label}
+                      </Select.Item>
+                    ))}
+                  </Select.Content>
+                </Select.Root>
+              </HStack>
+            ))}
+            {state?.randomSeed ? (
+              <Text fontSize="sm" opacity={0.75}>
+                Draw seed: <Code>{state.randomSeed}</Code>
+              </Text>
+            ) : null}
+          </HStack>
+
           {tournamentComplete ? (
             <Box
               border="1px solid"
@@ -1444,10 +2193,18 @@ export default function MatchSchedule() {
             </Box>
           ) : null}
 
-          {advanceSemisError ? (
+          {scoringError ? (
             <Box border="1px solid" borderColor="red.200" bg="red.50" p={3} borderRadius="lg">
               <Text color="red.700" fontSize="sm">
-                {advanceSemisError}
+                {scoringError}
+              </Text>
+            </Box>
+          ) : null}
+
+          {advancePlayoffsError ? (
+            <Box border="1px solid" borderColor="red.200" bg="red.50" p={3} borderRadius="lg">
+              <Text color="red.700" fontSize="sm">
+                {advancePlayoffsError}
               </Text>
             </Box>
           ) : null}
@@ -1546,62 +2303,50 @@ export default function MatchSchedule() {
                 <Tabs.Root defaultValue="rr" variant="enclosed">
                   <Tabs.List>
                     <Tabs.Trigger value="rr">Round Robin</Tabs.Trigger>
-                    <Tabs.Trigger value="sf">Semis</Tabs.Trigger>
+                    <Tabs.Trigger value="playoffs">Playoffs</Tabs.Trigger>
                     <Tabs.Trigger value="final">Final</Tabs.Trigger>
                     <Tabs.Trigger value="third">3rd Place</Tabs.Trigger>
+                    <Tabs.Trigger value="tiebreakers">Tiebreakers</Tabs.Trigger>
+                    <Tabs.Trigger value="playoffRules">Playoff rules</Tabs.Trigger>
+                    <Tabs.Trigger value="withdrawals">Withdrawals</Tabs.Trigger>
+                    <Tabs.Trigger value="lateTeams">Late teams</Tabs.Trigger>
                   </Tabs.List>
 
                   <Box mt={3}>
                     <Tabs.Content value="rr">
-                      {standings.length > 0 ? (
-                        <Table.Root size="sm" variant="outline">
-                          <Table.Header>
-                            <Table.Row>
-                              <Table.ColumnHeader>#</Table.ColumnHeader>
-                              <Table.ColumnHeader>Team</Table.ColumnHeader>
-                              <Table.ColumnHeader>Wins</Table.ColumnHeader>
-                              <Table.ColumnHeader>Losses</Table.ColumnHeader>
-                              <Table.ColumnHeader>PD</Table.ColumnHeader>
-                            </Table.Row>
-                          </Table.Header>
-                          <Table.Body>
-                            {standings.map((s, idx) => {
-                              const played = s.gamesPlayed ?? s.played ?? null;
-                              const losses =
-                                played != null
-                                  ? Math.max(0, Number(played) - Number(s.wins ?? 0))
-                                  : "—";
-                              return (
-                                <Table.Row key={String(s.teamId)}>
-                                  <Table.Cell>{idx + 1}</Table.Cell>
-                                  <Table.Cell fontWeight="600">
-                                    <HStack gap={2}>
-                                      <Text>{teamDisplay(s.teamId)}</Text>
-                                      {scratchedTeamIds.has(String(s.teamId)) ? (
-                                        <Badge variant="outline" opacity={0.6}>
-                                          Scratched
-                                        </Badge>
-                                      ) : null}
-                                    </HStack>
-                                  </Table.Cell>
-                                  <Table.Cell>{s.wins}</Table.Cell>
-                                  <Table.Cell>{losses}</Table.Cell>
-                                  <Table.Cell>{s.pointDiff}</Table.Cell>
-                                </Table.Row>
-                              );
-                            })}
-                          </Table.Body>
-                        </Table.Root>
+                      {poolStandings.length > 0 ? (
+                        <Stack gap={4}>
+                          {poolStandings.map((p) => (
+                            <Box key={p.pool}>
+                              <Text fontWeight="700" mb={2}>
+                                Pool {p.pool}
+                              </Text>
+                              <StandingsTable
+                                standings={p.standings}
+                                teamDisplay={teamDisplay}
+                                scratchedTeamIds={scratchedTeamIds}
+                                showGames={rrMultiGame}
+                              />
+                            </Box>
+                          ))}
+                        </Stack>
+                      ) : standings.length > 0 ? (
+                        <StandingsTable
+                          standings={standings}
+                          teamDisplay={teamDisplay}
+                          scratchedTeamIds={scratchedTeamIds}
+                          showGames={rrMultiGame}
+                        />
                       ) : (
                         <Text opacity={0.7}>No round robin standings yet.</Text>
                       )}
                     </Tabs.Content>
 
-                    <Tabs.Content value="sf">
-                      {semisExist ? (
-                        <MatchesMiniList matches={semis} teamDisplay={teamDisplay} />
+                    <Tabs.Content value="playoffs">
+                      {earlyRounds.length ? (
+                        <MatchesMiniList matches={earlyRounds} teamDisplay={teamDisplay} />
                       ) : (
-                        <Text opacity={0.7}>Semifinals haven’t been generated yet.</Text>
+                        <Text opacity={0.7}>Playoff rounds haven’t been generated yet.</Text>
                       )}
                     </Tabs.Content>
 
@@ -1620,6 +2365,75 @@ export default function MatchSchedule() {
                         <Text opacity={0.7}>Third place match not available yet.</Text>
                       )}
                     </Tabs.Content>
+
+                    <Tabs.Content value="tiebreakers">
+                      {standingsRulesError ? (
+                        <Text color="red.700" fontSize="sm" mb={2}>
+                          {standingsRulesError}
+                        </Text>
+                      ) : null}
+                      <StandingsRulesEditor
+                        key={JSON.stringify(state?.standingsRules ?? null)}
+                        rules={state?.standingsRules}
+                        defaultChain={
+                          rrMultiGame ? ["gameDiff", "pointDiff"] : ["pointDiff"]
+                        }
+                        disabled={!tid || tournamentComplete}
+                        saving={savingStandingsRules}
+                        onSave={saveStandingsRules}
+                      />
+                    </Tabs.Content>
+
+                    <Tabs.Content value="playoffRules">
+                      {playoffRulesError ? (
+                        <Text color="red.700" fontSize="sm" mb={2}>
+                          {playoffRulesError}
+                        </Text>
+                      ) : null}
+                      <PlayoffRulesEditor
+                        key={JSON.stringify(state?.playoffRules ?? null)}
+                        rules={state?.playoffRules}
+                        disabled={!tid || playoffsExist || tournamentComplete}
+                        saving={savingPlayoffRules}
+                        onSave={savePlayoffRules}
+                      />
+                    </Tabs.Content>
+
+                    <Tabs.Content value="withdrawals">
+                      {withdrawError ? (
+                        <Text color="red.700" fontSize="sm" mb={2}>
+                          {withdrawError}
+                        </Text>
+                      ) : null}
+                      <TeamWithdrawalEditor
+                        teams={state?.teams}
+                        teamDisplay={teamDisplay}
+                        disabled={!tid || rrMatches.length === 0 || tournamentComplete}
+                        saving={withdrawing}
+                        onWithdraw={withdrawTeam}
+                      />
+                    </Tabs.Content>
+
+                    <Tabs.Content value="lateTeams">
+                      {lateTeamError ? (
+                        <Text color="red.700" fontSize="sm" mb={2}>
+                          {lateTeamError}
+                        </Text>
+                      ) : null}
+                      <LateTeamScheduler
+                        teams={unscheduledTeams}
+                        pools={poolStandings.map((p) => p.pool)}
+                        teamDisplay={teamDisplay}
+                        preview={lateTeamPreview}
+                        busy={lateTeamBusy}
+                        disabled={
+                          !tid || !!swiss || playoffsExist || rrMatches.length === 0
+                        }
+                        onPreview={(body) => scheduleLateTeam(body, true)}
+                        onCommit={(body) => scheduleLateTeam(body, false)}
+                        onCancel={() => setLateTeamPreview(null)}
+                      />
+                    </Tabs.Content>
                   </Box>
                 </Tabs.Root>
               </Card.Body>
@@ -1747,6 +2561,8 @@ export default function MatchSchedule() {
                   cancelEdit={cancelEdit}
                   saveMatch={saveMatch}
                   openScratch={openScratch}
+                  openHistory={isAdmin ? (m) => setHistoryCode(m.id) : null}
+                  canCorrect={isAdmin}
                 />
               ) : (
                 <Box overflowX="auto">
@@ -1767,7 +2583,8 @@ export default function MatchSchedule() {
                     </Table.Header>
 
                     <Table.Body>
-                      {filtered.map((m) => {
+                      {filtered.map((m, idx) => {
+                        const heading = rrRoundHeading(filtered, idx);
                         const phaseMeta = labelForPhase(m.phase);
                         const sMeta = statusMeta(m.status);
                         const aName = displayTeamForMatch(m, m.teamAId);
@@ -1783,10 +2600,9 @@ export default function MatchSchedule() {
                         const forfeited = isForfeitRR(m);
                         const isEditingThis = !!editMode[m.id];
 
-                        const isFinalsMatch =
-                          m.phase === "FINAL" || m.phase === "THIRD";
+                        const isFinalsMatch = playsThroughFinals(m.phase);
                         const lockedByFinals =
-                          finalsConfirmed && !isFinalsMatch;
+                          finalsConfirmed && !isFinalsMatch && !isAdmin;
 
                         const locked =
                           tournamentComplete ||
@@ -1814,147 +2630,178 @@ export default function MatchSchedule() {
                           (isEditingThis || hasTypedSomething);
 
                         const showCancel = isEditingThis;
+                        const showHistory = isAdmin;
                         const showAnyActions =
-                          showEdit || showScratch || showSave || showCancel;
+                          showEdit ||
+                          showScratch ||
+                          showSave ||
+                          showCancel ||
+                          showHistory;
 
                         return (
-                          <Table.Row
-                            key={`${m.phase}-${m.id}`}
-                            role="group"
-                            bg={forfeited ? "gray.50" : undefined}
-                          >
-                            <Table.Cell>
-                              <Badge variant={phaseMeta.variant}>
-                                {phaseMeta.label}
-                              </Badge>
-                            </Table.Cell>
-
-                            <Table.Cell>
-                              <Badge variant={sMeta.variant}>{sMeta.label}</Badge>
-                            </Table.Cell>
-
-                            <Table.Cell fontWeight="700">
-                              <HStack gap={2} wrap="wrap">
-                                <Text>{m.id}</Text>
-                                {m.court ? (
-                                  <Badge variant="outline">Court {m.court}</Badge>
-                                ) : null}
-                              </HStack>
-                            </Table.Cell>
-
-                            <Table.Cell>
-                              <Text fontWeight="600">{aName}</Text>
-                              <Text opacity={0.7} fontSize="sm">
-                                vs {bName}
-                              </Text>
-                            </Table.Cell>
-
-                            <Table.Cell>
-                              <Input
-                                w="88px"
-                                inputMode="numeric"
-                                value={row.scoreA}
-                                onChange={(e) =>
-                                  setScore(m.id, "scoreA", e.target.value)
-                                }
-                                disabled={!tid || locked}
-                              />
-                            </Table.Cell>
-
-                            <Table.Cell>
-                              <Input
-                                w="88px"
-                                inputMode="numeric"
-                                value={row.scoreB}
-                                onChange={(e) =>
-                                  setScore(m.id, "scoreB", e.target.value)
-                                }
-                                disabled={!tid || locked}
-                              />
-                            </Table.Cell>
-
-                            <Table.Cell>
-                              <Text fontWeight="600">{winnerText(m)}</Text>
-
-                              {forfeited ? (
-                                <HStack mt={1} gap={1.5} opacity={0.85}>
-                                  <Flag size={14} />
-                                  <Text fontSize="xs">Forfeit</Text>
+                          <Fragment key={`${m.phase}-${m.id}`}>
+                            {heading ? (
+                              <Table.Row bg="cream.50">
+                                <Table.Cell colSpan={8}>
+                                  <Text fontWeight="800" fontSize="sm">
+                                    {heading}
+                                  </Text>
+                                </Table.Cell>
+                              </Table.Row>
+                            ) : null}
+                            <Table.Row
+                              role="group"
+                              bg={forfeited ? "gray.50" : undefined}
+                            >
+                              <Table.Cell>
+                                <Badge variant={phaseMeta.variant}>
+                                  {phaseMeta.label}
+                                </Badge>
+                              </Table.Cell>
+
+                              <Table.Cell>
+                                <Badge variant={sMeta.variant}>{sMeta.label}</Badge>
+                              </Table.Cell>
+
+                              <Table.Cell fontWeight="700">
+                                <HStack gap={2} wrap="wrap">
+                                  <Text>{m.id}</Text>
+                                  {m.court ? (
+                                    <Badge variant="outline">Court {m.court}</Badge>
+                                  ) : null}
                                 </HStack>
-                              ) : null}
+                              </Table.Cell>
 
-                              {row.error ? (
-                                <Text fontSize="xs" color="red.600">
-                                  {row.error}
+                              <Table.Cell>
+                                <Text fontWeight="600">{aName}</Text>
+                                <Text opacity={0.7} fontSize="sm">
+                                  vs {bName}
                                 </Text>
-                              ) : null}
-                            </Table.Cell>
-
-                            <Table.Cell textAlign="end">
-                              {showAnyActions ? (
-                                <HStack justify="flex-end" gap={1}>
-                                  {showEdit ? (
-                                    <IconButton
-                                      aria-label="Edit score"
-                                      variant="outline"
-                                      size="sm"
-                                      borderRadius="full"
-                                      onClick={() => beginEdit(m)}
-                                      disabled={!tid || row.saving}
-                                      _hover={{ bg: "cream.100" }}
-                                    >
-                                      <RotateCcw size={16} />
-                                    </IconButton>
-                                  ) : null}
-
-                                  {showCancel ? (
-                                    <IconButton
-                                      aria-label="Cancel edit"
-                                      variant="outline"
-                                      size="sm"
-                                      borderRadius="full"
-                                      onClick={() => cancelEdit(m)}
-                                      disabled={!tid || row.saving}
-                                      _hover={{ bg: "gray.100" }}
-                                    >
-                                      <X size={16} />
-                                    </IconButton>
-                                  ) : null}
-
-                                  {showSave ? (
-                                    <IconButton
-                                      aria-label="Save score"
-                                      variant="outline"
-                                      size="sm"
-                                      borderRadius="full"
-                                      onClick={() => saveMatch(m)}
-                                      disabled={!tid || row.saving}
-                                      _hover={{ bg: "green.50" }}
-                                    >
-                                      <Save size={16} />
-                                    </IconButton>
-                                  ) : null}
+                              </Table.Cell>
+
+                              <Table.Cell>
+                                <Input
+                                  w={isMultiGame(m) ? "130px" : "88px"}
+                                  inputMode={isMultiGame(m) ? "text" : "numeric"}
+                                  placeholder={isMultiGame(m) ? "11, 9, 11" : undefined}
+                                  value={row.scoreA}
+                                  onChange={(e) =>
+                                    setScore(m.id, "scoreA", e.target.value)
+                                  }
+                                  disabled={!tid || locked}
+                                />
+                              </Table.Cell>
+
+                              <Table.Cell>
+                                <Input
+                                  w={isMultiGame(m) ? "130px" : "88px"}
+                                  inputMode={isMultiGame(m) ? "text" : "numeric"}
+                                  placeholder={isMultiGame(m) ? "11, 9, 11" : undefined}
+                                  value={row.scoreB}
+                                  onChange={(e) =>
+                                    setScore(m.id, "scoreB", e.target.value)
+                                  }
+                                  disabled={!tid || locked}
+                                />
+                              </Table.Cell>
+
+                              <Table.Cell>
+                                <Text fontWeight="600">{winnerText(m)}</Text>
+
+                                {forfeited ? (
+                                  <HStack mt={1} gap={1.5} opacity={0.85}>
+                                    <Flag size={14} />
+                                    <Text fontSize="xs">Forfeit</Text>
+                                  </HStack>
+                                ) : null}
 
-                                  {showScratch ? (
-                                    <IconButton
-                                      aria-label="Scratch match"
-                                      title="Forfeit (clears score)"
-                                      variant="ghost"
-                                      size="sm"
-                                      borderRadius="full"
-                                      onClick={() => openScratch(m)}
-                                      disabled={!tid}
-                                      _hover={{ bg: "orange.50" }}
-                                    >
-                                      <Flag size={16} />
-                                    </IconButton>
-                                  ) : null}
-                                </HStack>
-                              ) : (
-                                <Text opacity={0.5}>—</Text>
-                              )}
-                            </Table.Cell>
-                          </Table.Row>
+                                {row.error ? (
+                                  <Text fontSize="xs" color="red.600">
+                                    {row.error}
+                                  </Text>
+                                ) : null}
+                              </Table.Cell>
+
+                              <Table.Cell textAlign="end">
+                                {showAnyActions ? (
+                                  <HStack justify="flex-end" gap={1}>
+                                    {showEdit ? (
+                                      <IconButton
+                                        aria-label="Edit score"
+                                        variant="outline"
+                                        size="sm"
+                                        borderRadius="full"
+                                        onClick={() => beginEdit(m)}
+                                        disabled={!tid || row.saving}
+                                        _hover={{ bg: "cream.100" }}
+                                      >
+                                        <RotateCcw size={16} />
+                                      </IconButton>
+                                    ) : null}
+
+                                    {showCancel ? (
+                                      <IconButton
+                                        aria-label="Cancel edit"
+                                        variant="outline"
+                                        size="sm"
+                                        borderRadius="full"
+                                        onClick={() => cancelEdit(m)}
+                                        disabled={!tid || row.saving}
+                                        _hover={{ bg: "gray.100" }}
+                                      >
+                                        <X size={16} />
+                                      </IconButton>
+                                    ) : null}
+
+                                    {showSave ? (
+                                      <IconButton
+                                        aria-label="Save score"
+                                        variant="outline"
+                                        size="sm"
+                                        borderRadius="full"
+                                        onClick={() => saveMatch(m)}
+                                        disabled={!tid || row.saving}
+                                        _hover={{ bg: "green.50" }}
+                                      >
+                                        <Save size={16} />
+                                      </IconButton>
+                                    ) : null}
+
+                                    {showScratch ? (
+                                      <IconButton
+                                        aria-label="Scratch match"
+                                        title="Forfeit (clears score)"
+                                        variant="ghost"
+                                        size="sm"
+                                        borderRadius="full"
+                                        onClick={() => openScratch(m)}
+                                        disabled={!tid}
+                                        _hover={{ bg: "orange.50" }}
+                                      >
+                                        <Flag size={16} />
+                                      </IconButton>
+                                    ) : null}
+
+                                    {showHistory ? (
+                                      <IconButton
+                                        aria-label="Match history"
+                                        title="History"
+                                        variant="ghost"
+                                        size="sm"
+                                        borderRadius="full"
+                                        onClick={() => setHistoryCode(m.id)}
+                                        disabled={!tid}
+                                      >
+                                        <History size={16} />
+                                      </IconButton>
+                                    ) : null}
+                                  </HStack>
+                                ) : (
+                                  <Text opacity={0.5}>—</Text>
+                                )}
+                              </Table.Cell>
+                            </Table.Row>
+                          </Fragment>
                         );
                       })}
                     </Table.Body>
@@ -2026,6 +2873,29 @@ export default function MatchSchedule() {
         </Stack>
       </Container>
 
+      <MatchHistoryDialog
+        open={!!historyCode}
+        onOpenChange={(e) => {
+          if (!e.open) setHistoryCode(null);
+        }}
+        tournamentId={tid}
+        code={historyCode}
+        teamDisplay={teamDisplay}
+        onReverted={loadState}
+      />
+
+      <CorrectionDialog
+        open={!!correction}
+        onOpenChange={(e) => {
+          if (!e.open) setCorrection(null);
+        }}
+        tournamentId={tid}
+        match={correction?.match}
+        body={correction?.body}
+        teamDisplay={teamDisplay}
+        onApplied={correctionApplied}
+      />
+
       <Dialog.Root
         open={scratchOpen}
         onOpenChange={(e) => setScratchOpen(e.open)}
@@ -32,8 +32,19 @@ import {
 } from "lucide-react";
 
 import { consumeOptimisticPlayer } from "./optimisticPlayerStore";
-import { getCurrentTournamentId } from "./tournamentStore";
+import {
+  getCurrentDivisionId,
+  getCurrentTournamentId,
+  setCurrentDivisionId,
+} from "./tournamentStore";
 import StickyPageHeader from "./components/StickyPageHeader";
+import DivisionSelect from "./components/DivisionSelect";
+import DivisionsCard from "./components/DivisionsCard";
+import {
+  categoryNeedsGender,
+  eventFormatLabel,
+  genderCollection,
+} from "./eventCategories";
 import { API_BASE } from "./apiBase";
 import usePageTitle from "./hooks/usePageTitle";
 
@@ -70,6 +81,32 @@ function formatSelfRating(value) {
   return map[value] || value;
 }
 
+// Swiss pairs one round at a time (next rounds come from the Matches page)
+const scheduleFormatCollection = createListCollection({
+  items: [
+    { value: "rr", label: "Round robin" },
+    { value: "swiss", label: "Swiss" },
+  ],
+});
+
+// Games per RR matchup (best-of series are decided by games won)
+const matchFormatCollection = createListCollection({
+  items: [
+    { value: "single", label: "1 game" },
+    { value: "two_games", label: "2 games" },
+    { value: "best_of_3", label: "Best of 3" },
+  ],
+});
+
+// Partial round robins: pick opponents at random, or even out each team's
+// strength of schedule using DUPR ratings
+const opponentBalanceCollection = createListCollection({
+  items: [
+    { value: "random", label: "Random opponents" },
+    { value: "rating", label: "Balance by rating" },
+  ],
+});
+
 const selfRatingCollection = createListCollection({
   items: [
     { label: "Beginner / New to pickleball", value: "beginner" },
@@ -192,7 +229,20 @@ export default function PlayersPage() {
   usePageTitle("Players");
 
   const navigate = useNavigate();
-  const tid = getCurrentTournamentId();
+  const tournamentTid = getCurrentTournamentId();
+  const [divisionId, setDivisionId] = useState(() =>
+    getCurrentDivisionId(tournamentTid)
+  );
+  // a division runs as its own tournament, so it simply replaces the id
+  const tid = divisionId || tournamentTid;
+
+  // bumped when divisions change so the picker reloads them
+  const [divisionsVersion, setDivisionsVersion] = useState(0);
+
+  function selectDivision(id) {
+    setCurrentDivisionId(tournamentTid, id);
+    setDivisionId(id);
+  }
 
   function apiUrl(path) {
     const base = (API_BASE || "").replace(/\/$/, "");
@@ -217,6 +267,19 @@ export default function PlayersPage() {
   const [newName, setNewName] = useState("");
   const [newDupr, setNewDupr] = useState("");
   const [newSelfRating, setNewSelfRating] = useState("");
+  const [newGender, setNewGender] = useState("");
+  const [eventFormat, setEventFormat] = useState({
+    eventCategory: "open",
+    teamSize: 2,
+  });
+  const needsGender = categoryNeedsGender(eventFormat.eventCategory);
+  const formatLabel = eventFormatLabel(
+    eventFormat.eventCategory,
+    eventFormat.teamSize
+  );
+  // singles: every entrant is a one-player team
+  const singles = Number(eventFormat.teamSize) === 1;
+  const teamNoun = singles ? "entrant" : "team";
 
   // Teams section
   const [teamsStatus, setTeamsStatus] = useState("idle");
@@ -231,6 +294,9 @@ export default function PlayersPage() {
   const [createTeamStatus, setCreateTeamStatus] = useState("idle");
   const [createTeamError, setCreateTeamError] = useState("");
 
+  // Singles: enter every unassigned player at once
+  const [enterAllStatus, setEnterAllStatus] = useState("idle");
+
   // Delete team state
   const [deletingTeamId, setDeletingTeamId] = useState(null);
 
@@ -244,6 +310,11 @@ export default function PlayersPage() {
   // Generate matches
   const [generateStatus, setGenerateStatus] = useState("idle");
   const [generateError, setGenerateError] = useState("");
+  const [poolCount, setPoolCount] = useState("1");
+  const [matchFormat, setMatchFormat] = useState("single");
+  const [scheduleFormat, setScheduleFormat] = useState("rr");
+  const [opponentBalance, setOpponentBalance] = useState("random");
+  const [drawSeed, setDrawSeed] = useState("");
 
   const needsSelfRating = newDupr.trim() === "";
 
@@ -329,6 +400,21 @@ export default function PlayersPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [tid]);
 
+  // the event format (set on the tournament, not its divisions) decides
+  // whether new players need a gender and whether teams are pairs
+  useEffect(() => {
+    if (!tournamentTid) return;
+    fetch(apiUrl(`/api/tournaments/${tournamentTid}/info`))
+      .then((res) => (res.ok ? res.json() : null))
+      .then((info) =>
+        setEventFormat({
+          eventCategory: info?.eventCategory ?? "open",
+          teamSize: info?.teamSize ?? 2,
+        })
+      )
+      .catch(() => setEventFormat({ eventCategory: "open", teamSize: 2 }));
+  }, [tournamentTid]);
+
   const filteredPlayers = useMemo(() => {
     const q = query.trim().toLowerCase();
     if (!q) return players;
@@ -384,6 +470,15 @@ export default function PlayersPage() {
 
   const playerOptionsA = playerOptionsBase;
 
+  // Pool play: at least 2 teams per pool
+  const poolCountCollection = useMemo(() => {
+    const items = [{ value: "1", label: "No pools" }];
+    for (let n = 2; n <= Math.floor(teams.length / 2); n++) {
+      items.push({ value: String(n), label: `${n} pools` });
+    }
+    return createListCollection({ items });
+  }, [teams]);
+
   const playerOptionsB = useMemo(() => {
     const items = playerOptionsBase.items.filter(
       (opt) => opt.value !== teamAId
@@ -398,8 +493,7 @@ export default function PlayersPage() {
   const canCreateTeam =
     tid &&
     teamAId &&
-    teamBId &&
-    teamAId !== teamBId &&
+    (singles || (teamBId && teamAId !== teamBId)) &&
     createTeamStatus !== "saving";
 
   async function createPlayer() {
@@ -428,6 +522,11 @@ export default function PlayersPage() {
       return;
     }
 
+    if (needsGender && !newGender) {
+      alert(`Choose a gender (required for ${formatLabel}).`);
+      return;
+    }
+
     try {
       if (!tid) {
         alert("Select a tournament first.");
@@ -441,6 +540,7 @@ export default function PlayersPage() {
           name,
           duprRating,
           selfRating: duprRating === null ? newSelfRating : null,
+          gender: newGender || null,
         }),
       });
 
@@ -450,6 +550,7 @@ export default function PlayersPage() {
       setNewName("");
       setNewDupr("");
       setNewSelfRating("");
+      setNewGender("");
       setOpenPlayer(false);
       await loadPlayers();
     } catch (e) {
@@ -483,8 +584,10 @@ export default function PlayersPage() {
       setCreateTeamStatus("error");
       return;
     }
-    if (!teamAId || !teamBId || teamAId === teamBId) {
-      setCreateTeamError("Pick two different players.");
+    if (singles ? !teamAId : !teamAId || !teamBId || teamAId === teamBId) {
+      setCreateTeamError(
+        singles ? "Pick a player." : "Pick two different players."
+      );
       setCreateTeamStatus("error");
       return;
     }
@@ -498,7 +601,7 @@ export default function PlayersPage() {
         credentials: "include",
         body: JSON.stringify({
           playerAId: Number(teamAId),
-          playerBId: Number(teamBId),
+          ...(singles ? {} : { playerBId: Number(teamBId) }),
           teamName: teamName.trim() || undefined,
         }),
       });
@@ -520,6 +623,40 @@ export default function PlayersPage() {
     }
   }
 
+  async function enterAllPlayers() {
+    if (!tid) return;
+    if (
+      teams.length > 0 &&
+      !confirm("Replace the current entrants with every registered player?")
+    ) {
+      return;
+    }
+
+    setTeamsError("");
+    setEnterAllStatus("saving");
+    try {
+      const res = await fetch(apiUrl("/api/teams/generate"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          tournamentId: Number(tid),
+          strategy: "dupr",
+          force: teams.length > 0,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Could not enter players.");
+
+      await loadTeams();
+    } catch (e) {
+      console.error(e);
+      setTeamsError(e.message || "Could not enter players.");
+    } finally {
+      setEnterAllStatus("idle");
+    }
+  }
+
   function openRenameModal(team) {
     setRenameError("");
     setRenameStatus("idle");
@@ -573,7 +710,8 @@ export default function PlayersPage() {
       alert("No tournament selected.");
       return;
     }
-    if (!confirm("Delete this doubles team?")) return;
+    const prompt = singles ? "Delete this entrant?" : "Delete this doubles team?";
+    if (!confirm(prompt)) return;
 
     setDeletingTeamId(teamId);
     setTeamsError("");
@@ -604,7 +742,7 @@ export default function PlayersPage() {
       return;
     }
     if (teams.length < 2) {
-      setGenerateError("Create at least 2 teams first.");
+      setGenerateError(`Create at least 2 ${teamNoun}s first.`);
       setGenerateStatus("error");
       return;
     }
@@ -612,11 +750,29 @@ export default function PlayersPage() {
     setGenerateStatus("saving");
 
     try {
-      const res = await fetch(withTid("/api/roundrobin/generate"), {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ gamesPerTeam: 4 }),
-      });
+      const res =
+        scheduleFormat === "swiss"
+          ? await fetch(withTid("/api/swiss/next-round"), {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                pairing: "seed",
+                matchFormat,
+                seed: drawSeed.trim() || undefined,
+              }),
+            })
+          : await fetch(withTid("/api/roundrobin/generate"), {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                gamesPerTeam: 4,
+                pools: Number(poolCount),
+                poolSeeding: "rating",
+                opponentBalance,
+                matchFormat,
+                seed: drawSeed.trim() || undefined,
+              }),
+            });
 
       const data = await res.json().catch(() => ({}));
       if (!res.ok)
@@ -659,6 +815,13 @@ export default function PlayersPage() {
 
               <Badge variant="pickle">{players?.length ?? 0} total</Badge>
 
+              <DivisionSelect
+                key={divisionsVersion}
+                tournamentId={tournamentTid}
+                value={divisionId}
+                onChange={selectDivision}
+              />
+
               {status === "loading" && <Badge variant="club">Loading…</Badge>}
               {status === "error" && (
                 <Badge variant="club">Backend issue</Badge>
@@ -669,7 +832,7 @@ export default function PlayersPage() {
 
           <Text opacity={0.85}>
             Search by <b>name</b>, <b>DUPR</b>, or <b>skill level</b>. Then
-            create doubles teams below.
+            {singles ? " enter players below." : " create doubles teams below."}
           </Text>
         </Stack>
       </StickyPageHeader>
@@ -848,6 +1011,13 @@ export default function PlayersPage() {
             </Box>
           </Box>
 
+          {tournamentTid && !divisionId ? (
+            <DivisionsCard
+              tournamentId={tournamentTid}
+              onChange={() => setDivisionsVersion((v) => v + 1)}
+            />
+          ) : null}
+
           <Card.Root>
             <Card.Body>
               <Flex
@@ -870,12 +1040,16 @@ export default function PlayersPage() {
                     <Users size={18} />
                   </Box>
 
-                  <Heading size="md">Doubles Teams</Heading>
+                  <Heading size="md">
+                    {singles ? `${formatLabel} Entrants` : "Doubles Teams"}
+                  </Heading>
 
                   {teamsStatus === "loading" ? (
                     <Badge variant="club">Loading…</Badge>
                   ) : (
-                    <Badge variant="pickle">{teams.length} teams</Badge>
+                    <Badge variant="pickle">
+                      {teams.length} {teamNoun}s
+                    </Badge>
                   )}
 
                   {teamsError ? <Badge variant="club">Issue</Badge> : null}
@@ -894,6 +1068,18 @@ export default function PlayersPage() {
                     Refresh
                   </Button>
 
+                  {singles ? (
+                    <Button
+                      variant="outline"
+                      onClick={enterAllPlayers}
+                      disabled={!tid || enterAllStatus === "saving"}
+                    >
+                      {enterAllStatus === "saving"
+                        ? "Entering…"
+                        : "Enter All Players"}
+                    </Button>
+                  ) : null}
+
                   <Button
                     variant="pickle"
                     onClick={() => setOpenTeam(true)}
@@ -901,10 +1087,105 @@ export default function PlayersPage() {
                   >
                     <HStack gap={2}>
                       <Plus size={16} />
-                      <Text>Create Team</Text>
+                      <Text>{singles ? "Add Entrant" : "Create Team"}</Text>
                     </HStack>
                   </Button>
 
+                  <Select.Root
+                    collection={scheduleFormatCollection}
+                    value={[scheduleFormat]}
+                    onValueChange={(d) => setScheduleFormat(d.value?.[0] ?? "rr")}
+                    width="150px"
+                    disabled={!tid || generateStatus === "saving"}
+                  >
+                    <Select.Trigger>
+                      <Select.ValueText placeholder="Round robin" />
+                    </Select.Trigger>
+                    <Select.Content>
+                      {scheduleFormatCollection.items.map((opt) => (
+                        <Select.Item key={opt.value} item={opt}>
+                          {opt.label}
+                        </Select.Item>
+                      ))}
+                    </Select.Content>
+                  </Select.Root>
+
+                  <Select.Root
+                    collection={poolCountCollection}
+                    value={[poolCount]}
+                    onValueChange={(d) => setPoolCount(d.value?.[0] ?? "1")}
+                    width="140px"
+                    disabled={
+                      !tid ||
+                      generateStatus === "saving" ||
+                      scheduleFormat === "swiss"
+                    }
+                  >
+                    <Select.Trigger>
+                      <Select.ValueText placeholder="No pools" />
+                    </Select.Trigger>
+                    <Select.Content>
+                      {poolCountCollection.items.map((opt) => (
+                        <Select.Item key={opt.value} item={opt}>
+                          {opt.label}
+                        </Select.Item>
+                      ))}
+                    </Select.Content>
+                  </Select.Root>
+
+                  <Select.Root
+                    collection={opponentBalanceCollection}
+                    value={[opponentBalance]}
+                    onValueChange={(d) =>
+                      setOpponentBalance(d.value?.[0] ?? "random")
+                    }
+                    width="180px"
+                    disabled={
+                      !tid ||
+                      generateStatus === "saving" ||
+                      scheduleFormat === "swiss"
+                    }
+                  >
+                    <Select.Trigger>
+                      <Select.ValueText placeholder="Random opponents" />
+                    </Select.Trigger>
+                    <Select.Content>
+                      {opponentBalanceCollection.items.map((opt) => (
+                        <Select.Item key={opt.value} item={opt}>
+                          {opt.label}
+                        </Select.Item>
+                      ))}
+                    </Select.Content>
+                  </Select.Root>
+
+                  <Select.Root
+                    collection={matchFormatCollection}
+                    value={[matchFormat]}
+                    onValueChange={(d) => setMatchFormat(d.value?.[0] ?? "single")}
+                    width="140px"
+                    disabled={!tid || generateStatus === "saving"}
+                  >
+                    <Select.Trigger>
+                      <Select.ValueText placeholder="1 game" />
+                    </Select.Trigger>
+                    <Select.Content>
+                      {matchFormatCollection.items.map((opt) => (
+                        <Select.Item key={opt.value} item={opt}>
+                          {opt.label}
+                        </Select.Item>
+                      ))}
+                    </Select.Content>
+                  </Select.Root>
+
+                  <Input
+                    value={drawSeed}
+                    onChange={(e) => setDrawSeed(e.target.value)}
+                    placeholder="Draw seed (optional)"
+                    maxLength={64}
+                    width="180px"
+                    disabled={!tid || generateStatus === "saving"}
+                  />
+
                   <Button
                     variant="outline"
                     onClick={generateMatches}
@@ -954,18 +1235,19 @@ export default function PlayersPage() {
                     bg="cream.50"
                   >
                     <Heading size="sm" mb={2}>
-                      No teams yet
+                      No {teamNoun}s yet
                     </Heading>
                     <Text opacity={0.8} mb={4}>
-                      Create doubles teams (2 players per team) to generate
-                      matches.
+                      {singles
+                        ? "Enter players (each plays on their own) to generate matches."
+                        : "Create doubles teams (2 players per team) to generate matches."}
                     </Text>
                     <Button
                       variant="pickle"
                       onClick={() => setOpenTeam(true)}
                       disabled={!tid}
                     >
-                      Create Team
+                      {singles ? "Add Entrant" : "Create Team"}
                     </Button>
                   </Box>
                 ) : isMobile ? (
@@ -1096,6 +1378,32 @@ export default function PlayersPage() {
                           is unknown.
                         </Text>
                       </Stack>
+
+                      <Stack gap={2}>
+                        <Text fontSize="sm" fontWeight="700">
+                          Gender{" "}
+                          {needsGender
+                            ? `(required for ${formatLabel})`
+                            : "(optional)"}
+                        </Text>
+
+                        <Select.Root
+                          collection={genderCollection}
+                          value={newGender ? [newGender] : []}
+                          onValueChange={(d) => setNewGender(d.value?.[0] ?? "")}
+                        >
+                          <Select.Trigger>
+                            <Select.ValueText placeholder="Choose" />
+                          </Select.Trigger>
+                          <Select.Content>
+                            {genderCollection.items.map((item) => (
+                              <Select.Item key={item.value} item={item}>
+                                {item.label}
+                              </Select.Item>
+                            ))}
+                          </Select.Content>
+                        </Select.Root>
+                      </Stack>
                     </Stack>
                   </Dialog.Body>
 
@@ -1108,6 +1416,7 @@ export default function PlayersPage() {
                           setNewName("");
                           setNewDupr("");
                           setNewSelfRating("");
+                          setNewGender("");
                         }}
                       >
                         Cancel
@@ -1131,7 +1440,9 @@ export default function PlayersPage() {
               <Dialog.Positioner>
                 <Dialog.Content>
                   <Dialog.Header>
-                    <Dialog.Title>Create Doubles Team</Dialog.Title>
+                    <Dialog.Title>
+                      {singles ? "Add Singles Entrant" : "Create Doubles Team"}
+                    </Dialog.Title>
                   </Dialog.Header>
 
                   <Dialog.Body>
@@ -1152,7 +1463,7 @@ export default function PlayersPage() {
 
                       <Stack gap={2}>
                         <Text fontSize="sm" fontWeight="700">
-                          Team name (optional)
+                          {singles ? "Entrant name" : "Team name"} (optional)
                         </Text>
                         <Input
                           placeholder="ex: Dill Dealers"
@@ -1161,13 +1472,16 @@ export default function PlayersPage() {
                           disabled={!tid || createTeamStatus === "saving"}
                         />
                         <Text fontSize="xs" opacity={0.7}>
-                          Leave blank to auto-name.
+                          {singles
+                            ? "Leave blank to use the player's name."
+                            : "Leave blank to auto-name."}
                         </Text>
                       </Stack>
 
                       <Stack gap={2}>
                         <Text fontSize="sm" fontWeight="700">
-                          Player 1 (only unassigned players)
+                          {singles ? "Player" : "Player 1"} (only unassigned
+                          players)
                         </Text>
                         <Select.Root
                           collection={playerOptionsA}
@@ -1176,7 +1490,11 @@ export default function PlayersPage() {
                           disabled={!tid || createTeamStatus === "saving"}
                         >
                           <Select.Trigger>
-                            <Select.ValueText placeholder="Select player 1" />
+                            <Select.ValueText
+                              placeholder={
+                                singles ? "Select a player" : "Select player 1"
+                              }
+                            />
                           </Select.Trigger>
                           <Select.Content>
                             {playerOptionsA.items.map((opt) => (
@@ -1189,36 +1507,40 @@ export default function PlayersPage() {
                       </Stack>
 
                       <Stack gap={2}>
-                        <Text fontSize="sm" fontWeight="700">
-                          Player 2 (only unassigned players)
-                        </Text>
-                        <Select.Root
-                          collection={playerOptionsB}
-                          value={teamBId ? [teamBId] : []}
-                          onValueChange={(d) => setTeamBId(d.value?.[0] ?? "")}
-                          disabled={!tid || createTeamStatus === "saving"}
-                        >
-                          <Select.Trigger>
-                            <Select.ValueText placeholder="Select player 2" />
-                          </Select.Trigger>
-                          <Select.Content>
-                            {playerOptionsB.items.map((opt) => (
-                              <Select.Item key={opt.value} item={opt}>
-                                {opt.label}
-                              </Select.Item>
-                            ))}
-                          </Select.Content>
-                        </Select.Root>
-
-                        {teamAId && teamBId && teamAId === teamBId ? (
-                          <Text fontSize="sm" color="red.600">
-                            Pick two different players.
-                          </Text>
+                        {!singles ? (
+                          <>
+                            <Text fontSize="sm" fontWeight="700">
+                              Player 2 (only unassigned players)
+                            </Text>
+                            <Select.Root
+                              collection={playerOptionsB}
+                              value={teamBId ? [teamBId] : []}
+                              onValueChange={(d) => setTeamBId(d.value?.[0] ?? "")}
+                              disabled={!tid || createTeamStatus === "saving"}
+                            >
+                              <Select.Trigger>
+                                <Select.ValueText placeholder="Select player 2" />
+                              </Select.Trigger>
+                              <Select.Content>
+                                {playerOptionsB.items.map((opt) => (
+                                  <Select.Item key={opt.value} item={opt}>
+                                    {opt.label}
+                                  </Select.Item>
+                                ))}
+                              </Select.Content>
+                            </Select.Root>
+
+                            {teamAId && teamBId && teamAId === teamBId ? (
+                              <Text fontSize="sm" color="red.600">
+                                Pick two different players.
+                              </Text>
+                            ) : null}
+                          </>
                         ) : null}
 
                         {playerOptionsBase.items.length === 0 ? (
                           <Text fontSize="sm" opacity={0.7}>
-                            All players are already assigned to teams.
+                            All players are already assigned to {teamNoun}s.
                           </Text>
                         ) : null}
                       </Stack>
@@ -1241,6 +1563,8 @@ export default function PlayersPage() {
                       >
                         {createTeamStatus === "saving"
                           ? "Creating…"
+                          : singles
+                          ? "Add Entrant"
                           : "Create Team"}
                       </Button>
                     </HStack>
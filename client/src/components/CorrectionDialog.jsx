@@ -0,0 +1,220 @@
+// client/src/components/CorrectionDialog.jsx
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Dialog,
+  HStack,
+  Portal,
+  Select,
+  Stack,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+import { API_BASE } from "../apiBase";
+
+const modeCollection = createListCollection({
+  items: [
+    { label: "Carry the corrected result forward", value: "reseed" },
+    { label: "Clear everything downstream", value: "clear" },
+  ],
+});
+
+function describeChange(change, teamDisplay) {
+  const { before, after } = change;
+  const pairing = (m) =>
+    `${teamDisplay(m.teamAId)} vs ${teamDisplay(m.teamBId)}`;
+  const played = before.winnerId
+    ? `${pairing(before)} (${teamDisplay(before.winnerId)} won)`
+    : pairing(before);
+
+  if (!after) return `${played} → removed until its feeders are decided`;
+  if (after.teamAId === before.teamAId && after.teamBId === before.teamBId) {
+    return `${played} → result cleared, to be replayed`;
+  }
+  return `${played} → now ${pairing(after)}${
+    before.winnerId ? ", result cleared" : ""
+  }`;
+}
+
+/**
+ * Admin correction of a result the playoffs already build on. Shows the
+ * impact preview (seeds that move, downstream matches cleared or re-paired)
+ * and only applies the correction once the admin confirms that preview.
+ *
+ * `body` is the corrected result as the score endpoints take it
+ * ({ scoreA, scoreB } or { games }); `onApplied` runs with the new state.
+ */
+export default function CorrectionDialog({
+  open,
+  onOpenChange,
+  tournamentId,
+  match,
+  body,
+  teamDisplay,
+  onApplied,
+}) {
+  const [mode, setMode] = useState("reseed");
+  const [impact, setImpact] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+
+  const code = match?.id;
+  const query = tournamentId ? `?tournamentId=${tournamentId}` : "";
+
+  async function send(extra) {
+    const res = await fetch(`${API_BASE}/api/matches/${code}/correct${query}`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...body, mode, ...extra }),
+    });
+    const data = await res.json().catch(() => ({}));
+    // a stale preview comes back with the fresh impact
+    if (data?.impact) setImpact(data.impact);
+    if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  async function preview() {
+    setStatus("loading");
+    setError("");
+    setImpact(null);
+    try {
+      await send();
+      setStatus("ok");
+    } catch (e) {
+      console.error(e);
+      setError(e?.message || "Could not preview the correction.");
+      setStatus("error");
+    }
+  }
+
+  useEffect(() => {
+    if (open && code && body) preview();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, code, body, mode, tournamentId]);
+
+  async function apply() {
+    if (!impact?.key) return;
+
+    setStatus("saving");
+    setError("");
+    try {
+      const data = await send({ confirm: impact.key });
+      setStatus("ok");
+      await onApplied?.(data);
+    } catch (e) {
+      console.error(e);
+      setError(e?.message || "Could not apply the correction.");
+      setStatus("ok");
+    }
+  }
+
+  const seedChanges = impact?.seedChanges ?? [];
+  const changes = impact?.changes ?? [];
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Portal>
+        <Dialog.Backdrop zIndex={20000} />
+        <Dialog.Positioner zIndex={20001}>
+          <Dialog.Content zIndex={20002}>
+            <Dialog.Header>
+              <Dialog.Title>Correct {code}</Dialog.Title>
+            </Dialog.Header>
+
+            <Dialog.Body>
+              <Stack gap={3}>
+                <Text fontSize="sm" opacity={0.75}>
+                  The playoffs already build on this result. Check what the
+                  correction changes downstream before applying it.
+                </Text>
+
+                <Select.Root
+                  collection={modeCollection}
+                  value={[mode]}
+                  onValueChange={(d) => setMode(d.value?.[0] ?? "reseed")}
+                  size="sm"
+                  disabled={status === "saving"}
+                >
+                  <Select.Trigger>
+                    <Select.ValueText placeholder="Carry the corrected result forward" />
+                  </Select.Trigger>
+                  <Select.Content>
+                    {modeCollection.items.map((item) => (
+                      <Select.Item key={item.value} item={item}>
+                        {item.label}
+                      </Select.Item>
+                    ))}
+                  </Select.Content>
+                </Select.Root>
+
+                {error ? (
+                  <Text color="red.700" fontSize="sm">
+                    {error}
+                  </Text>
+                ) : null}
+
+                {status === "loading" ? (
+                  <Text opacity={0.7}>Working out the impact…</Text>
+                ) : null}
+
+                {impact ? (
+                  <Box
+                    border="1px solid"
+                    borderColor="border"
+                    borderRadius="xl"
+                    p={3}
+                    bg="white"
+                  >
+                    <Stack gap={2}>
+                      {seedChanges.map((c) => (
+                        <Text key={`${c.bracket}-${c.seed}`} fontSize="sm">
+                          {c.bracket === "consolation"
+                            ? "Consolation seed"
+                            : "Seed"}{" "}
+                          {c.seed}: {teamDisplay(c.before)} →{" "}
+                          <b>{teamDisplay(c.after)}</b>
+                        </Text>
+                      ))}
+                      {changes.map((c) => (
+                        <Text key={`${c.bracket}-${c.id}`} fontSize="sm">
+                          <b>{c.id}</b>: {describeChange(c, teamDisplay)}
+                        </Text>
+                      ))}
+                      {!seedChanges.length && !changes.length ? (
+                        <Text fontSize="sm" opacity={0.75}>
+                          Nothing downstream changes. Only {code} is updated.
+                        </Text>
+                      ) : null}
+                    </Stack>
+                  </Box>
+                ) : null}
+              </Stack>
+            </Dialog.Body>
+
+            <Dialog.Footer>
+              <HStack gap={2}>
+                <Button
+                  variant="outline"
+                  onClick={() => onOpenChange({ open: false })}
+                  disabled={status === "saving"}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  variant="pickle"
+                  onClick={apply}
+                  disabled={!impact?.key || status !== "ok"}
+                >
+                  {status === "saving" ? "Applying…" : "Apply correction"}
+                </Button>
+              </HStack>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Positioner>
+      </Portal>
+    </Dialog.Root>
+  );
+}
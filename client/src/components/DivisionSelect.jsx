@@ -0,0 +1,92 @@
+// client/src/components/DivisionSelect.jsx
+import { useEffect, useMemo, useState } from "react";
+import { Select, createListCollection } from "@chakra-ui/react";
+import { API_BASE } from "../apiBase";
+
+const ALL = "all";
+
+/**
+ * Picks one skill division of a tournament ("" = the whole tournament).
+ * Renders nothing when the tournament has no divisions.
+ */
+export default function DivisionSelect({ tournamentId, value, onChange }) {
+  const [divisions, setDivisions] = useState([]);
+
+  useEffect(() => {
+    if (!tournamentId) {
+      setDivisions([]);
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(
+          `${API_BASE}/api/divisions?tournamentId=${encodeURIComponent(
+            tournamentId
+          )}`
+        );
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+        if (!cancelled) {
+          setDivisions(Array.isArray(data?.divisions) ? data.divisions : []);
+        }
+      } catch (e) {
+        console.warn("Could not load divisions:", e);
+        if (!cancelled) setDivisions([]);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tournamentId]);
+
+  // a remembered division that was since deleted falls back to the tournament
+  useEffect(() => {
+    if (value && !divisions.some((d) => String(d.id) === String(value))) {
+      onChange("");
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [divisions, value]);
+
+  const collection = useMemo(
+    () =>
+      createListCollection({
+        items: [
+          { label: "All divisions", value: ALL },
+          ...divisions.map((d) => ({
+            label: `${d.name} (${d.playerCount})`,
+            value: String(d.id),
+          })),
+        ],
+      }),
+    [divisions]
+  );
+
+  if (!divisions.length) return null;
+
+  return (
+    <Select.Root
+      collection={collection}
+      value={[value ? String(value) : ALL]}
+      onValueChange={(details) => {
+        const next = details.value?.[0] ?? ALL;
+        onChange(next === ALL ? "" : next);
+      }}
+      size="sm"
+      width="200px"
+    >
+      <Select.Trigger>
+        <Select.ValueText placeholder="All divisions" />
+      </Select.Trigger>
+      <Select.Content>
+        {collection.items.map((item) => (
+          <Select.Item key={item.value} item={item}>
+            {item.label}
+          </Select.Item>
+        ))}
+      </Select.Content>
+    </Select.Root>
+  );
+}
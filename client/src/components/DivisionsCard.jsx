@@ -0,0 +1,249 @@
+// client/src/components/DivisionsCard.jsx
+import { useEffect, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Card,
+  Flex,
+  HStack,
+  Heading,
+  IconButton,
+  Input,
+  Stack,
+  Text,
+} from "@chakra-ui/react";
+import { Layers, Trash2 } from "lucide-react";
+import { API_BASE } from "../apiBase";
+
+function bandLabel(d) {
+  if (d.minRating == null && d.maxRating == null) return "Any rating";
+  if (d.minRating == null) return `Under ${d.maxRating.toFixed(2)}`;
+  if (d.maxRating == null) return `${d.minRating.toFixed(2)}+`;
+  return `${d.minRating.toFixed(2)} – ${d.maxRating.toFixed(2)}`;
+}
+
+/**
+ * Admin card for a tournament's skill divisions: add/remove rating bands and
+ * place registered players by rating. `onChange` runs after every update.
+ */
+export default function DivisionsCard({ tournamentId, onChange }) {
+  const [divisions, setDivisions] = useState([]);
+  const [unassigned, setUnassigned] = useState([]);
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const [name, setName] = useState("");
+  const [minRating, setMinRating] = useState("");
+  const [maxRating, setMaxRating] = useState("");
+  const [registrationCap, setRegistrationCap] = useState("");
+
+  function applyResponse(data) {
+    setDivisions(Array.isArray(data?.divisions) ? data.divisions : []);
+    setUnassigned(Array.isArray(data?.unassigned) ? data.unassigned : []);
+  }
+
+  async function request(path, options = {}) {
+    const res = await fetch(`${API_BASE}${path}`, {
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      ...options,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  async function load() {
+    if (!tournamentId) return;
+    try {
+      setStatus("loading");
+      applyResponse(
+        await request(
+          `/api/divisions?tournamentId=${encodeURIComponent(tournamentId)}`
+        )
+      );
+      setStatus("idle");
+    } catch (e) {
+      setError(e.message || "Could not load divisions.");
+      setStatus("error");
+    }
+  }
+
+  async function run(path, options, describe) {
+    setError("");
+    setNotice("");
+    try {
+      setStatus("saving");
+      const data = await request(path, {
+        ...options,
+        body: JSON.stringify({ tournamentId, ...(options.body ?? {}) }),
+      });
+      applyResponse(data);
+      if (describe) setNotice(describe(data));
+      setStatus("idle");
+      onChange?.();
+      return true;
+    } catch (e) {
+      setError(e.message || "Could not update divisions.");
+      setStatus("error");
+      return false;
+    }
+  }
+
+  async function addDivision(e) {
+    e.preventDefault();
+    const ok = await run("/api/divisions", {
+      method: "POST",
+      body: { name, minRating, maxRating, registrationCap },
+    });
+    if (ok) {
+      setName("");
+      setMinRating("");
+      setMaxRating("");
+      setRegistrationCap("");
+    }
+  }
+
+  function deleteDivision(d) {
+    if (!confirm(`Delete the ${d.name} division?`)) return;
+    run(`/api/divisions/${d.id}`, { method: "DELETE" });
+  }
+
+  function assignByRating() {
+    run("/api/divisions/assign", { method: "POST" }, (data) => {
+      const skipped = data.skipped?.length ?? 0;
+      return `Moved ${data.moved ?? 0} player(s)` +
+        (skipped ? `, ${skipped} couldn't be placed.` : ".");
+    });
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tournamentId]);
+
+  const busy = status === "saving" || status === "loading";
+
+  return (
+    <Card.Root>
+      <Card.Body>
+        <Stack gap={4}>
+          <Flex
+            align={{ base: "stretch", md: "center" }}
+            justify="space-between"
+            direction={{ base: "column", md: "row" }}
+            gap={3}
+          >
+            <HStack gap={3} wrap="wrap">
+              <Layers size={18} />
+              <Heading size="md">Divisions</Heading>
+              <Badge variant="pickle">{divisions.length} divisions</Badge>
+              {divisions.length ? (
+                <Badge variant="club">{unassigned.length} unassigned</Badge>
+              ) : null}
+            </HStack>
+
+            <Button
+              variant="outline"
+              onClick={assignByRating}
+              disabled={!tournamentId || busy || !divisions.length}
+            >
+              Assign by rating
+            </Button>
+          </Flex>
+
+          <Text opacity={0.8} fontSize="sm">
+            Players are placed by DUPR when they register. Adding a player
+            while a division is selected places them there by hand, and
+            &ldquo;Assign by rating&rdquo; leaves those placements alone.
+          </Text>
+
+          {divisions.map((d) => (
+            <Flex
+              key={d.id}
+              align="center"
+              justify="space-between"
+              gap={3}
+              border="1px solid"
+              borderColor="border"
+              borderRadius="lg"
+              p={3}
+            >
+              <HStack gap={3} wrap="wrap">
+                <Text fontWeight="700">{d.name}</Text>
+                <Badge variant="club">{bandLabel(d)}</Badge>
+                <Badge variant="outline">
+                  {d.playerCount}
+                  {d.registrationCap != null ? ` / ${d.registrationCap}` : ""}{" "}
+                  players
+                </Badge>
+                <Badge variant="outline">{d.teamCount} teams</Badge>
+              </HStack>
+              <IconButton
+                aria-label="Delete division"
+                variant="outline"
+                size="sm"
+                onClick={() => deleteDivision(d)}
+                disabled={busy || d.teamCount > 0}
+              >
+                <Trash2 size={16} />
+              </IconButton>
+            </Flex>
+          ))}
+
+          <Box as="form" onSubmit={addDivision}>
+            <HStack gap={2} wrap="wrap">
+              <Input
+                placeholder="Name (e.g. 3.5)"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                width="180px"
+              />
+              <Input
+                placeholder="Min DUPR"
+                inputMode="decimal"
+                value={minRating}
+                onChange={(e) => setMinRating(e.target.value)}
+                width="110px"
+              />
+              <Input
+                placeholder="Max DUPR"
+                inputMode="decimal"
+                value={maxRating}
+                onChange={(e) => setMaxRating(e.target.value)}
+                width="110px"
+              />
+              <Input
+                placeholder="Cap"
+                inputMode="numeric"
+                value={registrationCap}
+                onChange={(e) => setRegistrationCap(e.target.value)}
+                width="90px"
+              />
+              <Button
+                type="submit"
+                variant="pickle"
+                disabled={!tournamentId || busy || !name.trim()}
+              >
+                Add division
+              </Button>
+            </HStack>
+          </Box>
+
+          {notice ? (
+            <Text color="green.700" fontSize="sm">
+              {notice}
+            </Text>
+          ) : null}
+          {error ? (
+            <Text color="red.600" fontSize="sm">
+              {error}
+            </Text>
+          ) : null}
+        </Stack>
+      </Card.Body>
+    </Card.Root>
+  );
+}
@@ -0,0 +1,211 @@
+// client/src/components/LateTeamScheduler.jsx
+import { useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  HStack,
+  Select,
+  Stack,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+
+function MatchLine({ match, teamDisplay, removed }) {
+  return (
+    <HStack gap={2} fontSize="sm">
+      <Badge variant={removed ? "outline" : "pickle"}>
+        {removed ? "Removed" : "New"}
+      </Badge>
+      <Text
+        flex="1"
+        textDecoration={removed ? "line-through" : undefined}
+        opacity={removed ? 0.7 : 1}
+      >
+        {match.id}: {teamDisplay(match.teamAId)} vs {teamDisplay(match.teamBId)}
+      </Text>
+      <Text opacity={0.6}>
+        Round {match.round}
+        {match.startTime
+          ? ` • ${new Date(match.startTime).toLocaleTimeString([], {
+              hour: "numeric",
+              minute: "2-digit",
+            })}`
+          : ""}
+        {match.court ? ` • Court ${match.court}` : ""}
+      </Text>
+    </HStack>
+  );
+}
+
+/**
+ * Adds a team that joined after the round robin started. Previews which
+ * pending matches get split and which are added before anything is saved.
+ *
+ * onPreview / onCommit receive { teamId, pool }; `preview` is the diff
+ * returned by the server ({ remove, add, games, gamesPerTeam }).
+ */
+export default function LateTeamScheduler({
+  teams,
+  pools,
+  teamDisplay,
+  preview,
+  busy,
+  disabled,
+  onPreview,
+  onCommit,
+  onCancel,
+}) {
+  const [teamId, setTeamId] = useState("");
+  const [pool, setPool] = useState("");
+
+  const teamCollection = createListCollection({
+    items: (teams ?? []).map((t) => ({
+      label: teamDisplay(t.id),
+      value: String(t.id),
+    })),
+  });
+  const poolCollection = createListCollection({
+    items: [
+      { label: "Smallest pool", value: "" },
+      ...(pools ?? []).map((p) => ({ label: `Pool ${p}`, value: p })),
+    ],
+  });
+
+  const body = { teamId, pool: pool || undefined };
+  const changed = (preview?.games ?? []).filter(
+    (g) => g.teamId !== preview.teamId && g.before !== g.after
+  );
+
+  if (!teams?.length) {
+    return (
+      <Text fontSize="sm" opacity={0.75}>
+        Every team is on the schedule. Add the new team on the Players page
+        first, then fit it in here.
+      </Text>
+    );
+  }
+
+  return (
+    <Stack gap={3}>
+      <Text fontSize="sm" opacity={0.75}>
+        Fits a team that arrived late into the pending rounds. Scored and
+        on-court matches stay as they are; some pending matches are split so
+        everyone keeps the same number of games.
+      </Text>
+
+      <HStack gap={3} wrap="wrap" align="end">
+        <Select.Root
+          collection={teamCollection}
+          value={teamId ? [teamId] : []}
+          onValueChange={(d) => {
+            setTeamId(d.value?.[0] ?? "");
+            onCancel();
+          }}
+          size="sm"
+          width="240px"
+          disabled={disabled}
+        >
+          <Select.Trigger>
+            <Select.ValueText placeholder="Late team…" />
+          </Select.Trigger>
+          <Select.Content>
+            {teamCollection.items.map((item) => (
+              <Select.Item key={item.value} item={item}>
+                {item.label}
+              </Select.Item>
+            ))}
+          </Select.Content>
+        </Select.Root>
+
+        {pools?.length ? (
+          <Select.Root
+            collection={poolCollection}
+            value={[pool]}
+            onValueChange={(d) => {
+              setPool(d.value?.[0] ?? "");
+              onCancel();
+            }}
+            size="sm"
+            width="160px"
+            disabled={disabled}
+          >
+            <Select.Trigger>
+              <Select.ValueText placeholder="Smallest pool" />
+            </Select.Trigger>
+            <Select.Content>
+              {poolCollection.items.map((item) => (
+                <Select.Item key={item.value} item={item}>
+                  {item.label}
+                </Select.Item>
+              ))}
+            </Select.Content>
+          </Select.Root>
+        ) : null}
+
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => onPreview(body)}
+          disabled={disabled || busy || !teamId}
+        >
+          Preview changes
+        </Button>
+      </HStack>
+
+      {preview ? (
+        <Box
+          border="1px solid"
+          borderColor="border"
+          borderRadius="xl"
+          p={3}
+          bg="white"
+        >
+          <Stack gap={2}>
+            <Text fontSize="sm" fontWeight="700">
+              {teamDisplay(preview.teamId)} gets {preview.add.length} games
+              {preview.pool ? ` in Pool ${preview.pool}` : ""}
+            </Text>
+
+            {preview.remove.map((m) => (
+              <MatchLine
+                key={`r-${m.id}`}
+                match={m}
+                teamDisplay={teamDisplay}
+                removed
+              />
+            ))}
+            {preview.add.map((m) => (
+              <MatchLine key={`a-${m.id}`} match={m} teamDisplay={teamDisplay} />
+            ))}
+
+            <Text fontSize="sm" opacity={0.75}>
+              {changed.length
+                ? changed
+                    .map(
+                      (g) =>
+                        `${teamDisplay(g.teamId)}: ${g.before} → ${g.after} games`
+                    )
+                    .join(" • ")
+                : "Every other team keeps its game count."}
+            </Text>
+
+            <HStack>
+              <Button
+                size="sm"
+                variant="pickle"
+                onClick={() => onCommit(body)}
+                disabled={disabled || busy}
+              >
+                {busy ? "Saving…" : "Add to schedule"}
+              </Button>
+              <Button size="sm" variant="ghost" onClick={onCancel}>
+                Cancel
+              </Button>
+            </HStack>
+          </Stack>
+        </Box>
+      ) : null}
+    </Stack>
+  );
+}
@@ -0,0 +1,204 @@
+// client/src/components/MatchHistoryDialog.jsx
+import { useEffect, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Dialog,
+  HStack,
+  Portal,
+  Stack,
+  Text,
+} from "@chakra-ui/react";
+import { API_BASE } from "../apiBase";
+
+const KIND_LABELS = {
+  score: "Score entered",
+  correction: "Score corrected",
+  forfeit: "Forfeit",
+  status: "Status changed",
+  reset: "Result cleared",
+  revert: "Reverted",
+};
+
+const STATUS_LABELS = {
+  pending: "pending",
+  on_court: "on court",
+  completed: "completed",
+};
+
+function describe(value, teamDisplay) {
+  if (!value) return "—";
+  if (!value.winnerId) {
+    return `No result (${STATUS_LABELS[value.status] ?? value.status})`;
+  }
+
+  const winner = teamDisplay(value.winnerId);
+  if (value.scoreA == null && value.scoreB == null) {
+    return `${winner} by forfeit`;
+  }
+  const games = value.games?.length
+    ? ` (${value.games.map((g) => `${g.scoreA}-${g.scoreB}`).join(", ")})`
+    : "";
+  return `${value.scoreA}-${value.scoreB}${games}, ${winner} won`;
+}
+
+/**
+ * Admin view of a match's event log, oldest first. Any logged version can
+ * be restored; `onReverted` runs with the new tournament state.
+ */
+export default function MatchHistoryDialog({
+  open,
+  onOpenChange,
+  tournamentId,
+  code,
+  teamDisplay,
+  onReverted,
+}) {
+  const [events, setEvents] = useState([]);
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+  const [reverting, setReverting] = useState(null);
+
+  const query = tournamentId ? `?tournamentId=${tournamentId}` : "";
+
+  async function load() {
+    setStatus("loading");
+    setError("");
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/matches/${code}/history${query}`,
+        { credentials: "include" }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      setEvents(data.events ?? []);
+      setStatus("ok");
+    } catch (e) {
+      console.error(e);
+      setError(e?.message || "Could not load the history.");
+      setStatus("error");
+    }
+  }
+
+  useEffect(() => {
+    if (open && code) load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, code, tournamentId]);
+
+  async function revert(eventId, version) {
+    if (!confirm(`Put ${code} back to this version?`)) return;
+
+    setReverting(`${eventId}-${version}`);
+    setError("");
+    try {
+      const res = await fetch(`${API_BASE}/api/matches/${code}/revert${query}`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ eventId, version }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      await onReverted?.(data);
+      await load();
+    } catch (e) {
+      console.error(e);
+      setError(e?.message || "Could not revert the match.");
+    } finally {
+      setReverting(null);
+    }
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Portal>
+        <Dialog.Backdrop zIndex={20000} />
+        <Dialog.Positioner zIndex={20001}>
+          <Dialog.Content zIndex={20002}>
+            <Dialog.Header>
+              <Dialog.Title>History of {code}</Dialog.Title>
+            </Dialog.Header>
+
+            <Dialog.Body>
+              <Stack gap={3}>
+                {error ? (
+                  <Text color="red.700" fontSize="sm">
+                    {error}
+                  </Text>
+                ) : null}
+
+                {status === "loading" ? (
+                  <Text opacity={0.7}>Loading…</Text>
+                ) : status === "ok" && events.length === 0 ? (
+                  <Text opacity={0.7}>Nothing has been recorded yet.</Text>
+                ) : null}
+
+                {events.map((e, idx) => (
+                  <Box
+                    key={e.id}
+                    border="1px solid"
+                    borderColor="border"
+                    borderRadius="xl"
+                    p={3}
+                    bg="white"
+                  >
+                    <HStack justify="space-between" wrap="wrap" gap={2}>
+                      <Badge variant={e.kind === "revert" ? "club" : "outline"}>
+                        {KIND_LABELS[e.kind] ?? e.kind}
+                      </Badge>
+                      <Text fontSize="xs" opacity={0.7}>
+                        {new Date(e.createdAt).toLocaleString()} •{" "}
+                        {e.userEmail ?? "system"}
+                      </Text>
+                    </HStack>
+
+                    <Text fontSize="sm" mt={2} opacity={0.7}>
+                      Before: {describe(e.oldValue, teamDisplay)}
+                    </Text>
+                    <Text fontSize="sm" fontWeight="600">
+                      After: {describe(e.newValue, teamDisplay)}
+                    </Text>
+
+                    <HStack mt={2} gap={2}>
+                      {idx < events.length - 1 ? (
+                        <Button
+                          size="xs"
+                          variant="outline"
+                          onClick={() => revert(e.id, "after")}
+                          disabled={!!reverting}
+                        >
+                          {reverting === `${e.id}-after`
+                            ? "Reverting…"
+                            : "Revert to this"}
+                        </Button>
+                      ) : null}
+                      {idx === 0 ? (
+                        <Button
+                          size="xs"
+                          variant="ghost"
+                          onClick={() => revert(e.id, "before")}
+                          disabled={!!reverting}
+                        >
+                          {reverting === `${e.id}-before`
+                            ? "Reverting…"
+                            : "Revert to before"}
+                        </Button>
+                      ) : null}
+                    </HStack>
+                  </Box>
+                ))}
+              </Stack>
+            </Dialog.Body>
+
+            <Dialog.Footer>
+              <Button variant="outline" onClick={() => onOpenChange({ open: false })}>
+                Close
+              </Button>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Positioner>
+      </Portal>
+    </Dialog.Root>
+  );
+}
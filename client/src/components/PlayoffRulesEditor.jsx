@@ -0,0 +1,105 @@
+// client/src/components/PlayoffRulesEditor.jsx
+import { useState } from "react";
+import { Box, Button, HStack, Input, Stack, Switch, Text } from "@chakra-ui/react";
+
+const TOGGLES = [
+  {
+    key: "thirdPlace",
+    label: "Third-place match",
+    help: "Single elimination: the semifinal losers play for bronze.",
+  },
+  {
+    key: "reseed",
+    label: "Reseed every round",
+    help: "Single elimination: after each round the best remaining seed plays the worst.",
+  },
+  {
+    key: "avoidRematches",
+    label: "Avoid first-round rematches",
+    help: "Swap seeds so teams that met in the round robin don't meet again in round one.",
+  },
+];
+
+/**
+ * Edits wildcards and the bracket seeding toggles. How many teams qualify
+ * is picked next to "Advance to Playoffs" and saved when playoffs are
+ * generated. Remount (key) it when the saved rules change.
+ *
+ * onSave receives { wildcards, thirdPlace, reseed, avoidRematches }.
+ */
+export default function PlayoffRulesEditor({ rules, disabled, saving, onSave }) {
+  const [wildcards, setWildcards] = useState(String(rules?.wildcards ?? 0));
+  const [toggles, setToggles] = useState({
+    thirdPlace: rules?.thirdPlace ?? true,
+    reseed: rules?.reseed ?? false,
+    avoidRematches: rules?.avoidRematches ?? false,
+  });
+
+  function save() {
+    onSave({ wildcards: wildcards.trim() || 0, ...toggles });
+  }
+
+  return (
+    <Stack gap={3}>
+      <Text fontSize="sm" opacity={0.75}>
+        Used the next time playoffs are generated. Reset playoffs to change them
+        for a bracket that already exists.
+      </Text>
+
+      <HStack justify="space-between" align="start">
+        <Box>
+          <Text fontWeight="700" fontSize="sm">
+            Wildcards
+          </Text>
+          <Text fontSize="sm" opacity={0.75}>
+            Extra spots for the best teams that didn’t qualify outright, taken
+            from the next finishers of every pool by overall record.
+          </Text>
+        </Box>
+        <Input
+          size="sm"
+          w="70px"
+          inputMode="numeric"
+          value={wildcards}
+          onChange={(e) => setWildcards(e.target.value)}
+          disabled={disabled}
+        />
+      </HStack>
+
+      {TOGGLES.map((t) => (
+        <HStack key={t.key} justify="space-between" align="start">
+          <Box>
+            <Text fontWeight="700" fontSize="sm">
+              {t.label}
+            </Text>
+            <Text fontSize="sm" opacity={0.75}>
+              {t.help}
+            </Text>
+          </Box>
+          <Switch.Root
+            checked={toggles[t.key]}
+            onCheckedChange={(e) =>
+              setToggles((prev) => ({ ...prev, [t.key]: !!e.checked }))
+            }
+            disabled={disabled}
+          >
+            <Switch.HiddenInput />
+            <Switch.Control />
+            <Switch.Label />
+          </Switch.Root>
+        </HStack>
+      ))}
+
+      <HStack>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={save}
+          disabled={disabled || saving}
+        >
+          {saving ? "Saving…" : "Save playoff rules"}
+        </Button>
+      </HStack>
+    </Stack>
+  );
+}
@@ -0,0 +1,188 @@
+// client/src/components/StandingsRulesEditor.jsx
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  Stack,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+import { ArrowDown, ArrowUp, X } from "lucide-react";
+import { TIEBREAKER_LABELS } from "../standingsRules";
+
+const forfeitCollection = createListCollection({
+  items: [
+    { label: "Forfeits: no points", value: "none" },
+    { label: "Forfeits: 11-0", value: "11" },
+    { label: "Forfeits: 15-0", value: "15" },
+    { label: "Forfeits: 21-0", value: "21" },
+  ],
+});
+
+/**
+ * Edits the tiebreaker chain, the per-game point differential cap and
+ * forfeit scoring. Remount (key) it when the saved rules change.
+ *
+ * onSave receives { tiebreakers, pointDiffCap, forfeitScore }.
+ */
+export default function StandingsRulesEditor({
+  rules,
+  defaultChain,
+  disabled,
+  saving,
+  onSave,
+}) {
+  const [chain, setChain] = useState(rules?.tiebreakers ?? defaultChain);
+  const [cap, setCap] = useState(String(rules?.pointDiffCap ?? ""));
+  const [forfeit, setForfeit] = useState(
+    rules?.forfeitScore ? String(rules.forfeitScore.winner) : "none"
+  );
+
+  const addCollection = createListCollection({
+    items: Object.entries(TIEBREAKER_LABELS)
+      .filter(([key]) => !chain.includes(key))
+      .map(([value, label]) => ({ value, label })),
+  });
+
+  function move(idx, delta) {
+    const next = [...chain];
+    const [item] = next.splice(idx, 1);
+    next.splice(idx + delta, 0, item);
+    setChain(next);
+  }
+
+  function save() {
+    onSave({
+      tiebreakers: chain,
+      pointDiffCap: chain.includes("pointDiffCapped") ? cap : null,
+      forfeitScore:
+        forfeit === "none" ? null : { winner: Number(forfeit), loser: 0 },
+    });
+  }
+
+  return (
+    <Stack gap={3}>
+      <Text fontSize="sm" opacity={0.75}>
+        Teams level on wins are ordered by these, top first. Whatever is still
+        tied at the end is settled by a coin flip.
+      </Text>
+
+      <Stack gap={2}>
+        {chain.map((key, idx) => (
+          <HStack key={key} gap={2}>
+            <Text fontSize="sm" w="24px" opacity={0.6}>
+              {idx + 1}.
+            </Text>
+            <Text fontSize="sm" flex="1">
+              {TIEBREAKER_LABELS[key] ?? key}
+            </Text>
+            <IconButton
+              aria-label="Move up"
+              size="xs"
+              variant="ghost"
+              onClick={() => move(idx, -1)}
+              disabled={disabled || idx === 0}
+            >
+              <ArrowUp size={14} />
+            </IconButton>
+            <IconButton
+              aria-label="Move down"
+              size="xs"
+              variant="ghost"
+              onClick={() => move(idx, 1)}
+              disabled={disabled || idx === chain.length - 1}
+            >
+              <ArrowDown size={14} />
+            </IconButton>
+            <IconButton
+              aria-label="Remove"
+              size="xs"
+              variant="ghost"
+              onClick={() => setChain(chain.filter((k) => k !== key))}
+              disabled={disabled}
+            >
+              <X size={14} />
+            </IconButton>
+          </HStack>
+        ))}
+      </Stack>
+
+      <HStack gap={3} wrap="wrap" align="end">
+        {addCollection.items.length ? (
+          <Select.Root
+            collection={addCollection}
+            value={[]}
+            onValueChange={(d) => {
+              const key = d.value?.[0];
+              if (key) setChain([...chain, key]);
+            }}
+            size="sm"
+            width="260px"
+            disabled={disabled}
+          >
+            <Select.Trigger>
+              <Select.ValueText placeholder="Add tiebreaker…" />
+            </Select.Trigger>
+            <Select.Content>
+              {addCollection.items.map((item) => (
+                <Select.Item key={item.value} item={item}>
+                  {item.label}
+                </Select.Item>
+              ))}
+            </Select.Content>
+          </Select.Root>
+        ) : null}
+
+        {chain.includes("pointDiffCapped") ? (
+          <Box>
+            <Text fontSize="xs" opacity={0.7} mb={1}>
+              Max margin per game
+            </Text>
+            <Input
+              size="sm"
+              w="90px"
+              inputMode="numeric"
+              placeholder="11"
+              value={cap}
+              onChange={(e) => setCap(e.target.value)}
+              disabled={disabled}
+            />
+          </Box>
+        ) : null}
+
+        <Select.Root
+          collection={forfeitCollection}
+          value={[forfeit]}
+          onValueChange={(d) => setForfeit(d.value?.[0] ?? "none")}
+          size="sm"
+          width="200px"
+          disabled={disabled}
+        >
+          <Select.Trigger>
+            <Select.ValueText placeholder="Forfeits: no points" />
+          </Select.Trigger>
+          <Select.Content>
+            {forfeitCollection.items.map((item) => (
+              <Select.Item key={item.value} item={item}>
+                {item.label}
+              </Select.Item>
+            ))}
+          </Select.Content>
+        </Select.Root>
+
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={save}
+          disabled={disabled || saving}
+        >
+          {saving ? "Saving…" : "Save tiebreakers"}
+        </Button>
+      </HStack>
+    </Stack>
+  );
+}
@@ -0,0 +1,153 @@
+// client/src/components/TeamWithdrawalEditor.jsx
+import { useState } from "react";
+import {
+  Badge,
+  Button,
+  HStack,
+  Select,
+  Stack,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+
+const resultsCollection = createListCollection({
+  items: [
+    { label: "Played results stand", value: "keep" },
+    { label: "Void played results", value: "void" },
+  ],
+});
+
+const RESULTS_LABELS = {
+  keep: "results stand",
+  void: "results voided",
+};
+
+/**
+ * Withdraws a team mid-tournament and lists the teams that already left,
+ * each with its keep/void choice (which can still be changed).
+ *
+ * onWithdraw receives (teamId, results).
+ */
+export default function TeamWithdrawalEditor({
+  teams,
+  teamDisplay,
+  disabled,
+  saving,
+  onWithdraw,
+}) {
+  const [teamId, setTeamId] = useState("");
+  const [results, setResults] = useState("keep");
+
+  const active = (teams ?? []).filter((t) => !t.withdrawnAt);
+  const withdrawn = (teams ?? []).filter((t) => t.withdrawnAt);
+
+  const teamCollection = createListCollection({
+    items: active.map((t) => ({
+      label: teamDisplay(t.id),
+      value: String(t.id),
+    })),
+  });
+
+  function withdraw() {
+    if (!teamId) return;
+    if (
+      !confirm(
+        `Withdraw ${teamDisplay(teamId)}? Every match it hasn't played is forfeited to its opponent.`
+      )
+    )
+      return;
+    onWithdraw(teamId, results);
+    setTeamId("");
+  }
+
+  return (
+    <Stack gap={3}>
+      <Text fontSize="sm" opacity={0.75}>
+        A withdrawn team forfeits all of its unplayed matches, leaves the
+        standings and is never queued again. Choose whether the matches it
+        already played still count for its opponents.
+      </Text>
+
+      {withdrawn.length ? (
+        <Stack gap={2}>
+          {withdrawn.map((t) => (
+            <HStack key={t.id} gap={2} wrap="wrap">
+              <Text fontSize="sm" fontWeight="600" flex="1">
+                {teamDisplay(t.id)}
+              </Text>
+              <Badge variant="outline">
+                Withdrawn • {RESULTS_LABELS[t.withdrawnResults] ?? "—"}
+              </Badge>
+              <Button
+                size="xs"
+                variant="ghost"
+                onClick={() =>
+                  onWithdraw(
+                    String(t.id),
+                    t.withdrawnResults === "void" ? "keep" : "void"
+                  )
+                }
+                disabled={disabled || saving}
+              >
+                {t.withdrawnResults === "void"
+                  ? "Count results"
+                  : "Void results"}
+              </Button>
+            </HStack>
+          ))}
+        </Stack>
+      ) : null}
+
+      <HStack gap={3} wrap="wrap" align="end">
+        <Select.Root
+          collection={teamCollection}
+          value={teamId ? [teamId] : []}
+          onValueChange={(d) => setTeamId(d.value?.[0] ?? "")}
+          size="sm"
+          width="240px"
+          disabled={disabled}
+        >
+          <Select.Trigger>
+            <Select.ValueText placeholder="Team to withdraw…" />
+          </Select.Trigger>
+          <Select.Content>
+            {teamCollection.items.map((item) => (
+              <Select.Item key={item.value} item={item}>
+                {item.label}
+              </Select.Item>
+            ))}
+          </Select.Content>
+        </Select.Root>
+
+        <Select.Root
+          collection={resultsCollection}
+          value={[results]}
+          onValueChange={(d) => setResults(d.value?.[0] ?? "keep")}
+          size="sm"
+          width="220px"
+          disabled={disabled}
+        >
+          <Select.Trigger>
+            <Select.ValueText placeholder="Played results stand" />
+          </Select.Trigger>
+          <Select.Content>
+            {resultsCollection.items.map((item) => (
+              <Select.Item key={item.value} item={item}>
+                {item.label}
+              </Select.Item>
+            ))}
+          </Select.Content>
+        </Select.Root>
+
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={withdraw}
+          disabled={disabled || saving || !teamId}
+        >
+          {saving ? "Withdrawing…" : "Withdraw team"}
+        </Button>
+      </HStack>
+    </Stack>
+  );
+}
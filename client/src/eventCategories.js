@@ -0,0 +1,40 @@
+// client/src/eventCategories.js
+import { createListCollection } from "@chakra-ui/react";
+
+// Keys + labels mirror EVENT_CATEGORIES on the server.
+export const eventCategoryCollection = createListCollection({
+  items: [
+    { label: "Open", value: "open" },
+    { label: "Men's", value: "mens" },
+    { label: "Women's", value: "womens" },
+    { label: "Mixed", value: "mixed" },
+  ],
+});
+
+// players per team; singles entrants are one-player teams
+export const teamSizeCollection = createListCollection({
+  items: [
+    { label: "Doubles", value: "2" },
+    { label: "Singles", value: "1" },
+  ],
+});
+
+export const genderCollection = createListCollection({
+  items: [
+    { label: "Male", value: "male" },
+    { label: "Female", value: "female" },
+  ],
+});
+
+// every category but open pairs by gender
+export function categoryNeedsGender(category) {
+  return !!category && category !== "open";
+}
+
+// "Men's singles", "Mixed doubles", ...
+export function eventFormatLabel(category, teamSize = 2) {
+  const label =
+    eventCategoryCollection.items.find((item) => item.value === category)
+      ?.label ?? "Open";
+  return `${label} ${Number(teamSize) === 1 ? "singles" : "doubles"}`;
+}
@@ -12,6 +12,11 @@ import MatchSchedule from "./MatchSchedule.jsx";
 import BracketPage from "./pages/BracketPage.jsx";
 import LoginPage from "./pages/LoginPage.jsx";
 import TournamentInfoPage from "./pages/TournamentInfoPage.jsx";
+import RotatingPage from "./pages/RotatingPage.jsx";
+import CourtLadderPage from "./pages/CourtLadderPage.jsx";
+import DualPage from "./pages/DualPage.jsx";
+import LaddersPage from "./pages/LaddersPage.jsx";
+import LadderPage from "./pages/LadderPage.jsx";
 import { API_BASE } from "./apiBase";
 
 import "./index.css";
@@ -79,6 +84,26 @@ function RouterApp() {
         path="/bracket"
         element={<BracketPage user={user} setUser={setUser} />}
       />
+      <Route
+        path="/rotating"
+        element={<RotatingPage user={user} setUser={setUser} />}
+      />
+      <Route
+        path="/court-ladder"
+        element={<CourtLadderPage user={user} setUser={setUser} />}
+      />
+      <Route
+        path="/dual"
+        element={<DualPage user={user} setUser={setUser} />}
+      />
+      <Route
+        path="/ladders"
+        element={<LaddersPage user={user} setUser={setUser} />}
+      />
+      <Route
+        path="/ladders/:id"
+        element={<LadderPage user={user} setUser={setUser} />}
+      />
       <Route
         path="/tournaments/:id/info"
         element={<TournamentInfoPage user={user} setUser={setUser} />}
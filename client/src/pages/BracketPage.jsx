@@ -102,6 +102,31 @@ function ScorePill({ value }) {
   );
 }
 
+function roundTitle(phase) {
+  if (phase === "FINAL") return "Final";
+  if (phase === "GF") return "Grand Final";
+  if (phase === "SF") return "Semifinals";
+  if (phase === "QF") return "Quarterfinals";
+  if (/^R\d+$/.test(phase ?? "")) return `Round of ${phase.slice(1)}`;
+  return phase;
+}
+
+function columnTitle(round) {
+  if (round.phase === "WB") return `Winners R${round.round}`;
+  if (round.phase === "LB") return `Losers R${round.round}`;
+  return roundTitle(round.phase);
+}
+
+function sourceLabel(source) {
+  if (!source) return "TBD";
+  if (source.seed) return `Seed ${source.seed}`;
+  if (source.winnerOf) return `Winner ${source.winnerOf}`;
+  if (source.loserOf) return `Loser ${source.loserOf}`;
+  if (source.reseed === "high") return "Best remaining seed";
+  if (source.reseed === "low") return "Worst remaining seed";
+  return "TBD";
+}
+
 function MatchCard({ title, aLabel, bLabel, scoreA, scoreB, winnerLabel }) {
   return (
     <Box
@@ -148,9 +173,13 @@ export default function BracketPage() {
     teams: [],
     rrMatches: [],
     standings: [],
+    pools: [],
+    playoffSeeds: [],
+    bracket: null,
     semis: [],
     finals: [],
     placements: null,
+    consolation: null,
     tournamentId: "",
   });
   const [error, setError] = useState("");
@@ -223,26 +252,32 @@ export default function BracketPage() {
   }, [tid]);
 
   const teams = state.teams || [];
-  const semis = state.semis || [];
   const finals = state.finals || [];
+  const isDoubleElim = state.bracket?.format === "double";
+  const bracketRounds = state.bracket?.rounds || [];
+  const thirdSlot = state.bracket?.thirdPlace || null;
+  const winnersRounds = state.bracket?.winners || [];
+  const losersRounds = state.bracket?.losers || [];
+  const grandFinalSlots = [state.bracket?.grandFinal, state.bracket?.reset].filter(
+    Boolean
+  );
 
   const finalMatch = useMemo(
     () => finals.find((m) => m.id === "FINAL") || null,
     [finals]
   );
-  const thirdMatch = useMemo(
-    () => finals.find((m) => m.id === "THIRD") || null,
-    [finals]
-  );
 
-  // Seed map from RR standings: first = seed 1, etc.
+  // Seed map from the playoff seeds (falls back to RR standings order).
   const seedByTeamId = useMemo(() => {
     const map = new Map();
-    (state.standings || []).forEach((s, idx) => {
-      map.set(String(s.teamId), idx + 1);
+    const seeded = state.playoffSeeds?.length
+      ? state.playoffSeeds
+      : (state.standings || []).map((s) => s.teamId);
+    seeded.forEach((teamId, idx) => {
+      map.set(String(teamId), idx + 1);
     });
     return map;
-  }, [state.standings]);
+  }, [state.playoffSeeds, state.standings]);
 
   function seededTeamLabel(teamId) {
     if (!teamId) return "TBD";
@@ -251,6 +286,22 @@ export default function BracketPage() {
     return seed ? `#${seed} ${name}` : name;
   }
 
+  function slotTeamLabel(teamId, source) {
+    return teamId ? seededTeamLabel(teamId) : sourceLabel(source);
+  }
+
+  // consolation bracket: seeds restart at 1 for the teams that missed playoffs
+  const consolation = state.consolation || null;
+  const consolationRounds = consolation?.bracket?.rounds || [];
+  const consolationThird = consolation?.bracket?.thirdPlace || null;
+
+  function consolationSlotLabel(teamId, source) {
+    if (!teamId) return sourceLabel(source);
+    const idx = (consolation?.seeds || []).indexOf(String(teamId));
+    const name = teamLabelById(teams, teamId);
+    return idx >= 0 ? `#${idx + 1} ${name}` : name;
+  }
+
   // Print-friendly RR ordering:
   // - scheduled matches first (by time)
   // - then by court
@@ -281,18 +332,59 @@ export default function BracketPage() {
 
   // Tournament complete + winner (based on FINAL winnerId)
   const tournamentWinnerLabel = useMemo(() => {
-    if (!finalMatch?.winnerId) return "";
-    return seededTeamLabel(finalMatch.winnerId);
-  }, [finalMatch, seedByTeamId, teams]);
+    const winnerId = isDoubleElim
+      ? state.placements?.champion?.id
+      : finalMatch?.winnerId;
+    if (!winnerId) return "";
+    return seededTeamLabel(winnerId);
+  }, [isDoubleElim, state.placements, finalMatch, seedByTeamId, teams]);
 
   const tournamentComplete = useMemo(() => {
+    // double elim: placements only show up once the grand final is decided
+    if (isDoubleElim) return !!state.placements;
+
     const finalsList = state.finals || [];
     const f = finalsList.find((m) => m.id === "FINAL");
     const t = finalsList.find((m) => m.id === "THIRD");
     const finalDone = f ? !!f.winnerId : false;
     const thirdDone = t ? !!t.winnerId : true; // if no third match, treat as done
     return finalDone && thirdDone;
-  }, [state.finals]);
+  }, [isDoubleElim, state.placements, state.finals]);
+
+  const standingsGroups = state.pools?.length
+    ? state.pools.map((p) => ({
+        key: p.pool,
+        title: `Pool ${p.pool} Standings`,
+        rows: p.standings,
+      }))
+    : [{ key: "all", title: "Standings", rows: state.standings || [] }];
+
+  function renderBracketColumns(columns, labelFor = slotTeamLabel) {
+    return (
+      <div
+        className="bracket-grid"
+        style={{
+          gridTemplateColumns: `repeat(${columns.length}, minmax(180px, 1fr))`,
+        }}
+      >
+        {columns.map((col) => (
+          <div key={col.key} className="bracket-col">
+            <div className="section-title">{col.title}</div>
+            {col.slots.map((m) => (
+              <div key={m.id} className="box avoid-break">
+                <div style={{ fontSize: 11, opacity: 0.7 }}>
+                  {m.id}
+                  {m.ifNeeded ? " (if needed)" : ""}
+                </div>
+                <div>{labelFor(m.teamAId, m.sourceA)}</div>
+                <div>{labelFor(m.teamBId, m.sourceB)}</div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  }
 
   return (
     <Container maxW="6xl" py={8} px={{ base: 4, md: 6 }} overflowX="hidden">
@@ -322,6 +414,8 @@ export default function BracketPage() {
         .box { border: 1px solid #222; border-radius: 10px; padding: 10px; }
         .grid2 { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
         .grid3 { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 12px; }
+        .bracket-grid { display: grid; gap: 12px; overflow-x: auto; }
+        .bracket-col { display: flex; flex-direction: column; justify-content: space-around; gap: 12px; }
         .line { height: 1px; background: #222; opacity: 0.6; margin: 10px 0; }
   
         .match-box { border: 1px solid #222; border-radius: 10px; padding: 10px; }
@@ -333,6 +427,7 @@ export default function BracketPage() {
         @media (max-width: 600px) {
           .grid2 { grid-template-columns: 1fr; }
           .grid3 { grid-template-columns: 1fr; }
+          .bracket-grid { grid-template-columns: 1fr !important; }
         }
   
         /* Make wide tables scroll instead of spilling */
@@ -538,7 +633,7 @@ export default function BracketPage() {
               • Round Robin games to <b>11</b>
             </div>
             <div>
-              • Semifinal & Final games to <b>15</b>
+              • Playoff games to <b>15</b>
             </div>
             <div>
               • Win by <b>2</b>
@@ -629,69 +724,160 @@ export default function BracketPage() {
           </div>
         </div>
 
-        {/* Standings */}
-        <div className="box avoid-break" style={{ marginTop: 12 }}>
-          <div className="section-title">Standings</div>
-          <div className="table-scroll">
-            <Table.Root size="sm" className="table-min">
-              <Table.Header>
-                <Table.Row>
-                  <Table.ColumnHeader w="60px">Seed</Table.ColumnHeader>
-                  <Table.ColumnHeader>Team</Table.ColumnHeader>
-                  <Table.ColumnHeader w="80px">Wins</Table.ColumnHeader>
-                  <Table.ColumnHeader w="90px">Point Diff</Table.ColumnHeader>
-                </Table.Row>
-              </Table.Header>
-              <Table.Body>
-                {(state.standings || []).map((s, idx) => (
-                  <Table.Row key={s.teamId}>
-                    <Table.Cell>{idx + 1}</Table.Cell>
-                    <Table.Cell style={{ wordBreak: "break-word" }}>
-                      {teamLabelById(teams, s.teamId)}
-                    </Table.Cell>
-                    <Table.Cell>{s.wins}</Table.Cell>
-                    <Table.Cell>{s.pointDiff}</Table.Cell>
+        {/* Standings (one table per pool with pool play) */}
+        {standingsGroups.map((group) => (
+          <div
+            key={group.key}
+            className="box avoid-break"
+            style={{ marginTop: 12 }}
+          >
+            <div className="section-title">{group.title}</div>
+            <div className="table-scroll">
+              <Table.Root size="sm" className="table-min">
+                <Table.Header>
+                  <Table.Row>
+                    <Table.ColumnHeader w="60px">Seed</Table.ColumnHeader>
+                    <Table.ColumnHeader>Team</Table.ColumnHeader>
+                    <Table.ColumnHeader w="80px">Wins</Table.ColumnHeader>
+                    <Table.ColumnHeader w="90px">Point Diff</Table.ColumnHeader>
                   </Table.Row>
-                ))}
-              </Table.Body>
-            </Table.Root>
+                </Table.Header>
+                <Table.Body>
+                  {group.rows.map((s, idx) => (
+                    <Table.Row key={s.teamId}>
+                      <Table.Cell>{idx + 1}</Table.Cell>
+                      <Table.Cell style={{ wordBreak: "break-word" }}>
+                        {teamLabelById(teams, s.teamId)}
+                      </Table.Cell>
+                      <Table.Cell>{s.wins}</Table.Cell>
+                      <Table.Cell>{s.pointDiff}</Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table.Root>
+            </div>
           </div>
-        </div>
+        ))}
 
         {/* Playoffs */}
         <div className="page-break" />
         <div className="sheet-title">Playoff Bracket</div>
-        <div className="sheet-sub">
-          Semis → Final • Third-place match included
-        </div>
-
-        <div className="grid3">
-          <div className="box avoid-break">
-            <div className="section-title">Semifinal 1</div>
-            <div>{semis[0] ? seededTeamLabel(semis[0].teamAId) : "TBD"}</div>
-            <div>{semis[0] ? seededTeamLabel(semis[0].teamBId) : "TBD"}</div>
-          </div>
+        {isDoubleElim ? (
+          <>
+            <div className="sheet-sub">
+              Double elimination • Grand final
+              {state.bracket?.reset ? " with bracket reset" : ""}
+            </div>
 
-          <div className="box avoid-break">
-            <div className="section-title">Final</div>
-            <div>
-              {finalMatch ? seededTeamLabel(finalMatch.teamAId) : "Winner SF1"}
+            <div className="section-title">Winners Bracket</div>
+            {renderBracketColumns([
+              ...winnersRounds.map((r) => ({
+                key: `WB${r.round}`,
+                title: columnTitle(r),
+                slots: r.matches,
+              })),
+              { key: "GF", title: "Grand Final", slots: grandFinalSlots },
+            ])}
+
+            <div className="section-title" style={{ marginTop: 16 }}>
+              Losers Bracket
             </div>
-            <div>
-              {finalMatch ? seededTeamLabel(finalMatch.teamBId) : "Winner SF2"}
+            {losersRounds.length ? (
+              renderBracketColumns(
+                losersRounds.map((r) => ({
+                  key: `LB${r.round}`,
+                  title: columnTitle(r),
+                  slots: r.matches,
+                }))
+              )
+            ) : (
+              <div style={{ fontSize: 12 }}>—</div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="sheet-sub">
+              {bracketRounds.length
+                ? bracketRounds.map((r) => roundTitle(r.phase)).join(" → ")
+                : "Playoffs haven’t been generated yet"}
+              {thirdSlot ? " • Third-place match included" : ""}
+              {bracketRounds.length && state.playoffRules?.reseed
+                ? " • Reseeded each round"
+                : ""}
+              {bracketRounds.length && state.playoffRules?.wildcards
+                ? ` • ${state.playoffRules.wildcards} wildcard${
+                    state.playoffRules.wildcards === 1 ? "" : "s"
+                  }`
+                : ""}
             </div>
-          </div>
 
-          <div className="box avoid-break">
-            <div className="section-title">Third Place</div>
-            <div>
-              {thirdMatch ? seededTeamLabel(thirdMatch.teamAId) : "Loser SF1"}
+            {bracketRounds.length
+              ? renderBracketColumns([
+                  ...bracketRounds.map((r) => ({
+                    key: r.phase,
+                    title: roundTitle(r.phase),
+                    slots: r.matches,
+                  })),
+                  ...(thirdSlot
+                    ? [{ key: "THIRD", title: "Third Place", slots: [thirdSlot] }]
+                    : []),
+                ])
+              : null}
+          </>
+        )}
+
+        {/* Consolation (silver) bracket, played alongside the playoffs */}
+        {consolationRounds.length ? (
+          <>
+            <div className="sheet-title" style={{ marginTop: 20 }}>
+              Consolation Bracket
             </div>
-            <div>
-              {thirdMatch ? seededTeamLabel(thirdMatch.teamBId) : "Loser SF2"}
+            <div className="sheet-sub">
+              {consolationRounds.map((r) => roundTitle(r.phase)).join(" → ")}
+              {consolationThird ? " • Third-place match included" : ""}
             </div>
-          </div>
-        </div>
+
+            {renderBracketColumns(
+              [
+                ...consolationRounds.map((r) => ({
+                  key: `C-${r.phase}`,
+                  title: roundTitle(r.phase),
+                  slots: r.matches,
+                })),
+                ...(consolationThird
+                  ? [
+                      {
+                        key: "C-THIRD",
+                        title: "Third Place",
+                        slots: [consolationThird],
+                      },
+                    ]
+                  : []),
+              ],
+              consolationSlotLabel
+            )}
+
+            {consolation.placements ? (
+              <div className="box avoid-break" style={{ marginTop: 12 }}>
+                <div className="section-title">Consolation Placements</div>
+                <div style={{ fontSize: 12, lineHeight: 1.6 }}>
+                  {[
+                    ["Winner", consolation.placements.champion],
+                    ["Runner-up", consolation.placements.runnerUp],
+                    ["Third", consolation.placements.third],
+                    ["Fourth", consolation.placements.fourth],
+                  ]
+                    .filter(([, entry]) => entry)
+                    .map(([label, entry]) => (
+                      <div key={label}>
+                        • {label}: <b>{entry.name}</b>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            ) : null}
+          </>
+        ) : null}
       </Box>
     </Container>
   );
@@ -0,0 +1,491 @@
+// client/src/pages/CourtLadderPage.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  SimpleGrid,
+  Stack,
+  Table,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+import { ChevronsUp, Home, Play, RotateCcw } from "lucide-react";
+import { getCurrentTournamentId } from "../tournamentStore";
+import { API_BASE } from "../apiBase";
+import StickyPageHeader from "../components/StickyPageHeader";
+import usePageTitle from "../hooks/usePageTitle";
+import { scoringProfileCollection } from "../scoringProfiles";
+
+const partnerModeCollection = createListCollection({
+  items: [
+    { value: "split", label: "Split partners" },
+    { value: "fixed", label: "Fixed teams" },
+  ],
+});
+
+
+function normalizeScoreInput(v) {
+  if (v === "" || v === null || v === undefined) return "";
+  return String(v);
+}
+
+function LadderStandingsTable({ standings, entrantLabel }) {
+  return (
+    <Table.Root size="sm" variant="outline">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeader>#</Table.ColumnHeader>
+          <Table.ColumnHeader>{entrantLabel}</Table.ColumnHeader>
+          <Table.ColumnHeader>Court</Table.ColumnHeader>
+          <Table.ColumnHeader>Wins</Table.ColumnHeader>
+          <Table.ColumnHeader>PF</Table.ColumnHeader>
+          <Table.ColumnHeader>PD</Table.ColumnHeader>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {standings.map((s, idx) => (
+          <Table.Row key={s.playerIds.join("-")}>
+            <Table.Cell>{idx + 1}</Table.Cell>
+            <Table.Cell fontWeight="600">{s.name}</Table.Cell>
+            <Table.Cell>
+              {s.finalCourt ? `${s.finalCourt}${s.wonLast ? " ▲" : ""}` : "—"}
+            </Table.Cell>
+            <Table.Cell>{s.wins}</Table.Cell>
+            <Table.Cell>{s.pointsFor}</Table.Cell>
+            <Table.Cell>{s.pointDiff}</Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
+export default function CourtLadderPage() {
+  usePageTitle("Court Ladder");
+  const navigate = useNavigate();
+  const tid = getCurrentTournamentId();
+
+  const [state, setState] = useState({
+    settings: null,
+    entrants: [],
+    rounds: [],
+    currentRound: 0,
+    roundComplete: false,
+    standings: [],
+  });
+  const [rows, setRows] = useState({});
+  const [courtCount, setCourtCount] = useState("");
+  const [partnerMode, setPartnerMode] = useState("split");
+  const [scoringProfile, setScoringProfile] = useState("to_11");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  function withTid(path) {
+    const base = (API_BASE || "").replace(/\/$/, "");
+    const p = String(path || "").startsWith("/") ? path : `/${path}`;
+
+    const u = base
+      ? new URL(`${base}${p}`)
+      : new URL(p, window.location.origin);
+
+    if (tid) u.searchParams.set("tournamentId", tid);
+    return u.toString();
+  }
+
+  function applyState(data) {
+    setState({
+      settings: data?.settings || null,
+      entrants: data?.entrants || [],
+      rounds: data?.rounds || [],
+      currentRound: data?.currentRound || 0,
+      roundComplete: !!data?.roundComplete,
+      standings: data?.standings || [],
+    });
+
+    const next = {};
+    for (const r of data?.rounds || []) {
+      for (const m of r.matches) {
+        next[m.id] = {
+          scoreA: normalizeScoreInput(m.scoreA),
+          scoreB: normalizeScoreInput(m.scoreB),
+          error: "",
+        };
+      }
+    }
+    setRows(next);
+  }
+
+  async function fetchState() {
+    setError("");
+    setLoading(true);
+    try {
+      if (!tid) throw new Error("No tournament selected.");
+      const res = await fetch(withTid("/api/courtladder/state"));
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to load court ladder");
+      applyState(data);
+      if (data?.rounds?.length) {
+        setPartnerMode(data.settings?.splitPartners === false ? "fixed" : "split");
+        setScoringProfile(
+          data.settings?.roundType === "timed"
+            ? "timed"
+            : data.settings?.scoring?.profile || "to_11"
+        );
+        setCourtCount(String(data.settings?.courts ?? ""));
+      }
+    } catch (e) {
+      setError(e?.message || "Error connecting to backend");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchState();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tid]);
+
+  const nameByPlayerId = useMemo(() => {
+    const map = new Map();
+    for (const s of state.standings) {
+      for (const id of s.playerIds) map.set(id, s.name);
+    }
+    return map;
+  }, [state.standings]);
+
+  const splitPartners = state.settings?.splitPartners !== false;
+
+  function sideLabel(ids) {
+    if (!splitPartners) return nameByPlayerId.get(ids[0]) ?? "Team";
+    return ids.map((id) => nameByPlayerId.get(id) ?? `Player ${id}`).join(" / ");
+  }
+
+  function sitOutLabel(ids) {
+    return [...new Set(ids.map((id) => nameByPlayerId.get(id) ?? id))].join(
+      ", "
+    );
+  }
+
+  async function postAction(path, body, fallbackError) {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch(withTid(path), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body ?? {}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || fallbackError);
+      applyState(data);
+    } catch (e) {
+      setError(e?.message || "Error connecting to backend");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function startLadder() {
+    if (
+      state.rounds.length > 0 &&
+      !window.confirm("Restart the ladder and clear every round?")
+    )
+      return;
+
+    postAction(
+      "/api/courtladder/start",
+      {
+        courts: courtCount,
+        splitPartners: partnerMode === "split",
+        roundType: scoringProfile === "timed" ? "timed" : "score",
+        scoringProfile,
+      },
+      "Failed to start court ladder"
+    );
+  }
+
+  function nextRound() {
+    postAction("/api/courtladder/next-round", {}, "Failed to build next round");
+  }
+
+  function setScore(code, key, value) {
+    setRows((prev) => ({
+      ...prev,
+      [code]: { ...prev[code], [key]: value, error: "" },
+    }));
+  }
+
+  async function saveScore(code, clear = false) {
+    const row = rows[code] || {};
+    setBusy(true);
+    try {
+      const res = await fetch(
+        withTid(`/api/courtladder/matches/${encodeURIComponent(code)}/score`),
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(
+            clear ? { clear: true } : { scoreA: row.scoreA, scoreB: row.scoreB }
+          ),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to save score");
+      applyState(data);
+    } catch (e) {
+      setRows((prev) => ({
+        ...prev,
+        [code]: { ...prev[code], error: e?.message || "Failed to save score" },
+      }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Latest round first: that's the one being played.
+  const roundsNewestFirst = [...state.rounds].reverse();
+
+  return (
+    <Box>
+      <StickyPageHeader>
+        <HStack gap={3} wrap="wrap">
+          <IconButton
+            aria-label="Home"
+            variant="outline"
+            onClick={() => navigate("/")}
+          >
+            <Home size={18} />
+          </IconButton>
+
+          <Heading size={{ base: "md", md: "lg" }} flex="1" minW={0}>
+            Court Ladder
+          </Heading>
+
+          {state.currentRound ? (
+            <Badge variant="pickle">Round {state.currentRound}</Badge>
+          ) : null}
+
+          <Button size="sm" variant="outline" onClick={fetchState}>
+            <RotateCcw size={16} style={{ marginRight: 8 }} />
+            Refresh
+          </Button>
+        </HStack>
+      </StickyPageHeader>
+
+      <Container maxW="6xl" pt={{ base: 6, md: 10 }} px={{ base: 4, md: 6 }}>
+        <Stack gap={6}>
+          {error ? (
+            <Box
+              border="1px solid"
+              borderColor="red.200"
+              bg="red.50"
+              p={3}
+              borderRadius="lg"
+            >
+              <Text color="red.700" fontSize="sm">
+                {error}
+              </Text>
+            </Box>
+          ) : null}
+
+          <Box border="1px solid" borderColor="border" borderRadius="2xl" p={4}>
+            <Text fontSize="sm" opacity={0.8} mb={3}>
+              Winners move up a court, losers move down. Court 1 is the top
+              court.
+            </Text>
+            <HStack gap={3} wrap="wrap" align="end">
+              <Select.Root
+                collection={partnerModeCollection}
+                value={[partnerMode]}
+                onValueChange={(d) => setPartnerMode(d.value?.[0] ?? "split")}
+                width="170px"
+                disabled={!tid || busy}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="Split partners" />
+                </Select.Trigger>
+                <Select.Content>
+                  {partnerModeCollection.items.map((opt) => (
+                    <Select.Item key={opt.value} item={opt}>
+                      {opt.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+
+              <Select.Root
+                collection={scoringProfileCollection}
+                value={[scoringProfile]}
+                onValueChange={(d) => setScoringProfile(d.value?.[0] ?? "to_11")}
+                width="230px"
+                disabled={!tid || busy}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="To 11, win by 2" />
+                </Select.Trigger>
+                <Select.Content>
+                  {scoringProfileCollection.items.map((opt) => (
+                    <Select.Item key={opt.value} item={opt}>
+                      {opt.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+
+              <Box>
+                <Text fontSize="xs" opacity={0.7} mb={1}>
+                  Courts (optional)
+                </Text>
+                <Input
+                  w="90px"
+                  inputMode="numeric"
+                  value={courtCount}
+                  onChange={(e) => setCourtCount(e.target.value)}
+                />
+              </Box>
+
+              <Button
+                variant="outline"
+                onClick={startLadder}
+                disabled={!tid || busy}
+              >
+                <Play size={16} style={{ marginRight: 8 }} />
+                {state.rounds.length ? "Restart Ladder" : "Start Ladder"}
+              </Button>
+
+              <Button
+                variant="pickle"
+                onClick={nextRound}
+                disabled={!tid || busy || !state.roundComplete}
+              >
+                <ChevronsUp size={16} style={{ marginRight: 8 }} />
+                Next Round
+              </Button>
+            </HStack>
+          </Box>
+
+          {loading && state.rounds.length === 0 ? <Text>Loading…</Text> : null}
+
+          {state.rounds.length > 0 ? (
+            <Box>
+              <Heading size="sm" mb={3}>
+                Ladder Standings
+              </Heading>
+              <LadderStandingsTable
+                standings={state.standings}
+                entrantLabel={splitPartners ? "Player" : "Team"}
+              />
+            </Box>
+          ) : null}
+
+          {roundsNewestFirst.map((r) => {
+            const locked = r.round !== state.currentRound;
+            return (
+              <Box key={r.round} opacity={locked ? 0.75 : 1}>
+                <HStack mb={3} gap={3} wrap="wrap">
+                  <Heading size="sm">Round {r.round}</Heading>
+                  {r.sitOuts.length ? (
+                    <Text fontSize="sm" opacity={0.75}>
+                      Sitting out: {sitOutLabel(r.sitOuts)}
+                    </Text>
+                  ) : null}
+                </HStack>
+
+                <SimpleGrid columns={{ base: 1, md: 2 }} gap={3}>
+                  {r.matches.map((m) => {
+                    const row = rows[m.id] || { scoreA: "", scoreB: "" };
+                    const completed = m.status === "completed";
+                    return (
+                      <Box
+                        key={m.id}
+                        border="1px solid"
+                        borderColor="border"
+                        borderRadius="2xl"
+                        p={4}
+                        bg="white"
+                      >
+                        <HStack justify="space-between" mb={2}>
+                          <Text fontWeight="700">Court {m.court}</Text>
+                          <Badge variant={completed ? "club" : "outline"}>
+                            {completed ? "Completed" : "Pending"}
+                          </Badge>
+                        </HStack>
+
+                        <HStack gap={2} align="end">
+                          <Box flex="1">
+                            <Text fontSize="xs" opacity={0.7} mb={1}>
+                              {sideLabel(m.teamA)}
+                            </Text>
+                            <Input
+                              inputMode="numeric"
+                              value={row.scoreA}
+                              onChange={(e) =>
+                                setScore(m.id, "scoreA", e.target.value)
+                              }
+                              disabled={locked}
+                            />
+                          </Box>
+                          <Box flex="1">
+                            <Text fontSize="xs" opacity={0.7} mb={1}>
+                              {sideLabel(m.teamB)}
+                            </Text>
+                            <Input
+                              inputMode="numeric"
+                              value={row.scoreB}
+                              onChange={(e) =>
+                                setScore(m.id, "scoreB", e.target.value)
+                              }
+                              disabled={locked}
+                            />
+                          </Box>
+                        </HStack>
+
+                        {!locked ? (
+                          <HStack mt={3} gap={2}>
+                            <Button
+                              size="sm"
+                              variant="pickle"
+                              onClick={() => saveScore(m.id)}
+                              disabled={busy}
+                            >
+                              Save
+                            </Button>
+                            {completed ? (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => saveScore(m.id, true)}
+                                disabled={busy}
+                              >
+                                Clear
+                              </Button>
+                            ) : null}
+                          </HStack>
+                        ) : null}
+
+                        {row.error ? (
+                          <Text mt={2} fontSize="sm" color="red.600">
+                            {row.error}
+                          </Text>
+                        ) : null}
+                      </Box>
+                    );
+                  })}
+                </SimpleGrid>
+              </Box>
+            );
+          })}
+        </Stack>
+      </Container>
+    </Box>
+  );
+}
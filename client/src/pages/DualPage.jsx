@@ -0,0 +1,756 @@
+// client/src/pages/DualPage.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  SimpleGrid,
+  Stack,
+  Table,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+import { ClipboardList, Home, RotateCcw, Shuffle } from "lucide-react";
+import { getCurrentTournamentId } from "../tournamentStore";
+import { API_BASE } from "../apiBase";
+import StickyPageHeader from "../components/StickyPageHeader";
+import usePageTitle from "../hooks/usePageTitle";
+import { scoringProfileCollection } from "../scoringProfiles";
+
+const GENDER_SHORT = { male: "M", female: "W" };
+
+function normalizeScoreInput(v) {
+  if (v === "" || v === null || v === undefined) return "";
+  return String(v);
+}
+
+function emptyLineup(games) {
+  const lineup = {};
+  for (const g of games) lineup[g.key] = Array(g.size).fill("");
+  return lineup;
+}
+
+function PlayerSelect({ players, value, onChange, placeholder, disabled }) {
+  const collection = useMemo(
+    () =>
+      createListCollection({
+        items: players.map((p) => ({
+          value: p.id,
+          label: `${p.name} (${GENDER_SHORT[p.gender] ?? "?"})`,
+        })),
+      }),
+    [players]
+  );
+
+  return (
+    <Select.Root
+      collection={collection}
+      value={value ? [value] : []}
+      onValueChange={(d) => onChange(d.value?.[0] ?? "")}
+      size="sm"
+      width="190px"
+      disabled={disabled}
+    >
+      <Select.Trigger>
+        <Select.ValueText placeholder={placeholder} />
+      </Select.Trigger>
+      <Select.Content>
+        {collection.items.map((item) => (
+          <Select.Item key={item.value} item={item}>
+            {item.label}
+          </Select.Item>
+        ))}
+      </Select.Content>
+    </Select.Root>
+  );
+}
+
+function DualStandingsTable({ standings }) {
+  return (
+    <Table.Root size="sm" variant="outline">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeader>#</Table.ColumnHeader>
+          <Table.ColumnHeader>Team</Table.ColumnHeader>
+          <Table.ColumnHeader>W</Table.ColumnHeader>
+          <Table.ColumnHeader>L</Table.ColumnHeader>
+          <Table.ColumnHeader>Games</Table.ColumnHeader>
+          <Table.ColumnHeader>GD</Table.ColumnHeader>
+          <Table.ColumnHeader>PD</Table.ColumnHeader>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {standings.map((s, idx) => (
+          <Table.Row key={s.teamId}>
+            <Table.Cell>{idx + 1}</Table.Cell>
+            <Table.Cell fontWeight="600">{s.name}</Table.Cell>
+            <Table.Cell>{s.wins}</Table.Cell>
+            <Table.Cell>{s.losses}</Table.Cell>
+            <Table.Cell>
+              {s.gamesWon}-{s.gamesLost}
+            </Table.Cell>
+            <Table.Cell>{s.gameDiff}</Table.Cell>
+            <Table.Cell>{s.pointDiff}</Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
+export default function DualPage({ user }) {
+  usePageTitle("Team Duals");
+  const navigate = useNavigate();
+  const tid = getCurrentTournamentId();
+  const isAdmin = user?.role === "admin";
+
+  const [state, setState] = useState({
+    games: [],
+    teams: [],
+    fixtures: [],
+    standings: [],
+  });
+  const [players, setPlayers] = useState([]);
+  const [rows, setRows] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [scoringProfile, setScoringProfile] = useState("to_11");
+
+  // roster form: editingTeamId null = new team
+  const [editingTeamId, setEditingTeamId] = useState(null);
+  const [teamName, setTeamName] = useState("");
+  const [rosterIds, setRosterIds] = useState([]);
+  const [captainId, setCaptainId] = useState("");
+
+  // lineup being edited: { fixtureId, teamId, lineup }
+  const [lineupDraft, setLineupDraft] = useState(null);
+
+  function withTid(path) {
+    const base = (API_BASE || "").replace(/\/$/, "");
+    const p = String(path || "").startsWith("/") ? path : `/${path}`;
+
+    const u = base
+      ? new URL(`${base}${p}`)
+      : new URL(p, window.location.origin);
+
+    if (tid) u.searchParams.set("tournamentId", tid);
+    return u.toString();
+  }
+
+  function applyState(data) {
+    setState({
+      games: data?.games || [],
+      teams: data?.teams || [],
+      fixtures: data?.fixtures || [],
+      standings: data?.standings || [],
+    });
+
+    const next = {};
+    for (const f of data?.fixtures || []) {
+      for (const g of f.games) {
+        next[`${f.id}:${g.number}`] = {
+          scoreA: normalizeScoreInput(g.scoreA),
+          scoreB: normalizeScoreInput(g.scoreB),
+          error: "",
+        };
+      }
+    }
+    setRows(next);
+  }
+
+  async function fetchState() {
+    setError("");
+    setLoading(true);
+    try {
+      if (!tid) throw new Error("No tournament selected.");
+      const [res, playersRes] = await Promise.all([
+        fetch(withTid("/api/dual/state"), { credentials: "include" }),
+        fetch(`${API_BASE}/api/tournaments/${tid}/players`),
+      ]);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to load dual event");
+      const playerList = await playersRes.json().catch(() => []);
+      applyState(data);
+      setPlayers(Array.isArray(playerList) ? playerList : []);
+      if (data?.scoring?.games?.profile) {
+        setScoringProfile(data.scoring.games.profile);
+      }
+    } catch (e) {
+      setError(e?.message || "Error connecting to backend");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchState();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tid]);
+
+  async function send(path, method, body, fallbackError) {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch(withTid(path), {
+        method,
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body ?? {}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || fallbackError);
+      applyState(data);
+      return true;
+    } catch (e) {
+      setError(e?.message || fallbackError);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const teamById = useMemo(
+    () => new Map(state.teams.map((t) => [t.id, t])),
+    [state.teams]
+  );
+
+  const nameByPlayerId = useMemo(() => {
+    const names = new Map(players.map((p) => [String(p.id), p.name]));
+    for (const t of state.teams) {
+      for (const p of t.roster) names.set(p.id, p.name);
+    }
+    return names;
+  }, [players, state.teams]);
+
+  function namesOf(ids) {
+    return (ids ?? []).map((id) => nameByPlayerId.get(id) ?? "?").join(" / ");
+  }
+
+  /* ---------------- rosters ---------------- */
+
+  // players who are free to join the team being edited
+  const rosterChoices = useMemo(() => {
+    const taken = new Set(
+      state.teams
+        .filter((t) => t.id !== editingTeamId)
+        .flatMap((t) => t.roster.map((p) => p.id))
+    );
+    return players
+      .map((p) => ({ ...p, id: String(p.id) }))
+      .filter((p) => !taken.has(p.id));
+  }, [players, state.teams, editingTeamId]);
+
+  const captainChoices = useMemo(
+    () => rosterChoices.filter((p) => rosterIds.includes(p.id)),
+    [rosterChoices, rosterIds]
+  );
+
+  function resetRosterForm() {
+    setEditingTeamId(null);
+    setTeamName("");
+    setRosterIds([]);
+    setCaptainId("");
+  }
+
+  function editTeam(team) {
+    setEditingTeamId(team.id);
+    setTeamName(team.name);
+    setRosterIds(team.roster.map((p) => p.id));
+    setCaptainId(team.captainPlayerId ?? "");
+  }
+
+  function toggleRosterPlayer(id) {
+    setRosterIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+    if (captainId === id) setCaptainId("");
+  }
+
+  async function saveTeam() {
+    const body = {
+      name: teamName,
+      playerIds: rosterIds,
+      captainPlayerId: captainId || null,
+    };
+    const ok = editingTeamId
+      ? await send(
+          `/api/dual/teams/${editingTeamId}`,
+          "PUT",
+          body,
+          "Failed to save team"
+        )
+      : await send("/api/dual/teams", "POST", body, "Failed to create team");
+    if (ok) resetRosterForm();
+  }
+
+  async function generateFixtures() {
+    if (
+      state.fixtures.length > 0 &&
+      !window.confirm(
+        "Replace the current fixtures and clear all scores and lineups?"
+      )
+    )
+      return;
+    await send(
+      "/api/dual/generate",
+      "POST",
+      { scoringProfile },
+      "Failed to generate fixtures"
+    );
+  }
+
+  /* ---------------- lineups ---------------- */
+
+  function openLineup(fixture, teamId) {
+    const current =
+      teamId === fixture.teamAId ? fixture.lineupA : fixture.lineupB;
+    const lineup = emptyLineup(state.games);
+    for (const g of state.games) {
+      if (current?.[g.key]) lineup[g.key] = [...current[g.key]];
+    }
+    setLineupDraft({ fixtureId: fixture.id, teamId, lineup });
+  }
+
+  function setLineupSlot(key, index, playerId) {
+    setLineupDraft((prev) => {
+      const slots = [...prev.lineup[key]];
+      slots[index] = playerId;
+      return { ...prev, lineup: { ...prev.lineup, [key]: slots } };
+    });
+  }
+
+  async function submitLineup() {
+    const { fixtureId, teamId, lineup } = lineupDraft;
+    const ok = await send(
+      `/api/dual/fixtures/${encodeURIComponent(fixtureId)}/lineup`,
+      "PUT",
+      { teamId, ...lineup },
+      "Failed to submit lineup"
+    );
+    if (ok) setLineupDraft(null);
+  }
+
+  function slotPlayers(roster, key) {
+    if (key === "womens") return roster.filter((p) => p.gender === "female");
+    if (key === "mens") return roster.filter((p) => p.gender === "male");
+    return roster;
+  }
+
+  /* ---------------- scores ---------------- */
+
+  function setScore(key, field, value) {
+    setRows((prev) => ({
+      ...prev,
+      [key]: { ...prev[key], [field]: value, error: "" },
+    }));
+  }
+
+  async function saveScore(fixtureId, gameNumber, clear = false) {
+    const key = `${fixtureId}:${gameNumber}`;
+    const row = rows[key] || {};
+    setBusy(true);
+    try {
+      const res = await fetch(
+        withTid(
+          `/api/dual/fixtures/${encodeURIComponent(
+            fixtureId
+          )}/games/${gameNumber}/score`
+        ),
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify(
+            clear ? { clear: true } : { scoreA: row.scoreA, scoreB: row.scoreB }
+          ),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to save score");
+      applyState(data);
+    } catch (e) {
+      setRows((prev) => ({
+        ...prev,
+        [key]: { ...prev[key], error: e?.message || "Failed to save score" },
+      }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function renderLineupEditor(fixture) {
+    const team = teamById.get(lineupDraft.teamId);
+    const roster = team?.roster ?? [];
+    return (
+      <Box mt={3} p={3} borderRadius="lg" bg="bg.subtle">
+        <Text fontWeight="700" mb={2}>
+          {team?.name} lineup
+        </Text>
+        <Stack gap={2}>
+          {state.games.map((g) => (
+            <HStack key={g.key} gap={2} wrap="wrap">
+              <Text fontSize="sm" w="130px">
+                {g.label}
+              </Text>
+              {lineupDraft.lineup[g.key].map((playerId, i) => (
+                <PlayerSelect
+                  key={i}
+                  players={slotPlayers(roster, g.key)}
+                  value={playerId}
+                  onChange={(v) => setLineupSlot(g.key, i, v)}
+                  placeholder={
+                    g.key === "dreambreaker" ? `Server ${i + 1}` : "Player"
+                  }
+                  disabled={busy}
+                />
+              ))}
+            </HStack>
+          ))}
+        </Stack>
+        <HStack mt={3} gap={2}>
+          <Button size="sm" variant="pickle" onClick={submitLineup} disabled={busy}>
+            Submit lineup
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => setLineupDraft(null)}
+            disabled={busy}
+          >
+            Cancel
+          </Button>
+        </HStack>
+        <Text mt={2} fontSize="xs" opacity={0.7}>
+          Lineups for {fixture.id} stay hidden from the other captain until
+          both are in, and lock once the first game is scored.
+        </Text>
+      </Box>
+    );
+  }
+
+  function renderFixture(f) {
+    const teamA = teamById.get(f.teamAId);
+    const teamB = teamById.get(f.teamBId);
+    const started = f.games.some((g) => g.scoreA != null);
+    const bothIn = f.lineupASubmitted && f.lineupBSubmitted;
+    const canScore = isAdmin || teamA?.isCaptain || teamB?.isCaptain;
+    const completed = f.status === "completed";
+
+    const lineupButton = (team, submitted) =>
+      !started && (isAdmin || team?.isCaptain) ? (
+        <Button
+          size="xs"
+          variant="outline"
+          onClick={() => openLineup(f, team.id)}
+          disabled={busy}
+        >
+          <ClipboardList size={14} style={{ marginRight: 6 }} />
+          {submitted ? "Edit lineup" : "Submit lineup"}
+        </Button>
+      ) : null;
+
+    return (
+      <Box
+        key={f.id}
+        border="1px solid"
+        borderColor="border"
+        borderRadius="2xl"
+        p={4}
+        bg="white"
+      >
+        <HStack justify="space-between" mb={2} wrap="wrap">
+          <Text fontWeight="700">
+            {teamA?.name ?? "Team"} vs {teamB?.name ?? "Team"}
+          </Text>
+          <HStack gap={2}>
+            {f.scoreA != null ? (
+              <Badge variant="pickle">
+                {f.scoreA}-{f.scoreB}
+              </Badge>
+            ) : null}
+            <Badge variant={completed ? "club" : "outline"}>
+              {completed ? "Completed" : `Round ${f.round}`}
+            </Badge>
+          </HStack>
+        </HStack>
+
+        <HStack gap={3} wrap="wrap" mb={2}>
+          <Text fontSize="xs" opacity={0.75}>
+            {teamA?.name}: {f.lineupASubmitted ? "lineup in" : "no lineup yet"}
+          </Text>
+          {lineupButton(teamA, f.lineupASubmitted)}
+          <Text fontSize="xs" opacity={0.75}>
+            {teamB?.name}: {f.lineupBSubmitted ? "lineup in" : "no lineup yet"}
+          </Text>
+          {lineupButton(teamB, f.lineupBSubmitted)}
+        </HStack>
+
+        {lineupDraft?.fixtureId === f.id ? renderLineupEditor(f) : null}
+
+        <Stack gap={2} mt={2}>
+          {f.games
+            .filter(
+              (g) =>
+                g.key !== "dreambreaker" || f.needsDreamBreaker || g.scoreA != null
+            )
+            .map((g) => {
+              const key = `${f.id}:${g.number}`;
+              const row = rows[key] || { scoreA: "", scoreB: "" };
+              const scored = g.scoreA != null;
+              return (
+                <Box key={g.key}>
+                  <HStack gap={2} align="end" wrap="wrap">
+                    <Box w="150px">
+                      <Text fontSize="sm" fontWeight="600">
+                        {g.label}
+                      </Text>
+                      {f.lineupA || f.lineupB ? (
+                        <Text fontSize="xs" opacity={0.7}>
+                          {f.lineupA ? namesOf(f.lineupA[g.key]) : "?"} vs{" "}
+                          {f.lineupB ? namesOf(f.lineupB[g.key]) : "?"}
+                        </Text>
+                      ) : null}
+                    </Box>
+                    <Input
+                      w="70px"
+                      size="sm"
+                      inputMode="numeric"
+                      value={row.scoreA}
+                      onChange={(e) => setScore(key, "scoreA", e.target.value)}
+                      disabled={!canScore || !bothIn}
+                    />
+                    <Input
+                      w="70px"
+                      size="sm"
+                      inputMode="numeric"
+                      value={row.scoreB}
+                      onChange={(e) => setScore(key, "scoreB", e.target.value)}
+                      disabled={!canScore || !bothIn}
+                    />
+                    {canScore ? (
+                      <Button
+                        size="sm"
+                        variant="pickle"
+                        onClick={() => saveScore(f.id, g.number)}
+                        disabled={busy || !bothIn}
+                      >
+                        Save
+                      </Button>
+                    ) : null}
+                    {canScore && scored ? (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => saveScore(f.id, g.number, true)}
+                        disabled={busy}
+                      >
+                        Clear
+                      </Button>
+                    ) : null}
+                  </HStack>
+                  {row.error ? (
+                    <Text mt={1} fontSize="sm" color="red.600">
+                      {row.error}
+                    </Text>
+                  ) : null}
+                </Box>
+              );
+            })}
+        </Stack>
+      </Box>
+    );
+  }
+
+  const rounds = [...new Set(state.fixtures.map((f) => f.round))];
+
+  return (
+    <Box>
+      <StickyPageHeader>
+        <HStack gap={3} wrap="wrap">
+          <IconButton
+            aria-label="Home"
+            variant="outline"
+            onClick={() => navigate("/")}
+          >
+            <Home size={18} />
+          </IconButton>
+
+          <Heading size={{ base: "md", md: "lg" }} flex="1" minW={0}>
+            Team Duals
+          </Heading>
+
+          <Button size="sm" variant="outline" onClick={fetchState}>
+            <RotateCcw size={16} style={{ marginRight: 8 }} />
+            Refresh
+          </Button>
+        </HStack>
+      </StickyPageHeader>
+
+      <Container maxW="6xl" pt={{ base: 6, md: 10 }} px={{ base: 4, md: 6 }}>
+        <Stack gap={6}>
+          {error ? (
+            <Box
+              border="1px solid"
+              borderColor="red.200"
+              bg="red.50"
+              p={3}
+              borderRadius="lg"
+            >
+              <Text color="red.700" fontSize="sm">
+                {error}
+              </Text>
+            </Box>
+          ) : null}
+
+          <Box border="1px solid" borderColor="border" borderRadius="2xl" p={4}>
+            <Text fontSize="sm" opacity={0.8} mb={3}>
+              Teams of four or more (at least 2 men and 2 women) play fixtures
+              of women&apos;s doubles, men&apos;s doubles and two mixed games,
+              with a DreamBreaker when it&apos;s 2-2. Captains submit a lineup
+              for each fixture.
+            </Text>
+
+            <Stack gap={3}>
+              {state.teams.map((t) => (
+                <HStack key={t.id} gap={2} wrap="wrap">
+                  <Text fontWeight="700">{t.name}</Text>
+                  {t.roster.map((p) => (
+                    <Badge
+                      key={p.id}
+                      variant={p.id === t.captainPlayerId ? "pickle" : "outline"}
+                    >
+                      {p.name} ({GENDER_SHORT[p.gender] ?? "?"})
+                      {p.id === t.captainPlayerId ? " · C" : ""}
+                    </Badge>
+                  ))}
+                  {isAdmin ? (
+                    <Button
+                      size="xs"
+                      variant="outline"
+                      onClick={() => editTeam(t)}
+                      disabled={busy}
+                    >
+                      Edit
+                    </Button>
+                  ) : null}
+                </HStack>
+              ))}
+
+              {isAdmin ? (
+                <Box borderTop="1px solid" borderColor="border" pt={3}>
+                  <Text fontSize="sm" fontWeight="600" mb={2}>
+                    {editingTeamId ? "Edit team" : "New team"}
+                  </Text>
+                  <HStack gap={2} wrap="wrap" mb={2}>
+                    {rosterChoices.map((p) => (
+                      <Button
+                        key={p.id}
+                        size="xs"
+                        variant={rosterIds.includes(p.id) ? "pickle" : "outline"}
+                        onClick={() => toggleRosterPlayer(p.id)}
+                      >
+                        {p.name} ({GENDER_SHORT[p.gender] ?? "?"})
+                      </Button>
+                    ))}
+                  </HStack>
+                  <HStack gap={2} wrap="wrap">
+                    <Input
+                      placeholder="Team name"
+                      value={teamName}
+                      onChange={(e) => setTeamName(e.target.value)}
+                      width="220px"
+                    />
+                    <PlayerSelect
+                      players={captainChoices}
+                      value={captainId}
+                      onChange={setCaptainId}
+                      placeholder="Captain"
+                      disabled={busy}
+                    />
+                    <Button
+                      variant="pickle"
+                      onClick={saveTeam}
+                      disabled={busy || !teamName.trim() || rosterIds.length < 4}
+                    >
+                      {editingTeamId ? "Save team" : "Add team"}
+                    </Button>
+                    {editingTeamId ? (
+                      <Button variant="outline" onClick={resetRosterForm}>
+                        Cancel
+                      </Button>
+                    ) : null}
+                  </HStack>
+                </Box>
+              ) : null}
+
+              {isAdmin ? (
+                <HStack gap={3} wrap="wrap" align="end">
+                  <Select.Root
+                    collection={scoringProfileCollection}
+                    value={[scoringProfile]}
+                    onValueChange={(d) =>
+                      setScoringProfile(d.value?.[0] ?? "to_11")
+                    }
+                    width="230px"
+                    disabled={!tid || busy}
+                  >
+                    <Select.Trigger>
+                      <Select.ValueText placeholder="To 11, win by 2" />
+                    </Select.Trigger>
+                    <Select.Content>
+                      {scoringProfileCollection.items.map((opt) => (
+                        <Select.Item key={opt.value} item={opt}>
+                          {opt.label}
+                        </Select.Item>
+                      ))}
+                    </Select.Content>
+                  </Select.Root>
+                  <Button
+                    variant="pickle"
+                    onClick={generateFixtures}
+                    disabled={!tid || busy || state.teams.length < 2}
+                  >
+                    <Shuffle size={16} style={{ marginRight: 8 }} />
+                    Generate Fixtures
+                  </Button>
+                </HStack>
+              ) : null}
+            </Stack>
+          </Box>
+
+          {loading && state.fixtures.length === 0 ? <Text>Loading…</Text> : null}
+
+          {state.fixtures.length > 0 ? (
+            <Box>
+              <Heading size="sm" mb={3}>
+                Standings
+              </Heading>
+              <DualStandingsTable standings={state.standings} />
+            </Box>
+          ) : null}
+
+          {rounds.map((round) => (
+            <Box key={round}>
+              <Heading size="sm" mb={3}>
+                Round {round}
+              </Heading>
+              <SimpleGrid columns={{ base: 1, lg: 2 }} gap={3}>
+                {state.fixtures
+                  .filter((f) => f.round === round)
+                  .map((f) => renderFixture(f))}
+              </SimpleGrid>
+            </Box>
+          ))}
+        </Stack>
+      </Container>
+    </Box>
+  );
+}
@@ -0,0 +1,446 @@
+// client/src/pages/LadderPage.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  Stack,
+  Table,
+  Text,
+  createListCollection,
+} from "@chakra-ui/react";
+import { ArrowLeft, Home, RotateCcw, Swords, UserPlus } from "lucide-react";
+import { API_BASE } from "../apiBase";
+import { getCurrentTournamentId } from "../tournamentStore";
+import StickyPageHeader from "../components/StickyPageHeader";
+import usePageTitle from "../hooks/usePageTitle";
+
+function fmtDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+function historyText(h) {
+  const team = h.teamName ?? "A team";
+  const opp = h.opponentName ?? "another team";
+  if (h.event === "joined") return `${team} joined. ${h.note ?? ""}`;
+  if (h.event === "left") return `${team} left. ${h.note ?? ""}`;
+  if (h.event === "challenged") return `${team} challenged ${opp}.`;
+  if (h.event === "accepted") return `${team} accepted ${opp}'s challenge.`;
+  if (h.event === "cancelled") return `${team} vs ${opp} was cancelled.`;
+  if (h.event === "expired") return `${team} vs ${opp} expired. ${h.note ?? ""}`;
+  if (h.event === "result") return `${team} beat ${opp} ${h.note ?? ""}.`;
+  if (h.event === "swap") return `${team} swapped with ${opp}. ${h.note ?? ""}`;
+  return h.note ?? h.event;
+}
+
+export default function LadderPage({ user }) {
+  usePageTitle("Ladder");
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const tid = getCurrentTournamentId();
+  const isAdmin = user?.role === "admin";
+
+  const [data, setData] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const [challengerId, setChallengerId] = useState("");
+  const [defenderId, setDefenderId] = useState("");
+  const [scores, setScores] = useState({});
+
+  async function loadLadder() {
+    setError("");
+    try {
+      const [res, histRes] = await Promise.all([
+        fetch(`${API_BASE}/api/ladders/${id}`, { credentials: "include" }),
+        fetch(`${API_BASE}/api/ladders/${id}/history`, {
+          credentials: "include",
+        }),
+      ]);
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body?.error || `HTTP ${res.status}`);
+      const hist = await histRes.json().catch(() => ({}));
+      setData(body);
+      setHistory(hist?.history || []);
+    } catch (err) {
+      console.error(err);
+      setError(err?.message || "Could not load ladder.");
+    }
+  }
+
+  useEffect(() => {
+    if (id) loadLadder();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  async function post(path, body, fallbackError) {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch(`${API_BASE}/api/ladders/${id}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body ?? {}),
+      });
+      const out = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(out?.error || fallbackError);
+      await loadLadder();
+      return true;
+    } catch (err) {
+      setError(err?.message || fallbackError);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const rungs = useMemo(() => data?.rungs || [], [data]);
+
+  const teamCollection = useMemo(
+    () =>
+      createListCollection({
+        items: rungs.map((r) => ({
+          value: String(r.teamId),
+          label: `#${r.position} ${r.teamName}`,
+        })),
+      }),
+    [rungs]
+  );
+
+  async function issueChallenge() {
+    const ok = await post(
+      "/challenges",
+      { challengerTeamId: challengerId, defenderTeamId: defenderId },
+      "Failed to issue challenge"
+    );
+    if (ok) setDefenderId("");
+  }
+
+  function reportResult(c) {
+    const row = scores[c.id] || {};
+    post(
+      `/challenges/${c.id}/result`,
+      { scoreChallenger: row.challenger, scoreDefender: row.defender },
+      "Failed to report result"
+    );
+  }
+
+  function setScore(challengeId, key, value) {
+    setScores((prev) => ({
+      ...prev,
+      [challengeId]: { ...prev[challengeId], [key]: value },
+    }));
+  }
+
+  const ladder = data?.ladder;
+
+  return (
+    <Box bg="cream.50" minH="calc(100vh - 64px)" pb={{ base: 10, md: 12 }}>
+      <StickyPageHeader>
+        <HStack gap={3} wrap="wrap">
+          <IconButton
+            aria-label="Home"
+            variant="outline"
+            onClick={() => navigate("/")}
+          >
+            <Home size={18} />
+          </IconButton>
+
+          <Heading size="lg" letterSpacing="-0.02em" flex="1" minW={0}>
+            {ladder?.name ?? "Ladder"}
+          </Heading>
+
+          <Button size="sm" variant="outline" onClick={loadLadder}>
+            <RotateCcw size={16} style={{ marginRight: 8 }} />
+            Refresh
+          </Button>
+
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => navigate("/ladders")}
+          >
+            <ArrowLeft size={16} style={{ marginRight: 8 }} />
+            Ladders
+          </Button>
+        </HStack>
+      </StickyPageHeader>
+
+      <Container maxW="4xl" pt={{ base: 6, md: 10 }} px={{ base: 4, md: 6 }}>
+        <Stack gap={6}>
+          {error ? (
+            <Box
+              border="1px solid"
+              borderColor="red.200"
+              bg="red.50"
+              p={3}
+              borderRadius="lg"
+            >
+              <Text color="red.700" fontSize="sm">
+                {error}
+              </Text>
+            </Box>
+          ) : null}
+
+          {ladder ? (
+            <Text fontSize="sm" opacity={0.8}>
+              Challenge up to {ladder.maxChallengeRungs} rungs above you.
+              Challenges must be accepted within {ladder.responseDays} days and
+              played within {ladder.playDays} days. Win and you swap places.
+              {ladder.scoringRules
+                ? ` Scoring: ${ladder.scoringRules.label}.`
+                : ""}
+            </Text>
+          ) : null}
+
+          <Box>
+            <HStack justify="space-between" mb={3} wrap="wrap">
+              <Heading size="sm">Standings</Heading>
+              {isAdmin && tid ? (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() =>
+                    post(
+                      "/teams",
+                      { tournamentId: tid },
+                      "Failed to add teams"
+                    )
+                  }
+                  disabled={busy}
+                >
+                  <UserPlus size={16} style={{ marginRight: 8 }} />
+                  Add teams from current tournament
+                </Button>
+              ) : null}
+            </HStack>
+
+            {rungs.length === 0 ? (
+              <Text opacity={0.7}>No teams on this ladder yet.</Text>
+            ) : (
+              <Table.Root size="sm" variant="outline">
+                <Table.Header>
+                  <Table.Row>
+                    <Table.ColumnHeader>Rung</Table.ColumnHeader>
+                    <Table.ColumnHeader>Team</Table.ColumnHeader>
+                    <Table.ColumnHeader>Wins</Table.ColumnHeader>
+                    <Table.ColumnHeader>Losses</Table.ColumnHeader>
+                  </Table.Row>
+                </Table.Header>
+                <Table.Body>
+                  {rungs.map((r) => (
+                    <Table.Row key={r.teamId}>
+                      <Table.Cell>{r.position}</Table.Cell>
+                      <Table.Cell fontWeight="600">{r.teamName}</Table.Cell>
+                      <Table.Cell>{r.wins}</Table.Cell>
+                      <Table.Cell>{r.losses}</Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table.Root>
+            )}
+          </Box>
+
+          {user && rungs.length > 1 ? (
+            <Box
+              border="1px solid"
+              borderColor="border"
+              borderRadius="2xl"
+              p={4}
+              bg="white"
+            >
+              <Heading size="sm" mb={3}>
+                Issue a challenge
+              </Heading>
+              <HStack gap={3} wrap="wrap">
+                <Select.Root
+                  collection={teamCollection}
+                  value={challengerId ? [challengerId] : []}
+                  onValueChange={(d) => setChallengerId(d.value?.[0] ?? "")}
+                  width="220px"
+                  disabled={busy}
+                >
+                  <Select.Trigger>
+                    <Select.ValueText placeholder="Your team" />
+                  </Select.Trigger>
+                  <Select.Content>
+                    {teamCollection.items.map((opt) => (
+                      <Select.Item key={opt.value} item={opt}>
+                        {opt.label}
+                      </Select.Item>
+                    ))}
+                  </Select.Content>
+                </Select.Root>
+
+                <Select.Root
+                  collection={teamCollection}
+                  value={defenderId ? [defenderId] : []}
+                  onValueChange={(d) => setDefenderId(d.value?.[0] ?? "")}
+                  width="220px"
+                  disabled={busy}
+                >
+                  <Select.Trigger>
+                    <Select.ValueText placeholder="Team to challenge" />
+                  </Select.Trigger>
+                  <Select.Content>
+                    {teamCollection.items.map((opt) => (
+                      <Select.Item key={opt.value} item={opt}>
+                        {opt.label}
+                      </Select.Item>
+                    ))}
+                  </Select.Content>
+                </Select.Root>
+
+                <Button
+                  variant="pickle"
+                  onClick={issueChallenge}
+                  disabled={busy || !challengerId || !defenderId}
+                >
+                  <Swords size={16} style={{ marginRight: 8 }} />
+                  Challenge
+                </Button>
+              </HStack>
+            </Box>
+          ) : null}
+
+          <Box>
+            <Heading size="sm" mb={3}>
+              Open challenges
+            </Heading>
+            {(data?.openChallenges || []).length === 0 ? (
+              <Text opacity={0.7}>No open challenges.</Text>
+            ) : (
+              <Stack gap={3}>
+                {data.openChallenges.map((c) => (
+                  <Box
+                    key={c.id}
+                    border="1px solid"
+                    borderColor="border"
+                    borderRadius="2xl"
+                    p={4}
+                    bg="white"
+                  >
+                    <HStack justify="space-between" wrap="wrap" mb={2}>
+                      <Text fontWeight="700">
+                        {c.challengerName} → {c.defenderName}
+                      </Text>
+                      <Badge variant={c.status === "accepted" ? "pickle" : "outline"}>
+                        {c.status === "accepted"
+                          ? `Play by ${fmtDate(c.playBy)}`
+                          : `Respond by ${fmtDate(c.respondBy)}`}
+                      </Badge>
+                    </HStack>
+
+                    {user ? (
+                      <HStack gap={2} wrap="wrap" align="end">
+                        {c.status === "pending" ? (
+                          <Button
+                            size="sm"
+                            variant="pickle"
+                            onClick={() =>
+                              post(
+                                `/challenges/${c.id}/accept`,
+                                {},
+                                "Failed to accept challenge"
+                              )
+                            }
+                            disabled={busy}
+                          >
+                            Accept
+                          </Button>
+                        ) : (
+                          <>
+                            <Box>
+                              <Text fontSize="xs" opacity={0.7} mb={1}>
+                                {c.challengerName}
+                              </Text>
+                              <Input
+                                w="90px"
+                                inputMode="numeric"
+                                value={scores[c.id]?.challenger ?? ""}
+                                onChange={(e) =>
+                                  setScore(c.id, "challenger", e.target.value)
+                                }
+                              />
+                            </Box>
+                            <Box>
+                              <Text fontSize="xs" opacity={0.7} mb={1}>
+                                {c.defenderName}
+                              </Text>
+                              <Input
+                                w="90px"
+                                inputMode="numeric"
+                                value={scores[c.id]?.defender ?? ""}
+                                onChange={(e) =>
+                                  setScore(c.id, "defender", e.target.value)
+                                }
+                              />
+                            </Box>
+                            <Button
+                              size="sm"
+                              variant="pickle"
+                              onClick={() => reportResult(c)}
+                              disabled={busy}
+                            >
+                              Report result
+                            </Button>
+                          </>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() =>
+                            post(
+                              `/challenges/${c.id}/cancel`,
+                              {},
+                              "Failed to cancel challenge"
+                            )
+                          }
+                          disabled={busy}
+                        >
+                          Cancel
+                        </Button>
+                      </HStack>
+                    ) : null}
+                  </Box>
+                ))}
+              </Stack>
+            )}
+          </Box>
+
+          <Box>
+            <Heading size="sm" mb={3}>
+              History
+            </Heading>
+            {history.length === 0 ? (
+              <Text opacity={0.7}>Nothing yet.</Text>
+            ) : (
+              <Stack gap={1}>
+                {history.map((h) => (
+                  <HStack key={h.id} gap={3} align="start">
+                    <Text fontSize="sm" opacity={0.6} minW="60px">
+                      {fmtDate(h.createdAt)}
+                    </Text>
+                    <Text fontSize="sm">{historyText(h)}</Text>
+                  </HStack>
+                ))}
+              </Stack>
+            )}
+          </Box>
+        </Stack>
+      </Container>
+    </Box>
+  );
+}
@@ -0,0 +1,215 @@
+// client/src/pages/LaddersPage.jsx
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  Stack,
+  Text,
+} from "@chakra-ui/react";
+import { ChevronRight, Home, Plus } from "lucide-react";
+import { API_BASE } from "../apiBase";
+import StickyPageHeader from "../components/StickyPageHeader";
+import usePageTitle from "../hooks/usePageTitle";
+import { scoringProfileCollection } from "../scoringProfiles";
+
+export default function LaddersPage({ user }) {
+  usePageTitle("Ladders");
+  const navigate = useNavigate();
+  const isAdmin = user?.role === "admin";
+
+  const [ladders, setLadders] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState("");
+
+  const [name, setName] = useState("");
+  const [maxChallengeRungs, setMaxChallengeRungs] = useState("3");
+  const [scoringProfile, setScoringProfile] = useState("to_11");
+  const [creating, setCreating] = useState(false);
+
+  async function loadLadders() {
+    setStatus("loading");
+    setError("");
+    try {
+      const res = await fetch(`${API_BASE}/api/ladders`, {
+        credentials: "include",
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      setLadders(Array.isArray(data) ? data : []);
+      setStatus("ok");
+    } catch (err) {
+      console.error(err);
+      setError(err?.message || "Could not load ladders.");
+      setStatus("error");
+    }
+  }
+
+  useEffect(() => {
+    loadLadders();
+  }, []);
+
+  async function createLadder() {
+    setCreating(true);
+    setError("");
+    try {
+      const res = await fetch(`${API_BASE}/api/ladders`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ name, maxChallengeRungs, scoringProfile }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to create ladder");
+      navigate(`/ladders/${data.id}`);
+    } catch (err) {
+      setError(err?.message || "Failed to create ladder");
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  return (
+    <Box bg="cream.50" minH="calc(100vh - 64px)" pb={{ base: 10, md: 12 }}>
+      <StickyPageHeader>
+        <HStack gap={3} wrap="wrap">
+          <IconButton
+            aria-label="Home"
+            variant="outline"
+            onClick={() => navigate("/")}
+          >
+            <Home size={18} />
+          </IconButton>
+
+          <Heading size="lg" letterSpacing="-0.02em">
+            Challenge Ladders
+          </Heading>
+
+          {status === "loading" ? (
+            <Badge variant="club">Loading…</Badge>
+          ) : null}
+        </HStack>
+      </StickyPageHeader>
+
+      <Container maxW="4xl" pt={{ base: 6, md: 10 }} px={{ base: 4, md: 6 }}>
+        <Stack gap={4}>
+          {error ? (
+            <Box
+              border="1px solid"
+              borderColor="red.200"
+              bg="red.50"
+              p={3}
+              borderRadius="lg"
+            >
+              <Text color="red.700" fontSize="sm">
+                {error}
+              </Text>
+            </Box>
+          ) : null}
+
+          {isAdmin ? (
+            <Box
+              border="1px solid"
+              borderColor="border"
+              borderRadius="2xl"
+              p={4}
+              bg="white"
+            >
+              <Heading size="sm" mb={3}>
+                New ladder
+              </Heading>
+              <HStack gap={3} wrap="wrap" align="end">
+                <Box flex="1" minW="200px">
+                  <Text fontSize="xs" opacity={0.7} mb={1}>
+                    Name
+                  </Text>
+                  <Input value={name} onChange={(e) => setName(e.target.value)} />
+                </Box>
+                <Box>
+                  <Text fontSize="xs" opacity={0.7} mb={1}>
+                    Max rungs up
+                  </Text>
+                  <Input
+                    w="100px"
+                    inputMode="numeric"
+                    value={maxChallengeRungs}
+                    onChange={(e) => setMaxChallengeRungs(e.target.value)}
+                  />
+                </Box>
+                <Box>
+                  <Text fontSize="xs" opacity={0.7} mb={1}>
+                    Scoring
+                  </Text>
+                  <Select.Root
+                    collection={scoringProfileCollection}
+                    value={[scoringProfile]}
+                    onValueChange={(d) =>
+                      setScoringProfile(d.value?.[0] ?? "to_11")
+                    }
+                    width="230px"
+                  >
+                    <Select.Trigger>
+                      <Select.ValueText placeholder="To 11, win by 2" />
+                    </Select.Trigger>
+                    <Select.Content>
+                      {scoringProfileCollection.items.map((opt) => (
+                        <Select.Item key={opt.value} item={opt}>
+                          {opt.label}
+                        </Select.Item>
+                      ))}
+                    </Select.Content>
+                  </Select.Root>
+                </Box>
+                <Button
+                  variant="pickle"
+                  onClick={createLadder}
+                  disabled={creating || !name.trim()}
+                >
+                  <Plus size={16} style={{ marginRight: 8 }} />
+                  Create
+                </Button>
+              </HStack>
+            </Box>
+          ) : null}
+
+          {status === "ok" && ladders.length === 0 ? (
+            <Text opacity={0.7}>No ladders yet.</Text>
+          ) : null}
+
+          {ladders.map((l) => (
+            <Box
+              key={l.id}
+              border="1px solid"
+              borderColor="border"
+              borderRadius="2xl"
+              p={4}
+              bg="white"
+              cursor="pointer"
+              onClick={() => navigate(`/ladders/${l.id}`)}
+            >
+              <HStack justify="space-between">
+                <Box>
+                  <Text fontWeight="700">{l.name}</Text>
+                  <Text fontSize="sm" opacity={0.75}>
+                    {l.teamCount} teams
+                  </Text>
+                </Box>
+                <HStack gap={2}>
+                  {!l.isPublic ? <Badge variant="outline">Private</Badge> : null}
+                  <ChevronRight size={18} />
+                </HStack>
+              </HStack>
+            </Box>
+          ))}
+        </Stack>
+      </Container>
+    </Box>
+  );
+}
@@ -0,0 +1,406 @@
+// client/src/pages/RotatingPage.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  Select,
+  SimpleGrid,
+  Stack,
+  Table,
+  Text,
+} from "@chakra-ui/react";
+import { Home, RotateCcw, Shuffle } from "lucide-react";
+import { getCurrentTournamentId } from "../tournamentStore";
+import { API_BASE } from "../apiBase";
+import StickyPageHeader from "../components/StickyPageHeader";
+import usePageTitle from "../hooks/usePageTitle";
+import { scoringProfileCollection } from "../scoringProfiles";
+
+function normalizeScoreInput(v) {
+  if (v === "" || v === null || v === undefined) return "";
+  return String(v);
+}
+
+function PlayerStandingsTable({ standings }) {
+  return (
+    <Table.Root size="sm" variant="outline">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeader>#</Table.ColumnHeader>
+          <Table.ColumnHeader>Player</Table.ColumnHeader>
+          <Table.ColumnHeader>Wins</Table.ColumnHeader>
+          <Table.ColumnHeader>Losses</Table.ColumnHeader>
+          <Table.ColumnHeader>PF</Table.ColumnHeader>
+          <Table.ColumnHeader>PA</Table.ColumnHeader>
+          <Table.ColumnHeader>PD</Table.ColumnHeader>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {standings.map((s, idx) => (
+          <Table.Row key={s.playerId}>
+            <Table.Cell>{idx + 1}</Table.Cell>
+            <Table.Cell fontWeight="600">{s.name}</Table.Cell>
+            <Table.Cell>{s.wins}</Table.Cell>
+            <Table.Cell>{s.losses}</Table.Cell>
+            <Table.Cell>{s.pointsFor}</Table.Cell>
+            <Table.Cell>{s.pointsAgainst}</Table.Cell>
+            <Table.Cell>{s.pointDiff}</Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
+export default function RotatingPage() {
+  usePageTitle("Rotating Partners");
+  const navigate = useNavigate();
+  const tid = getCurrentTournamentId();
+
+  const [state, setState] = useState({ players: [], rounds: [], standings: [] });
+  const [rows, setRows] = useState({});
+  const [roundCount, setRoundCount] = useState("6");
+  const [courtCount, setCourtCount] = useState("");
+  const [scoringProfile, setScoringProfile] = useState("to_11");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  function withTid(path) {
+    const base = (API_BASE || "").replace(/\/$/, "");
+    const p = String(path || "").startsWith("/") ? path : `/${path}`;
+
+    const u = base
+      ? new URL(`${base}${p}`)
+      : new URL(p, window.location.origin);
+
+    if (tid) u.searchParams.set("tournamentId", tid);
+    return u.toString();
+  }
+
+  function applyState(data) {
+    setState({
+      players: data?.players || [],
+      rounds: data?.rounds || [],
+      standings: data?.standings || [],
+    });
+
+    const next = {};
+    for (const r of data?.rounds || []) {
+      for (const m of r.matches) {
+        next[m.id] = {
+          scoreA: normalizeScoreInput(m.scoreA),
+          scoreB: normalizeScoreInput(m.scoreB),
+          error: "",
+        };
+      }
+    }
+    setRows(next);
+  }
+
+  async function fetchState() {
+    setError("");
+    setLoading(true);
+    try {
+      if (!tid) throw new Error("No tournament selected.");
+      const res = await fetch(withTid("/api/rotating/state"));
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok)
+        throw new Error(data?.error || "Failed to load rotating event");
+      applyState(data);
+      if (data?.scoring?.profile) setScoringProfile(data.scoring.profile);
+    } catch (e) {
+      setError(e?.message || "Error connecting to backend");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchState();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tid]);
+
+  const nameById = useMemo(
+    () => new Map(state.players.map((p) => [p.id, p.name])),
+    [state.players]
+  );
+
+  function pairLabel(ids) {
+    return ids.map((id) => nameById.get(id) ?? `Player ${id}`).join(" / ");
+  }
+
+  async function generateRounds() {
+    if (
+      state.rounds.length > 0 &&
+      !window.confirm("Replace the current rounds and clear all scores?")
+    )
+      return;
+
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch(withTid("/api/rotating/generate"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          rounds: roundCount,
+          courts: courtCount,
+          scoringProfile,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to generate rounds");
+      applyState(data);
+    } catch (e) {
+      setError(e?.message || "Error connecting to backend");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function setScore(code, key, value) {
+    setRows((prev) => ({
+      ...prev,
+      [code]: { ...prev[code], [key]: value, error: "" },
+    }));
+  }
+
+  async function saveScore(code, clear = false) {
+    const row = rows[code] || {};
+    setBusy(true);
+    try {
+      const res = await fetch(
+        withTid(`/api/rotating/matches/${encodeURIComponent(code)}/score`),
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(
+            clear ? { clear: true } : { scoreA: row.scoreA, scoreB: row.scoreB }
+          ),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || "Failed to save score");
+      applyState(data);
+    } catch (e) {
+      setRows((prev) => ({
+        ...prev,
+        [code]: { ...prev[code], error: e?.message || "Failed to save score" },
+      }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Box>
+      <StickyPageHeader>
+        <HStack gap={3} wrap="wrap">
+          <IconButton
+            aria-label="Home"
+            variant="outline"
+            onClick={() => navigate("/")}
+          >
+            <Home size={18} />
+          </IconButton>
+
+          <Heading size={{ base: "md", md: "lg" }} flex="1" minW={0}>
+            Rotating Partners
+          </Heading>
+
+          <Button size="sm" variant="outline" onClick={fetchState}>
+            <RotateCcw size={16} style={{ marginRight: 8 }} />
+            Refresh
+          </Button>
+        </HStack>
+      </StickyPageHeader>
+
+      <Container maxW="6xl" pt={{ base: 6, md: 10 }} px={{ base: 4, md: 6 }}>
+        <Stack gap={6}>
+          {error ? (
+            <Box
+              border="1px solid"
+              borderColor="red.200"
+              bg="red.50"
+              p={3}
+              borderRadius="lg"
+            >
+              <Text color="red.700" fontSize="sm">
+                {error}
+              </Text>
+            </Box>
+          ) : null}
+
+          <Box border="1px solid" borderColor="border" borderRadius="2xl" p={4}>
+            <Text fontSize="sm" opacity={0.8} mb={3}>
+              {state.players.length} registered players. Everyone gets a new
+              partner each round; standings are individual.
+            </Text>
+            <HStack gap={3} wrap="wrap" align="end">
+              <Box>
+                <Text fontSize="xs" opacity={0.7} mb={1}>
+                  Rounds
+                </Text>
+                <Input
+                  w="90px"
+                  inputMode="numeric"
+                  value={roundCount}
+                  onChange={(e) => setRoundCount(e.target.value)}
+                />
+              </Box>
+              <Box>
+                <Text fontSize="xs" opacity={0.7} mb={1}>
+                  Courts (optional)
+                </Text>
+                <Input
+                  w="90px"
+                  inputMode="numeric"
+                  value={courtCount}
+                  onChange={(e) => setCourtCount(e.target.value)}
+                />
+              </Box>
+              <Select.Root
+                collection={scoringProfileCollection}
+                value={[scoringProfile]}
+                onValueChange={(d) => setScoringProfile(d.value?.[0] ?? "to_11")}
+                width="230px"
+                disabled={!tid || busy}
+              >
+                <Select.Trigger>
+                  <Select.ValueText placeholder="To 11, win by 2" />
+                </Select.Trigger>
+                <Select.Content>
+                  {scoringProfileCollection.items.map((opt) => (
+                    <Select.Item key={opt.value} item={opt}>
+                      {opt.label}
+                    </Select.Item>
+                  ))}
+                </Select.Content>
+              </Select.Root>
+              <Button
+                variant="pickle"
+                onClick={generateRounds}
+                disabled={!tid || busy || state.players.length < 4}
+              >
+                <Shuffle size={16} style={{ marginRight: 8 }} />
+                Generate Rounds
+              </Button>
+            </HStack>
+          </Box>
+
+          {loading && state.rounds.length === 0 ? <Text>Loading…</Text> : null}
+
+          {state.standings.length > 0 && state.rounds.length > 0 ? (
+            <Box>
+              <Heading size="sm" mb={3}>
+                Player Standings
+              </Heading>
+              <PlayerStandingsTable standings={state.standings} />
+            </Box>
+          ) : null}
+
+          {state.rounds.map((r) => (
+            <Box key={r.round}>
+              <HStack mb={3} gap={3} wrap="wrap">
+                <Heading size="sm">Round {r.round}</Heading>
+                {r.sitOuts.length ? (
+                  <Text fontSize="sm" opacity={0.75}>
+                    Sitting out: {pairLabel(r.sitOuts)}
+                  </Text>
+                ) : null}
+              </HStack>
+
+              <SimpleGrid columns={{ base: 1, md: 2 }} gap={3}>
+                {r.matches.map((m) => {
+                  const row = rows[m.id] || { scoreA: "", scoreB: "" };
+                  const completed = m.status === "completed";
+                  return (
+                    <Box
+                      key={m.id}
+                      border="1px solid"
+                      borderColor="border"
+                      borderRadius="2xl"
+                      p={4}
+                      bg="white"
+                    >
+                      <HStack justify="space-between" mb={2}>
+                        <Text fontWeight="700">
+                          {m.court ? `Court ${m.court}` : m.id}
+                        </Text>
+                        <Badge variant={completed ? "club" : "outline"}>
+                          {completed ? "Completed" : "Pending"}
+                        </Badge>
+                      </HStack>
+
+                      <HStack gap={2} align="end">
+                        <Box flex="1">
+                          <Text fontSize="xs" opacity={0.7} mb={1}>
+                            {pairLabel(m.teamA)}
+                          </Text>
+                          <Input
+                            inputMode="numeric"
+                            value={row.scoreA}
+                            onChange={(e) =>
+                              setScore(m.id, "scoreA", e.target.value)
+                            }
+                          />
+                        </Box>
+                        <Box flex="1">
+                          <Text fontSize="xs" opacity={0.7} mb={1}>
+                            {pairLabel(m.teamB)}
+                          </Text>
+                          <Input
+                            inputMode="numeric"
+                            value={row.scoreB}
+                            onChange={(e) =>
+                              setScore(m.id, "scoreB", e.target.value)
+                            }
+                          />
+                        </Box>
+                      </HStack>
+
+                      <HStack mt={3} gap={2}>
+                        <Button
+                          size="sm"
+                          variant="pickle"
+                          onClick={() => saveScore(m.id)}
+                          disabled={busy}
+                        >
+                          Save
+                        </Button>
+                        {completed ? (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => saveScore(m.id, true)}
+                            disabled={busy}
+                          >
+                            Clear
+                          </Button>
+                        ) : null}
+                      </HStack>
+
+                      {row.error ? (
+                        <Text mt={2} fontSize="sm" color="red.600">
+                          {row.error}
+                        </Text>
+                      ) : null}
+                    </Box>
+                  );
+                })}
+              </SimpleGrid>
+            </Box>
+          ))}
+        </Stack>
+      </Container>
+    </Box>
+  );
+}
@@ -0,0 +1,14 @@
+// client/src/scoringProfiles.js
+import { createListCollection } from "@chakra-ui/react";
+
+// Keys + labels mirror SCORING_PROFILES on the server.
+export const scoringProfileCollection = createListCollection({
+  items: [
+    { label: "To 11, win by 2", value: "to_11" },
+    { label: "To 11, win by 2, cap 15", value: "to_11_cap_15" },
+    { label: "To 15, win by 2", value: "to_15" },
+    { label: "To 15, win by 2, cap 17", value: "to_15_cap_17" },
+    { label: "Rally scoring to 21, win by 2", value: "rally_21" },
+    { label: "Timed (any untied score)", value: "timed" },
+  ],
+});
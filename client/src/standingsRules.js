@@ -0,0 +1,24 @@
+// client/src/standingsRules.js
+
+// Keys mirror TIEBREAKERS in backend/tournamentEngine.js.
+export const TIEBREAKER_LABELS = {
+  headToHead: "Head-to-head",
+  gameDiff: "Game differential",
+  pointDiff: "Point differential",
+  pointDiffCapped: "Point differential (capped per game)",
+  pointsFor: "Points scored",
+  pointsAgainst: "Fewest points allowed",
+  coinFlip: "Coin flip",
+};
+
+// Short labels for the standings "Decided by" column.
+export const DECIDED_BY_LABELS = {
+  wins: "Wins",
+  headToHead: "H2H",
+  gameDiff: "Game diff",
+  pointDiff: "PD",
+  pointDiffCapped: "Capped PD",
+  pointsFor: "PF",
+  pointsAgainst: "PA",
+  coinFlip: "Coin flip",
+};
@@ -23,3 +23,23 @@ export function getCurrentTournamentIdNumber() {
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
 }
+
+// selected skill division, remembered per tournament ("" = whole tournament)
+function divisionKey(tournamentId) {
+  return `currentDivisionId:${tournamentId}`;
+}
+
+export function getCurrentDivisionId(tournamentId) {
+  if (!tournamentId) return "";
+  return localStorage.getItem(divisionKey(tournamentId)) || "";
+}
+
+export function setCurrentDivisionId(tournamentId, id) {
+  if (!tournamentId) return;
+  const normalized = String(id ?? "").trim();
+  if (!normalized) {
+    localStorage.removeItem(divisionKey(tournamentId));
+    return;
+  }
+  localStorage.setItem(divisionKey(tournamentId), normalized);
+}